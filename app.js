@@ -4,7 +4,20 @@
  * Este módulo configura un servidor Express que maneja la autenticación de usuarios
  * y la gestión de tareas. Se utiliza `body-parser` para procesar solicitudes JSON,
  * `cors` para permitir solicitudes desde diferentes orígenes y se definen rutas para
- * autenticación y tareas.
+ * autenticación, tareas, proyectos, etiquetas, webhooks y administración.
+ *
+ * Los errores de todas las rutas se responden en JSON desde un manejador central
+ * (ver middleware/errors.js); cada petición lleva un identificador en `X-Request-Id`,
+ * que aparece también en su registro JSON (ver middleware/requestLog.js). El estado
+ * del servidor y las métricas se publican en /health y /metrics.
+ *
+ * La API se describe en una especificación OpenAPI (openapi.js), publicada en
+ * /api/openapi.json y /api/docs, contra la que se validan las peticiones antes de
+ * llegar a las rutas (ver middleware/validate.js).
+ *
+ * Todas las rutas de la API están bajo el prefijo /api y, para no romper los
+ * clientes anteriores, también sin él (/tasks, /auth...). El resto de rutas sirven
+ * el front end de Angular compilado (ver middleware/client.js).
  */
 
 import express from 'express';
@@ -12,30 +25,88 @@ import bodyParser from 'body-parser';
 import cors from 'cors';
 import tasksRouter from './routes/tasks.js';
 import authRouter from './routes/auth.js';
+import adminRouter from './routes/admin.js';
+import projectsRouter from './routes/projects.js';
+import tagsRouter from './routes/tags.js';
+import webhooksRouter from './routes/webhooks.js';
+import docsRouter from './routes/docs.js';
+import clientConfigRouter from './routes/clientConfig.js';
+import monitoringRouter from './routes/monitoring.js';
+import openapi from './openapi.js';
+import { validateRequest } from './middleware/validate.js';
+import { errorHandler, notFound, requestId } from './middleware/errors.js';
+import { serveClient } from './middleware/client.js';
+import { requestLogger } from './middleware/requestLog.js';
+import { logger } from './logger.js';
+import { startScheduler } from './services/scheduler.js';
+import { API_PREFIX, server as serverConfig } from './config.js';
 
 // Crear una instancia de la aplicación Express
 const app = express();
 
-// Middleware para habilitar CORS (permite solicitudes desde otros dominios)
-app.use(cors());
+// Identificador de cada petición, para relacionar respuestas de error y registros
+app.use(requestId);
+
+// Registro JSON y métricas de cada petición
+app.use(requestLogger(openapi));
+
+// Middleware para habilitar CORS (permite solicitudes desde otros dominios).
+// Se exponen las cabeceras de paginación, el ETag y el identificador de petición
+// para que el front end pueda leerlas.
+app.use(
+  cors({
+    exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Limit', 'X-Total-Pages', 'Link', 'ETag', 'X-Request-Id'],
+  })
+);
 
 // Middleware para procesar datos en formato JSON en las solicitudes
 app.use(bodyParser.json());
 
+// Enrutador de la API. La especificación y la validación usan las rutas sin prefijo.
+const api = express.Router();
+
+// Estado del servidor y métricas
+api.use(monitoringRouter);
+
+// Especificación OpenAPI y documentación interactiva
+api.use(docsRouter);
+
+// Validación de parámetros y cuerpos según la especificación OpenAPI
+api.use(validateRequest(openapi));
+
 // Rutas de la API
-app.use('/tasks', tasksRouter); // Rutas para la gestión de tareas
-app.use('/auth', authRouter); // Rutas para la autenticación de usuarios
+api.use('/tasks', tasksRouter); // Rutas para la gestión de tareas
+api.use('/auth', authRouter); // Rutas para la autenticación de usuarios
+api.use('/admin', adminRouter); // Rutas de administración (solo rol admin)
+api.use('/projects', projectsRouter); // Proyectos del usuario
+api.use('/tags', tagsRouter); // Etiquetas del usuario
+api.use('/webhooks', webhooksRouter); // Webhooks de eventos de tareas
+api.use(clientConfigRouter); // Configuración del front end
+
+// La API bajo /api y, para los clientes anteriores, también en la raíz
+app.use(API_PREFIX, api);
+app.use(api);
+
+// Front end de Angular compilado, con las rutas del cliente
+app.use(serveClient());
+
+// Rutas inexistentes y respuesta JSON común para todos los errores
+app.use(notFound);
+app.use(errorHandler);
 
 /**
- * Inicia el servidor en el puerto 3000, a menos que esté en un entorno de pruebas.
+ * Inicia el servidor en el puerto configurado (`server.port` en config.js, variable
+ * `PORT`, 3000 por defecto) y el planificador de recordatorios y tareas recurrentes,
+ * a menos que esté en un entorno de pruebas.
  *
- * - Si `NODE_ENV` es diferente de `test`, el servidor inicia en el puerto 3000.
+ * - Si `NODE_ENV` es diferente de `test`, el servidor inicia en el puerto configurado.
  * - Si `NODE_ENV` es `test`, la aplicación se exporta sin iniciar el servidor para permitir pruebas automatizadas.
  */
 if (process.env.NODE_ENV !== 'test') {
-  app.listen(3000, () => {
-    console.log(`Servidor escuchando en http://localhost:3000`);
+  app.listen(serverConfig.port, () => {
+    logger.info('Servidor escuchando', { url: `http://localhost:${serverConfig.port}` });
   });
+  startScheduler();
 }
 
 // Exportar la aplicación para que pueda ser utilizada en pruebas o en otros módulos
@@ -1 +1,524 @@
-export const jwtSecret = 'clave_secreta';
\ No newline at end of file
+/**
+ * Configuración de la aplicación.
+ *
+ * Los valores se cargan al arrancar, de menor a mayor prioridad, de:
+ *   1. Los valores por defecto de este módulo (`DEFAULTS`).
+ *   2. Un archivo JSON opcional indicado en la variable `CONFIG_FILE`, con las
+ *      mismas secciones que exporta este módulo (p. ej. `{ "server": { "port": 8080 } }`).
+ *   3. Variables de entorno (ver `ENV_VARS`).
+ *
+ * La configuración resultante se valida antes de que arranque nada: si algún valor
+ * no es válido se lanza un `ConfigError` con la lista de problemas y la aplicación
+ * no se inicia. Fuera de desarrollo y pruebas (`NODE_ENV=development` o `test`),
+ * incluso si `NODE_ENV` no está definido, es obligatorio indicar la clave de firma
+ * de los tokens; el secreto de desarrollo no se acepta.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Secreto HS256 que se usa en desarrollo y pruebas si no se configura otra clave.
+const DEVELOPMENT_SECRET = 'clave_secreta';
+
+// Entornos (`NODE_ENV`) en los que se admite el secreto de desarrollo.
+const DEVELOPMENT_ENVS = ['development', 'test'];
+
+// Algoritmos de firma admitidos y tipo de clave asimétrica de cada uno.
+export const JWT_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+const KEY_TYPES = { RS256: 'rsa', ES256: 'ec' };
+
+export const STORAGE_DRIVERS = ['json', 'memory', 'sqlite'];
+
+// Niveles de los registros, de más a menos detallado; `silent` no registra nada.
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Prefijo de las rutas de la API. Las rutas siguen respondiendo también sin él,
+// para los clientes anteriores.
+export const API_PREFIX = '/api';
+
+/**
+ * Error de configuración. `errors` lista cada problema encontrado.
+ */
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Configuración inválida:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Valores por defecto.
+ *
+ * - `server.port`: puerto HTTP.
+ *
+ * - `logging.level`: nivel mínimo de los registros JSON (uno de `LOG_LEVELS`). En
+ *   pruebas no se registra nada.
+ *
+ * - `client` (front end de Angular compilado):
+ *   - `dir`: carpeta con el resultado de la compilación (`index.csr.html` y sus
+ *     archivos), que se sirve desde la raíz; `null` para no servir el front end.
+ *   - `apiBaseUrl`: URL base de la API que se comunica al front end en GET /api/config,
+ *     por si la API se publica en otra dirección (p. ej. detrás de un proxy).
+ *
+ * - `auth`:
+ *   - `accessTokenExpiresIn`: vigencia de los access tokens (formato de jsonwebtoken).
+ *   - `refreshTokenTtlDays`: días que dura una sesión antes de exigir un nuevo inicio de sesión.
+ *   - `usernamePolicy` / `passwordPolicy`: reglas que se aplican al registrar un usuario.
+ *   - `lockout`: intentos fallidos consecutivos tras los que se bloquea la cuenta y durante cuánto tiempo.
+ *   - `rateLimit`: peticiones permitidas por IP (todas las rutas de /auth) y por cuenta (login).
+ *
+ * - `jwt`: clave con la que se firman los access tokens.
+ *   - `algorithm`: `HS256` (secreto compartido), `RS256` o `ES256` (clave privada PEM).
+ *   - `kid`: identificador de la clave, que se envía en la cabecera de cada token.
+ *     Por defecto es la huella (RFC 7638) de la clave pública, o `default` en HS256.
+ *   - `secret`: secreto de HS256. Solo tiene valor por defecto en desarrollo y pruebas.
+ *   - `privateKey` / `privateKeyFile`: clave privada PEM de RS256 o ES256.
+ *   - `previousKeys`: claves anteriores, que ya no firman pero siguen verificando
+ *     los tokens que firmaron: `{ kid, algorithm, secret | publicKey | publicKeyFile }`.
+ *     Al rotar, la clave actual pasa aquí y se puede retirar cuando hayan caducado
+ *     sus tokens (`auth.accessTokenExpiresIn`).
+ *
+ * - `storage`:
+ *   - `driver`: adaptador a utilizar (`json`, `memory` o `sqlite`). Por defecto se usan
+ *     los archivos JSON de la carpeta data, salvo en pruebas, donde se usa memoria.
+ *   - `dataDir`: carpeta de los archivos JSON.
+ *   - `sqliteFile`: archivo de base de datos del adaptador SQLite.
+ *
+ * - `scheduler.intervalMs`: cada cuánto se comprueban los recordatorios vencidos y
+ *   las ocurrencias pendientes de generar.
+ *
+ * - `trash.retentionDays`: días que una tarea eliminada permanece en la papelera
+ *   antes de que el planificador la purgue definitivamente.
+ *
+ * - `attachments` (archivos adjuntos de las tareas):
+ *   - `dir`: carpeta donde se guardan los archivos. En pruebas se usa una carpeta
+ *     temporal para no tocar la carpeta data.
+ *   - `maxFileSize`: tamaño máximo de cada archivo, en bytes.
+ *   - `allowedTypes`: tipos MIME admitidos.
+ *
+ * - `webhooks` (entregas de eventos a las URL registradas por los usuarios):
+ *   - `timeoutMs`: tiempo máximo de espera de la respuesta de cada intento.
+ *   - `maxAttempts`: intentos de cada entrega antes de darla por fallida.
+ *   - `retryBaseMs`: espera antes del primer reintento; se duplica en cada uno
+ *     (backoff exponencial). En pruebas es de pocos milisegundos.
+ *   - `logSize`: entregas que se conservan en el registro de cada webhook.
+ *   - `allowPrivateUrls`: si se admiten URL de direcciones locales o privadas
+ *     (`localhost`, 127.0.0.1, 10.0.0.0/8, 169.254.0.0/16…). Desactivado salvo en
+ *     pruebas, cuyo receptor escucha en `localhost`.
+ *
+ * - `events` (GET /tasks/events):
+ *   - `bufferSize`: eventos que se guardan en memoria para que los clientes que se
+ *     reconectan reciban los que se perdieron.
+ *   - `heartbeatMs`: cada cuánto se envía un comentario para mantener viva la conexión.
+ *   - `retryMs`: espera que se sugiere al cliente antes de reconectarse.
+ */
+const DEFAULTS = (nodeEnv) => ({
+  server: {
+    port: 3000,
+  },
+  logging: {
+    level: nodeEnv === 'test' ? 'silent' : 'info',
+  },
+  client: {
+    dir: path.join(__dirname, 'browser'),
+    apiBaseUrl: API_PREFIX,
+  },
+  auth: {
+    accessTokenExpiresIn: '1h',
+    refreshTokenTtlDays: 30,
+    usernamePolicy: {
+      minLength: 3,
+      maxLength: 30,
+      pattern: /^[a-zA-Z0-9._-]+$/,
+    },
+    passwordPolicy: {
+      minLength: 8,
+      requireLetter: true,
+      requireNumber: true,
+    },
+    lockout: {
+      maxFailedAttempts: 5,
+      durationMinutes: 15,
+    },
+    rateLimit: {
+      ip: { windowMs: 60 * 1000, max: 30 },
+      account: { windowMs: 15 * 60 * 1000, max: 10 },
+    },
+  },
+  jwt: {
+    algorithm: 'HS256',
+    kid: null,
+    secret: DEVELOPMENT_ENVS.includes(nodeEnv) ? DEVELOPMENT_SECRET : null,
+    privateKey: null,
+    privateKeyFile: null,
+    previousKeys: [],
+  },
+  storage: {
+    driver: nodeEnv === 'test' ? 'memory' : 'json',
+    dataDir: path.join(__dirname, 'data'),
+    sqliteFile: path.join(__dirname, 'data', 'gestor.db'),
+  },
+  scheduler: {
+    intervalMs: 60 * 1000,
+  },
+  trash: {
+    retentionDays: 30,
+  },
+  attachments: {
+    dir: nodeEnv === 'test'
+      ? path.join(os.tmpdir(), 'gestor-tareas-attachments')
+      : path.join(__dirname, 'data', 'attachments'),
+    maxFileSize: 10 * 1024 * 1024,
+    allowedTypes: [
+      'image/png',
+      'image/jpeg',
+      'image/gif',
+      'image/webp',
+      'application/pdf',
+      'text/plain',
+      'text/csv',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ],
+  },
+  webhooks: {
+    timeoutMs: 5000,
+    maxAttempts: 5,
+    retryBaseMs: nodeEnv === 'test' ? 20 : 30 * 1000,
+    logSize: 100,
+    allowPrivateUrls: nodeEnv === 'test',
+  },
+  events: {
+    bufferSize: 1000,
+    heartbeatMs: 25 * 1000,
+    retryMs: 3000,
+  },
+});
+
+// Variables de entorno admitidas: sección, campo y tipo del valor.
+const ENV_VARS = {
+  PORT: ['server', 'port', 'integer'],
+  LOG_LEVEL: ['logging', 'level', 'string'],
+  CLIENT_DIR: ['client', 'dir', 'string'],
+  API_BASE_URL: ['client', 'apiBaseUrl', 'string'],
+  JWT_EXPIRES_IN: ['auth', 'accessTokenExpiresIn', 'string'],
+  REFRESH_TOKEN_TTL_DAYS: ['auth', 'refreshTokenTtlDays', 'integer'],
+  JWT_ALGORITHM: ['jwt', 'algorithm', 'string'],
+  JWT_KID: ['jwt', 'kid', 'string'],
+  JWT_SECRET: ['jwt', 'secret', 'string'],
+  JWT_PRIVATE_KEY: ['jwt', 'privateKey', 'string'],
+  JWT_PRIVATE_KEY_FILE: ['jwt', 'privateKeyFile', 'string'],
+  JWT_PREVIOUS_KEYS: ['jwt', 'previousKeys', 'json'],
+  STORAGE_DRIVER: ['storage', 'driver', 'string'],
+  DATA_DIR: ['storage', 'dataDir', 'string'],
+  SQLITE_FILE: ['storage', 'sqliteFile', 'string'],
+  SCHEDULER_INTERVAL_MS: ['scheduler', 'intervalMs', 'integer'],
+  TRASH_RETENTION_DAYS: ['trash', 'retentionDays', 'integer'],
+  ATTACHMENTS_DIR: ['attachments', 'dir', 'string'],
+  ATTACHMENTS_MAX_FILE_SIZE: ['attachments', 'maxFileSize', 'integer'],
+  WEBHOOK_TIMEOUT_MS: ['webhooks', 'timeoutMs', 'integer'],
+  WEBHOOK_MAX_ATTEMPTS: ['webhooks', 'maxAttempts', 'integer'],
+  WEBHOOK_RETRY_BASE_MS: ['webhooks', 'retryBaseMs', 'integer'],
+  WEBHOOK_ALLOW_PRIVATE_URLS: ['webhooks', 'allowPrivateUrls', 'boolean'],
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+
+/**
+ * Mezcla `override` sobre `base` sección a sección; las listas se reemplazan.
+ */
+const merge = (base, override) => {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override ?? {})) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return result;
+};
+
+/**
+ * Lee el archivo de configuración JSON.
+ */
+const readConfigFile = (file, errors) => {
+  try {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!isPlainObject(content)) {
+      errors.push(`${file}: debe contener un objeto JSON`);
+      return {};
+    }
+    return content;
+  } catch (error) {
+    errors.push(`${file}: ${error.message}`);
+    return {};
+  }
+};
+
+/**
+ * Convierte las variables de entorno en un objeto con la forma de la configuración.
+ */
+const fromEnv = (env, errors) => {
+  const config = {};
+  for (const [name, [section, field, type]] of Object.entries(ENV_VARS)) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') {
+      continue;
+    }
+    let value = raw;
+    if (type === 'integer') {
+      value = /^-?\d+$/.test(raw) ? Number(raw) : raw;
+    } else if (type === 'boolean') {
+      value = raw === 'true' ? true : raw === 'false' ? false : raw;
+    } else if (type === 'json') {
+      try {
+        value = JSON.parse(raw);
+      } catch {
+        errors.push(`${name}: no es un JSON válido`);
+        continue;
+      }
+    }
+    config[section] = { ...config[section], [field]: value };
+  }
+  return config;
+};
+
+/**
+ * Comprueba que `section.field` de `config` sea un entero en el rango indicado.
+ */
+const checkInteger = (config, pathName, errors, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) => {
+  const value = pathName.split('.').reduce((node, key) => node?.[key], config);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push(`${pathName}: debe ser un entero entre ${min} y ${max}`);
+  }
+};
+
+/**
+ * Lee el contenido de una clave PEM, en línea o desde un archivo.
+ */
+const readPem = (inline, file, name, errors) => {
+  if (inline) {
+    return inline;
+  }
+  if (!file) {
+    return null;
+  }
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    errors.push(`${name}: no se pudo leer ${file} (${error.code ?? error.message})`);
+    return null;
+  }
+};
+
+/**
+ * Huella JWK (RFC 7638) de una clave pública, para usarla como `kid` por defecto.
+ */
+const thumbprint = (publicKey) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  const members = jwk.kty === 'RSA' ? ['e', 'kty', 'n'] : ['crv', 'kty', 'x', 'y'];
+  const canonical = JSON.stringify(Object.fromEntries(members.map((m) => [m, jwk[m]])));
+  return crypto.createHash('sha256').update(canonical).digest('base64url');
+};
+
+/**
+ * Comprueba que una clave asimétrica corresponda a su algoritmo (RSA para RS256 y
+ * EC P-256 para ES256).
+ */
+const checkKeyType = (key, algorithm, name, errors) => {
+  if (key.asymmetricKeyType !== KEY_TYPES[algorithm]) {
+    errors.push(`${name}: ${algorithm} necesita una clave ${KEY_TYPES[algorithm].toUpperCase()}`);
+    return false;
+  }
+  if (algorithm === 'ES256' && key.asymmetricKeyDetails?.namedCurve !== 'prime256v1') {
+    errors.push(`${name}: ES256 necesita una clave de la curva P-256`);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Valida la clave actual y las anteriores y las convierte en la lista `keys` que
+ * usa services/tokens.js: `{ kid, algorithm, signingKey, verificationKey }`, con la
+ * clave actual en primer lugar (la única con `signingKey`).
+ */
+const loadKeys = (jwt, nodeEnv, errors) => {
+  const keys = [];
+
+  if (!JWT_ALGORITHMS.includes(jwt.algorithm)) {
+    errors.push(`jwt.algorithm: debe ser uno de ${JWT_ALGORITHMS.join(', ')}`);
+  } else if (jwt.algorithm === 'HS256') {
+    if (typeof jwt.secret !== 'string' || jwt.secret === '') {
+      errors.push('jwt.secret: es obligatorio con HS256 fuera de desarrollo y pruebas (variable JWT_SECRET)');
+    } else if (!DEVELOPMENT_ENVS.includes(nodeEnv) && jwt.secret === DEVELOPMENT_SECRET) {
+      errors.push('jwt.secret: el secreto de desarrollo solo se admite con NODE_ENV=development o test');
+    } else {
+      keys.push({
+        kid: jwt.kid ?? 'default',
+        algorithm: 'HS256',
+        signingKey: jwt.secret,
+        verificationKey: jwt.secret,
+      });
+    }
+  } else {
+    const pem = readPem(jwt.privateKey, jwt.privateKeyFile, 'jwt.privateKeyFile', errors);
+    if (!pem) {
+      errors.push(`jwt.privateKey: es obligatoria con ${jwt.algorithm} (variable JWT_PRIVATE_KEY_FILE)`);
+    } else {
+      try {
+        const privateKey = crypto.createPrivateKey(pem);
+        if (checkKeyType(privateKey, jwt.algorithm, 'jwt.privateKey', errors)) {
+          const publicKey = crypto.createPublicKey(privateKey);
+          keys.push({
+            kid: jwt.kid ?? thumbprint(publicKey),
+            algorithm: jwt.algorithm,
+            signingKey: privateKey,
+            verificationKey: publicKey,
+          });
+        }
+      } catch (error) {
+        errors.push(`jwt.privateKey: no es una clave privada PEM válida (${error.message})`);
+      }
+    }
+  }
+
+  if (!Array.isArray(jwt.previousKeys)) {
+    errors.push('jwt.previousKeys: debe ser una lista');
+    return keys;
+  }
+  jwt.previousKeys.forEach((previous, index) => {
+    const name = `jwt.previousKeys[${index}]`;
+    const { kid, algorithm } = previous ?? {};
+    if (typeof kid !== 'string' || kid === '') {
+      errors.push(`${name}.kid: es obligatorio`);
+      return;
+    }
+    if (!JWT_ALGORITHMS.includes(algorithm)) {
+      errors.push(`${name}.algorithm: debe ser uno de ${JWT_ALGORITHMS.join(', ')}`);
+      return;
+    }
+    if (algorithm === 'HS256') {
+      if (typeof previous.secret !== 'string' || previous.secret === '') {
+        errors.push(`${name}.secret: es obligatorio con HS256`);
+        return;
+      }
+      keys.push({ kid, algorithm, signingKey: null, verificationKey: previous.secret });
+      return;
+    }
+    const pem = readPem(previous.publicKey, previous.publicKeyFile, `${name}.publicKeyFile`, errors);
+    if (!pem) {
+      errors.push(`${name}.publicKey: es obligatoria con ${algorithm}`);
+      return;
+    }
+    try {
+      const publicKey = crypto.createPublicKey(pem);
+      if (checkKeyType(publicKey, algorithm, `${name}.publicKey`, errors)) {
+        keys.push({ kid, algorithm, signingKey: null, verificationKey: publicKey });
+      }
+    } catch (error) {
+      errors.push(`${name}.publicKey: no es una clave pública PEM válida (${error.message})`);
+    }
+  });
+
+  const kids = keys.map((key) => key.kid);
+  for (const kid of new Set(kids.filter((kid, i) => kids.indexOf(kid) !== i))) {
+    errors.push(`jwt: el kid "${kid}" se repite; cada clave necesita un kid distinto`);
+  }
+  return keys;
+};
+
+/**
+ * Carga y valida la configuración.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env] - Variables de entorno.
+ * @param {string} [options.file] - Archivo JSON de configuración (por defecto `CONFIG_FILE`).
+ * @returns {Object} Configuración por secciones; `jwt.keys` lleva las claves ya cargadas.
+ * @throws {ConfigError} Si algún valor no es válido.
+ */
+export function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const errors = [];
+  const nodeEnv = env.NODE_ENV;
+  const config = merge(
+    merge(DEFAULTS(nodeEnv), file ? readConfigFile(file, errors) : {}),
+    fromEnv(env, errors)
+  );
+
+  checkInteger(config, 'server.port', errors, { max: 65535 });
+  if (!LOG_LEVELS.includes(config.logging.level)) {
+    errors.push(`logging.level: debe ser uno de ${LOG_LEVELS.join(', ')}`);
+  }
+  if (typeof config.client.apiBaseUrl !== 'string' || config.client.apiBaseUrl.trim() === '') {
+    errors.push('client.apiBaseUrl: es obligatoria');
+  }
+
+  const { auth } = config;
+  const expiresIn = auth.accessTokenExpiresIn;
+  if (!(Number.isInteger(expiresIn) && expiresIn > 0) &&
+      !(typeof expiresIn === 'string' && /^\d+(\.\d+)?\s*(ms|s|m|h|d|w|y)?$/i.test(expiresIn))) {
+    errors.push('auth.accessTokenExpiresIn: debe ser un número de segundos o una duración como "15m" o "1h"');
+  }
+  for (const name of [
+    'auth.refreshTokenTtlDays',
+    'auth.usernamePolicy.minLength',
+    'auth.usernamePolicy.maxLength',
+    'auth.passwordPolicy.minLength',
+    'auth.lockout.maxFailedAttempts',
+    'auth.lockout.durationMinutes',
+    'auth.rateLimit.ip.windowMs',
+    'auth.rateLimit.ip.max',
+    'auth.rateLimit.account.windowMs',
+    'auth.rateLimit.account.max',
+    'scheduler.intervalMs',
+    'trash.retentionDays',
+    'attachments.maxFileSize',
+    'webhooks.timeoutMs',
+    'webhooks.maxAttempts',
+    'webhooks.retryBaseMs',
+    'webhooks.logSize',
+    'events.bufferSize',
+    'events.heartbeatMs',
+    'events.retryMs',
+  ]) {
+    checkInteger(config, name, errors);
+  }
+  if (typeof auth.usernamePolicy.pattern === 'string') {
+    try {
+      auth.usernamePolicy = { ...auth.usernamePolicy, pattern: new RegExp(auth.usernamePolicy.pattern) };
+    } catch {
+      errors.push('auth.usernamePolicy.pattern: no es una expresión regular válida');
+    }
+  }
+
+  if (!STORAGE_DRIVERS.includes(config.storage.driver)) {
+    errors.push(`storage.driver: debe ser uno de ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  if (typeof config.webhooks.allowPrivateUrls !== 'boolean') {
+    errors.push('webhooks.allowPrivateUrls: debe ser true o false');
+  }
+
+  const { allowedTypes } = config.attachments;
+  if (!Array.isArray(allowedTypes) || allowedTypes.length === 0 ||
+      !allowedTypes.every((type) => typeof type === 'string' && /^[\w.+-]+\/[\w.+-]+$/.test(type))) {
+    errors.push('attachments.allowedTypes: debe ser una lista de tipos MIME (p. ej. "image/png")');
+  }
+
+  config.jwt = { ...config.jwt, keys: loadKeys(config.jwt, nodeEnv, errors) };
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  return config;
+}
+
+// Configuración de la aplicación, cargada y validada al arrancar.
+export const config = loadConfig();
+
+export const { server, logging, client, auth, jwt, storage, scheduler, trash, attachments, webhooks, events } = config;
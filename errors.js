@@ -0,0 +1,55 @@
+/**
+ * Errores de la API.
+ *
+ * Las rutas, los middlewares y los servicios señalan los errores que debe ver el
+ * cliente creando un `ApiError` con el código HTTP y un código de error estable
+ * (p. ej. `TASK_NOT_FOUND`). El manejador central (middleware/errors.js) lo
+ * convierte en la respuesta JSON `{ code, message, details, requestId }`, con el
+ * mensaje traducido según `Accept-Language` (ver locales/).
+ *
+ * Los campos inválidos de `details` se describen igual, con un código y sus
+ * parámetros (ver `fieldError`); el manejador añade su mensaje traducido.
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {number} status - Código de estado HTTP.
+   * @param {string} code - Código del error; debe existir en los catálogos de locales/.
+   * @param {Object} [options]
+   * @param {*} [options.details] - Información adicional para el cliente (p. ej. campos inválidos).
+   * @param {Object} [options.params] - Valores que se insertan en el mensaje (`{nombre}`).
+   */
+  constructor(status, code, { details = null, params = {} } = {}) {
+    super(code);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.params = params;
+  }
+}
+
+/**
+ * Describe un campo inválido.
+ *
+ * @param {string} field - Nombre del campo.
+ * @param {string} code - Código del problema (p. ej. `TITLE_REQUIRED`); debe
+ *   existir en los catálogos de locales/.
+ * @param {Object} [params] - Valores que se insertan en el mensaje (`{nombre}`).
+ * @returns {{field: string, code: string, params: Object}}
+ */
+export function fieldError(field, code, params = {}) {
+  return { field, code, params };
+}
+
+/**
+ * Crea un error 400 con la lista de campos inválidos en `details`.
+ *
+ * @param {string} code - Código del error, p. ej. `INVALID_TASK`.
+ * @param {Array<{field: string, code: string, params: Object}>} errors - Campos
+ *   inválidos (ver `fieldError`).
+ * @returns {ApiError}
+ */
+export function validationError(code, errors) {
+  return new ApiError(400, code, { details: errors });
+}
@@ -0,0 +1,180 @@
+/**
+ * Mensajes de error en inglés, por código de error (ver locales/es.js).
+ */
+
+export default {
+  // Generales
+  INTERNAL_ERROR: "Server error",
+  NOT_FOUND: "Resource not found",
+  BAD_REQUEST: "Bad request",
+  INVALID_JSON: "The request body is not valid JSON",
+  PAYLOAD_TOO_LARGE: "The request body is too large",
+  INVALID_QUERY: "Invalid query parameters",
+  INVALID_REQUEST: "Invalid request data",
+  TOO_MANY_REQUESTS: "Too many requests, please try again later",
+
+  // Autenticación y sesiones
+  AUTH_REQUIRED: "Access denied",
+  INVALID_TOKEN: "Invalid token",
+  SESSION_REVOKED: "Session revoked",
+  FORBIDDEN: "Insufficient permissions",
+  INVALID_REGISTRATION: "Invalid registration data",
+  USER_EXISTS: "The user already exists",
+  CREDENTIALS_REQUIRED: "Username and password are required",
+  INVALID_CREDENTIALS: "Invalid credentials",
+  ACCOUNT_DISABLED: "Account disabled",
+  ACCOUNT_LOCKED: "Account temporarily locked",
+  TOO_MANY_LOGIN_ATTEMPTS: "Too many login attempts for this account, please try again later",
+  REFRESH_TOKEN_INVALID: "Invalid refresh token",
+  REFRESH_TOKEN_REUSED: "Refresh token reused; the session has been revoked",
+  SESSION_EXPIRED: "Session expired",
+  SESSION_NOT_FOUND: "Session not found",
+
+  // Administración
+  INVALID_USER: "Invalid user data",
+  INVALID_PASSWORD: "Invalid password",
+  USER_NOT_FOUND: "User not found",
+  SELF_DEMOTION: "You cannot disable or demote your own account",
+  INVALID_TARGET_USER: "The target user does not exist or is disabled",
+
+  // Tareas
+  INVALID_TASK: "Invalid task data",
+  TASK_NOT_FOUND: "Task not found",
+  TASK_FORBIDDEN: "You are not allowed to perform this action on the task",
+  TASK_VERSION_MISMATCH: "The task has changed since the version given in If-Match",
+  TASK_BLOCKED: "The task cannot be completed while it has open blocking tasks",
+  DEPENDENCY_CYCLE: "The dependency would create a cycle",
+  DEPENDENCY_REQUIRED: "taskId must be another task",
+  BLOCKER_NOT_FOUND: "The blocking task does not exist",
+  INVALID_SUBTASK: "Invalid subtask data",
+  SUBTASK_NOT_FOUND: "Subtask not found",
+  INVALID_SHARE: "Invalid data",
+  SHARE_WITH_SELF: "You cannot share a task with yourself",
+  SHARE_USER_NOT_FOUND: "The user does not exist",
+  TRASH_TASK_NOT_FOUND: "Task not found in the trash",
+  INVALID_BATCH: "Invalid operations",
+  INVALID_MOVE: "Invalid move",
+
+  // Archivos adjuntos
+  INVALID_MULTIPART: "The body must be a valid multipart/form-data form",
+  ATTACHMENT_REQUIRED: "The file must be sent in the {field} field",
+  ATTACHMENT_TOO_LARGE: "The file exceeds the maximum size of {max} bytes",
+  ATTACHMENT_TYPE_NOT_ALLOWED: "File type not allowed: {type}",
+  ATTACHMENT_NOT_FOUND: "Attachment not found",
+
+  // Comentarios
+  INVALID_COMMENT: "Invalid comment data",
+  COMMENT_NOT_FOUND: "Comment not found",
+  COMMENT_FORBIDDEN: "Only the author can edit or delete the comment",
+
+  // Importación y exportación
+  UNSUPPORTED_FORMAT: "Unsupported format. Formats: {formats}",
+  INVALID_IMPORT_BODY: "The body must be sent as {type}",
+  IMPORT_TOO_LARGE: "No more than {max} tasks can be imported at once",
+  INVALID_IMPORT_ROWS: "Some rows are invalid; no task has been imported",
+  CSV_UNCLOSED_QUOTE: "Invalid CSV: unclosed quotes",
+  CSV_MISSING_HEADER: "The CSV must have a header row with the titulo column",
+  JSON_NOT_TASK_LIST: 'The JSON must be an array of tasks or an object { "tasks": [...] }',
+  ICS_NOT_CALENDAR: "The content is not an iCalendar calendar (BEGIN:VCALENDAR)",
+
+  // Proyectos y etiquetas
+  INVALID_PROJECT: "Invalid project data",
+  PROJECT_NOT_FOUND: "Project not found",
+  PROJECT_EXISTS: "A project with that name already exists",
+  INVALID_TAG: "Invalid tag data",
+  TAG_NOT_FOUND: "Tag not found",
+  TAG_EXISTS: "A tag with that name already exists",
+
+  // Webhooks
+  INVALID_WEBHOOK: "Invalid webhook data",
+  WEBHOOK_NOT_FOUND: "Webhook not found",
+
+  // Campos inválidos (`details`)
+  BODY_NOT_OBJECT: "The body must be a JSON object",
+  NO_EDITABLE_FIELDS: "Must include at least one field to change",
+  FIELD_NOT_ALLOWED: "Field not allowed",
+  FIELD_REQUIRED: "Required field",
+  PARAMETER_REQUIRED: "Required parameter",
+  PARAMETER_REPEATED: "Must be given only once",
+  TYPE_STRING: "Must be a string",
+  TYPE_INTEGER: "Must be an integer",
+  TYPE_NUMBER: "Must be a number",
+  TYPE_BOOLEAN: "Must be a boolean",
+  TYPE_ARRAY: "Must be a list",
+  TYPE_OBJECT: "Must be an object",
+  NOT_NULLABLE: "Cannot be null",
+  NO_MATCHING_FORMAT: "Does not match any of the allowed formats",
+  VALUE_NOT_ALLOWED: "Allowed values: {values}",
+  ITEM_INVALID: "Item {index}: {error}",
+  MIN_LENGTH: "Must be at least {min} characters long",
+  MAX_LENGTH: "Cannot exceed {max} characters",
+  PATTERN_MISMATCH: "The format is not valid",
+  MIN_VALUE: "Must be greater than or equal to {min}",
+  MAX_VALUE: "Must be less than or equal to {max}",
+  MIN_ITEMS: "Must have at least {min} items",
+  MAX_ITEMS: "Cannot have more than {max} items",
+  DATE_TIME_FORMAT: "Must be an ISO 8601 date",
+  DATE_FORMAT: "Must be an ISO 8601 date (YYYY-MM-DD)",
+  CALENDAR_DATE_FORMAT: "Must be a YYYY-MM-DD date",
+  INTEGER_RANGE: "Must be an integer between {min} and {max}",
+  POSITIVE_INTEGER: "Must be an integer greater than 0",
+  NON_NEGATIVE_INTEGER: "Must be an integer greater than or equal to 0",
+  TITLE_REQUIRED: "The title is required",
+  TITLE_TOO_LONG: "The title cannot exceed {max} characters",
+  NAME_REQUIRED: "The name is required",
+  NAME_TOO_LONG: "The name cannot exceed {max} characters",
+  DESCRIPTION_NOT_STRING: "The description must be a string",
+  DESCRIPTION_TOO_LONG: "The description cannot exceed {max} characters",
+  ESTADO_NOT_ALLOWED: "The status must be one of: {values}",
+  PRIORIDAD_NOT_ALLOWED: "The priority must be one of: {values}",
+  DUE_DATE_FORMAT: "The due date must be an ISO 8601 date (YYYY-MM-DD)",
+  PROJECT_ID_FORMAT: "The project must be an identifier or null",
+  TAGS_FORMAT: "Tags must be an array of identifiers",
+  TOO_MANY_TAGS: "A task cannot have more than {max} tags",
+  REMINDERS_FORMAT: "Reminders must be minutes in advance between 0 and {max}",
+  TOO_MANY_REMINDERS: "A task cannot have more than {max} reminders",
+  RRULE_FORMAT: "The recurrence must be an RRULE rule, e.g. FREQ=WEEKLY;BYDAY=MO",
+  RRULE_FREQ: "FREQ must be one of: {values}",
+  RRULE_INTERVAL: "INTERVAL must be an integer between 1 and {max}",
+  RRULE_BYDAY: "BYDAY accepts: {values}",
+  RRULE_BYMONTHDAY: "BYMONTHDAY must be a day between 1 and 31",
+  RRULE_COUNT: "COUNT must be an integer greater than 0",
+  RRULE_UNTIL: "UNTIL must be a date (YYYYMMDD or ISO 8601)",
+  RRULE_UNSUPPORTED_PART: "Unsupported rule part: {part}",
+  RRULE_FREQ_REQUIRED: "The rule must include FREQ",
+  RRULE_BYDAY_WEEKLY: "BYDAY is only allowed with FREQ=WEEKLY",
+  RRULE_BYMONTHDAY_MONTHLY: "BYMONTHDAY is only allowed with FREQ=MONTHLY",
+  RRULE_COUNT_UNTIL: "COUNT and UNTIL cannot be combined",
+  UNKNOWN_PROJECT: "The project does not exist",
+  UNKNOWN_TAGS: "Unknown tags: {ids}",
+  PROJECT_FILTER_FORMAT: "Must be a project identifier or none",
+  TAG_FILTER_FORMAT: "Must give one or more tag identifiers",
+  SORT_FIELD_NOT_ALLOWED: 'Cannot sort by "{field}". Allowed fields: {values}',
+  RANGE_END_BEFORE_START: "Must be the same as or later than from",
+  RANGE_TOO_LONG: "The range cannot exceed {max} days",
+  BATCH_OPERATIONS_FORMAT: "Must be a list of operations",
+  BATCH_TOO_MANY_OPERATIONS: "Cannot have more than {max} operations",
+  BATCH_OPERATION_FORMAT: "The operation must be an object",
+  BATCH_ID_REQUIRED: "The task identifier is required",
+  BATCH_TASK_FORMAT: "Must be an object with the task fields",
+  SHARE_PERMISSION_NOT_ALLOWED: "The permission must be one of: {values}",
+  COMMENT_TEXT_REQUIRED: "The text is required",
+  COMMENT_TEXT_TOO_LONG: "The text cannot exceed {max} characters",
+  TAG_COLOR_FORMAT: "The color must have the format #RRGGBB or be null",
+  URL_REQUIRED: "The URL is required",
+  URL_TOO_LONG: "The URL cannot exceed {max} characters",
+  URL_NOT_ABSOLUTE: "Must be an absolute URL",
+  URL_PROTOCOL: "The URL must be http or https",
+  URL_PRIVATE_ADDRESS: "The URL cannot point to a local or private address",
+  EVENTS_REQUIRED: "Must be a list with at least one event",
+  EVENTS_UNKNOWN: "Unknown events: {unknown}. Events: {values}",
+  USERNAME_REQUIRED: "The username is required",
+  USERNAME_LENGTH: "The username must be between {min} and {max} characters long",
+  USERNAME_PATTERN: "The username can only contain letters, numbers, dots, hyphens and underscores",
+  PASSWORD_REQUIRED: "The password is required",
+  PASSWORD_TOO_SHORT: "The password must be at least {min} characters long",
+  PASSWORD_LETTER_REQUIRED: "The password must contain at least one letter",
+  PASSWORD_NUMBER_REQUIRED: "The password must contain at least one number",
+  PASSWORD_EQUALS_USERNAME: "The password cannot be the same as the username",
+  ROLE_NOT_ALLOWED: "The role must be one of: {values}",
+};
@@ -0,0 +1,182 @@
+/**
+ * Mensajes de error en español (idioma por defecto), por código de error.
+ *
+ * Los textos entre llaves (`{formats}`) se sustituyen por los parámetros del error.
+ */
+
+export default {
+  // Generales
+  INTERNAL_ERROR: "Error en el servidor",
+  NOT_FOUND: "Recurso no encontrado",
+  BAD_REQUEST: "Petición inválida",
+  INVALID_JSON: "El cuerpo no es un JSON válido",
+  PAYLOAD_TOO_LARGE: "El cuerpo de la petición es demasiado grande",
+  INVALID_QUERY: "Parámetros de consulta inválidos",
+  INVALID_REQUEST: "Datos de la petición inválidos",
+  TOO_MANY_REQUESTS: "Demasiadas solicitudes, inténtelo más tarde",
+
+  // Autenticación y sesiones
+  AUTH_REQUIRED: "Acceso denegado",
+  INVALID_TOKEN: "Token inválido",
+  SESSION_REVOKED: "Sesión revocada",
+  FORBIDDEN: "Permisos insuficientes",
+  INVALID_REGISTRATION: "Datos de registro inválidos",
+  USER_EXISTS: "El usuario ya existe",
+  CREDENTIALS_REQUIRED: "Usuario y contraseña son obligatorios",
+  INVALID_CREDENTIALS: "Credenciales inválidas",
+  ACCOUNT_DISABLED: "Cuenta deshabilitada",
+  ACCOUNT_LOCKED: "Cuenta bloqueada temporalmente",
+  TOO_MANY_LOGIN_ATTEMPTS: "Demasiados intentos de inicio de sesión para esta cuenta, inténtelo más tarde",
+  REFRESH_TOKEN_INVALID: "Refresh token inválido",
+  REFRESH_TOKEN_REUSED: "Refresh token reutilizado; la sesión ha sido revocada",
+  SESSION_EXPIRED: "Sesión expirada",
+  SESSION_NOT_FOUND: "Sesión no encontrada",
+
+  // Administración
+  INVALID_USER: "Datos de usuario inválidos",
+  INVALID_PASSWORD: "Contraseña inválida",
+  USER_NOT_FOUND: "Usuario no encontrado",
+  SELF_DEMOTION: "No puede deshabilitar ni degradar su propia cuenta",
+  INVALID_TARGET_USER: "El usuario destino no existe o está deshabilitado",
+
+  // Tareas
+  INVALID_TASK: "Datos de tarea inválidos",
+  TASK_NOT_FOUND: "Tarea no encontrada",
+  TASK_FORBIDDEN: "No tiene permiso para realizar esta acción sobre la tarea",
+  TASK_VERSION_MISMATCH: "La tarea se ha modificado desde la versión indicada en If-Match",
+  TASK_BLOCKED: "La tarea no se puede completar mientras tenga tareas bloqueantes abiertas",
+  DEPENDENCY_CYCLE: "La dependencia crearía un ciclo",
+  DEPENDENCY_REQUIRED: "Debe indicar en taskId otra tarea",
+  BLOCKER_NOT_FOUND: "La tarea bloqueante no existe",
+  INVALID_SUBTASK: "Datos de subtarea inválidos",
+  SUBTASK_NOT_FOUND: "Subtarea no encontrada",
+  INVALID_SHARE: "Datos inválidos",
+  SHARE_WITH_SELF: "No puede compartir una tarea consigo mismo",
+  SHARE_USER_NOT_FOUND: "El usuario no existe",
+  TRASH_TASK_NOT_FOUND: "Tarea no encontrada en la papelera",
+  INVALID_BATCH: "Operaciones inválidas",
+  INVALID_MOVE: "Movimiento inválido",
+
+  // Archivos adjuntos
+  INVALID_MULTIPART: "El cuerpo debe ser un formulario multipart/form-data válido",
+  ATTACHMENT_REQUIRED: "Debe enviar el archivo en el campo {field}",
+  ATTACHMENT_TOO_LARGE: "El archivo supera el tamaño máximo de {max} bytes",
+  ATTACHMENT_TYPE_NOT_ALLOWED: "Tipo de archivo no admitido: {type}",
+  ATTACHMENT_NOT_FOUND: "Archivo adjunto no encontrado",
+
+  // Comentarios
+  INVALID_COMMENT: "Datos de comentario inválidos",
+  COMMENT_NOT_FOUND: "Comentario no encontrado",
+  COMMENT_FORBIDDEN: "Solo el autor puede modificar o eliminar el comentario",
+
+  // Importación y exportación
+  UNSUPPORTED_FORMAT: "Formato no admitido. Formatos: {formats}",
+  INVALID_IMPORT_BODY: "El cuerpo debe enviarse como {type}",
+  IMPORT_TOO_LARGE: "No se pueden importar más de {max} tareas a la vez",
+  INVALID_IMPORT_ROWS: "Hay filas inválidas; no se ha importado ninguna tarea",
+  CSV_UNCLOSED_QUOTE: "CSV inválido: comillas sin cerrar",
+  CSV_MISSING_HEADER: "El CSV debe tener una fila de cabecera con la columna titulo",
+  JSON_NOT_TASK_LIST: 'El JSON debe ser un array de tareas o un objeto { "tasks": [...] }',
+  ICS_NOT_CALENDAR: "El contenido no es un calendario iCalendar (BEGIN:VCALENDAR)",
+
+  // Proyectos y etiquetas
+  INVALID_PROJECT: "Datos de proyecto inválidos",
+  PROJECT_NOT_FOUND: "Proyecto no encontrado",
+  PROJECT_EXISTS: "Ya existe un proyecto con ese nombre",
+  INVALID_TAG: "Datos de etiqueta inválidos",
+  TAG_NOT_FOUND: "Etiqueta no encontrada",
+  TAG_EXISTS: "Ya existe una etiqueta con ese nombre",
+
+  // Webhooks
+  INVALID_WEBHOOK: "Datos de webhook inválidos",
+  WEBHOOK_NOT_FOUND: "Webhook no encontrado",
+
+  // Campos inválidos (`details`)
+  BODY_NOT_OBJECT: "El cuerpo debe ser un objeto JSON",
+  NO_EDITABLE_FIELDS: "Debe incluir al menos un campo a modificar",
+  FIELD_NOT_ALLOWED: "Campo no permitido",
+  FIELD_REQUIRED: "Campo obligatorio",
+  PARAMETER_REQUIRED: "Parámetro obligatorio",
+  PARAMETER_REPEATED: "Debe indicarse una sola vez",
+  TYPE_STRING: "Debe ser un texto",
+  TYPE_INTEGER: "Debe ser un entero",
+  TYPE_NUMBER: "Debe ser un número",
+  TYPE_BOOLEAN: "Debe ser un booleano",
+  TYPE_ARRAY: "Debe ser una lista",
+  TYPE_OBJECT: "Debe ser un objeto",
+  NOT_NULLABLE: "No puede ser null",
+  NO_MATCHING_FORMAT: "No tiene ninguno de los formatos admitidos",
+  VALUE_NOT_ALLOWED: "Valores permitidos: {values}",
+  ITEM_INVALID: "Elemento {index}: {error}",
+  MIN_LENGTH: "Debe tener al menos {min} caracteres",
+  MAX_LENGTH: "No puede superar {max} caracteres",
+  PATTERN_MISMATCH: "El formato no es válido",
+  MIN_VALUE: "Debe ser mayor o igual que {min}",
+  MAX_VALUE: "Debe ser menor o igual que {max}",
+  MIN_ITEMS: "Debe tener al menos {min} elementos",
+  MAX_ITEMS: "No puede tener más de {max} elementos",
+  DATE_TIME_FORMAT: "Debe ser una fecha ISO 8601",
+  DATE_FORMAT: "Debe ser una fecha ISO 8601 (AAAA-MM-DD)",
+  CALENDAR_DATE_FORMAT: "Debe ser una fecha AAAA-MM-DD",
+  INTEGER_RANGE: "Debe ser un entero entre {min} y {max}",
+  POSITIVE_INTEGER: "Debe ser un entero mayor que 0",
+  NON_NEGATIVE_INTEGER: "Debe ser un entero mayor o igual que 0",
+  TITLE_REQUIRED: "El título es obligatorio",
+  TITLE_TOO_LONG: "El título no puede superar {max} caracteres",
+  NAME_REQUIRED: "El nombre es obligatorio",
+  NAME_TOO_LONG: "El nombre no puede superar {max} caracteres",
+  DESCRIPTION_NOT_STRING: "La descripción debe ser un texto",
+  DESCRIPTION_TOO_LONG: "La descripción no puede superar {max} caracteres",
+  ESTADO_NOT_ALLOWED: "El estado debe ser uno de: {values}",
+  PRIORIDAD_NOT_ALLOWED: "La prioridad debe ser una de: {values}",
+  DUE_DATE_FORMAT: "La fecha límite debe ser una fecha ISO 8601 (AAAA-MM-DD)",
+  PROJECT_ID_FORMAT: "El proyecto debe ser un identificador o null",
+  TAGS_FORMAT: "Las etiquetas deben ser un array de identificadores",
+  TOO_MANY_TAGS: "Una tarea no puede tener más de {max} etiquetas",
+  REMINDERS_FORMAT: "Los recordatorios deben ser minutos de antelación entre 0 y {max}",
+  TOO_MANY_REMINDERS: "Una tarea no puede tener más de {max} recordatorios",
+  RRULE_FORMAT: "La recurrencia debe ser una regla RRULE, p. ej. FREQ=WEEKLY;BYDAY=MO",
+  RRULE_FREQ: "FREQ debe ser una de: {values}",
+  RRULE_INTERVAL: "INTERVAL debe ser un entero entre 1 y {max}",
+  RRULE_BYDAY: "BYDAY admite: {values}",
+  RRULE_BYMONTHDAY: "BYMONTHDAY debe ser un día entre 1 y 31",
+  RRULE_COUNT: "COUNT debe ser un entero mayor que 0",
+  RRULE_UNTIL: "UNTIL debe ser una fecha (AAAAMMDD o ISO 8601)",
+  RRULE_UNSUPPORTED_PART: "Parte de la regla no admitida: {part}",
+  RRULE_FREQ_REQUIRED: "La regla debe indicar FREQ",
+  RRULE_BYDAY_WEEKLY: "BYDAY solo se admite con FREQ=WEEKLY",
+  RRULE_BYMONTHDAY_MONTHLY: "BYMONTHDAY solo se admite con FREQ=MONTHLY",
+  RRULE_COUNT_UNTIL: "COUNT y UNTIL no se pueden combinar",
+  UNKNOWN_PROJECT: "El proyecto no existe",
+  UNKNOWN_TAGS: "Etiquetas inexistentes: {ids}",
+  PROJECT_FILTER_FORMAT: "Debe ser un identificador de proyecto o none",
+  TAG_FILTER_FORMAT: "Debe indicar uno o varios identificadores de etiqueta",
+  SORT_FIELD_NOT_ALLOWED: 'No se puede ordenar por "{field}". Campos permitidos: {values}',
+  RANGE_END_BEFORE_START: "Debe ser igual o posterior a from",
+  RANGE_TOO_LONG: "El rango no puede superar {max} días",
+  BATCH_OPERATIONS_FORMAT: "Debe ser una lista de operaciones",
+  BATCH_TOO_MANY_OPERATIONS: "No puede tener más de {max} operaciones",
+  BATCH_OPERATION_FORMAT: "La operación debe ser un objeto",
+  BATCH_ID_REQUIRED: "Debe indicar el identificador de la tarea",
+  BATCH_TASK_FORMAT: "Debe ser un objeto con los campos de la tarea",
+  SHARE_PERMISSION_NOT_ALLOWED: "El permiso debe ser uno de: {values}",
+  COMMENT_TEXT_REQUIRED: "El texto es obligatorio",
+  COMMENT_TEXT_TOO_LONG: "El texto no puede superar {max} caracteres",
+  TAG_COLOR_FORMAT: "El color debe tener el formato #RRGGBB o ser null",
+  URL_REQUIRED: "La URL es obligatoria",
+  URL_TOO_LONG: "La URL no puede superar {max} caracteres",
+  URL_NOT_ABSOLUTE: "Debe ser una URL absoluta",
+  URL_PROTOCOL: "La URL debe ser http o https",
+  URL_PRIVATE_ADDRESS: "La URL no puede apuntar a una dirección local o privada",
+  EVENTS_REQUIRED: "Debe ser una lista con al menos un evento",
+  EVENTS_UNKNOWN: "Eventos desconocidos: {unknown}. Eventos: {values}",
+  USERNAME_REQUIRED: "El nombre de usuario es obligatorio",
+  USERNAME_LENGTH: "El nombre de usuario debe tener entre {min} y {max} caracteres",
+  USERNAME_PATTERN: "El nombre de usuario solo puede contener letras, números, puntos, guiones y guiones bajos",
+  PASSWORD_REQUIRED: "La contraseña es obligatoria",
+  PASSWORD_TOO_SHORT: "La contraseña debe tener al menos {min} caracteres",
+  PASSWORD_LETTER_REQUIRED: "La contraseña debe contener al menos una letra",
+  PASSWORD_NUMBER_REQUIRED: "La contraseña debe contener al menos un número",
+  PASSWORD_EQUALS_USERNAME: "La contraseña no puede ser igual al nombre de usuario",
+  ROLE_NOT_ALLOWED: "El rol debe ser uno de: {values}",
+};
@@ -0,0 +1,56 @@
+/**
+ * Registros de la aplicación.
+ *
+ * Cada registro es una línea JSON con la fecha, el nivel, el mensaje y los campos
+ * que se indiquen, p. ej.:
+ *
+ *   {"time":"2026-03-01T10:00:00.000Z","level":"info","msg":"request","requestId":"...","status":200}
+ *
+ * Los registros por debajo del nivel configurado (`logging.level` en config.js,
+ * variable `LOG_LEVEL`) se descartan. Los errores (`error` o cualquier campo que sea
+ * un `Error`) se guardan con su nombre, mensaje y traza.
+ */
+
+import { LOG_LEVELS, logging as loggingConfig } from "./config.js";
+
+/**
+ * Convierte los `Error` en objetos que se pueden pasar a JSON.
+ */
+const serialize = (value) =>
+  value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value;
+
+/**
+ * Crea un registrador.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.level="info"] - Nivel mínimo (uno de `LOG_LEVELS`).
+ * @param {Function} [options.write] - Recibe cada línea; por defecto se escribe en
+ *   la salida estándar (`debug` e `info`) o en la de errores (`warn` y `error`).
+ * @returns {Object} Registrador con un método por nivel: `logger.info(msg, campos)`.
+ *   `level` y `write` se pueden cambiar después de crearlo.
+ */
+export function createLogger({ level = "info", write = null } = {}) {
+  const logger = { level, write };
+
+  LOG_LEVELS.filter((name) => name !== "silent").forEach((name, index) => {
+    logger[name] = (msg, fields = {}) => {
+      if (index < LOG_LEVELS.indexOf(logger.level)) {
+        return;
+      }
+      const entry = { time: new Date().toISOString(), level: name, msg };
+      for (const [key, value] of Object.entries(fields)) {
+        entry[key] = serialize(value);
+      }
+      const line = JSON.stringify(entry);
+      if (logger.write) {
+        logger.write(line);
+      } else {
+        (index < LOG_LEVELS.indexOf("warn") ? process.stdout : process.stderr).write(`${line}\n`);
+      }
+    };
+  });
+  return logger;
+}
+
+// Registrador compartido por toda la aplicación.
+export const logger = createLogger({ level: loggingConfig.level });
@@ -0,0 +1,65 @@
+/**
+ * Middlewares de autenticación y autorización.
+ *
+ * Se comparten entre los enrutadores que necesitan identificar al usuario que
+ * realiza la petición o restringir una ruta a determinados roles.
+ */
+
+import { isSessionActive } from "../services/sessions.js";
+import { DEFAULT_ROLE } from "../models/user.js";
+import { ApiError } from "../errors.js";
+import { logger } from "../logger.js";
+import { verifyToken } from "../services/tokens.js";
+
+/**
+ * Middleware de autenticación JWT.
+ *
+ * Verifica el token enviado en el header 'Authorization' con la clave que indica su
+ * `kid` (ver services/tokens.js). Si el token es válido,
+ * se asigna la información del usuario a `req.user` y se continúa a la siguiente función.
+ * Si el token pertenece a una sesión (claim `sid`), además se comprueba que la sesión
+ * siga activa, de modo que los tokens de sesiones cerradas o revocadas se rechazan.
+ * En caso contrario, se devuelve un error 401 (`AUTH_REQUIRED` sin token, `SESSION_REVOKED`)
+ * o 403 (`INVALID_TOKEN`).
+ */
+export const authenticateJWT = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) {
+    return next(new ApiError(401, "AUTH_REQUIRED"));
+  }
+  let user;
+  try {
+    user = verifyToken(authHeader.split(" ")[1]);
+  } catch (err) {
+    logger.warn("Token rechazado", { requestId: req.id ?? null, reason: err.message });
+    return next(new ApiError(403, "INVALID_TOKEN"));
+  }
+  try {
+    if (user.sid && !(await isSessionActive(user.sid))) {
+      return next(new ApiError(401, "SESSION_REVOKED"));
+    }
+  } catch (error) {
+    return next(error);
+  }
+  req.user = user;
+  next();
+};
+
+/**
+ * Middleware de autorización por rol.
+ *
+ * Debe usarse después de `authenticateJWT`. Permite continuar solo si el rol del
+ * token (`req.user.role`, `user` si no tiene) está entre los indicados; en caso
+ * contrario responde 403 (`FORBIDDEN`).
+ *
+ * @param {...string} roles - Roles autorizados, p. ej. `authorize("admin")`.
+ * @returns {Function} Middleware de Express.
+ */
+export const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role ?? DEFAULT_ROLE)) {
+      return next(new ApiError(403, "FORBIDDEN"));
+    }
+    next();
+  };
@@ -0,0 +1,84 @@
+/**
+ * Front end de Angular.
+ *
+ * Sirve el front end de Angular compilado (`client.dir` en config.js) desde la raíz
+ * del servidor, de modo que la interfaz y la API comparten origen:
+ *   - Los archivos con huella en el nombre (`main-SKV6RRHR.js`) no cambian nunca de
+ *     contenido, así que se guardan en caché un año (`immutable`). Los HTML se
+ *     revalidan en cada carga (`no-cache`) para que un despliegue nuevo se vea al
+ *     momento, y el resto (p. ej. el favicon) se guarda un día.
+ *   - Las rutas del cliente (`/listar-tareas`, `/crear-tarea`...) no existen como
+ *     archivos: las navegaciones del navegador (GET que aceptan HTML antes que JSON)
+ *     a rutas sin extensión y fuera de la API reciben `index.csr.html` y el router
+ *     de Angular muestra la página que corresponda.
+ *
+ * Las peticiones que no atiende siguen hasta el 404 JSON común de la aplicación. La
+ * configuración que lee el front end al arrancar está en routes/clientConfig.js.
+ */
+
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { API_PREFIX, client as clientConfig } from "../config.js";
+
+// Página del front end para las rutas del cliente.
+const INDEX_FILE = "index.csr.html";
+
+// Archivos con huella de contenido que genera la compilación de Angular.
+const HASHED_FILE = /-[A-Z0-9]{8}\.(js|css)$/;
+
+const ONE_YEAR_SECONDS = 365 * 24 * 60 * 60;
+const ONE_DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Cabecera `Cache-Control` de un archivo del front end.
+ */
+const cacheControl = (file) => {
+  if (HASHED_FILE.test(file)) {
+    return `public, max-age=${ONE_YEAR_SECONDS}, immutable`;
+  }
+  return file.endsWith(".html") ? "no-cache" : `public, max-age=${ONE_DAY_SECONDS}`;
+};
+
+/**
+ * Crea el middleware que sirve el front end compilado en `dir`. Si la carpeta no
+ * tiene `index.csr.html` (el front end no se ha compilado) no sirve nada.
+ *
+ * @param {string|null} [dir] - Carpeta de la compilación (`client.dir` por defecto).
+ * @returns {express.Router}
+ */
+export function serveClient(dir = clientConfig.dir) {
+  const router = express.Router();
+  if (!dir || !fs.existsSync(path.join(dir, INDEX_FILE))) {
+    return router;
+  }
+
+  router.use(
+    express.static(dir, {
+      index: false,
+      redirect: false,
+      setHeaders: (res, file) => res.set("Cache-Control", cacheControl(file)),
+    })
+  );
+
+  // Navegaciones a rutas del cliente: se responde con la página del front end.
+  router.use((req, res, next) => {
+    const isNavigation =
+      (req.method === "GET" || req.method === "HEAD") &&
+      req.accepts(["json", "html"]) === "html" &&
+      !path.extname(req.path) &&
+      req.path !== API_PREFIX &&
+      !req.path.startsWith(`${API_PREFIX}/`);
+    if (!isNavigation) {
+      return next();
+    }
+    res.set("Cache-Control", cacheControl(INDEX_FILE));
+    res.sendFile(INDEX_FILE, { root: dir }, (error) => {
+      if (error) {
+        next(error);
+      }
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,167 @@
+/**
+ * Identificador de petición y manejo central de errores.
+ *
+ * Todas las respuestas de error de la API tienen el mismo cuerpo JSON:
+ *
+ *   { "code": "TASK_NOT_FOUND", "message": "Tarea no encontrada", "details": null, "requestId": "..." }
+ *
+ * - `code`: identificador estable del error, pensado para los clientes.
+ * - `message`: texto del error en español o inglés según `Accept-Language`
+ *   (español si no se indica o no se admite ninguno de los pedidos).
+ * - `details`: información adicional (p. ej. la lista de campos inválidos) o `null`.
+ *   Cada campo inválido se devuelve como `{ field, code, message }`, con el mensaje
+ *   en el mismo idioma que `message`.
+ * - `requestId`: identificador de la petición, también en la cabecera `X-Request-Id`.
+ *
+ * Las rutas pasan a `next` un `ApiError` (errors.js); cualquier otro error se
+ * registra (ver logger.js) con el identificador de la petición y se responde como
+ * 500 `INTERNAL_ERROR`.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { ApiError } from "../errors.js";
+import { logger } from "../logger.js";
+import es from "../locales/es.js";
+import en from "../locales/en.js";
+
+// Catálogos de mensajes por idioma; el primero es el idioma por defecto.
+const MESSAGES = { es, en };
+export const LANGUAGES = Object.keys(MESSAGES);
+
+// Identificadores de petición aceptados desde la cabecera `X-Request-Id`.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Devuelve el mensaje de un código de error en el idioma indicado, con los
+ * parámetros sustituidos.
+ *
+ * @param {string} code - Código del error.
+ * @param {string} language - Uno de `LANGUAGES`.
+ * @param {Object} [params] - Valores para los marcadores `{nombre}`.
+ * @returns {string}
+ */
+export function translate(code, language, params = {}) {
+  const template = MESSAGES[language]?.[code] ?? MESSAGES.es[code] ?? code;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+}
+
+/**
+ * Idioma de la respuesta según la cabecera `Accept-Language` de la petición.
+ *
+ * @param {Object} req - Petición de Express.
+ * @returns {string} Uno de `LANGUAGES` (el primero si no se admite ninguno de los pedidos).
+ */
+export const requestLanguage = (req) => req.acceptsLanguages(...LANGUAGES) || LANGUAGES[0];
+
+// Un campo inválido creado con `fieldError` (errors.js).
+const isFieldError = (value) =>
+  value !== null && typeof value === "object" && "field" in value && typeof value.code === "string";
+
+/**
+ * Mensaje de un campo inválido. Los parámetros que son a su vez campos inválidos
+ * (p. ej. el error de un elemento de una lista) se traducen antes.
+ */
+const fieldMessage = ({ code, params = {} }, language) =>
+  translate(
+    code,
+    language,
+    Object.fromEntries(
+      Object.entries(params).map(([name, value]) => [
+        name,
+        isFieldError(value) ? fieldMessage(value, language) : value,
+      ])
+    )
+  );
+
+/**
+ * Sustituye los parámetros de los campos inválidos que contenga `details` por su
+ * mensaje traducido. Recorre listas y objetos (p. ej. los errores por fila de una
+ * importación); el resto de valores se devuelve tal cual.
+ *
+ * @param {*} details - Detalles de un error o informe con campos inválidos.
+ * @param {string} language - Uno de `LANGUAGES`.
+ * @returns {*}
+ */
+export function localizeDetails(details, language) {
+  if (Array.isArray(details)) {
+    return details.map((item) => localizeDetails(item, language));
+  }
+  if (details === null || typeof details !== "object") {
+    return details;
+  }
+  if (isFieldError(details)) {
+    const { params, ...rest } = details;
+    return { ...rest, message: fieldMessage(details, language) };
+  }
+  return Object.fromEntries(
+    Object.entries(details).map(([key, value]) => [key, localizeDetails(value, language)])
+  );
+}
+
+/**
+ * Middleware que asigna a cada petición un identificador (`req.id`).
+ *
+ * Se reutiliza el de la cabecera `X-Request-Id` si el cliente o un proxy lo envía
+ * con un formato válido; si no, se genera un UUID. Se devuelve en la misma cabecera.
+ */
+export const requestId = (req, res, next) => {
+  const received = req.get("X-Request-Id");
+  req.id = received && REQUEST_ID.test(received) ? received : uuidv4();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+/**
+ * Middleware final para las rutas que no existen: 404 `NOT_FOUND`.
+ */
+export const notFound = (req, res, next) => {
+  next(new ApiError(404, "NOT_FOUND"));
+};
+
+/**
+ * Convierte cualquier error en un `ApiError`.
+ *
+ * Los errores de body-parser (JSON mal formado, cuerpo demasiado grande) traen
+ * su propio código HTTP; el resto se consideran errores internos.
+ */
+const toApiError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error.type === "entity.parse.failed") {
+    return new ApiError(400, "INVALID_JSON");
+  }
+  if (error.type === "entity.too.large") {
+    return new ApiError(413, "PAYLOAD_TOO_LARGE");
+  }
+  const status = error.status ?? error.statusCode;
+  if (status >= 400 && status < 500) {
+    return new ApiError(status, "BAD_REQUEST");
+  }
+  return new ApiError(500, "INTERNAL_ERROR");
+};
+
+/**
+ * Manejador de errores de Express. Debe registrarse después de todas las rutas.
+ */
+export const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) {
+    logger.error("Error interno", { requestId: req.id ?? null, method: req.method, path: req.path, error });
+  }
+
+  const language = requestLanguage(req);
+  res.set("Content-Language", language);
+  res.vary("Accept-Language");
+  res.status(apiError.status).json({
+    code: apiError.code,
+    message: translate(apiError.code, language, apiError.params),
+    details: localizeDetails(apiError.details, language),
+    requestId: req.id ?? null,
+  });
+};
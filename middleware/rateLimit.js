@@ -0,0 +1,81 @@
+/**
+ * Limitación de peticiones en memoria.
+ *
+ * Cada limitador cuenta las peticiones por clave (IP, cuenta...) en ventanas de
+ * tiempo fijas y responde 429 con la cabecera `Retry-After` cuando se supera el
+ * máximo. El estado vive en el proceso, por lo que cada instancia del servidor
+ * lleva su propia cuenta.
+ */
+
+import { ApiError } from "../errors.js";
+
+// Limitadores creados, para poder reiniciarlos todos (p. ej. entre pruebas).
+const limiters = new Set();
+
+/**
+ * Crea un middleware de limitación de peticiones.
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs - Duración de la ventana en milisegundos.
+ * @param {number} options.max - Peticiones permitidas por clave y ventana.
+ * @param {Function} options.key - Recibe `req` y devuelve la clave a contar; si
+ *   devuelve un valor vacío, la petición no se limita.
+ * @param {string} [options.code] - Código del error 429 (ver locales/).
+ * @returns {Function} Middleware de Express con un método `reset()`.
+ */
+export function createRateLimiter({
+  windowMs,
+  max,
+  key,
+  code = "TOO_MANY_REQUESTS",
+}) {
+  const hits = new Map();
+  let nextPrune = Date.now() + windowMs;
+
+  const prune = (now) => {
+    for (const [k, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(k);
+      }
+    }
+    nextPrune = now + windowMs;
+  };
+
+  const middleware = (req, res, next) => {
+    const k = key(req);
+    if (!k) {
+      return next();
+    }
+
+    const now = Date.now();
+    if (now >= nextPrune) {
+      prune(now);
+    }
+
+    let entry = hits.get(k);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(k, entry);
+    }
+    entry.count++;
+
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return next(new ApiError(429, code));
+    }
+    next();
+  };
+
+  middleware.reset = () => hits.clear();
+  limiters.add(middleware);
+  return middleware;
+}
+
+/**
+ * Reinicia la cuenta de todos los limitadores.
+ */
+export function resetRateLimits() {
+  for (const limiter of limiters) {
+    limiter.reset();
+  }
+}
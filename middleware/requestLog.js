@@ -0,0 +1,56 @@
+/**
+ * Registro y métricas de las peticiones.
+ *
+ * Al terminar cada petición se escribe un registro JSON (ver logger.js) con su
+ * identificador (`requestId`, el mismo de la cabecera `X-Request-Id` y de las
+ * respuestas de error), el método, la ruta, el código de estado, la duración y el
+ * usuario autenticado, y se suma a las métricas de services/metrics.js.
+ *
+ * La URL se registra sin la consulta, que puede llevar tokens (p. ej. en
+ * GET /tasks/events). Las peticiones que el cliente interrumpe antes de recibir la
+ * respuesta completa se marcan con `aborted`.
+ */
+
+import { API_PREFIX } from "../config.js";
+import { logger } from "../logger.js";
+import { OTHER_ROUTE, recordRequest } from "../services/metrics.js";
+import { specPathMatcher } from "./validate.js";
+
+/**
+ * Quita el prefijo /api de una ruta.
+ */
+const withoutPrefix = (path) =>
+  path === API_PREFIX || path.startsWith(`${API_PREFIX}/`) ? path.slice(API_PREFIX.length) || "/" : path;
+
+/**
+ * Crea el middleware de registro. Debe registrarse después de `requestId`.
+ *
+ * @param {Object} spec - Documento OpenAPI, para agrupar las peticiones por ruta.
+ * @returns {Function} Middleware de Express.
+ */
+export function requestLogger(spec) {
+  const match = specPathMatcher(spec);
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const path = req.path;
+    const route = match(withoutPrefix(path))?.path ?? OTHER_ROUTE;
+
+    res.once("close", () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      recordRequest({ method: req.method, route, status: res.statusCode, seconds });
+      logger.info("request", {
+        requestId: req.id,
+        method: req.method,
+        path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1e6) / 1e3,
+        username: req.user?.username ?? null,
+        ip: req.ip,
+        ...(res.writableFinished ? {} : { aborted: true }),
+      });
+    });
+    next();
+  };
+}
@@ -0,0 +1,338 @@
+/**
+ * Validación de las peticiones contra la especificación OpenAPI (ver openapi.js).
+ *
+ * Para cada petición se busca la operación de la especificación que corresponde a
+ * su método y ruta, y se comprueban los parámetros de consulta y el cuerpo JSON con
+ * sus esquemas. Si algo no cumple el contrato se responde 400 antes de llegar a la
+ * ruta, con la lista de campos inválidos en `details` (ver `fieldError` en errors.js):
+ *
+ *   - Parámetros de consulta: `INVALID_QUERY`.
+ *   - Cuerpo: el código de la operación (`x-error-code`, p. ej. `INVALID_TASK`) o
+ *     `INVALID_REQUEST`.
+ *
+ * Las peticiones a rutas no documentadas siguen su curso (responden 404 más
+ * adelante). Las operaciones protegidas no se validan si la petición no trae
+ * credenciales, para que respondan 401 como hasta ahora.
+ *
+ * Se admite el subconjunto de JSON Schema que usa la especificación: `type`,
+ * `nullable`, `enum`, `format` (`date`, `date-time`), `pattern`, `minLength`,
+ * `maxLength`, `minimum`, `maximum`, `minItems`, `maxItems`, `items`,
+ * `properties`, `required`, `additionalProperties`, `readOnly`, `oneOf` y `$ref`.
+ * Los errores de los elementos de una lista se indican en el campo de la lista.
+ * Con `x-field-errors` un esquema sustituye el código de error de alguna de sus
+ * reglas, p. ej. `{ "enum": "ESTADO_NOT_ALLOWED" }` o `{ "required": "..." }`; el
+ * mensaje del código recibe los mismos parámetros (`{values}`, `{max}`...).
+ */
+
+import { fieldError, validationError } from "../errors.js";
+
+// Métodos HTTP que pueden aparecer en un path de la especificación.
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+// Códigos de los errores de tipo.
+const TYPE_ERRORS = {
+  string: "TYPE_STRING",
+  integer: "TYPE_INTEGER",
+  number: "TYPE_NUMBER",
+  boolean: "TYPE_BOOLEAN",
+  array: "TYPE_ARRAY",
+  object: "TYPE_OBJECT",
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+};
+
+const isValidDate = (value) => !Number.isNaN(Date.parse(value));
+
+/**
+ * Resuelve una referencia local (`#/components/...`) de la especificación.
+ */
+const resolve = (spec, schema) => {
+  if (!schema?.$ref) {
+    return schema ?? {};
+  }
+  return schema.$ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node[key], spec);
+};
+
+/**
+ * Comprueba un valor con un esquema y añade a `errors` los campos inválidos.
+ *
+ * @param {Object} spec - Especificación completa (para resolver `$ref`).
+ * @param {Object} schema - Esquema a aplicar.
+ * @param {*} value - Valor recibido.
+ * @param {string} field - Nombre del campo en los errores.
+ * @param {Array<{field: string, code: string, params: Object}>} errors - Errores acumulados.
+ */
+function checkSchema(spec, schema, value, field, errors) {
+  schema = resolve(spec, schema);
+  const fail = (keyword, code, params) =>
+    errors.push(fieldError(field, schema["x-field-errors"]?.[keyword] ?? code, params));
+
+  if (value === null) {
+    if (!schema.nullable && (schema.type || schema.enum)) {
+      fail("nullable", "NOT_NULLABLE");
+    }
+    return;
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.some((option) => {
+      const found = [];
+      checkSchema(spec, option, value, field, found);
+      return found.length === 0;
+    });
+    if (!matches) {
+      fail("oneOf", "NO_MATCHING_FORMAT");
+    }
+    return;
+  }
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    fail("type", TYPE_ERRORS[schema.type]);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail("enum", "VALUE_NOT_ALLOWED", { values: schema.enum.join(", ") });
+    return;
+  }
+
+  const violation = constraintError(schema, value);
+  if (violation) {
+    fail(violation.keyword, violation.code, violation.params);
+    return;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      const found = [];
+      checkSchema(spec, schema.items, item, field, found);
+      errors.push(...found.map((error) => fieldError(field, "ITEM_INVALID", { index: index + 1, error })));
+    });
+  }
+  if (TYPE_CHECKS.object(value) && schema.type === "object") {
+    checkObject(spec, schema, value, field, errors);
+  }
+}
+
+/**
+ * Comprueba las restricciones de longitud, rango, formato y número de elementos.
+ * Devuelve la primera que no se cumple (`{ keyword, code, params }`), o `null`.
+ */
+const constraintError = (schema, value) => {
+  const rules = [];
+  if (typeof value === "string") {
+    rules.push(
+      ["minLength", value.length < schema.minLength, "MIN_LENGTH", { min: schema.minLength }],
+      ["maxLength", value.length > schema.maxLength, "MAX_LENGTH", { max: schema.maxLength }],
+      ["pattern", schema.pattern && !new RegExp(schema.pattern).test(value), "PATTERN_MISMATCH"],
+      [
+        "format",
+        (schema.format === "date" || schema.format === "date-time") && !isValidDate(value),
+        "DATE_TIME_FORMAT",
+      ]
+    );
+  } else if (typeof value === "number") {
+    rules.push(
+      ["minimum", value < schema.minimum, "MIN_VALUE", { min: schema.minimum }],
+      ["maximum", value > schema.maximum, "MAX_VALUE", { max: schema.maximum }]
+    );
+  } else if (Array.isArray(value)) {
+    rules.push(
+      ["minItems", value.length < schema.minItems, "MIN_ITEMS", { min: schema.minItems }],
+      ["maxItems", value.length > schema.maxItems, "MAX_ITEMS", { max: schema.maxItems }]
+    );
+  }
+  const broken = rules.find(([, failed]) => failed);
+  return broken ? { keyword: broken[0], code: broken[2], params: broken[3] } : null;
+};
+
+/**
+ * Comprueba las propiedades de un objeto. Como en los modelos, primero se revisan
+ * los campos recibidos en su orden y después los obligatorios que faltan. Los
+ * campos de solo lectura (`readOnly`) se ignoran: los asigna el servidor.
+ */
+const checkObject = (spec, schema, value, field, errors) => {
+  const properties = schema.properties ?? {};
+  const child = (name) => (field === "body" ? name : `${field}.${name}`);
+
+  for (const [name, item] of Object.entries(value)) {
+    const property = properties[name] && resolve(spec, properties[name]);
+    if (property) {
+      if (!properties[name].readOnly && !property.readOnly) {
+        checkSchema(spec, property, item, child(name), errors);
+      }
+    } else if (schema.additionalProperties === false) {
+      errors.push(fieldError(child(name), "FIELD_NOT_ALLOWED"));
+    } else if (typeof schema.additionalProperties === "object") {
+      checkSchema(spec, schema.additionalProperties, item, child(name), errors);
+    }
+  }
+  for (const name of schema.required ?? []) {
+    if (!(name in value)) {
+      const property = resolve(spec, properties[name]);
+      errors.push(fieldError(child(name), property["x-field-errors"]?.required ?? "FIELD_REQUIRED"));
+    }
+  }
+};
+
+/**
+ * Convierte el texto de un parámetro de consulta al tipo de su esquema. Las listas
+ * se envían separadas por comas (`style: form`, `explode: false`). Si el texto no
+ * representa un valor del tipo se devuelve tal cual, para que falle la validación.
+ */
+const coerceParameter = (schema, raw) => {
+  switch (schema.type) {
+    case "integer":
+      return /^-?\d+$/.test(raw) ? Number(raw) : raw;
+    case "number":
+      return raw.trim() !== "" && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    case "boolean":
+      return raw === "true" ? true : raw === "false" ? false : raw;
+    case "array":
+      return raw
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    default:
+      return raw;
+  }
+};
+
+/**
+ * Comprueba los parámetros de consulta de una operación.
+ */
+const checkQuery = (spec, parameters, query) => {
+  const errors = [];
+  for (const parameter of parameters.map((p) => resolve(spec, p))) {
+    if (parameter.in !== "query") {
+      continue;
+    }
+    const raw = query[parameter.name];
+    if (raw === undefined) {
+      if (parameter.required) {
+        errors.push(fieldError(parameter.name, "PARAMETER_REQUIRED"));
+      }
+      continue;
+    }
+    if (typeof raw !== "string") {
+      errors.push(fieldError(parameter.name, "PARAMETER_REPEATED"));
+      continue;
+    }
+    const schema = resolve(spec, parameter.schema);
+    checkSchema(spec, schema, coerceParameter(schema, raw), parameter.name, errors);
+  }
+  return errors;
+};
+
+/**
+ * Convierte un path de la especificación (`/tasks/{id}`) en una expresión regular.
+ */
+const pathPattern = (path) =>
+  new RegExp(
+    `^${path
+      .split("/")
+      .map((segment) =>
+        /^\{\w+\}$/.test(segment) ? "[^/]+" : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+      )
+      .join("/")}$`
+  );
+
+/**
+ * Ordena los paths para que los segmentos fijos tengan prioridad sobre los
+ * parámetros (`/tasks/trash` antes que `/tasks/{id}`).
+ */
+const bySpecificity = (a, b) => {
+  const segments = (path) => path.split("/").map((s) => (s.startsWith("{") ? 1 : 0));
+  const [left, right] = [segments(a), segments(b)];
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] !== right[i]) {
+      return left[i] - right[i];
+    }
+  }
+  return left.length - right.length;
+};
+
+/**
+ * Indica si la petición trae alguna de las credenciales que exige la operación.
+ */
+const hasCredentials = (req, requirements, schemes) =>
+  requirements.some((requirement) =>
+    Object.keys(requirement).every((name) => {
+      const scheme = schemes[name] ?? {};
+      if (scheme.type === "apiKey" && scheme.in === "query") {
+        return req.query[scheme.name] !== undefined;
+      }
+      if (scheme.type === "apiKey" && scheme.in === "header") {
+        return req.get(scheme.name) !== undefined;
+      }
+      return req.get("Authorization") !== undefined;
+    })
+  );
+
+/**
+ * Crea una función que busca el path de la especificación que corresponde a una
+ * ruta de la petición (sin el prefijo /api), p. ej. `/tasks/{id}` para `/tasks/42`.
+ *
+ * @param {Object} spec - Documento OpenAPI.
+ * @returns {Function} `(ruta) => { path, item } | undefined`.
+ */
+export function specPathMatcher(spec) {
+  const routes = Object.keys(spec.paths)
+    .sort(bySpecificity)
+    .map((path) => ({ path, pattern: pathPattern(path), item: spec.paths[path] }));
+
+  return (requestPath) => {
+    const path = requestPath.length > 1 ? requestPath.replace(/\/+$/, "") : requestPath;
+    return routes.find((r) => r.pattern.test(path));
+  };
+}
+
+/**
+ * Crea el middleware que valida las peticiones contra una especificación OpenAPI 3.
+ *
+ * @param {Object} spec - Documento OpenAPI.
+ * @returns {Function} Middleware de Express.
+ */
+export function validateRequest(spec) {
+  const match = specPathMatcher(spec);
+  const schemes = spec.components?.securitySchemes ?? {};
+
+  return (req, res, next) => {
+    const method = req.method.toLowerCase();
+    const route = METHODS.includes(method) && match(req.path);
+    const operation = route && route.item[method];
+    if (!operation) {
+      return next();
+    }
+
+    const security = operation.security ?? spec.security ?? [];
+    if (security.length > 0 && !security.some((r) => Object.keys(r).length === 0) &&
+        !hasCredentials(req, security, schemes)) {
+      return next();
+    }
+
+    const parameters = [...(route.item.parameters ?? []), ...(operation.parameters ?? [])];
+    const queryErrors = checkQuery(spec, parameters, req.query);
+    if (queryErrors.length > 0) {
+      return next(validationError("INVALID_QUERY", queryErrors));
+    }
+
+    const content = operation.requestBody?.content ?? {};
+    const otherTypes = Object.keys(content).filter((type) => type !== "application/json");
+    if (content["application/json"] && !(otherTypes.length > 0 && req.is(otherTypes))) {
+      const errors = [];
+      checkSchema(spec, content["application/json"].schema, req.body, "body", errors);
+      if (errors.length > 0) {
+        return next(validationError(operation["x-error-code"] ?? "INVALID_REQUEST", errors));
+      }
+    }
+    next();
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Archivos adjuntos de las tareas.
+ *
+ * Interpreta los cuerpos `multipart/form-data` (RFC 7578) con los que se suben los
+ * archivos y normaliza sus nombres. Los archivos se guardan en disco y sus datos
+ * (nombre, tipo, tamaño…) en la colección `attachments`; ver services/taskAttachments.js.
+ */
+
+import path from "path";
+import { ApiError } from "../errors.js";
+
+// Campo del formulario que lleva el archivo.
+export const ATTACHMENT_FIELD = "file";
+
+// Longitud máxima del nombre de archivo que se conserva.
+const MAX_FILENAME_LENGTH = 255;
+
+const CRLF = Buffer.from("\r\n");
+const HEADERS_END = Buffer.from("\r\n\r\n");
+
+/**
+ * Error 400: el cuerpo no es un `multipart/form-data` válido.
+ */
+const invalidMultipart = () => new ApiError(400, "INVALID_MULTIPART");
+
+/**
+ * Extrae el valor de un parámetro (`nombre=valor` o `nombre="valor"`) de una cabecera.
+ */
+const headerParam = (header, name) => {
+  const match = header.match(new RegExp(`(?:^|;)\\s*${name}=(?:"((?:[^"\\\\]|\\\\.)*)"|([^;]*))`, "i"));
+  if (!match) {
+    return null;
+  }
+  return match[1] !== undefined ? match[1].replace(/\\(.)/g, "$1") : match[2].trim();
+};
+
+/**
+ * Nombre del archivo de una parte: `filename*` (RFC 5987, UTF-8) o `filename`.
+ */
+const partFilename = (disposition) => {
+  const extended = headerParam(disposition, "filename\\*");
+  if (extended) {
+    const [, value] = extended.match(/^utf-8''(.*)$/i) ?? [];
+    try {
+      return value === undefined ? null : decodeURIComponent(value);
+    } catch {
+      return null;
+    }
+  }
+  const filename = headerParam(disposition, "filename");
+  // Los navegadores envían el nombre como UTF-8 sin codificar.
+  return filename === null ? null : Buffer.from(filename, "latin1").toString("utf8");
+};
+
+/**
+ * Interpreta un cuerpo `multipart/form-data`.
+ *
+ * @param {Buffer} body - Cuerpo de la petición.
+ * @param {string} contentType - Cabecera `Content-Type`, con el `boundary`.
+ * @returns {{fields: Object<string, string>, files: Array<{field: string, filename: string, contentType: string, data: Buffer}>}}
+ * @throws {ApiError} 400 `INVALID_MULTIPART` si el cuerpo no se puede interpretar.
+ */
+export function parseMultipart(body, contentType) {
+  const boundary = headerParam(contentType ?? "", "boundary");
+  if (!boundary) {
+    throw invalidMultipart();
+  }
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw invalidMultipart();
+  }
+  for (;;) {
+    position += delimiter.length;
+    // `--` tras el delimitador marca el final del cuerpo.
+    if (body.subarray(position, position + 2).toString() === "--") {
+      return { fields, files };
+    }
+    if (!body.subarray(position, position + 2).equals(CRLF)) {
+      throw invalidMultipart();
+    }
+    const headersEnd = body.indexOf(HEADERS_END, position);
+    const next = body.indexOf(Buffer.concat([CRLF, delimiter]), position);
+    if (headersEnd === -1 || next === -1 || headersEnd > next) {
+      throw invalidMultipart();
+    }
+
+    const headers = {};
+    for (const line of body.subarray(position + 2, headersEnd).toString("latin1").split("\r\n")) {
+      const colon = line.indexOf(":");
+      if (colon > 0) {
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+    }
+    const disposition = headers["content-disposition"] ?? "";
+    const name = headerParam(disposition, "name");
+    if (!/^form-data\b/i.test(disposition) || name === null) {
+      throw invalidMultipart();
+    }
+
+    const data = body.subarray(headersEnd + HEADERS_END.length, next);
+    const filename = partFilename(disposition);
+    if (filename === null) {
+      fields[name] = data.toString("utf8");
+    } else {
+      files.push({
+        field: name,
+        filename,
+        contentType: (headers["content-type"] ?? "application/octet-stream").split(";")[0].trim().toLowerCase(),
+        data,
+      });
+    }
+    position = next + CRLF.length;
+  }
+}
+
+/**
+ * Normaliza el nombre de un archivo subido: sin rutas, caracteres de control ni
+ * separadores, y con una longitud razonable.
+ *
+ * @param {string} filename - Nombre enviado por el cliente.
+ * @returns {string} Nombre seguro (`archivo` si no queda nada).
+ */
+export function safeFilename(filename) {
+  const base = path.basename(filename.replace(/\\/g, "/"))
+    .replace(/[\u0000-\u001f\u007f"]/g, "")
+    .trim();
+  if (base === "" || base === "." || base === "..") {
+    return "archivo";
+  }
+  if (base.length <= MAX_FILENAME_LENGTH) {
+    return base;
+  }
+  const extension = path.extname(base).slice(0, 20);
+  return base.slice(0, MAX_FILENAME_LENGTH - extension.length) + extension;
+}
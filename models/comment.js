@@ -0,0 +1,56 @@
+/**
+ * Modelo de comentario.
+ *
+ * Los comentarios forman el hilo de conversación de una tarea. Cada uno pertenece
+ * a su autor (`username`), que es el único que puede editarlo o eliminarlo. El
+ * texto puede mencionar a otros usuarios con `@username`; las menciones se guardan
+ * en `mentions` para el listado de menciones de cada usuario (GET /tasks/mentions).
+ */
+
+import { fieldError } from "../errors.js";
+
+// Longitud máxima del texto de un comentario.
+export const MAX_COMMENT_LENGTH = 5000;
+
+// `@username` al principio del texto o tras un carácter que no forma parte de un
+// nombre de usuario (así no se confunden con direcciones de correo).
+const MENTION = /(?<![\w.@-])@([a-zA-Z0-9._-]+)/g;
+
+/**
+ * Valida los datos enviados por el cliente para un comentario.
+ *
+ * @param {Object} input - Cuerpo de la petición (`texto`).
+ * @returns {Array<{field: string, code: string, params: Object}>} Errores encontrados
+ *   (vacío si es válido).
+ */
+export function validateComment(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return [fieldError("body", "BODY_NOT_OBJECT")];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(input)) {
+    if (field !== "texto") {
+      errors.push(fieldError(field, "FIELD_NOT_ALLOWED"));
+    }
+  }
+  const { texto } = input;
+  if (typeof texto !== "string" || texto.trim() === "") {
+    errors.push(fieldError("texto", "COMMENT_TEXT_REQUIRED"));
+  } else if (texto.length > MAX_COMMENT_LENGTH) {
+    errors.push(fieldError("texto", "COMMENT_TEXT_TOO_LONG", { max: MAX_COMMENT_LENGTH }));
+  }
+  return errors;
+}
+
+/**
+ * Extrae los nombres de usuario mencionados en un texto, sin repetir y en el orden
+ * en que aparecen. Los puntos finales se descartan (`@ana.` menciona a `ana`).
+ *
+ * @param {string} texto - Texto del comentario.
+ * @returns {Array<string>}
+ */
+export function extractMentions(texto) {
+  const names = [...texto.matchAll(MENTION)].map(([, name]) => name.replace(/\.+$/, ""));
+  return [...new Set(names.filter((name) => name !== ""))];
+}
@@ -0,0 +1,72 @@
+/**
+ * Modelo de proyecto.
+ *
+ * Un proyecto es una lista con la que el usuario agrupa sus tareas. Pertenece a un
+ * usuario (`username`) y su nombre es único entre los proyectos de ese usuario,
+ * sin distinguir mayúsculas. Las tareas lo referencian mediante `projectId`.
+ */
+
+import { fieldError } from "../errors.js";
+
+/**
+ * Reglas de validación por campo. Cada regla devuelve el problema encontrado
+ * (`{ code, params }`, ver `fieldError` en errors.js) o `null` si el valor es válido.
+ */
+const FIELDS = {
+  nombre: (value) => {
+    if (typeof value !== "string" || value.trim() === "") {
+      return { code: "NAME_REQUIRED" };
+    }
+    return value.length > 100 ? { code: "NAME_TOO_LONG", params: { max: 100 } } : null;
+  },
+  descripcion: (value) => {
+    if (typeof value !== "string") {
+      return { code: "DESCRIPTION_NOT_STRING" };
+    }
+    return value.length > 500 ? { code: "DESCRIPTION_TOO_LONG", params: { max: 500 } } : null;
+  },
+};
+
+/**
+ * Valida los datos enviados por el cliente para un proyecto.
+ *
+ * @param {Object} input - Cuerpo de la petición (`nombre`, `descripcion`).
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Si es `true`, `nombre` no es obligatorio.
+ * @returns {Array<{field: string, code: string, params: Object}>} Errores encontrados
+ *   (vacío si es válido).
+ */
+export function validateProject(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return [fieldError("body", "BODY_NOT_OBJECT")];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(input)) {
+    const problem = FIELDS[field] ? FIELDS[field](input[field]) : { code: "FIELD_NOT_ALLOWED" };
+    if (problem) {
+      errors.push(fieldError(field, problem.code, problem.params));
+    }
+  }
+  if (!partial && !("nombre" in input)) {
+    errors.push(fieldError("nombre", "NAME_REQUIRED"));
+  }
+  return errors;
+}
+
+/**
+ * Aplica a un proyecto (nuevo o existente) los campos enviados por el cliente.
+ *
+ * @param {Object} project - Proyecto almacenado o campos del servidor de uno nuevo.
+ * @param {Object} input - Cuerpo de la petición validado.
+ * @returns {Object} Proyecto con `updatedAt` renovado.
+ */
+export function applyProjectFields(project, input) {
+  return {
+    descripcion: "",
+    ...project,
+    ...("nombre" in input && { nombre: input.nombre.trim() }),
+    ...("descripcion" in input && { descripcion: input.descripcion }),
+    updatedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Reglas de recurrencia de las tareas.
+ *
+ * Las reglas siguen un subconjunto de RRULE (RFC 5545) escrito como texto, p. ej.
+ * `FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE`. Partes admitidas:
+ *   - FREQ: DAILY, WEEKLY o MONTHLY (obligatoria).
+ *   - INTERVAL: cada cuántos días, semanas o meses (1 por defecto).
+ *   - BYDAY: días de la semana (MO, TU, WE, TH, FR, SA, SU); solo con WEEKLY.
+ *   - BYMONTHDAY: día del mes (1-31); solo con MONTHLY. Si el mes tiene menos días
+ *     se usa el último.
+ *   - COUNT: número de ocurrencias que quedan, incluida la actual.
+ *   - UNTIL: fecha a partir de la cual no se generan más ocurrencias.
+ *
+ * Las semanas empiezan el lunes y todos los cálculos se hacen en UTC.
+ */
+
+export const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+// Días de la semana en el orden de `Date.prototype.getUTCDay()`.
+export const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Valor máximo de INTERVAL.
+const MAX_INTERVAL = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const COMPACT_DATE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/;
+
+const parsePositiveInt = (value, max) => {
+  const number = Number(value);
+  return /^\d+$/.test(value) && number >= 1 && number <= max ? number : null;
+};
+
+/**
+ * Convierte UNTIL (AAAAMMDD, AAAAMMDDTHHMMSSZ o ISO 8601) en milisegundos. Una
+ * fecha sin hora incluye todo ese día.
+ */
+const parseUntil = (value) => {
+  const compact = COMPACT_DATE.exec(value);
+  const iso = compact
+    ? `${compact[1]}-${compact[2]}-${compact[3]}T${compact[4] ? `${compact[4]}:${compact[5]}:${compact[6]}Z` : "23:59:59.999Z"}`
+    : DATE_ONLY.test(value)
+      ? `${value}T23:59:59.999Z`
+      : value;
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Resultado de `parseRecurrence` para una regla inválida.
+ */
+const invalid = (error, params = {}) => ({ rule: null, error, params });
+
+/**
+ * Interpreta una regla de recurrencia.
+ *
+ * @param {string} text - Regla, con o sin el prefijo `RRULE:`.
+ * @returns {{rule: Object|null, error: string|null, params: Object}} La regla
+ *   interpretada o el código del motivo por el que no es válida (ver locales/), con
+ *   los parámetros de su mensaje.
+ */
+export function parseRecurrence(text) {
+  if (typeof text !== "string" || text.trim() === "" || text.length > 200) {
+    return invalid("RRULE_FORMAT");
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: null, count: null, until: null };
+  const parts = text.trim().replace(/^RRULE:/i, "").split(";").filter(Boolean);
+  for (const part of parts) {
+    const [key, value = ""] = part.split("=").map((s) => s.trim().toUpperCase());
+    switch (key) {
+      case "FREQ":
+        if (!FREQUENCIES.includes(value)) {
+          return invalid("RRULE_FREQ", { values: FREQUENCIES.join(", ") });
+        }
+        rule.freq = value;
+        break;
+      case "INTERVAL":
+        rule.interval = parsePositiveInt(value, MAX_INTERVAL);
+        if (rule.interval === null) {
+          return invalid("RRULE_INTERVAL", { max: MAX_INTERVAL });
+        }
+        break;
+      case "BYDAY":
+        rule.byDay = value.split(",").map((day) => day.trim());
+        if (rule.byDay.length === 0 || rule.byDay.some((day) => !WEEKDAYS.includes(day))) {
+          return invalid("RRULE_BYDAY", { values: WEEKDAYS.join(", ") });
+        }
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = parsePositiveInt(value, 31);
+        if (rule.byMonthDay === null) {
+          return invalid("RRULE_BYMONTHDAY");
+        }
+        break;
+      case "COUNT":
+        rule.count = parsePositiveInt(value, 10000);
+        if (rule.count === null) {
+          return invalid("RRULE_COUNT");
+        }
+        break;
+      case "UNTIL":
+        rule.until = parseUntil(value);
+        if (rule.until === null) {
+          return invalid("RRULE_UNTIL");
+        }
+        break;
+      default:
+        return invalid("RRULE_UNSUPPORTED_PART", { part: key });
+    }
+  }
+
+  if (!rule.freq) {
+    return invalid("RRULE_FREQ_REQUIRED");
+  }
+  if (rule.byDay.length > 0 && rule.freq !== "WEEKLY") {
+    return invalid("RRULE_BYDAY_WEEKLY");
+  }
+  if (rule.byMonthDay !== null && rule.freq !== "MONTHLY") {
+    return invalid("RRULE_BYMONTHDAY_MONTHLY");
+  }
+  if (rule.count !== null && rule.until !== null) {
+    return invalid("RRULE_COUNT_UNTIL");
+  }
+  return { rule, error: null, params: {} };
+}
+
+/**
+ * Devuelve la regla con COUNT reducido en uno, para la siguiente ocurrencia.
+ */
+const decrementCount = (text) =>
+  text.replace(/COUNT=(\d+)/i, (_, count) => `COUNT=${Number(count) - 1}`);
+
+/**
+ * Inicio (lunes a las 00:00 UTC) de la semana de una fecha, en milisegundos.
+ */
+const weekStart = (date) =>
+  Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) -
+  ((date.getUTCDay() + 6) % 7) * DAY_MS;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Calcula la fecha de la ocurrencia siguiente a `base` según la regla.
+ */
+const nextDate = (rule, base) => {
+  const next = new Date(base);
+  if (rule.freq === "DAILY") {
+    next.setUTCDate(next.getUTCDate() + rule.interval);
+    return next;
+  }
+
+  if (rule.freq === "WEEKLY") {
+    if (rule.byDay.length === 0) {
+      next.setUTCDate(next.getUTCDate() + 7 * rule.interval);
+      return next;
+    }
+    // Se busca el primer día de BYDAY posterior a `base` en una semana del intervalo.
+    for (let i = 1; i <= 7 * (rule.interval + 1); i++) {
+      next.setUTCDate(next.getUTCDate() + 1);
+      const weeks = Math.round((weekStart(next) - weekStart(base)) / (7 * DAY_MS));
+      if (weeks % rule.interval === 0 && rule.byDay.includes(WEEKDAYS[next.getUTCDay()])) {
+        return next;
+      }
+    }
+    return null;
+  }
+
+  const day = rule.byMonthDay ?? base.getUTCDate();
+  const sameMonth = daysInMonth(base.getUTCFullYear(), base.getUTCMonth());
+  const months = rule.byMonthDay !== null && Math.min(day, sameMonth) > base.getUTCDate() ? 0 : rule.interval;
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + months);
+  next.setUTCDate(Math.min(day, daysInMonth(next.getUTCFullYear(), next.getUTCMonth())));
+  return next;
+};
+
+/**
+ * Calcula la siguiente ocurrencia de una tarea recurrente.
+ *
+ * @param {string} text - Regla de recurrencia de la tarea.
+ * @param {string} fechaLimite - Fecha límite de la ocurrencia actual (AAAA-MM-DD o ISO 8601).
+ * @returns {{fechaLimite: string, recurrencia: string}|null} Fecha límite y regla de
+ *   la siguiente ocurrencia (con el mismo formato de fecha), o `null` si la regla
+ *   no genera más ocurrencias.
+ */
+export function nextOccurrence(text, fechaLimite) {
+  const { rule } = parseRecurrence(text);
+  if (!rule || rule.count === 1) {
+    return null;
+  }
+
+  const dateOnly = DATE_ONLY.test(fechaLimite);
+  const base = new Date(dateOnly ? `${fechaLimite}T00:00:00.000Z` : fechaLimite);
+  if (Number.isNaN(base.getTime())) {
+    return null;
+  }
+  const next = nextDate(rule, base);
+  if (!next || (rule.until !== null && next.getTime() > rule.until)) {
+    return null;
+  }
+  return {
+    fechaLimite: dateOnly ? next.toISOString().slice(0, 10) : next.toISOString(),
+    recurrencia: rule.count === null ? text : decrementCount(text),
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Modelo de etiqueta.
+ *
+ * Las etiquetas son texto libre que cada usuario define para clasificar sus tareas.
+ * Pertenecen a un usuario (`username`), su nombre es único entre las etiquetas de
+ * ese usuario sin distinguir mayúsculas y pueden llevar un color opcional. Las
+ * tareas guardan en `tags` los identificadores de sus etiquetas.
+ */
+
+import { fieldError } from "../errors.js";
+
+// Color en formato hexadecimal (#RRGGBB).
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Reglas de validación por campo. Cada regla devuelve el problema encontrado
+ * (`{ code, params }`, ver `fieldError` en errors.js) o `null` si el valor es válido.
+ */
+const FIELDS = {
+  nombre: (value) => {
+    if (typeof value !== "string" || value.trim() === "") {
+      return { code: "NAME_REQUIRED" };
+    }
+    return value.length > 50 ? { code: "NAME_TOO_LONG", params: { max: 50 } } : null;
+  },
+  color: (value) =>
+    value === null || (typeof value === "string" && HEX_COLOR.test(value))
+      ? null
+      : { code: "TAG_COLOR_FORMAT" },
+};
+
+/**
+ * Valida los datos enviados por el cliente para una etiqueta.
+ *
+ * @param {Object} input - Cuerpo de la petición (`nombre`, `color`).
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Si es `true`, `nombre` no es obligatorio.
+ * @returns {Array<{field: string, code: string, params: Object}>} Errores encontrados
+ *   (vacío si es válido).
+ */
+export function validateTag(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return [fieldError("body", "BODY_NOT_OBJECT")];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(input)) {
+    const problem = FIELDS[field] ? FIELDS[field](input[field]) : { code: "FIELD_NOT_ALLOWED" };
+    if (problem) {
+      errors.push(fieldError(field, problem.code, problem.params));
+    }
+  }
+  if (!partial && !("nombre" in input)) {
+    errors.push(fieldError("nombre", "NAME_REQUIRED"));
+  }
+  return errors;
+}
+
+/**
+ * Aplica a una etiqueta (nueva o existente) los campos enviados por el cliente.
+ *
+ * @param {Object} tag - Etiqueta almacenada o campos del servidor de una nueva.
+ * @param {Object} input - Cuerpo de la petición validado.
+ * @returns {Object} Etiqueta con `updatedAt` renovado.
+ */
+export function applyTagFields(tag, input) {
+  return {
+    color: null,
+    ...tag,
+    ...("nombre" in input && { nombre: input.nombre.trim() }),
+    ...("color" in input && { color: input.color }),
+    updatedAt: new Date().toISOString(),
+  };
+}
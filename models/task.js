@@ -0,0 +1,452 @@
+/**
+ * Modelo de tarea.
+ *
+ * Define los campos que admite una tarea, sus valores por defecto y las reglas de
+ * validación que se aplican al crearla o actualizarla. Los campos gestionados por
+ * el servidor (`id`, `username`, `version`, `createdAt`, `updatedAt`, `sharedWith`,
+ * `subtasks`, `progreso`, `blockedBy`, `nextOccurrenceId`, `previousOccurrenceId` y
+ * `rank`) nunca se toman del cuerpo de la petición; se modifican mediante sus propios
+ * endpoints.
+ *
+ * `version` empieza en 1 y aumenta con cada modificación de la tarea (ver
+ * `touchTask`); las rutas la envían como ETag para detectar ediciones concurrentes.
+ *
+ * También define los permisos con los que una tarea se comparte con otros usuarios,
+ * las subtareas con su progreso y las dependencias ("bloqueada por") entre tareas.
+ *
+ * Una tarea puede pertenecer a un proyecto (`projectId`) y llevar varias etiquetas
+ * (`tags`, identificadores de etiqueta). Aquí solo se valida su forma; que existan
+ * y pertenezcan al dueño de la tarea se comprueba en services/taskReferences.js.
+ *
+ * Los recordatorios (`recordatorios`) son minutos de antelación respecto a la fecha
+ * límite, y la recurrencia (`recurrencia`) es una regla RRULE (ver models/recurrence.js):
+ * al completar una tarea recurrente se crea la siguiente ocurrencia.
+ */
+
+import { fieldError } from "../errors.js";
+import { nextOccurrence, parseRecurrence } from "./recurrence.js";
+
+// Valores permitidos para el estado de una tarea.
+export const ESTADOS = ["pendiente", "en_progreso", "completada"];
+
+// Valores permitidos para la prioridad de una tarea.
+export const PRIORIDADES = ["baja", "media", "alta"];
+
+// Campos que el servidor asigna y que el cliente no puede modificar.
+export const SERVER_FIELDS = [
+  "id",
+  "username",
+  "version",
+  "createdAt",
+  "updatedAt",
+  "sharedWith",
+  "subtasks",
+  "progreso",
+  "blockedBy",
+  "nextOccurrenceId",
+  "previousOccurrenceId",
+  "rank",
+];
+
+// Permisos con los que se puede compartir una tarea: `viewer` solo lee, `editor` también modifica.
+export const SHARE_PERMISSIONS = ["viewer", "editor"];
+
+// Máximo de etiquetas por tarea.
+export const MAX_TAGS = 20;
+
+// Máximo de recordatorios por tarea y antelación máxima de cada uno (30 días, en minutos).
+export const MAX_REMINDERS = 5;
+export const MAX_REMINDER_OFFSET = 30 * 24 * 60;
+
+// Fecha (AAAA-MM-DD) o fecha y hora ISO 8601.
+export const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const isValidDate = (value) =>
+  typeof value === "string" && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * Reglas de validación por campo. Cada regla devuelve el problema encontrado
+ * (`{ code, params }`, ver `fieldError` en errors.js) o `null` si el valor es válido.
+ */
+const FIELDS = {
+  titulo: (value) => {
+    if (typeof value !== "string" || value.trim() === "") {
+      return { code: "TITLE_REQUIRED" };
+    }
+    return value.length > 200 ? { code: "TITLE_TOO_LONG", params: { max: 200 } } : null;
+  },
+  descripcion: (value) => {
+    if (typeof value !== "string") {
+      return { code: "DESCRIPTION_NOT_STRING" };
+    }
+    return value.length > 2000 ? { code: "DESCRIPTION_TOO_LONG", params: { max: 2000 } } : null;
+  },
+  estado: (value) =>
+    ESTADOS.includes(value)
+      ? null
+      : { code: "ESTADO_NOT_ALLOWED", params: { values: ESTADOS.join(", ") } },
+  prioridad: (value) =>
+    PRIORIDADES.includes(value)
+      ? null
+      : { code: "PRIORIDAD_NOT_ALLOWED", params: { values: PRIORIDADES.join(", ") } },
+  fechaLimite: (value) =>
+    value === null || isValidDate(value) ? null : { code: "DUE_DATE_FORMAT" },
+  projectId: (value) =>
+    value === null || (typeof value === "string" && value !== "")
+      ? null
+      : { code: "PROJECT_ID_FORMAT" },
+  tags: (value) => {
+    if (!Array.isArray(value) || value.some((tag) => typeof tag !== "string" || tag === "")) {
+      return { code: "TAGS_FORMAT" };
+    }
+    return new Set(value).size > MAX_TAGS
+      ? { code: "TOO_MANY_TAGS", params: { max: MAX_TAGS } }
+      : null;
+  },
+  recordatorios: (value) => {
+    if (
+      !Array.isArray(value) ||
+      value.some((m) => !Number.isInteger(m) || m < 0 || m > MAX_REMINDER_OFFSET)
+    ) {
+      return { code: "REMINDERS_FORMAT", params: { max: MAX_REMINDER_OFFSET } };
+    }
+    return new Set(value).size > MAX_REMINDERS
+      ? { code: "TOO_MANY_REMINDERS", params: { max: MAX_REMINDERS } }
+      : null;
+  },
+  recurrencia: (value) => {
+    if (value === null) {
+      return null;
+    }
+    const { error, params } = parseRecurrence(value);
+    return error ? { code: error, params } : null;
+  },
+};
+
+// Valores que recibe una tarea nueva cuando el cliente no los indica.
+const DEFAULTS = {
+  descripcion: "",
+  estado: "pendiente",
+  prioridad: "media",
+  fechaLimite: null,
+  projectId: null,
+  tags: [],
+  recordatorios: [],
+  recurrencia: null,
+};
+
+/**
+ * Valida los datos enviados por el cliente para una tarea.
+ *
+ * @param {Object} input - Cuerpo de la petición.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Si es `true`, solo se validan los
+ *   campos presentes (actualizaciones), y al menos uno debe ser editable; si no,
+ *   `titulo` es obligatorio.
+ * @returns {Array<{field: string, code: string, params: Object}>} Errores encontrados
+ *   (vacío si es válido).
+ */
+export function validateTask(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return [fieldError("body", "BODY_NOT_OBJECT")];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(input)) {
+    if (SERVER_FIELDS.includes(field)) {
+      continue;
+    }
+    if (!FIELDS[field]) {
+      errors.push(fieldError(field, "FIELD_NOT_ALLOWED"));
+      continue;
+    }
+    const problem = FIELDS[field](input[field]);
+    if (problem) {
+      errors.push(fieldError(field, problem.code, problem.params));
+    }
+  }
+
+  if (!partial && !("titulo" in input)) {
+    errors.push(fieldError("titulo", "TITLE_REQUIRED"));
+  }
+  if (partial && errors.length === 0 && !Object.keys(input).some((field) => FIELDS[field])) {
+    errors.push(fieldError("body", "NO_EDITABLE_FIELDS"));
+  }
+  return errors;
+}
+
+/**
+ * Extrae del cuerpo de la petición únicamente los campos editables por el cliente.
+ *
+ * @param {Object} input - Cuerpo de la petición ya validado.
+ * @returns {Object} Campos editables presentes en `input`.
+ */
+export function pickTaskFields(input) {
+  const fields = {};
+  for (const field of Object.keys(FIELDS)) {
+    if (!(field in input)) {
+      continue;
+    }
+    if (field === "titulo") {
+      fields.titulo = input.titulo.trim();
+    } else if (field === "tags" || field === "recordatorios") {
+      fields[field] = [...new Set(input[field])];
+    } else {
+      fields[field] = input[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Construye una tarea nueva a partir de datos ya validados.
+ *
+ * @param {Object} input - Cuerpo de la petición validado.
+ * @param {Object} server - Campos asignados por el servidor (`id`, `username`).
+ * @returns {Object} Tarea completa lista para guardarse.
+ */
+export function createTask(input, { id, username }) {
+  const now = new Date().toISOString();
+  return {
+    ...DEFAULTS,
+    ...pickTaskFields(input),
+    id,
+    username,
+    sharedWith: [],
+    subtasks: [],
+    progreso: subtaskProgress([]),
+    blockedBy: [],
+    nextOccurrenceId: null,
+    previousOccurrenceId: null,
+    version: 1,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Devuelve la versión de una tarea. Las tareas guardadas antes de que existiera
+ * el campo se consideran en su versión 1.
+ *
+ * @param {Object} task - Tarea almacenada.
+ * @returns {number}
+ */
+export function taskVersion(task) {
+  return task.version ?? 1;
+}
+
+/**
+ * Devuelve el ETag de una tarea, derivado de su versión.
+ *
+ * @param {Object} task - Tarea almacenada.
+ * @returns {string} ETag entre comillas, p. ej. `"3"`.
+ */
+export function taskEtag(task) {
+  return `"${taskVersion(task)}"`;
+}
+
+/**
+ * Marca una tarea como modificada: aumenta su versión y renueva `updatedAt`.
+ *
+ * @param {Object} task - Tarea con los cambios ya aplicados.
+ * @param {string} [now] - Fecha de la modificación (ISO 8601).
+ * @returns {Object} Copia de la tarea con la nueva versión.
+ */
+export function touchTask(task, now = new Date().toISOString()) {
+  return { ...task, version: taskVersion(task) + 1, updatedAt: now };
+}
+
+/**
+ * Aplica a una tarea existente los cambios enviados por el cliente (PATCH): los
+ * campos omitidos conservan su valor.
+ *
+ * @param {Object} task - Tarea almacenada.
+ * @param {Object} input - Cuerpo de la petición validado en modo parcial.
+ * @returns {Object} Tarea actualizada con nueva versión.
+ */
+export function updateTask(task, input) {
+  return touchTask({ ...task, ...pickTaskFields(input) });
+}
+
+/**
+ * Reemplaza los campos editables de una tarea por los enviados por el cliente
+ * (PUT): los campos omitidos vuelven a su valor por defecto. Los campos del
+ * servidor se conservan.
+ *
+ * @param {Object} task - Tarea almacenada.
+ * @param {Object} input - Cuerpo de la petición validado como tarea completa.
+ * @returns {Object} Tarea reemplazada con nueva versión.
+ */
+export function replaceTask(task, input) {
+  return touchTask({ ...task, ...DEFAULTS, ...pickTaskFields(input) });
+}
+
+/**
+ * Devuelve el permiso que tiene un usuario sobre una tarea.
+ *
+ * @param {Object} task - Tarea almacenada.
+ * @param {string} username - Usuario que accede.
+ * @returns {"owner"|"editor"|"viewer"|null} `null` si no tiene acceso.
+ */
+export function taskPermission(task, username) {
+  if (task.username === username) {
+    return "owner";
+  }
+  const share = (task.sharedWith ?? []).find((s) => s.username === username);
+  return share ? share.permission : null;
+}
+
+/**
+ * Valida los datos de una subtarea.
+ *
+ * @param {Object} input - Cuerpo de la petición (`titulo`, `completada`).
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Si es `true`, `titulo` no es obligatorio.
+ * @returns {Array<{field: string, code: string, params: Object}>} Errores encontrados
+ *   (vacío si es válido).
+ */
+export function validateSubtask(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return [fieldError("body", "BODY_NOT_OBJECT")];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(input)) {
+    if (field === "titulo") {
+      const problem = FIELDS.titulo(input.titulo);
+      if (problem) {
+        errors.push(fieldError(field, problem.code, problem.params));
+      }
+    } else if (field === "completada") {
+      if (typeof input.completada !== "boolean") {
+        errors.push(fieldError(field, "TYPE_BOOLEAN"));
+      }
+    } else {
+      errors.push(fieldError(field, "FIELD_NOT_ALLOWED"));
+    }
+  }
+  if (!partial && !("titulo" in input)) {
+    errors.push(fieldError("titulo", "TITLE_REQUIRED"));
+  }
+  return errors;
+}
+
+/**
+ * Calcula el progreso de una tarea a partir de sus subtareas.
+ *
+ * @param {Array} subtasks - Subtareas de la tarea.
+ * @returns {{total: number, completadas: number, porcentaje: number}}
+ */
+export function subtaskProgress(subtasks) {
+  const total = subtasks.length;
+  const completadas = subtasks.filter((s) => s.completada).length;
+  return {
+    total,
+    completadas,
+    porcentaje: total === 0 ? 0 : Math.round((completadas / total) * 100),
+  };
+}
+
+/**
+ * Devuelve las tareas que bloquean a `task` y aún no están completadas.
+ *
+ * @param {Object} task - Tarea a comprobar.
+ * @param {Array} tasks - Todas las tareas almacenadas.
+ * @returns {Array} Tareas bloqueantes abiertas.
+ */
+export function openBlockers(task, tasks) {
+  const blockedBy = task.blockedBy ?? [];
+  return tasks.filter(
+    (t) => blockedBy.includes(t.id) && t.estado !== "completada"
+  );
+}
+
+/**
+ * Indica si hacer que `taskId` quede bloqueada por `blockerId` crearía un ciclo,
+ * es decir, si `blockerId` ya depende (directa o indirectamente) de `taskId`.
+ *
+ * @param {Array} tasks - Todas las tareas almacenadas.
+ * @param {string} taskId - Tarea que quedaría bloqueada.
+ * @param {string} blockerId - Tarea bloqueante.
+ * @returns {boolean}
+ */
+export function createsDependencyCycle(tasks, taskId, blockerId) {
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  const pending = [blockerId];
+  const visited = new Set();
+  while (pending.length > 0) {
+    const current = pending.pop();
+    if (current === taskId) {
+      return true;
+    }
+    if (visited.has(current)) {
+      continue;
+    }
+    visited.add(current);
+    pending.push(...(byId.get(current)?.blockedBy ?? []));
+  }
+  return false;
+}
+
+/**
+ * Momento en que vence una tarea, en milisegundos. Una fecha límite sin hora
+ * vence al final de ese día (UTC).
+ *
+ * @param {Object} task - Tarea almacenada.
+ * @returns {number|null} `null` si la tarea no tiene fecha límite válida.
+ */
+export function dueTime(task) {
+  if (!task.fechaLimite) {
+    return null;
+  }
+  const time = Date.parse(
+    /^\d{4}-\d{2}-\d{2}$/.test(task.fechaLimite)
+      ? `${task.fechaLimite}T23:59:59.999Z`
+      : task.fechaLimite
+  );
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Construye la siguiente ocurrencia de una tarea recurrente que se acaba de completar.
+ *
+ * La nueva tarea copia los datos de la anterior, vuelve a `pendiente` con las
+ * subtareas sin completar y sin dependencias, y avanza la fecha límite según la
+ * regla. Si la tarea no tenía fecha límite, se toma como base el momento actual.
+ * No tiene posición en el tablero (`rank`): la asigna quien la guarda.
+ *
+ * @param {Object} task - Tarea completada.
+ * @param {Object} server - Campos asignados por el servidor (`id`, `now`).
+ * @returns {Object|null} La nueva tarea, o `null` si la regla no genera más ocurrencias.
+ */
+export function createNextOccurrence(task, { id, now = new Date() }) {
+  if (!task.recurrencia) {
+    return null;
+  }
+  const next = nextOccurrence(task.recurrencia, task.fechaLimite ?? now.toISOString());
+  if (!next) {
+    return null;
+  }
+
+  const { rank, ...copy } = task;
+  const timestamp = now.toISOString();
+  const subtasks = (task.subtasks ?? []).map((subtask) => ({
+    ...subtask,
+    completada: false,
+    updatedAt: timestamp,
+  }));
+  return {
+    ...copy,
+    ...next,
+    id,
+    estado: "pendiente",
+    subtasks,
+    progreso: subtaskProgress(subtasks),
+    blockedBy: [],
+    nextOccurrenceId: null,
+    previousOccurrenceId: task.id,
+    version: 1,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  };
+}
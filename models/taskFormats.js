@@ -0,0 +1,370 @@
+/**
+ * Formatos de importación y exportación de tareas.
+ *
+ * Convierte tareas a CSV, JSON e iCalendar (componentes VTODO, RFC 5545) y
+ * interpreta esos mismos formatos al importar. Al importar solo se toman los campos
+ * de `IMPORT_FIELDS`; el resto (identificadores, fechas de creación, proyectos,
+ * etiquetas…) se ignora porque las tareas importadas siempre se crean nuevas.
+ */
+
+import { ApiError } from "../errors.js";
+
+export const FORMATS = ["csv", "json", "ics"];
+
+// Tipos MIME de cada formato.
+export const CONTENT_TYPES = {
+  csv: "text/csv",
+  json: "application/json",
+  ics: "text/calendar",
+};
+
+// Campos que se leen de cada fila al importar.
+export const IMPORT_FIELDS = [
+  "titulo",
+  "descripcion",
+  "estado",
+  "prioridad",
+  "fechaLimite",
+  "recordatorios",
+  "recurrencia",
+];
+
+// Columnas del CSV exportado.
+const CSV_COLUMNS = ["id", ...IMPORT_FIELDS, "createdAt", "updatedAt"];
+
+/**
+ * Error de formato (400): el contenido no se puede interpretar como el formato indicado.
+ */
+export class FormatError extends ApiError {
+  constructor(code) {
+    super(400, code);
+    this.name = "FormatError";
+  }
+}
+
+/**
+ * Deja en una fila solo los campos importables.
+ */
+const pickImportFields = (row) => {
+  const fields = {};
+  for (const field of IMPORT_FIELDS) {
+    if (row[field] !== undefined) {
+      fields[field] = row[field];
+    }
+  }
+  return fields;
+};
+
+/**
+ * Escapa una celda CSV. Las celdas que empiezan por `=`, `+`, `-` o `@` se
+ * prefijan con `'` para que las hojas de cálculo no las evalúen como fórmulas.
+ */
+const csvCell = (value) => {
+  let text = Array.isArray(value) ? value.join(";") : String(value ?? "");
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convierte tareas a CSV con cabecera. Los recordatorios se separan con `;`.
+ *
+ * @param {Array<Object>} tasks - Tareas a exportar.
+ * @returns {string}
+ */
+export function toCsv(tasks) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const task of tasks) {
+    lines.push(CSV_COLUMNS.map((column) => csvCell(task[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Divide un texto CSV (RFC 4180) en filas de celdas.
+ */
+const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i += 1;
+      }
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new FormatError("CSV_UNCLOSED_QUOTE");
+  }
+  if (cell !== "" || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records.filter((r) => !(r.length === 1 && r[0] === ""));
+};
+
+/**
+ * Interpreta un CSV con cabecera. Las celdas vacías se omiten para que se apliquen
+ * los valores por defecto, y se deshace el prefijo `'` que añade la exportación.
+ *
+ * @param {string} text - Contenido CSV.
+ * @returns {Array<Object>} Una fila por tarea con los campos importables.
+ * @throws {FormatError} Si el CSV está mal formado o no tiene la columna `titulo`.
+ */
+export function parseCsv(text) {
+  const [header, ...records] = parseCsvRecords(text.replace(/^\uFEFF/, ""));
+  if (!header || !header.map((h) => h.trim()).includes("titulo")) {
+    throw new FormatError("CSV_MISSING_HEADER");
+  }
+  const columns = header.map((h) => h.trim());
+
+  return records.map((cells) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      let value = cells[index] ?? "";
+      if (value === "") {
+        return;
+      }
+      if (/^'[=+\-@]/.test(value)) {
+        value = value.slice(1);
+      }
+      row[column] =
+        column === "recordatorios"
+          ? value.split(";").map((m) => (/^\d+$/.test(m.trim()) ? Number(m) : m))
+          : value;
+    });
+    return pickImportFields(row);
+  });
+}
+
+/**
+ * Interpreta un JSON de importación: un array de tareas o `{ "tasks": [...] }`.
+ *
+ * @param {*} body - Cuerpo ya interpretado como JSON.
+ * @returns {Array<Object>} Filas con los campos importables.
+ * @throws {FormatError} Si no es un array de objetos.
+ */
+export function parseJson(body) {
+  const rows = Array.isArray(body) ? body : body?.tasks;
+  if (!Array.isArray(rows)) {
+    throw new FormatError("JSON_NOT_TASK_LIST");
+  }
+  return rows.map((row) =>
+    row && typeof row === "object" && !Array.isArray(row) ? pickImportFields(row) : {}
+  );
+}
+
+// Correspondencia entre el estado de la tarea y STATUS de VTODO.
+const ICS_STATUS = {
+  pendiente: "NEEDS-ACTION",
+  en_progreso: "IN-PROCESS",
+  completada: "COMPLETED",
+};
+
+// PRIORITY de VTODO (1 más alta, 9 más baja) para cada prioridad.
+const ICS_PRIORITY = { alta: 1, media: 5, baja: 9 };
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const unescapeText = (text) =>
+  text.replace(/\\([\\;,nN])/g, (_, char) => (char === "n" || char === "N" ? "\n" : char));
+
+/**
+ * Divide una línea en fragmentos de 75 octetos como máximo (RFC 5545, 3.1).
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Fecha-hora ISO en formato iCalendar UTC (AAAAMMDDTHHMMSSZ).
+ */
+const icsDateTime = (iso) => new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Convierte tareas a un calendario iCalendar con un VTODO por tarea. Los
+ * recordatorios se exportan como VALARM y la recurrencia como RRULE.
+ *
+ * @param {Array<Object>} tasks - Tareas a exportar.
+ * @returns {string}
+ */
+export function toICalendar(tasks) {
+  const now = icsDateTime(new Date().toISOString());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//gestor-de-tareas//ES",
+    "CALSCALE:GREGORIAN",
+  ];
+  for (const task of tasks) {
+    lines.push("BEGIN:VTODO", `UID:${task.id}`, `DTSTAMP:${now}`);
+    lines.push(`SUMMARY:${escapeText(task.titulo ?? "")}`);
+    if (task.descripcion) {
+      lines.push(`DESCRIPTION:${escapeText(task.descripcion)}`);
+    }
+    lines.push(`STATUS:${ICS_STATUS[task.estado] ?? ICS_STATUS.pendiente}`);
+    if (ICS_PRIORITY[task.prioridad]) {
+      lines.push(`PRIORITY:${ICS_PRIORITY[task.prioridad]}`);
+    }
+    if (task.fechaLimite) {
+      lines.push(
+        /^\d{4}-\d{2}-\d{2}$/.test(task.fechaLimite)
+          ? `DUE;VALUE=DATE:${task.fechaLimite.replace(/-/g, "")}`
+          : `DUE:${icsDateTime(task.fechaLimite)}`
+      );
+    }
+    if (task.recurrencia) {
+      lines.push(`RRULE:${task.recurrencia.replace(/^RRULE:/i, "")}`);
+    }
+    if (task.createdAt) {
+      lines.push(`CREATED:${icsDateTime(task.createdAt)}`);
+    }
+    if (task.updatedAt) {
+      lines.push(`LAST-MODIFIED:${icsDateTime(task.updatedAt)}`);
+    }
+    for (const minutes of task.recordatorios ?? []) {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${escapeText(task.titulo ?? "")}`,
+        `TRIGGER:-PT${minutes}M`,
+        "END:VALARM"
+      );
+    }
+    lines.push("END:VTODO");
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * Interpreta DUE: `AAAAMMDD` (solo fecha) o `AAAAMMDDTHHMMSS[Z]` (se toma como UTC).
+ */
+const parseIcsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    return value;
+  }
+  const [, year, month, day, hour, minute, second] = match;
+  return hour === undefined
+    ? `${year}-${month}-${day}`
+    : `${year}-${month}-${day}T${hour}:${minute}:${second}.000Z`;
+};
+
+/**
+ * Convierte un TRIGGER relativo anterior al vencimiento (p. ej. `-PT15M`, `-P1D`)
+ * en minutos de antelación. Devuelve `null` si no se puede expresar así.
+ */
+const parseTrigger = (value) => {
+  const match = /^(-)?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, negative, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+  const total = ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes);
+  return negative || total === 0 ? total : null;
+};
+
+/**
+ * Interpreta un calendario iCalendar y devuelve una fila por cada VTODO.
+ *
+ * @param {string} text - Contenido iCalendar.
+ * @returns {Array<Object>} Filas con los campos importables.
+ * @throws {FormatError} Si no es un VCALENDAR.
+ */
+export function parseICalendar(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/).filter(Boolean);
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0]?.trim() ?? "")) {
+    throw new FormatError("ICS_NOT_CALENDAR");
+  }
+
+  const statuses = Object.fromEntries(Object.entries(ICS_STATUS).map(([k, v]) => [v, k]));
+  const rows = [];
+  let row = null;
+  let inAlarm = false;
+  for (const line of lines) {
+    const separator = line.indexOf(":");
+    if (separator === -1) {
+      continue;
+    }
+    const [name, ...params] = line.slice(0, separator).toUpperCase().split(";");
+    const value = line.slice(separator + 1).trim();
+
+    if (name === "BEGIN" && value.toUpperCase() === "VTODO") {
+      row = {};
+    } else if (name === "END" && value.toUpperCase() === "VTODO" && row) {
+      rows.push(row);
+      row = null;
+    } else if (name === "BEGIN" && value.toUpperCase() === "VALARM") {
+      inAlarm = true;
+    } else if (name === "END" && value.toUpperCase() === "VALARM") {
+      inAlarm = false;
+    } else if (!row) {
+      continue;
+    } else if (inAlarm) {
+      const minutes = name === "TRIGGER" && !params.includes("VALUE=DATE-TIME") ? parseTrigger(value) : null;
+      if (minutes !== null) {
+        row.recordatorios = [...(row.recordatorios ?? []), minutes];
+      }
+    } else if (name === "SUMMARY") {
+      row.titulo = unescapeText(value);
+    } else if (name === "DESCRIPTION") {
+      row.descripcion = unescapeText(value);
+    } else if (name === "STATUS") {
+      row.estado = statuses[value.toUpperCase()] ?? value;
+    } else if (name === "PRIORITY") {
+      const priority = Number(value);
+      if (priority >= 1 && priority <= 9) {
+        row.prioridad = priority <= 4 ? "alta" : priority === 5 ? "media" : "baja";
+      }
+    } else if (name === "DUE") {
+      row.fechaLimite = parseIcsDate(value);
+    } else if (name === "RRULE") {
+      row.recurrencia = value;
+    }
+  }
+  return rows.map(pickImportFields);
+}
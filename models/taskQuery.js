@@ -0,0 +1,276 @@
+/**
+ * Consultas sobre la lista de tareas.
+ *
+ * Interpreta los parámetros de consulta de GET /tasks (filtros, búsqueda,
+ * ordenación y paginación) y los aplica sobre las tareas del usuario.
+ */
+
+import { fieldError } from "../errors.js";
+import { ESTADOS, PRIORIDADES } from "./task.js";
+
+// Campos por los que se puede ordenar.
+export const SORT_FIELDS = [
+  "titulo",
+  "descripcion",
+  "estado",
+  "prioridad",
+  "fechaLimite",
+  "createdAt",
+  "updatedAt",
+  "rank",
+];
+
+// Máximo de tareas por página.
+export const MAX_LIMIT = 100;
+
+// Los campos con valores enumerados se ordenan según su posición en la lista, no alfabéticamente.
+const RANKS = { estado: ESTADOS, prioridad: PRIORIDADES };
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normaliza un texto para comparaciones sin distinguir mayúsculas ni tildes.
+ */
+const normalize = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+/**
+ * Convierte una lista separada por comas en un array sin elementos vacíos.
+ */
+const splitList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Convierte una fecha del filtro en milisegundos. Si `endOfDay` es `true` y la
+ * fecha no tiene hora, se toma el final de ese día para que el rango sea inclusivo.
+ */
+const parseDate = (value, endOfDay) => {
+  const text = String(value);
+  const time = Date.parse(
+    endOfDay && DATE_ONLY.test(text) ? `${text}T23:59:59.999Z` : text
+  );
+  return Number.isNaN(time) ? null : time;
+};
+
+const parsePositiveInt = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Interpreta los parámetros de consulta de GET /tasks.
+ *
+ * Parámetros admitidos:
+ *   - estado, prioridad: uno o varios valores separados por comas.
+ *   - fechaLimiteDesde, fechaLimiteHasta: rango inclusivo de fecha límite.
+ *   - q: texto a buscar en `titulo` y `descripcion`.
+ *   - project: identificador de proyecto, o `none` para las tareas sin proyecto.
+ *   - tag: uno o varios identificadores de etiqueta separados por comas; la tarea
+ *     debe llevarlas todas.
+ *   - sort: campos separados por comas; un `-` delante indica orden descendente.
+ *   - page, limit: paginación (si no se indica `limit` se devuelven todas).
+ *
+ * @param {Object} query - `req.query`.
+ * @returns {{errors: Array<{field: string, code: string, params: Object}>, options: Object}}
+ */
+export function parseTaskQuery(query) {
+  const errors = [];
+  const options = { filters: [], sort: [], page: 1, limit: null };
+
+  const enumFilter = (field, allowed) => {
+    if (query[field] === undefined) {
+      return;
+    }
+    const values = splitList(query[field]);
+    const invalid = values.filter((value) => !allowed.includes(value));
+    if (values.length === 0 || invalid.length > 0) {
+      errors.push(fieldError(field, "VALUE_NOT_ALLOWED", { values: allowed.join(", ") }));
+      return;
+    }
+    options.filters.push((task) => values.includes(task[field]));
+  };
+
+  enumFilter("estado", ESTADOS);
+  enumFilter("prioridad", PRIORIDADES);
+
+  for (const [field, endOfDay, matches] of [
+    ["fechaLimiteDesde", false, (due, limit) => due >= limit],
+    ["fechaLimiteHasta", true, (due, limit) => due <= limit],
+  ]) {
+    if (query[field] === undefined) {
+      continue;
+    }
+    const limit = parseDate(query[field], endOfDay);
+    if (limit === null) {
+      errors.push(fieldError(field, "DATE_FORMAT"));
+      continue;
+    }
+    options.filters.push((task) => {
+      const due = task.fechaLimite ? Date.parse(task.fechaLimite) : NaN;
+      return !Number.isNaN(due) && matches(due, limit);
+    });
+  }
+
+  if (query.q !== undefined && String(query.q).trim() !== "") {
+    const terms = normalize(query.q).split(/\s+/).filter(Boolean);
+    options.filters.push((task) => {
+      const text = `${normalize(task.titulo)} ${normalize(task.descripcion)}`;
+      return terms.every((term) => text.includes(term));
+    });
+  }
+
+  if (query.project !== undefined) {
+    const project = String(query.project).trim();
+    if (project === "") {
+      errors.push(fieldError("project", "PROJECT_FILTER_FORMAT"));
+    } else {
+      const projectId = project === "none" ? null : project;
+      options.filters.push((task) => (task.projectId ?? null) === projectId);
+    }
+  }
+
+  if (query.tag !== undefined) {
+    const tags = splitList(query.tag);
+    if (tags.length === 0) {
+      errors.push(fieldError("tag", "TAG_FILTER_FORMAT"));
+    } else {
+      options.filters.push((task) => tags.every((tag) => (task.tags ?? []).includes(tag)));
+    }
+  }
+
+  if (query.sort !== undefined) {
+    for (const item of splitList(query.sort)) {
+      const descending = item.startsWith("-");
+      const field = descending ? item.slice(1) : item;
+      if (!SORT_FIELDS.includes(field)) {
+        errors.push(fieldError("sort", "SORT_FIELD_NOT_ALLOWED", { field, values: SORT_FIELDS.join(", ") }));
+        continue;
+      }
+      options.sort.push({ field, direction: descending ? -1 : 1 });
+    }
+  }
+
+  if (query.page !== undefined) {
+    options.page = parsePositiveInt(query.page);
+    if (options.page === null) {
+      errors.push(fieldError("page", "POSITIVE_INTEGER"));
+    }
+  }
+
+  if (query.limit !== undefined) {
+    options.limit = parsePositiveInt(query.limit);
+    if (options.limit === null || options.limit > MAX_LIMIT) {
+      errors.push(fieldError("limit", "INTEGER_RANGE", { min: 1, max: MAX_LIMIT }));
+    }
+  }
+
+  return { errors, options };
+}
+
+/**
+ * Compara dos valores de un campo. Los valores vacíos quedan siempre al final.
+ */
+const compareField = (field, a, b, direction) => {
+  const aEmpty = a === undefined || a === null || a === "";
+  const bEmpty = b === undefined || b === null || b === "";
+  if (aEmpty || bEmpty) {
+    return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+  }
+  if (RANKS[field]) {
+    return (RANKS[field].indexOf(a) - RANKS[field].indexOf(b)) * direction;
+  }
+  if (field === "fechaLimite") {
+    return (Date.parse(a) - Date.parse(b)) * direction;
+  }
+  if (field === "rank") {
+    // Las posiciones del tablero se comparan carácter a carácter (ver models/taskRank.js).
+    return (a < b ? -1 : a > b ? 1 : 0) * direction;
+  }
+  return String(a).localeCompare(String(b), "es", { sensitivity: "base" }) * direction;
+};
+
+/**
+ * Aplica filtros, ordenación y paginación a una lista de tareas.
+ *
+ * @param {Array} tasks - Tareas del usuario.
+ * @param {Object} options - Opciones devueltas por `parseTaskQuery`.
+ * @returns {{items: Array, total: number, page: number, limit: number|null, totalPages: number}}
+ */
+export function applyTaskQuery(tasks, options) {
+  const filtered = tasks.filter((task) =>
+    options.filters.every((filter) => filter(task))
+  );
+
+  if (options.sort.length > 0) {
+    // Array.prototype.sort es estable: a igualdad se conserva el orden original.
+    filtered.sort((a, b) => {
+      for (const { field, direction } of options.sort) {
+        const result = compareField(field, a[field], b[field], direction);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return 0;
+    });
+  }
+
+  const total = filtered.length;
+  if (options.limit === null) {
+    return { items: filtered, total, page: 1, limit: null, totalPages: 1 };
+  }
+
+  const start = (options.page - 1) * options.limit;
+  return {
+    items: filtered.slice(start, start + options.limit),
+    total,
+    page: options.page,
+    limit: options.limit,
+    totalPages: Math.max(1, Math.ceil(total / options.limit)),
+  };
+}
+
+/**
+ * Construye las cabeceras de paginación de una respuesta.
+ *
+ * Siempre se incluye `X-Total-Count`; si la consulta tiene `limit`, también
+ * `X-Page`, `X-Limit`, `X-Total-Pages` y `Link` con las páginas anterior y siguiente.
+ *
+ * @param {Object} result - Resultado de `applyTaskQuery`.
+ * @param {string} path - Ruta del listado (p. ej. "/tasks") para los enlaces.
+ * @param {Object} query - Parámetros de consulta originales.
+ * @returns {Object} Cabeceras a añadir a la respuesta.
+ */
+export function paginationHeaders(result, path, query) {
+  const headers = { "X-Total-Count": String(result.total) };
+  if (result.limit === null) {
+    return headers;
+  }
+
+  const { page, totalPages } = result;
+  const link = (targetPage, rel) => {
+    const params = new URLSearchParams(query);
+    params.set("page", String(targetPage));
+    return `<${path}?${params}>; rel="${rel}"`;
+  };
+  const links = [];
+  if (page > 1) {
+    links.push(link(Math.min(page - 1, totalPages), "prev"));
+  }
+  if (page < totalPages) {
+    links.push(link(page + 1, "next"));
+  }
+
+  headers["X-Page"] = String(page);
+  headers["X-Limit"] = String(result.limit);
+  headers["X-Total-Pages"] = String(totalPages);
+  if (links.length > 0) {
+    headers.Link = links.join(", ");
+  }
+  return headers;
+}
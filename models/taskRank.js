@@ -0,0 +1,177 @@
+/**
+ * Posición de las tareas en el tablero.
+ *
+ * El tablero de cada usuario tiene una columna por estado con sus propias tareas.
+ * El orden manual dentro de una columna lo da `rank`: una cadena de dígitos en base
+ * 36 que se compara carácter a carácter. Para colocar una tarea entre otras dos
+ * basta con calcular una cadena intermedia (`rankBetween`), de modo que mover una
+ * tarea solo modifica esa tarea.
+ *
+ * Las cadenas crecen cuando se insertan muchas tareas en el mismo hueco. Si una
+ * supera `MAX_RANK_LENGTH` caracteres, o la columna tiene tareas sin `rank`
+ * (creadas antes del tablero), se reparte de nuevo toda la columna con posiciones
+ * equidistantes. Ese reparto no cambia la `version` de las tareas: el orden del
+ * tablero no se considera una modificación de su contenido.
+ */
+
+import { fieldError } from "../errors.js";
+import { ESTADOS } from "./task.js";
+
+// Dígitos de las posiciones, en orden. Ninguna posición termina en "0", para que
+// siempre exista una anterior.
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+// Longitud a partir de la cual se reparte la columna.
+export const MAX_RANK_LENGTH = 32;
+
+/**
+ * Calcula una posición estrictamente entre `before` y `after`.
+ *
+ * @param {string|null} before - Posición anterior (`null`: principio de la columna).
+ * @param {string|null} after - Posición siguiente (`null`: final de la columna).
+ * @returns {string}
+ */
+export function rankBetween(before, after) {
+  const a = before ?? "";
+  if (after !== null) {
+    // Conservar el prefijo común y calcular el punto medio del resto.
+    let n = 0;
+    while ((a[n] ?? DIGITS[0]) === after[n]) {
+      n++;
+    }
+    if (n > 0) {
+      return after.slice(0, n) + rankBetween(a.slice(n), after.slice(n));
+    }
+  }
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = after !== null ? DIGITS.indexOf(after[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  if (after !== null && after.length > 1) {
+    return after.slice(0, 1);
+  }
+  return DIGITS[digitA] + rankBetween(a.slice(1), null);
+}
+
+/**
+ * Genera `count` posiciones equidistantes y ordenadas.
+ *
+ * @param {number} count
+ * @returns {Array<string>}
+ */
+export function evenRanks(count) {
+  let width = 1;
+  while (DIGITS.length ** width <= count * 4) {
+    width++;
+  }
+  const step = Math.floor(DIGITS.length ** width / (count + 1));
+  return Array.from({ length: count }, (_, i) =>
+    (step * (i + 1)).toString(36).padStart(width, "0").replace(/0+$/, "")
+  );
+}
+
+/**
+ * Orden de las tareas en una columna: por `rank` y, al final, las que no tienen
+ * posición por fecha de creación.
+ */
+export function compareRank(a, b) {
+  if (a.rank && b.rank) {
+    return a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0;
+  }
+  if (a.rank || b.rank) {
+    return a.rank ? -1 : 1;
+  }
+  return String(a.createdAt ?? "").localeCompare(String(b.createdAt ?? ""));
+}
+
+/**
+ * Tareas de una columna del tablero de un usuario, ordenadas.
+ *
+ * @param {Array<Object>} tasks - Tareas.
+ * @param {string} username - Dueño del tablero.
+ * @param {string} estado - Columna.
+ * @returns {Array<Object>}
+ */
+export function boardColumn(tasks, username, estado) {
+  return tasks.filter((t) => t.username === username && t.estado === estado).sort(compareRank);
+}
+
+/**
+ * Coloca una tarea en la columna de su estado, en la posición indicada.
+ *
+ * Si hace falta repartir la columna, las demás tareas se sustituyen en `tasks` por
+ * copias con su nueva posición.
+ *
+ * @param {Array<Object>} tasks - Todas las tareas (se modifica si se reparte la columna).
+ * @param {Object} task - Tarea a colocar, con su estado definitivo.
+ * @param {number} [position=Infinity] - Índice en la columna, sin contar la tarea;
+ *   se limita al tamaño de la columna.
+ * @returns {Object} Copia de la tarea con su `rank`.
+ */
+export function placeTask(tasks, task, position = Infinity) {
+  const column = boardColumn(tasks, task.username, task.estado).filter((t) => t.id !== task.id);
+  const index = Math.max(0, Math.min(position, column.length));
+  if (column.every((t) => t.rank)) {
+    const rank = rankBetween(column[index - 1]?.rank ?? null, column[index]?.rank ?? null);
+    if (rank.length <= MAX_RANK_LENGTH) {
+      return { ...task, rank };
+    }
+  }
+
+  // Repartir la columna con la tarea ya en su sitio.
+  const ranks = evenRanks(column.length + 1);
+  column.splice(index, 0, task);
+  column.forEach((t, i) => {
+    if (t.id !== task.id) {
+      const stored = tasks.findIndex((s) => s.id === t.id);
+      tasks[stored] = { ...tasks[stored], rank: ranks[i] };
+    }
+  });
+  return { ...task, rank: ranks[index] };
+}
+
+/**
+ * Asigna la posición del tablero tras crear o modificar una tarea: las tareas
+ * nuevas, las que no tienen posición y las que cambian de estado pasan al final de
+ * su columna.
+ *
+ * @param {Object|null} before - Tarea antes del cambio (`null` si es nueva).
+ * @param {Object} after - Tarea después del cambio.
+ * @param {Array<Object>} tasks - Todas las tareas (ver `placeTask`).
+ * @returns {Object} La tarea con su `rank`.
+ */
+export function withBoardRank(before, after, tasks) {
+  if (before && after.rank && before.estado === after.estado) {
+    return after;
+  }
+  return placeTask(tasks, after);
+}
+
+/**
+ * Valida el cuerpo de POST /tasks/:id/move.
+ *
+ * @param {Object} input - `{ estado?, position? }`.
+ * @returns {Array<{field: string, code: string, params: Object}>} Errores encontrados
+ *   (vacío si es válido).
+ */
+export function validateMove(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return [fieldError("body", "BODY_NOT_OBJECT")];
+  }
+  const errors = [];
+  for (const field of Object.keys(input)) {
+    if (field === "estado") {
+      if (!ESTADOS.includes(input.estado)) {
+        errors.push(fieldError(field, "ESTADO_NOT_ALLOWED", { values: ESTADOS.join(", ") }));
+      }
+    } else if (field === "position") {
+      if (!Number.isInteger(input.position) || input.position < 0) {
+        errors.push(fieldError(field, "NON_NEGATIVE_INTEGER"));
+      }
+    } else {
+      errors.push(fieldError(field, "FIELD_NOT_ALLOWED"));
+    }
+  }
+  return errors;
+}
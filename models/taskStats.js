@@ -0,0 +1,190 @@
+/**
+ * Estadísticas de productividad.
+ *
+ * Calcula, sobre un conjunto de tareas, los totales por estado y prioridad, las
+ * tareas vencidas, la tasa de finalización, el tiempo medio hasta completarlas y
+ * una serie de tareas creadas frente a completadas por día o por semana.
+ *
+ * Las tareas no guardan cuándo se completaron: el momento se toma del historial
+ * (la última modificación que pasó `estado` a `completada`). Las creadas ya
+ * completadas cuentan desde su creación y, si el historial no tiene la tarea
+ * (tareas anteriores al historial), se usa `updatedAt`.
+ */
+
+import { fieldError } from "../errors.js";
+import { ESTADOS, PRIORIDADES, dueTime } from "./task.js";
+
+// Agrupaciones de la serie y días que abarca el rango por defecto y como máximo.
+export const STATS_INTERVALS = ["day", "week"];
+export const DEFAULT_STATS_DAYS = 30;
+export const MAX_STATS_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Fecha AAAA-MM-DD (UTC) de un instante en milisegundos.
+ */
+const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Lunes (AAAA-MM-DD) de la semana de una fecha.
+ */
+const weekStart = (date) => {
+  const time = Date.parse(`${date}T00:00:00.000Z`);
+  const offset = (new Date(time).getUTCDay() + 6) % 7;
+  return toDate(time - offset * DAY_MS);
+};
+
+/**
+ * Interpreta los parámetros de consulta de las estadísticas.
+ *
+ * Parámetros admitidos:
+ *   - from, to: rango inclusivo de fechas (AAAA-MM-DD, UTC) de la serie. Por
+ *     defecto, los últimos `DEFAULT_STATS_DAYS` días hasta hoy.
+ *   - interval: `day` (por defecto) o `week` (semanas de lunes a domingo).
+ *
+ * @param {Object} query - `req.query`.
+ * @param {Date} [now] - Momento actual.
+ * @returns {{errors: Array<{field: string, code: string, params: Object}>, options: Object}}
+ */
+export function parseStatsQuery(query, now = new Date()) {
+  const errors = [];
+  const dates = {};
+  for (const field of ["from", "to"]) {
+    if (query[field] === undefined) {
+      continue;
+    }
+    const value = String(query[field]);
+    if (!DATE_ONLY.test(value) || Number.isNaN(Date.parse(value)) || toDate(Date.parse(value)) !== value) {
+      errors.push(fieldError(field, "CALENDAR_DATE_FORMAT"));
+    } else {
+      dates[field] = value;
+    }
+  }
+  const interval = query.interval ?? "day";
+  if (!STATS_INTERVALS.includes(interval)) {
+    errors.push(fieldError("interval", "VALUE_NOT_ALLOWED", { values: STATS_INTERVALS.join(", ") }));
+  }
+  if (errors.length > 0) {
+    return { errors, options: null };
+  }
+
+  const to = dates.to ?? (dates.from ? toDate(Date.parse(dates.from) + (DEFAULT_STATS_DAYS - 1) * DAY_MS) : toDate(now.getTime()));
+  const from = dates.from ?? toDate(Date.parse(to) - (DEFAULT_STATS_DAYS - 1) * DAY_MS);
+  const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+  if (days < 1) {
+    errors.push(fieldError("to", "RANGE_END_BEFORE_START"));
+  } else if (days > MAX_STATS_DAYS) {
+    errors.push(fieldError("to", "RANGE_TOO_LONG", { max: MAX_STATS_DAYS }));
+  }
+  return { errors, options: errors.length > 0 ? null : { from, to, interval } };
+}
+
+/**
+ * Calcula el momento en que se completó cada tarea completada.
+ *
+ * @param {Array<Object>} tasks - Tareas.
+ * @param {Array<Object>} history - Entradas del historial de esas tareas.
+ * @returns {Map<string, number>} Identificador de tarea → milisegundos.
+ */
+export function completionTimes(tasks, history) {
+  const fromHistory = new Map();
+  const created = new Set();
+  for (const entry of history) {
+    if (entry.action === "created") {
+      created.add(entry.taskId);
+    }
+    const completed = entry.action === "updated" &&
+      entry.changes?.some((c) => c.field === "estado" && c.to === "completada");
+    const time = Date.parse(entry.at);
+    if (completed && !(fromHistory.get(entry.taskId) > time)) {
+      fromHistory.set(entry.taskId, time);
+    }
+  }
+
+  const times = new Map();
+  for (const task of tasks) {
+    if (task.estado !== "completada") {
+      continue;
+    }
+    const fallback = created.has(task.id) ? task.createdAt : task.updatedAt ?? task.createdAt;
+    const time = fromHistory.get(task.id) ?? Date.parse(fallback);
+    if (!Number.isNaN(time)) {
+      times.set(task.id, time);
+    }
+  }
+  return times;
+}
+
+/**
+ * Calcula las estadísticas de un conjunto de tareas.
+ *
+ * @param {Array<Object>} tasks - Tareas.
+ * @param {Map<string, number>} completedAt - Resultado de `completionTimes`.
+ * @param {Object} options - Resultado de `parseStatsQuery` (`from`, `to`, `interval`).
+ * @param {Date} [now] - Momento actual, para las tareas vencidas.
+ * @returns {Object} `{ range, total, byEstado, byPrioridad, overdue, completionRate,
+ *   averageCompletionHours, series }`.
+ */
+export function computeTaskStats(tasks, completedAt, { from, to, interval }, now = new Date()) {
+  const byEstado = Object.fromEntries(ESTADOS.map((estado) => [estado, 0]));
+  const byPrioridad = Object.fromEntries(PRIORIDADES.map((prioridad) => [prioridad, 0]));
+  let overdue = 0;
+  for (const task of tasks) {
+    if (task.estado in byEstado) {
+      byEstado[task.estado]++;
+    }
+    if (task.prioridad in byPrioridad) {
+      byPrioridad[task.prioridad]++;
+    }
+    const due = dueTime(task);
+    if (task.estado !== "completada" && due !== null && due < now.getTime()) {
+      overdue++;
+    }
+  }
+
+  // Serie de creadas y completadas por día o por semana.
+  const bucketOf = interval === "week" ? weekStart : (date) => date;
+  const series = [];
+  const buckets = new Map();
+  for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+    const key = bucketOf(toDate(time));
+    if (!buckets.has(key)) {
+      buckets.set(key, { date: key, created: 0, completed: 0 });
+      series.push(buckets.get(key));
+    }
+  }
+  const rangeStart = Date.parse(from);
+  const rangeEnd = Date.parse(to) + DAY_MS;
+  const inRange = (time) => time >= rangeStart && time < rangeEnd;
+
+  const durations = [];
+  for (const task of tasks) {
+    const created = Date.parse(task.createdAt);
+    if (inRange(created)) {
+      buckets.get(bucketOf(toDate(created))).created++;
+    }
+    const completed = completedAt.get(task.id);
+    if (completed !== undefined && inRange(completed)) {
+      buckets.get(bucketOf(toDate(completed))).completed++;
+      if (!Number.isNaN(created) && completed >= created) {
+        durations.push(completed - created);
+      }
+    }
+  }
+
+  const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+  return {
+    range: { from, to, interval },
+    total: tasks.length,
+    byEstado,
+    byPrioridad,
+    overdue,
+    completionRate: tasks.length === 0 ? null : round(byEstado.completada / tasks.length, 4),
+    averageCompletionHours: durations.length === 0
+      ? null
+      : round(durations.reduce((sum, d) => sum + d, 0) / durations.length / (60 * 60 * 1000), 2),
+    series,
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Modelo de usuario.
+ *
+ * Reglas de validación del nombre de usuario y la contraseña al registrarse.
+ * Los límites se configuran en `auth.usernamePolicy` y `auth.passwordPolicy`
+ * de config.js. También define los roles disponibles y la representación
+ * pública de un usuario (sin datos sensibles).
+ */
+
+import { auth as authConfig } from "../config.js";
+import { fieldError } from "../errors.js";
+
+// Roles disponibles. Los usuarios sin rol guardado se consideran `user`.
+export const ROLES = ["user", "admin"];
+export const DEFAULT_ROLE = "user";
+
+/**
+ * Devuelve el rol de un usuario almacenado.
+ */
+export const roleOf = (user) => user.role ?? DEFAULT_ROLE;
+
+/**
+ * Devuelve los datos de un usuario que se pueden mostrar a un administrador,
+ * sin la contraseña hasheada.
+ */
+export const toPublicUser = (user) => ({
+  username: user.username,
+  role: roleOf(user),
+  disabled: Boolean(user.disabled),
+  lockedUntil: user.lockedUntil ?? null,
+});
+
+/**
+ * Normaliza un nombre de usuario para compararlo sin distinguir mayúsculas.
+ */
+export const normalizeUsername = (username) => String(username).toLowerCase();
+
+/**
+ * Valida el nombre de usuario y la contraseña de un registro.
+ *
+ * @param {Object} input - Cuerpo de la petición (`username`, `password`).
+ * @param {Object} [policies] - Políticas a aplicar (por defecto las de config.js).
+ * @returns {Array<{field: string, code: string, params: Object}>} Errores encontrados
+ *   (vacío si es válido).
+ */
+export function validateRegistration(
+  input,
+  {
+    usernamePolicy = authConfig.usernamePolicy,
+    passwordPolicy = authConfig.passwordPolicy,
+  } = {}
+) {
+  const { username, password } = input ?? {};
+  const errors = [];
+
+  if (typeof username !== "string" || username.trim() === "") {
+    errors.push(fieldError("username", "USERNAME_REQUIRED"));
+  } else if (
+    username.length < usernamePolicy.minLength ||
+    username.length > usernamePolicy.maxLength
+  ) {
+    errors.push(
+      fieldError("username", "USERNAME_LENGTH", {
+        min: usernamePolicy.minLength,
+        max: usernamePolicy.maxLength,
+      })
+    );
+  } else if (!usernamePolicy.pattern.test(username)) {
+    errors.push(fieldError("username", "USERNAME_PATTERN"));
+  }
+
+  return [...errors, ...validatePassword(password, { username, passwordPolicy })];
+}
+
+/**
+ * Valida una contraseña según la política configurada.
+ *
+ * @param {string} password - Contraseña en texto plano.
+ * @param {Object} [options]
+ * @param {string} [options.username] - Usuario al que pertenece (no puede coincidir).
+ * @param {Object} [options.passwordPolicy] - Política a aplicar (por defecto la de config.js).
+ * @returns {Array<{field: string, code: string, params: Object}>} Errores encontrados
+ *   (vacío si es válida).
+ */
+export function validatePassword(
+  password,
+  { username, passwordPolicy = authConfig.passwordPolicy } = {}
+) {
+  const errors = [];
+  if (typeof password !== "string" || password === "") {
+    errors.push(fieldError("password", "PASSWORD_REQUIRED"));
+    return errors;
+  }
+  if (password.length < passwordPolicy.minLength) {
+    errors.push(fieldError("password", "PASSWORD_TOO_SHORT", { min: passwordPolicy.minLength }));
+  }
+  if (passwordPolicy.requireLetter && !/\p{L}/u.test(password)) {
+    errors.push(fieldError("password", "PASSWORD_LETTER_REQUIRED"));
+  }
+  if (passwordPolicy.requireNumber && !/\d/.test(password)) {
+    errors.push(fieldError("password", "PASSWORD_NUMBER_REQUIRED"));
+  }
+  if (typeof username === "string" && password.toLowerCase() === username.toLowerCase()) {
+    errors.push(fieldError("password", "PASSWORD_EQUALS_USERNAME"));
+  }
+  return errors;
+}
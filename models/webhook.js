@@ -0,0 +1,183 @@
+/**
+ * Modelo de webhook.
+ *
+ * Un webhook es una URL a la que se envían por POST los eventos de las tareas que
+ * su dueño (`username`) puede ver, firmados con su secreto (ver services/webhooks.js).
+ * Cada webhook se suscribe a una lista de eventos (`events`) y puede desactivarse
+ * sin borrarlo (`active: false`).
+ *
+ * Salvo que se permita en la configuración (`webhooks.allowPrivateUrls`), la URL no
+ * puede apuntar a una dirección local o privada: el servidor haría peticiones a
+ * servicios de su propia red (incluida la propia API o el servicio de metadatos
+ * de la nube). Aquí se comprueba el nombre de la URL; services/webhooks.js
+ * comprueba además las direcciones a las que se resuelve antes de cada envío.
+ */
+
+import net from "net";
+import { webhooks as webhooksConfig } from "../config.js";
+import { fieldError } from "../errors.js";
+import { taskPermission } from "./task.js";
+
+// Eventos a los que se puede suscribir un webhook. `task.completed` se envía
+// además de `task.updated` cuando una tarea pasa a `completada`.
+export const WEBHOOK_EVENTS = ["task.created", "task.updated", "task.completed", "task.deleted"];
+
+// Direcciones locales, privadas, reservadas y de multidifusión. Las reglas IPv4
+// se aplican también a las direcciones IPv6 que las contienen (`::ffff:127.0.0.1`).
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Indica si una dirección IP es local, privada o reservada.
+ *
+ * @param {string} address - Dirección IPv4 o IPv6.
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Indica si el nombre de una URL (`URL.hostname`) es una dirección local o privada.
+ */
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  return host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host);
+};
+
+/**
+ * Reglas de validación por campo. Cada regla devuelve el problema encontrado
+ * (`{ code, params }`, ver `fieldError` en errors.js) o `null` si el valor es válido.
+ */
+const FIELDS = {
+  url: (value, { allowPrivateUrls }) => {
+    if (typeof value !== "string" || value.trim() === "") {
+      return { code: "URL_REQUIRED" };
+    }
+    if (value.length > 2000) {
+      return { code: "URL_TOO_LONG", params: { max: 2000 } };
+    }
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return { code: "URL_NOT_ABSOLUTE" };
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      return { code: "URL_PROTOCOL" };
+    }
+    return !allowPrivateUrls && isPrivateHost(url.hostname) ? { code: "URL_PRIVATE_ADDRESS" } : null;
+  },
+  events: (value) => {
+    if (!Array.isArray(value) || value.length === 0) {
+      return { code: "EVENTS_REQUIRED" };
+    }
+    const unknown = value.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return {
+        code: "EVENTS_UNKNOWN",
+        params: { unknown: unknown.join(", "), values: WEBHOOK_EVENTS.join(", ") },
+      };
+    }
+    return null;
+  },
+  active: (value) => (typeof value === "boolean" ? null : { code: "TYPE_BOOLEAN" }),
+};
+
+/**
+ * Valida los datos enviados por el cliente para un webhook.
+ *
+ * @param {Object} input - Cuerpo de la petición (`url`, `events`, `active`).
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Si es `true`, `url` no es obligatoria.
+ * @param {boolean} [options.allowPrivateUrls] - Si se admiten direcciones locales o
+ *   privadas (por defecto, `webhooks.allowPrivateUrls` de config.js).
+ * @returns {Array<{field: string, code: string, params: Object}>} Errores encontrados
+ *   (vacío si es válido).
+ */
+export function validateWebhook(
+  input,
+  { partial = false, allowPrivateUrls = webhooksConfig.allowPrivateUrls } = {}
+) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return [fieldError("body", "BODY_NOT_OBJECT")];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(input)) {
+    const problem = FIELDS[field]
+      ? FIELDS[field](input[field], { allowPrivateUrls })
+      : { code: "FIELD_NOT_ALLOWED" };
+    if (problem) {
+      errors.push(fieldError(field, problem.code, problem.params));
+    }
+  }
+  if (!partial && !("url" in input)) {
+    errors.push(fieldError("url", "URL_REQUIRED"));
+  }
+  return errors;
+}
+
+/**
+ * Aplica a un webhook (nuevo o existente) los campos enviados por el cliente.
+ *
+ * @param {Object} webhook - Webhook almacenado o campos del servidor de uno nuevo.
+ * @param {Object} input - Cuerpo de la petición validado.
+ * @returns {Object} Webhook con `updatedAt` renovado.
+ */
+export function applyWebhookFields(webhook, input) {
+  return {
+    events: [...WEBHOOK_EVENTS],
+    active: true,
+    ...webhook,
+    ...("url" in input && { url: input.url.trim() }),
+    ...("events" in input && { events: [...new Set(input.events)] }),
+    ...("active" in input && { active: input.active }),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Eventos que recibe un usuario por el cambio de una tarea, según lo que puede ver
+ * antes y después: si pierde el acceso (o la tarea se elimina) recibe `task.deleted`.
+ *
+ * @param {Object|null} before - Tarea antes del cambio (`null` si se ha creado).
+ * @param {Object|null} after - Tarea después del cambio (`null` si se ha eliminado).
+ * @param {string} username - Dueño del webhook.
+ * @returns {Array<string>} Eventos de `WEBHOOK_EVENTS`.
+ */
+export function webhookEventsFor(before, after, username) {
+  const sawBefore = before !== null && taskPermission(before, username) !== null;
+  const seesAfter = after !== null && taskPermission(after, username) !== null;
+  if (!seesAfter) {
+    return sawBefore ? ["task.deleted"] : [];
+  }
+  if (!before) {
+    return ["task.created"];
+  }
+  const completed = after.estado === "completada" && before.estado !== "completada";
+  return completed ? ["task.updated", "task.completed"] : ["task.updated"];
+}
@@ -0,0 +1,1663 @@
+/**
+ * Especificación OpenAPI 3 de la API.
+ *
+ * Describe todas las rutas de la aplicación, sus parámetros, cuerpos y respuestas.
+ * Se publica en GET /openapi.json (con una página de documentación interactiva en
+ * GET /docs, ver routes/docs.js) y es también la fuente de la validación de las
+ * peticiones (ver middleware/validate.js): una petición que no cumple el contrato
+ * se rechaza antes de llegar a la ruta, de modo que la documentación y el
+ * comportamiento no pueden divergir.
+ *
+ * Los valores enumerados y los límites se toman de los modelos y de config.js.
+ * Las reglas que dependen de los datos guardados (que un proyecto exista, que una
+ * tarea no esté bloqueada...) las siguen comprobando las rutas.
+ *
+ * Extensiones propias:
+ *   - `x-error-code`: código de error con el que se rechaza un cuerpo inválido.
+ *   - `x-field-errors`: códigos de error de validación propios de un esquema, por
+ *     regla (ver locales/).
+ */
+
+import { API_PREFIX, attachments as attachmentsConfig, auth as authConfig } from "./config.js";
+import {
+  ESTADOS,
+  ISO_DATE,
+  MAX_REMINDER_OFFSET,
+  PRIORIDADES,
+  SHARE_PERMISSIONS,
+} from "./models/task.js";
+import { FREQUENCIES } from "./models/recurrence.js";
+import { MAX_LIMIT, SORT_FIELDS } from "./models/taskQuery.js";
+import { ROLES } from "./models/user.js";
+import { FORMATS } from "./models/taskFormats.js";
+import { ATTACHMENT_FIELD } from "./models/attachment.js";
+import { MAX_COMMENT_LENGTH } from "./models/comment.js";
+import { STATS_INTERVALS } from "./models/taskStats.js";
+import { WEBHOOK_EVENTS } from "./models/webhook.js";
+import { HISTORY_ACTIONS } from "./services/taskHistory.js";
+import { MAX_BATCH_OPERATIONS } from "./services/taskBatch.js";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+const error = (name) => ({ $ref: `#/components/responses/${name}` });
+
+/**
+ * Cuerpo JSON de una petición o respuesta.
+ */
+const json = (schema, description) => ({
+  ...(description && { description }),
+  content: { "application/json": { schema } },
+});
+
+/**
+ * Respuesta sin cuerpo o con un texto plano.
+ */
+const text = (description) => ({
+  description,
+  content: { "text/plain": { schema: { type: "string" } } },
+});
+
+const empty = (description) => ({ description });
+
+/**
+ * Respuesta 200 con una lista del esquema indicado.
+ */
+const list = (name, description) => json({ type: "array", items: ref(name) }, description);
+
+// Lista de valores separados por comas en un parámetro de consulta.
+const csv = (items) => ({ type: "array", items });
+
+// Cabeceras de paginación de los listados de tareas.
+const paginationHeaders = {
+  "X-Total-Count": { description: "Total de tareas que cumplen los filtros", schema: { type: "integer" } },
+  "X-Page": { description: "Página devuelta (solo con `limit`)", schema: { type: "integer" } },
+  "X-Limit": { description: "Tareas por página (solo con `limit`)", schema: { type: "integer" } },
+  "X-Total-Pages": { description: "Número de páginas (solo con `limit`)", schema: { type: "integer" } },
+  Link: { description: 'Enlaces a las páginas `rel="prev"` y `rel="next"`', schema: { type: "string" } },
+};
+
+const taskList = (description) => ({
+  ...list("Task", description),
+  headers: paginationHeaders,
+});
+
+const etagHeader = {
+  ETag: { description: "Versión de la tarea", schema: { type: "string" } },
+};
+
+const withEtag = (response) => ({ ...response, headers: etagHeader });
+
+// Filtros y ordenación de los listados de tareas (ver models/taskQuery.js).
+const TASK_FILTERS = [
+  "estado",
+  "prioridad",
+  "fechaLimiteDesde",
+  "fechaLimiteHasta",
+  "q",
+  "project",
+  "tag",
+  "sort",
+].map(param);
+const TASK_QUERY = [...TASK_FILTERS, param("page"), param("limit")];
+
+// Rango y agrupación de las estadísticas (ver models/taskStats.js).
+const STATS_QUERY = [
+  {
+    name: "from",
+    in: "query",
+    schema: { type: "string", format: "date" },
+    description: "Primer día de la serie (por defecto, 30 días antes de `to`)",
+  },
+  {
+    name: "to",
+    in: "query",
+    schema: { type: "string", format: "date" },
+    description: "Último día de la serie (por defecto, hoy); el rango no puede superar 366 días",
+  },
+  { name: "interval", in: "query", schema: { type: "string", enum: STATS_INTERVALS, default: "day" } },
+];
+
+// Campos editables de una tarea.
+const taskFields = {
+  titulo: { type: "string", minLength: 1, maxLength: 200, pattern: "\\S" },
+  descripcion: { type: "string", maxLength: 2000 },
+  estado: {
+    type: "string",
+    enum: ESTADOS,
+    default: "pendiente",
+    "x-field-errors": { enum: "ESTADO_NOT_ALLOWED" },
+  },
+  prioridad: {
+    type: "string",
+    enum: PRIORIDADES,
+    default: "media",
+    "x-field-errors": { enum: "PRIORIDAD_NOT_ALLOWED" },
+  },
+  fechaLimite: {
+    type: "string",
+    nullable: true,
+    pattern: ISO_DATE.source,
+    description: "Fecha (AAAA-MM-DD) o fecha y hora ISO 8601",
+  },
+  projectId: {
+    type: "string",
+    nullable: true,
+    minLength: 1,
+    description: "Proyecto del dueño de la tarea",
+  },
+  tags: {
+    type: "array",
+    items: { type: "string", minLength: 1 },
+    description: "Identificadores de etiquetas del dueño de la tarea (máximo 20 distintas)",
+  },
+  recordatorios: {
+    type: "array",
+    items: { type: "integer", minimum: 0, maximum: MAX_REMINDER_OFFSET },
+    description: "Minutos de antelación respecto a la fecha límite (máximo 5 distintos)",
+  },
+  recurrencia: {
+    type: "string",
+    nullable: true,
+    pattern: `(^|;)FREQ=(${FREQUENCIES.join("|")})(;|$)`,
+    description: "Regla RRULE, p. ej. `FREQ=WEEKLY;BYDAY=MO,WE`",
+  },
+};
+
+// Campos de una tarea asignados por el servidor.
+const taskServerFields = {
+  id: { type: "string", readOnly: true },
+  username: { type: "string", readOnly: true, description: "Dueño de la tarea" },
+  version: { type: "integer", readOnly: true, description: "Aumenta con cada modificación" },
+  createdAt: { type: "string", format: "date-time", readOnly: true },
+  updatedAt: { type: "string", format: "date-time", readOnly: true },
+  sharedWith: { type: "array", items: ref("Share"), readOnly: true },
+  subtasks: { type: "array", items: ref("Subtask"), readOnly: true },
+  progreso: { ...ref("Progress"), readOnly: true },
+  blockedBy: { type: "array", items: { type: "string" }, readOnly: true },
+  nextOccurrenceId: { type: "string", nullable: true, readOnly: true },
+  previousOccurrenceId: { type: "string", nullable: true, readOnly: true },
+  rank: {
+    type: "string",
+    readOnly: true,
+    description: "Posición en la columna del tablero; se ordena comparando las cadenas",
+  },
+};
+
+const taskProperties = { ...taskServerFields, ...taskFields };
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["code", "message", "details", "requestId"],
+    properties: {
+      code: { type: "string", example: "TASK_NOT_FOUND" },
+      message: { type: "string", description: "Texto en español o inglés según `Accept-Language`" },
+      details: {
+        nullable: true,
+        description: "Información adicional, p. ej. la lista de campos inválidos (`FieldError`)",
+      },
+      requestId: { type: "string", description: "También en la cabecera `X-Request-Id`" },
+    },
+  },
+  FieldError: {
+    type: "object",
+    properties: {
+      field: { type: "string" },
+      code: { type: "string", example: "TITLE_REQUIRED" },
+      message: { type: "string", description: "En el mismo idioma que el `message` del error" },
+    },
+  },
+  Task: {
+    type: "object",
+    properties: taskProperties,
+  },
+  TaskInput: {
+    type: "object",
+    description: "Tarea completa (POST y PUT). Los campos del servidor se ignoran.",
+    required: ["titulo"],
+    additionalProperties: false,
+    properties: taskProperties,
+  },
+  TaskPatch: {
+    type: "object",
+    description: "Campos a modificar (PATCH). Los omitidos conservan su valor; debe incluir al menos un campo editable (`NO_EDITABLE_FIELDS`).",
+    additionalProperties: false,
+    properties: taskProperties,
+  },
+  TrashedTask: {
+    type: "object",
+    properties: {
+      ...taskProperties,
+      deletedAt: { type: "string", format: "date-time" },
+      deletedBy: { type: "string" },
+    },
+  },
+  TaskSummary: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      titulo: { type: "string" },
+      estado: { type: "string", enum: ESTADOS },
+      username: { type: "string" },
+    },
+  },
+  Progress: {
+    type: "object",
+    properties: {
+      total: { type: "integer" },
+      completadas: { type: "integer" },
+      porcentaje: { type: "integer", minimum: 0, maximum: 100 },
+    },
+  },
+  Subtask: {
+    type: "object",
+    properties: {
+      id: { type: "string", readOnly: true },
+      titulo: { type: "string" },
+      completada: { type: "boolean" },
+      createdAt: { type: "string", format: "date-time", readOnly: true },
+      updatedAt: { type: "string", format: "date-time", readOnly: true },
+    },
+  },
+  SubtaskInput: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      titulo: taskFields.titulo,
+      completada: { type: "boolean", default: false },
+    },
+  },
+  Share: {
+    type: "object",
+    properties: {
+      username: { type: "string" },
+      permission: { type: "string", enum: SHARE_PERMISSIONS },
+    },
+  },
+  Attachment: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      taskId: { type: "string" },
+      filename: { type: "string" },
+      contentType: { type: "string", enum: attachmentsConfig.allowedTypes },
+      size: { type: "integer", description: "Tamaño en bytes" },
+      uploadedBy: { type: "string" },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  Comment: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      taskId: { type: "string" },
+      username: { type: "string", description: "Autor del comentario" },
+      texto: { type: "string" },
+      mentions: { type: "array", items: { type: "string" }, description: "Usuarios mencionados con `@username`" },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" },
+    },
+  },
+  CommentInput: {
+    type: "object",
+    additionalProperties: false,
+    required: ["texto"],
+    properties: {
+      texto: {
+        type: "string",
+        pattern: "\\S",
+        maxLength: MAX_COMMENT_LENGTH,
+        "x-field-errors": {
+          required: "COMMENT_TEXT_REQUIRED",
+          pattern: "COMMENT_TEXT_REQUIRED",
+          maxLength: "COMMENT_TEXT_TOO_LONG",
+        },
+      },
+    },
+  },
+  Mention: {
+    allOf: [ref("Comment")],
+    type: "object",
+    properties: {
+      task: {
+        type: "object",
+        properties: { id: { type: "string" }, titulo: { type: "string" } },
+      },
+    },
+  },
+  Board: {
+    type: "object",
+    description: "Una columna por estado con sus tareas ordenadas por `rank`",
+    properties: Object.fromEntries(ESTADOS.map((estado) => [estado, { type: "array", items: ref("Task") }])),
+  },
+  MoveInput: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      estado: { type: "string", enum: ESTADOS, "x-field-errors": taskFields.estado["x-field-errors"] },
+      position: {
+        type: "integer",
+        minimum: 0,
+        description: "Índice en la columna de destino sin contar la tarea (por defecto, al final)",
+      },
+    },
+  },
+  TaskStats: {
+    type: "object",
+    properties: {
+      range: {
+        type: "object",
+        properties: {
+          from: { type: "string", format: "date" },
+          to: { type: "string", format: "date" },
+          interval: { type: "string", enum: STATS_INTERVALS },
+        },
+      },
+      total: { type: "integer" },
+      byEstado: { type: "object", properties: Object.fromEntries(ESTADOS.map((v) => [v, { type: "integer" }])) },
+      byPrioridad: { type: "object", properties: Object.fromEntries(PRIORIDADES.map((v) => [v, { type: "integer" }])) },
+      overdue: { type: "integer", description: "Tareas sin completar con la fecha límite vencida" },
+      completionRate: { type: "number", nullable: true, description: "Completadas / total (0 a 1)" },
+      averageCompletionHours: {
+        type: "number",
+        nullable: true,
+        description: "Horas medias entre la creación y la finalización de las completadas en el rango",
+      },
+      series: {
+        type: "array",
+        description: "Creadas y completadas por día, o por semana (lunes) con `interval=week`",
+        items: {
+          type: "object",
+          properties: {
+            date: { type: "string", format: "date" },
+            created: { type: "integer" },
+            completed: { type: "integer" },
+          },
+        },
+      },
+      byUser: {
+        type: "array",
+        description: "Solo en /admin/stats: resumen de cada dueño de tareas",
+        items: {
+          type: "object",
+          properties: {
+            username: { type: "string" },
+            total: { type: "integer" },
+            completadas: { type: "integer" },
+            overdue: { type: "integer" },
+            completionRate: { type: "number", nullable: true },
+          },
+        },
+      },
+    },
+  },
+  Webhook: {
+    type: "object",
+    properties: {
+      id: { type: "string", readOnly: true },
+      url: { type: "string", example: "https://chat.example.com/hooks/tareas" },
+      events: { type: "array", items: { type: "string", enum: WEBHOOK_EVENTS } },
+      active: { type: "boolean" },
+      secret: {
+        type: "string",
+        readOnly: true,
+        description: "Secreto de la firma `X-Webhook-Signature`; solo se devuelve al crear el webhook",
+      },
+      createdAt: { type: "string", format: "date-time", readOnly: true },
+      updatedAt: { type: "string", format: "date-time", readOnly: true },
+    },
+  },
+  WebhookInput: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      url: {
+        type: "string",
+        maxLength: 2000,
+        pattern: "^https?://",
+        description: "No puede apuntar a direcciones locales o privadas (`URL_PRIVATE_ADDRESS`), salvo con `WEBHOOK_ALLOW_PRIVATE_URLS`",
+        "x-field-errors": { pattern: "URL_PROTOCOL" },
+      },
+      events: {
+        type: "array",
+        minItems: 1,
+        items: { type: "string", enum: WEBHOOK_EVENTS },
+        default: WEBHOOK_EVENTS,
+      },
+      active: { type: "boolean", default: true },
+    },
+  },
+  WebhookDelivery: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      webhookId: { type: "string" },
+      event: { type: "string", enum: WEBHOOK_EVENTS },
+      payload: {
+        type: "object",
+        description: "Cuerpo enviado: `{ id, event, taskId, task, createdAt }`",
+      },
+      status: { type: "string", enum: ["pending", "succeeded", "failed"] },
+      attempts: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            at: { type: "string", format: "date-time" },
+            statusCode: { type: "integer", nullable: true },
+            error: { type: "string", nullable: true },
+            durationMs: { type: "integer" },
+          },
+        },
+      },
+      nextAttemptAt: { type: "string", format: "date-time", nullable: true },
+      createdAt: { type: "string", format: "date-time" },
+      completedAt: { type: "string", format: "date-time", nullable: true },
+    },
+  },
+  Dependencies: {
+    type: "object",
+    properties: {
+      blockedBy: { type: "array", items: ref("TaskSummary") },
+      blocking: { type: "array", items: ref("TaskSummary") },
+    },
+  },
+  HistoryEntry: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      taskId: { type: "string" },
+      username: { type: "string" },
+      action: { type: "string", enum: HISTORY_ACTIONS },
+      changes: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { field: { type: "string" }, from: {}, to: {} },
+        },
+      },
+      at: { type: "string", format: "date-time" },
+    },
+  },
+  Reminder: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      taskId: { type: "string" },
+      username: { type: "string" },
+      titulo: { type: "string" },
+      fechaLimite: { type: "string" },
+      offsetMinutes: { type: "integer" },
+      remindAt: { type: "string", format: "date-time" },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  BatchRequest: {
+    type: "object",
+    required: ["operations"],
+    properties: {
+      operations: {
+        type: "array",
+        description:
+          `Entre 1 y ${MAX_BATCH_OPERATIONS} operaciones: ` +
+          '`{ "op": "create", "task": {...} }`, `{ "op": "update", "id": "...", "task": {...} }` ' +
+          'o `{ "op": "delete", "id": "..." }`. Los errores de cada operación se indican ' +
+          "en `details` como `[{ index, errors }]`.",
+        items: ref("BatchOperation"),
+      },
+    },
+  },
+  BatchOperation: {
+    type: "object",
+    properties: {
+      op: { type: "string", description: "`create`, `update` o `delete`" },
+      id: { type: "string", description: "Tarea a modificar o eliminar" },
+      task: { type: "object", description: "Campos de la tarea, como en POST /tasks o PATCH /tasks/{id}" },
+    },
+  },
+  BatchResult: {
+    type: "object",
+    properties: {
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            index: { type: "integer" },
+            op: { type: "string" },
+            status: { type: "integer" },
+            task: ref("Task"),
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  ImportReport: {
+    type: "object",
+    properties: {
+      dryRun: { type: "boolean" },
+      total: { type: "integer" },
+      valid: { type: "integer" },
+      invalid: { type: "integer" },
+      errors: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            row: { type: "integer" },
+            errors: { type: "array", items: ref("FieldError") },
+          },
+        },
+      },
+      created: { type: "array", items: ref("Task") },
+    },
+  },
+  Project: {
+    type: "object",
+    properties: {
+      id: { type: "string", readOnly: true },
+      username: { type: "string", readOnly: true },
+      nombre: { type: "string" },
+      descripcion: { type: "string" },
+      createdAt: { type: "string", format: "date-time", readOnly: true },
+      updatedAt: { type: "string", format: "date-time", readOnly: true },
+    },
+  },
+  ProjectInput: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      nombre: { type: "string", minLength: 1, maxLength: 100, pattern: "\\S" },
+      descripcion: { type: "string", maxLength: 500 },
+    },
+  },
+  Tag: {
+    type: "object",
+    properties: {
+      id: { type: "string", readOnly: true },
+      username: { type: "string", readOnly: true },
+      nombre: { type: "string" },
+      color: { type: "string", nullable: true },
+      createdAt: { type: "string", format: "date-time", readOnly: true },
+      updatedAt: { type: "string", format: "date-time", readOnly: true },
+    },
+  },
+  TagInput: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      nombre: { type: "string", minLength: 1, maxLength: 50, pattern: "\\S" },
+      color: { type: "string", nullable: true, pattern: "^#[0-9a-fA-F]{6}$", example: "#ff8800" },
+    },
+  },
+  User: {
+    type: "object",
+    properties: {
+      username: { type: "string" },
+      role: { type: "string", enum: ROLES },
+      disabled: { type: "boolean" },
+      lockedUntil: { type: "string", format: "date-time", nullable: true },
+    },
+  },
+  UserPatch: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      role: { type: "string", enum: ROLES },
+      disabled: { type: "boolean" },
+    },
+  },
+  Registration: {
+    type: "object",
+    required: ["username", "password"],
+    properties: {
+      username: {
+        type: "string",
+        minLength: authConfig.usernamePolicy.minLength,
+        maxLength: authConfig.usernamePolicy.maxLength,
+        pattern: authConfig.usernamePolicy.pattern.source,
+        "x-field-errors": { required: "USERNAME_REQUIRED" },
+      },
+      password: {
+        type: "string",
+        minLength: authConfig.passwordPolicy.minLength,
+        description: "Debe contener al menos una letra y un número, y no coincidir con el usuario",
+        "x-field-errors": { required: "PASSWORD_REQUIRED" },
+      },
+    },
+  },
+  Credentials: {
+    type: "object",
+    required: ["username", "password"],
+    properties: {
+      username: { type: "string" },
+      password: { type: "string" },
+    },
+  },
+  Tokens: {
+    type: "object",
+    properties: {
+      token: { type: "string", description: "Access token JWT" },
+      refreshToken: { type: "string" },
+    },
+  },
+  Health: {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: ["ok", "error"] },
+      uptimeSeconds: { type: "integer" },
+      checks: {
+        type: "object",
+        description: "Una entrada por archivo de datos (`tasks.json`, `users.json`)",
+        additionalProperties: {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["ok", "error"] },
+            error: {
+              type: "string",
+              description: "Código del error de acceso (p. ej. `EACCES`) o `INVALID_JSON`",
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const parameters = {
+  taskId: { name: "id", in: "path", required: true, schema: { type: "string" }, description: "Tarea" },
+  estado: {
+    name: "estado",
+    in: "query",
+    style: "form",
+    explode: false,
+    schema: csv({ type: "string", enum: ESTADOS }),
+    description: "Uno o varios estados separados por comas",
+  },
+  prioridad: {
+    name: "prioridad",
+    in: "query",
+    style: "form",
+    explode: false,
+    schema: csv({ type: "string", enum: PRIORIDADES }),
+    description: "Una o varias prioridades separadas por comas",
+  },
+  fechaLimiteDesde: {
+    name: "fechaLimiteDesde",
+    in: "query",
+    schema: { type: "string", format: "date" },
+    description: "Fecha límite desde (inclusive)",
+  },
+  fechaLimiteHasta: {
+    name: "fechaLimiteHasta",
+    in: "query",
+    schema: { type: "string", format: "date" },
+    description: "Fecha límite hasta (inclusive; sin hora, hasta el final del día)",
+  },
+  q: {
+    name: "q",
+    in: "query",
+    schema: { type: "string" },
+    description: "Texto a buscar en `titulo` y `descripcion`",
+  },
+  project: {
+    name: "project",
+    in: "query",
+    schema: { type: "string", minLength: 1, pattern: "\\S" },
+    description: "Proyecto, o `none` para las tareas sin proyecto",
+  },
+  tag: {
+    name: "tag",
+    in: "query",
+    style: "form",
+    explode: false,
+    schema: csv({ type: "string" }),
+    description: "Etiquetas separadas por comas; la tarea debe llevarlas todas",
+  },
+  sort: {
+    name: "sort",
+    in: "query",
+    style: "form",
+    explode: false,
+    schema: csv({ type: "string", pattern: `^-?(${SORT_FIELDS.join("|")})$` }),
+    description: "Campos de ordenación separados por comas; `-` delante para orden descendente",
+    example: "-prioridad,fechaLimite",
+  },
+  page: { name: "page", in: "query", schema: { type: "integer", minimum: 1, default: 1 } },
+  limit: {
+    name: "limit",
+    in: "query",
+    schema: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+    description: "Tareas por página; sin él se devuelven todas",
+  },
+  ifMatch: {
+    name: "If-Match",
+    in: "header",
+    schema: { type: "string" },
+    description: "ETag de la tarea; el cambio solo se aplica si conserva esa versión",
+  },
+};
+
+const responses = Object.fromEntries(
+  [
+    ["BadRequest", "Datos inválidos"],
+    ["Unauthorized", "Falta el token o la sesión no es válida"],
+    ["Forbidden", "Permisos insuficientes"],
+    ["NotFound", "No encontrado"],
+    ["Conflict", "Conflicto con el estado actual"],
+    ["PreconditionFailed", "La tarea cambió desde la versión de `If-Match`"],
+    ["PayloadTooLarge", "El cuerpo o el archivo supera el tamaño máximo"],
+    ["UnsupportedMediaType", "Tipo de archivo no admitido"],
+    ["TooManyRequests", "Demasiadas solicitudes"],
+  ].map(([name, description]) => [name, json(ref("Error"), description)])
+);
+
+// Respuestas de error comunes a las rutas que exigen autenticación.
+const authErrors = { 401: error("Unauthorized"), 403: error("Forbidden") };
+
+const paths = {
+  "/health": {
+    get: {
+      tags: ["Supervisión"],
+      summary: "Estado del servidor y de sus archivos de datos",
+      security: [],
+      responses: {
+        200: json(ref("Health"), "Los archivos de datos se pueden leer y escribir"),
+        503: json(ref("Health"), "Algún archivo de datos no es accesible"),
+      },
+    },
+  },
+  "/metrics": {
+    get: {
+      tags: ["Supervisión"],
+      summary: "Métricas en formato Prometheus",
+      description: "Peticiones y duración por método y ruta (`http_requests_total`, `http_request_duration_seconds`).",
+      security: [],
+      responses: { 200: { description: "Métricas", content: { "text/plain": {} } } },
+    },
+  },
+  "/openapi.json": {
+    get: {
+      tags: ["Documentación"],
+      summary: "Esta especificación",
+      security: [],
+      responses: { 200: json({ type: "object" }, "Documento OpenAPI") },
+    },
+  },
+  "/docs": {
+    get: {
+      tags: ["Documentación"],
+      summary: "Documentación interactiva",
+      security: [],
+      responses: { 200: { description: "Página HTML", content: { "text/html": {} } } },
+    },
+  },
+  "/config": {
+    get: {
+      tags: ["Documentación"],
+      summary: "Configuración del front end",
+      security: [],
+      responses: {
+        200: json(
+          { type: "object", properties: { apiBaseUrl: { type: "string", example: API_PREFIX } } },
+          "URL base de la API para el front end"
+        ),
+      },
+    },
+  },
+
+  "/auth/register": {
+    post: {
+      tags: ["Autenticación"],
+      summary: "Registrar un usuario",
+      security: [],
+      "x-error-code": "INVALID_REGISTRATION",
+      requestBody: { required: true, ...json(ref("Registration")) },
+      responses: {
+        201: text("Usuario registrado"),
+        400: error("BadRequest"),
+        409: error("Conflict"),
+        429: error("TooManyRequests"),
+      },
+    },
+  },
+  "/auth/login": {
+    post: {
+      tags: ["Autenticación"],
+      summary: "Iniciar sesión",
+      description: "Tras varios intentos fallidos la cuenta se bloquea temporalmente (423, con `Retry-After`); el bloqueo solo se indica si la contraseña es correcta, y con una incorrecta se responde 401.",
+      security: [],
+      "x-error-code": "CREDENTIALS_REQUIRED",
+      requestBody: { required: true, ...json(ref("Credentials")) },
+      responses: {
+        200: json(ref("Tokens"), "Access token y refresh token"),
+        400: error("BadRequest"),
+        401: error("Unauthorized"),
+        403: error("Forbidden"),
+        423: json(ref("Error"), "Cuenta bloqueada temporalmente"),
+        429: error("TooManyRequests"),
+      },
+    },
+  },
+  "/auth/refresh": {
+    post: {
+      tags: ["Autenticación"],
+      summary: "Renovar los tokens",
+      description: "El refresh token se rota; reutilizar uno ya rotado revoca la sesión.",
+      security: [],
+      requestBody: json({ type: "object", properties: { refreshToken: { type: "string" } } }),
+      responses: {
+        200: json(ref("Tokens"), "Nuevo par de tokens"),
+        401: error("Unauthorized"),
+        429: error("TooManyRequests"),
+      },
+    },
+  },
+  "/auth/logout": {
+    post: {
+      tags: ["Autenticación"],
+      summary: "Cerrar sesión",
+      description:
+        "Revoca la sesión del refresh token del cuerpo o, si no se envía, la del access token de `Authorization`.",
+      security: [],
+      requestBody: json({ type: "object", properties: { refreshToken: { type: "string" } } }),
+      responses: {
+        204: empty("Sesión cerrada"),
+        401: error("Unauthorized"),
+        429: error("TooManyRequests"),
+      },
+    },
+  },
+
+  "/tasks": {
+    get: {
+      tags: ["Tareas"],
+      summary: "Listar las tareas del usuario",
+      parameters: TASK_QUERY,
+      responses: { 200: taskList("Tareas"), 400: error("BadRequest"), ...authErrors },
+    },
+    post: {
+      tags: ["Tareas"],
+      summary: "Crear una tarea",
+      "x-error-code": "INVALID_TASK",
+      requestBody: { required: true, ...json(ref("TaskInput")) },
+      responses: {
+        201: withEtag(json(ref("Task"), "La tarea creada")),
+        400: error("BadRequest"),
+        ...authErrors,
+      },
+    },
+  },
+  "/tasks/shared": {
+    get: {
+      tags: ["Tareas"],
+      summary: "Listar las tareas compartidas con el usuario",
+      parameters: TASK_QUERY,
+      responses: { 200: taskList("Tareas"), 400: error("BadRequest"), ...authErrors },
+    },
+  },
+  "/tasks/upcoming": {
+    get: {
+      tags: ["Tareas"],
+      summary: "Tareas que vencen en los próximos días",
+      parameters: [
+        { name: "days", in: "query", schema: { type: "integer", minimum: 1, maximum: 365, default: 7 } },
+      ],
+      responses: { 200: list("Task", "Tareas por fecha límite"), 400: error("BadRequest"), ...authErrors },
+    },
+  },
+  "/tasks/overdue": {
+    get: {
+      tags: ["Tareas"],
+      summary: "Tareas vencidas",
+      responses: { 200: list("Task", "Tareas por fecha límite"), ...authErrors },
+    },
+  },
+  "/tasks/reminders": {
+    get: {
+      tags: ["Tareas"],
+      summary: "Recordatorios del usuario",
+      parameters: [
+        {
+          name: "since",
+          in: "query",
+          schema: { type: "string", format: "date-time" },
+          description: "Solo los vencidos después de esta fecha",
+        },
+      ],
+      responses: { 200: list("Reminder", "Recordatorios"), 400: error("BadRequest"), ...authErrors },
+    },
+  },
+  "/tasks/mentions": {
+    get: {
+      tags: ["Comentarios"],
+      summary: "Comentarios que mencionan al usuario",
+      parameters: [
+        {
+          name: "since",
+          in: "query",
+          schema: { type: "string", format: "date-time" },
+          description: "Solo los creados después de esta fecha",
+        },
+      ],
+      responses: { 200: list("Mention", "Menciones"), 400: error("BadRequest"), ...authErrors },
+    },
+  },
+  "/tasks/stats": {
+    get: {
+      tags: ["Tareas"],
+      summary: "Estadísticas de productividad del usuario",
+      parameters: STATS_QUERY,
+      responses: { 200: json(ref("TaskStats"), "Estadísticas"), 400: error("BadRequest"), ...authErrors },
+    },
+  },
+  "/tasks/board": {
+    get: {
+      tags: ["Tablero"],
+      summary: "Tablero del usuario: sus tareas por estado, en orden",
+      responses: { 200: json(ref("Board"), "Columnas del tablero"), ...authErrors },
+    },
+  },
+  "/tasks/batch": {
+    post: {
+      tags: ["Tareas"],
+      summary: "Aplicar varias operaciones en un lote atómico",
+      "x-error-code": "INVALID_BATCH",
+      requestBody: { required: true, ...json(ref("BatchRequest")) },
+      responses: {
+        200: json(ref("BatchResult"), "Resultado de cada operación"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+        409: error("Conflict"),
+      },
+    },
+  },
+  "/tasks/export": {
+    get: {
+      tags: ["Importar y exportar"],
+      summary: "Exportar las tareas del usuario",
+      parameters: [
+        {
+          name: "format",
+          in: "query",
+          schema: { type: "string" },
+          description: `${FORMATS.join(", ")}; si se omite se usa la cabecera \`Accept\` (JSON por defecto)`,
+        },
+        ...TASK_FILTERS,
+      ],
+      responses: {
+        200: {
+          description: "Archivo adjunto (`tareas.csv`, `tareas.json` o `tareas.ics`)",
+          content: {
+            "text/csv": { schema: { type: "string" } },
+            "application/json": { schema: { type: "array", items: ref("Task") } },
+            "text/calendar": { schema: { type: "string" } },
+          },
+        },
+        400: error("BadRequest"),
+        ...authErrors,
+      },
+    },
+  },
+  "/tasks/import": {
+    post: {
+      tags: ["Importar y exportar"],
+      summary: "Importar tareas",
+      description: "Con `dryRun=true` solo se validan las filas. Si alguna es inválida no se importa ninguna.",
+      "x-error-code": "JSON_NOT_TASK_LIST",
+      parameters: [
+        {
+          name: "format",
+          in: "query",
+          schema: { type: "string" },
+          description: `${FORMATS.join(", ")}; si se omite se usa el tipo de contenido`,
+        },
+        { name: "dryRun", in: "query", schema: { type: "boolean", default: false } },
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          "text/csv": { schema: { type: "string" } },
+          "text/calendar": { schema: { type: "string" } },
+          "application/json": {
+            schema: {
+              oneOf: [
+                { type: "array" },
+                { type: "object", required: ["tasks"], properties: { tasks: { type: "array" } } },
+              ],
+            },
+          },
+        },
+      },
+      responses: {
+        200: json(ref("ImportReport"), "Informe del modo de prueba"),
+        201: json(ref("ImportReport"), "Informe con las tareas creadas"),
+        400: error("BadRequest"),
+        ...authErrors,
+      },
+    },
+  },
+  "/tasks/events": {
+    get: {
+      tags: ["Tareas"],
+      summary: "Cambios de las tareas en tiempo real (Server-Sent Events)",
+      description:
+        "Eventos `task.created`, `task.updated` y `task.deleted` con `data` `{ taskId, task, at }`. " +
+        "Con `Last-Event-ID` se reciben primero los eventos perdidos.",
+      security: [{ bearerAuth: [] }, { accessToken: [] }],
+      parameters: [
+        { name: "lastEventId", in: "query", schema: { type: "string" } },
+        { name: "Last-Event-ID", in: "header", schema: { type: "string" } },
+      ],
+      responses: {
+        200: { description: "Flujo de eventos", content: { "text/event-stream": {} } },
+        ...authErrors,
+      },
+    },
+  },
+  "/tasks/trash": {
+    get: {
+      tags: ["Papelera"],
+      summary: "Listar la papelera",
+      responses: { 200: list("TrashedTask", "Tareas eliminadas"), ...authErrors },
+    },
+  },
+  "/tasks/trash/{id}": {
+    parameters: [param("taskId")],
+    delete: {
+      tags: ["Papelera"],
+      summary: "Purgar una tarea de la papelera",
+      responses: { 204: empty("Tarea purgada"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/tasks/trash/{id}/restore": {
+    parameters: [param("taskId")],
+    post: {
+      tags: ["Papelera"],
+      summary: "Restaurar una tarea de la papelera",
+      responses: { 200: json(ref("Task"), "La tarea restaurada"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/tasks/{id}": {
+    parameters: [param("taskId")],
+    get: {
+      tags: ["Tareas"],
+      summary: "Obtener una tarea",
+      responses: { 200: withEtag(json(ref("Task"), "La tarea")), ...authErrors, 404: error("NotFound") },
+    },
+    patch: {
+      tags: ["Tareas"],
+      summary: "Modificar campos de una tarea",
+      "x-error-code": "INVALID_TASK",
+      parameters: [param("ifMatch")],
+      requestBody: { required: true, ...json(ref("TaskPatch")) },
+      responses: {
+        200: withEtag(json(ref("Task"), "La tarea actualizada")),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+        409: error("Conflict"),
+        412: error("PreconditionFailed"),
+      },
+    },
+    put: {
+      tags: ["Tareas"],
+      summary: "Reemplazar una tarea",
+      description: "Los campos editables omitidos vuelven a su valor por defecto.",
+      "x-error-code": "INVALID_TASK",
+      parameters: [param("ifMatch")],
+      requestBody: { required: true, ...json(ref("TaskInput")) },
+      responses: {
+        200: withEtag(json(ref("Task"), "La tarea reemplazada")),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+        409: error("Conflict"),
+        412: error("PreconditionFailed"),
+      },
+    },
+    delete: {
+      tags: ["Tareas"],
+      summary: "Mover una tarea a la papelera",
+      parameters: [param("ifMatch")],
+      responses: {
+        200: text("Tarea eliminada"),
+        ...authErrors,
+        404: error("NotFound"),
+        412: error("PreconditionFailed"),
+      },
+    },
+  },
+  "/tasks/{id}/move": {
+    parameters: [param("taskId")],
+    post: {
+      tags: ["Tablero"],
+      summary: "Mover una tarea de columna y de posición en el tablero",
+      description:
+        "Cambiar de columna es un cambio de estado como el de PATCH. Sin `position` la tarea va al final de la columna.",
+      "x-error-code": "INVALID_MOVE",
+      parameters: [param("ifMatch")],
+      requestBody: { required: true, ...json(ref("MoveInput")) },
+      responses: {
+        200: withEtag(json(ref("Task"), "La tarea movida")),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+        409: error("Conflict"),
+        412: error("PreconditionFailed"),
+      },
+    },
+  },
+  "/tasks/{id}/history": {
+    parameters: [param("taskId")],
+    get: {
+      tags: ["Tareas"],
+      summary: "Historial de cambios de una tarea",
+      responses: { 200: list("HistoryEntry", "Entradas en orden cronológico"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/tasks/{id}/shares": {
+    parameters: [param("taskId")],
+    get: {
+      tags: ["Compartir"],
+      summary: "Usuarios con acceso a la tarea",
+      responses: { 200: list("Share", "Usuarios y permisos"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/tasks/{id}/shares/{username}": {
+    parameters: [param("taskId"), { name: "username", in: "path", required: true, schema: { type: "string" } }],
+    put: {
+      tags: ["Compartir"],
+      summary: "Compartir la tarea o cambiar el permiso",
+      "x-error-code": "INVALID_SHARE",
+      requestBody: {
+        required: true,
+        ...json({
+          type: "object",
+          required: ["permission"],
+          properties: {
+            permission: {
+              type: "string",
+              enum: SHARE_PERMISSIONS,
+              "x-field-errors": { enum: "SHARE_PERMISSION_NOT_ALLOWED" },
+            },
+          },
+        }),
+      },
+      responses: {
+        200: list("Share", "Usuarios y permisos"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+      },
+    },
+    delete: {
+      tags: ["Compartir"],
+      summary: "Dejar de compartir la tarea",
+      description: "El dueño puede quitar a cualquiera; los demás solo a sí mismos.",
+      responses: { 204: empty("Acceso retirado"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/tasks/{id}/subtasks": {
+    parameters: [param("taskId")],
+    get: {
+      tags: ["Subtareas"],
+      summary: "Listar las subtareas",
+      responses: { 200: list("Subtask", "Subtareas"), ...authErrors, 404: error("NotFound") },
+    },
+    post: {
+      tags: ["Subtareas"],
+      summary: "Crear una subtarea",
+      "x-error-code": "INVALID_SUBTASK",
+      requestBody: { required: true, ...json({ ...schemas.SubtaskInput, required: ["titulo"] }) },
+      responses: {
+        201: json(ref("Subtask"), "La subtarea creada"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+      },
+    },
+  },
+  "/tasks/{id}/subtasks/{subtaskId}": {
+    parameters: [param("taskId"), { name: "subtaskId", in: "path", required: true, schema: { type: "string" } }],
+    put: {
+      tags: ["Subtareas"],
+      summary: "Modificar una subtarea",
+      "x-error-code": "INVALID_SUBTASK",
+      requestBody: { required: true, ...json(ref("SubtaskInput")) },
+      responses: {
+        200: json(ref("Subtask"), "La subtarea actualizada"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+      },
+    },
+    delete: {
+      tags: ["Subtareas"],
+      summary: "Eliminar una subtarea",
+      responses: { 204: empty("Subtarea eliminada"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/tasks/{id}/attachments": {
+    parameters: [param("taskId")],
+    get: {
+      tags: ["Adjuntos"],
+      summary: "Listar los archivos adjuntos",
+      responses: { 200: list("Attachment", "Adjuntos"), ...authErrors, 404: error("NotFound") },
+    },
+    post: {
+      tags: ["Adjuntos"],
+      summary: "Subir un archivo adjunto",
+      description:
+        `Tamaño máximo: ${attachmentsConfig.maxFileSize} bytes. ` +
+        "Requiere ser el dueño o editor de la tarea.",
+      requestBody: {
+        required: true,
+        content: {
+          "multipart/form-data": {
+            schema: {
+              type: "object",
+              required: [ATTACHMENT_FIELD],
+              properties: { [ATTACHMENT_FIELD]: { type: "string", format: "binary" } },
+            },
+          },
+        },
+      },
+      responses: {
+        201: json(ref("Attachment"), "El adjunto creado"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+        413: error("PayloadTooLarge"),
+        415: error("UnsupportedMediaType"),
+      },
+    },
+  },
+  "/tasks/{id}/attachments/{attachmentId}": {
+    parameters: [param("taskId"), { name: "attachmentId", in: "path", required: true, schema: { type: "string" } }],
+    get: {
+      tags: ["Adjuntos"],
+      summary: "Descargar un archivo adjunto",
+      responses: {
+        200: {
+          description: "El archivo, como descarga (`Content-Disposition: attachment`)",
+          content: { "application/octet-stream": { schema: { type: "string", format: "binary" } } },
+        },
+        ...authErrors,
+        404: error("NotFound"),
+      },
+    },
+    delete: {
+      tags: ["Adjuntos"],
+      summary: "Eliminar un archivo adjunto",
+      responses: { 204: empty("Adjunto eliminado"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/tasks/{id}/comments": {
+    parameters: [param("taskId")],
+    get: {
+      tags: ["Comentarios"],
+      summary: "Listar los comentarios",
+      responses: { 200: list("Comment", "Comentarios"), ...authErrors, 404: error("NotFound") },
+    },
+    post: {
+      tags: ["Comentarios"],
+      summary: "Comentar la tarea",
+      "x-error-code": "INVALID_COMMENT",
+      requestBody: { required: true, ...json(ref("CommentInput")) },
+      responses: {
+        201: json(ref("Comment"), "El comentario creado"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+      },
+    },
+  },
+  "/tasks/{id}/comments/{commentId}": {
+    parameters: [param("taskId"), { name: "commentId", in: "path", required: true, schema: { type: "string" } }],
+    patch: {
+      tags: ["Comentarios"],
+      summary: "Editar un comentario",
+      description: "Solo el autor puede editarlo.",
+      "x-error-code": "INVALID_COMMENT",
+      requestBody: { required: true, ...json(ref("CommentInput")) },
+      responses: {
+        200: json(ref("Comment"), "El comentario actualizado"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+      },
+    },
+    delete: {
+      tags: ["Comentarios"],
+      summary: "Eliminar un comentario",
+      description: "Solo el autor puede eliminarlo.",
+      responses: { 204: empty("Comentario eliminado"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/tasks/{id}/dependencies": {
+    parameters: [param("taskId")],
+    get: {
+      tags: ["Dependencias"],
+      summary: "Tareas que bloquean a esta y tareas que esta bloquea",
+      responses: { 200: json(ref("Dependencies"), "Dependencias"), ...authErrors, 404: error("NotFound") },
+    },
+    post: {
+      tags: ["Dependencias"],
+      summary: "Añadir una tarea bloqueante",
+      "x-error-code": "DEPENDENCY_REQUIRED",
+      requestBody: {
+        required: true,
+        ...json({ type: "object", required: ["taskId"], properties: { taskId: { type: "string", minLength: 1 } } }),
+      },
+      responses: {
+        201: json({ type: "array", items: { type: "string" } }, "Lista `blockedBy` actualizada"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+        409: error("Conflict"),
+      },
+    },
+  },
+  "/tasks/{id}/dependencies/{blockerId}": {
+    parameters: [param("taskId"), { name: "blockerId", in: "path", required: true, schema: { type: "string" } }],
+    delete: {
+      tags: ["Dependencias"],
+      summary: "Quitar una tarea bloqueante",
+      responses: { 204: empty("Dependencia eliminada"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+
+  "/projects": {
+    get: {
+      tags: ["Proyectos"],
+      summary: "Listar los proyectos del usuario",
+      responses: { 200: list("Project", "Proyectos"), ...authErrors },
+    },
+    post: {
+      tags: ["Proyectos"],
+      summary: "Crear un proyecto",
+      "x-error-code": "INVALID_PROJECT",
+      requestBody: { required: true, ...json({ ...schemas.ProjectInput, required: ["nombre"] }) },
+      responses: {
+        201: json(ref("Project"), "El proyecto creado"),
+        400: error("BadRequest"),
+        ...authErrors,
+        409: error("Conflict"),
+      },
+    },
+  },
+  "/projects/{id}": {
+    parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+    get: {
+      tags: ["Proyectos"],
+      summary: "Obtener un proyecto",
+      responses: { 200: json(ref("Project"), "El proyecto"), ...authErrors, 404: error("NotFound") },
+    },
+    put: {
+      tags: ["Proyectos"],
+      summary: "Modificar un proyecto",
+      description: "Los campos omitidos conservan su valor.",
+      "x-error-code": "INVALID_PROJECT",
+      requestBody: { required: true, ...json(ref("ProjectInput")) },
+      responses: {
+        200: json(ref("Project"), "El proyecto actualizado"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+        409: error("Conflict"),
+      },
+    },
+    delete: {
+      tags: ["Proyectos"],
+      summary: "Eliminar un proyecto",
+      description: "Sus tareas se conservan sin proyecto.",
+      responses: { 204: empty("Proyecto eliminado"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/tags": {
+    get: {
+      tags: ["Etiquetas"],
+      summary: "Listar las etiquetas del usuario",
+      responses: { 200: list("Tag", "Etiquetas"), ...authErrors },
+    },
+    post: {
+      tags: ["Etiquetas"],
+      summary: "Crear una etiqueta",
+      "x-error-code": "INVALID_TAG",
+      requestBody: { required: true, ...json({ ...schemas.TagInput, required: ["nombre"] }) },
+      responses: {
+        201: json(ref("Tag"), "La etiqueta creada"),
+        400: error("BadRequest"),
+        ...authErrors,
+        409: error("Conflict"),
+      },
+    },
+  },
+  "/tags/{id}": {
+    parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+    get: {
+      tags: ["Etiquetas"],
+      summary: "Obtener una etiqueta",
+      responses: { 200: json(ref("Tag"), "La etiqueta"), ...authErrors, 404: error("NotFound") },
+    },
+    put: {
+      tags: ["Etiquetas"],
+      summary: "Modificar una etiqueta",
+      description: "Los campos omitidos conservan su valor.",
+      "x-error-code": "INVALID_TAG",
+      requestBody: { required: true, ...json(ref("TagInput")) },
+      responses: {
+        200: json(ref("Tag"), "La etiqueta actualizada"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+        409: error("Conflict"),
+      },
+    },
+    delete: {
+      tags: ["Etiquetas"],
+      summary: "Eliminar una etiqueta",
+      description: "Se quita también de las tareas que la llevaban.",
+      responses: { 204: empty("Etiqueta eliminada"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+
+  "/webhooks": {
+    get: {
+      tags: ["Webhooks"],
+      summary: "Listar los webhooks del usuario",
+      responses: { 200: list("Webhook", "Webhooks, sin el secreto"), ...authErrors },
+    },
+    post: {
+      tags: ["Webhooks"],
+      summary: "Registrar un webhook",
+      description:
+        "Los eventos se envían por POST firmados con HMAC-SHA256 (`X-Webhook-Signature`) " +
+        "y se reintentan con backoff exponencial si la URL no responde 2xx.",
+      "x-error-code": "INVALID_WEBHOOK",
+      requestBody: { required: true, ...json({ ...schemas.WebhookInput, required: ["url"] }) },
+      responses: {
+        201: json(ref("Webhook"), "El webhook creado, con su secreto"),
+        400: error("BadRequest"),
+        ...authErrors,
+      },
+    },
+  },
+  "/webhooks/{id}": {
+    parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+    get: {
+      tags: ["Webhooks"],
+      summary: "Obtener un webhook",
+      responses: { 200: json(ref("Webhook"), "El webhook"), ...authErrors, 404: error("NotFound") },
+    },
+    put: {
+      tags: ["Webhooks"],
+      summary: "Modificar un webhook",
+      description: "Los campos omitidos conservan su valor.",
+      "x-error-code": "INVALID_WEBHOOK",
+      requestBody: { required: true, ...json(ref("WebhookInput")) },
+      responses: {
+        200: json(ref("Webhook"), "El webhook actualizado"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+      },
+    },
+    delete: {
+      tags: ["Webhooks"],
+      summary: "Eliminar un webhook y su registro de entregas",
+      responses: { 204: empty("Webhook eliminado"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/webhooks/{id}/deliveries": {
+    parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+    get: {
+      tags: ["Webhooks"],
+      summary: "Registro de entregas del webhook",
+      responses: { 200: list("WebhookDelivery", "Entregas, la más reciente primero"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+
+  "/admin/users": {
+    get: {
+      tags: ["Administración"],
+      summary: "Listar los usuarios",
+      responses: { 200: list("User", "Usuarios, sin contraseñas"), ...authErrors },
+    },
+  },
+  "/admin/users/{username}": {
+    parameters: [{ name: "username", in: "path", required: true, schema: { type: "string" } }],
+    patch: {
+      tags: ["Administración"],
+      summary: "Cambiar el rol o deshabilitar un usuario",
+      description: "Al deshabilitar una cuenta se revocan sus sesiones.",
+      "x-error-code": "INVALID_USER",
+      requestBody: { required: true, ...json(ref("UserPatch")) },
+      responses: {
+        200: json(ref("User"), "El usuario actualizado"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+        409: error("Conflict"),
+      },
+    },
+  },
+  "/admin/users/{username}/reset-password": {
+    parameters: [{ name: "username", in: "path", required: true, schema: { type: "string" } }],
+    post: {
+      tags: ["Administración"],
+      summary: "Restablecer la contraseña de un usuario",
+      description: "Desbloquea la cuenta y revoca sus sesiones.",
+      "x-error-code": "INVALID_PASSWORD",
+      requestBody: {
+        required: true,
+        ...json({
+          type: "object",
+          required: ["password"],
+          properties: { password: schemas.Registration.properties.password },
+        }),
+      },
+      responses: { 204: empty("Contraseña restablecida"), 400: error("BadRequest"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/admin/users/{username}/tasks": {
+    parameters: [{ name: "username", in: "path", required: true, schema: { type: "string" } }],
+    get: {
+      tags: ["Administración"],
+      summary: "Listar las tareas de un usuario",
+      parameters: TASK_QUERY,
+      responses: { 200: taskList("Tareas"), 400: error("BadRequest"), ...authErrors, 404: error("NotFound") },
+    },
+  },
+  "/admin/tasks": {
+    get: {
+      tags: ["Administración"],
+      summary: "Listar las tareas de todos los usuarios",
+      parameters: [{ name: "username", in: "query", schema: { type: "string" } }, ...TASK_QUERY],
+      responses: { 200: taskList("Tareas"), 400: error("BadRequest"), ...authErrors },
+    },
+  },
+  "/admin/stats": {
+    get: {
+      tags: ["Administración"],
+      summary: "Estadísticas de productividad de todos los usuarios",
+      parameters: [{ name: "username", in: "query", schema: { type: "string" } }, ...STATS_QUERY],
+      responses: { 200: json(ref("TaskStats"), "Estadísticas"), 400: error("BadRequest"), ...authErrors },
+    },
+  },
+  "/admin/tasks/{id}/reassign": {
+    parameters: [param("taskId")],
+    post: {
+      tags: ["Administración"],
+      summary: "Reasignar una tarea a otro usuario",
+      description: "La tarea sale del proyecto y pierde las etiquetas del dueño anterior.",
+      "x-error-code": "INVALID_TARGET_USER",
+      requestBody: {
+        required: true,
+        ...json({ type: "object", required: ["username"], properties: { username: { type: "string" } } }),
+      },
+      responses: {
+        200: json(ref("Task"), "La tarea reasignada"),
+        400: error("BadRequest"),
+        ...authErrors,
+        404: error("NotFound"),
+      },
+    },
+  },
+};
+
+/**
+ * Documento OpenAPI 3 de la API.
+ */
+const openapi = {
+  openapi: "3.0.3",
+  info: {
+    title: "Gestor de tareas",
+    version: "1.0.0",
+    description:
+      "API de gestión de tareas. Las rutas protegidas requieren un access token JWT " +
+      "(`Authorization: Bearer <token>`) obtenido en POST /auth/login. Los errores " +
+      "responden con el esquema `Error`. Las rutas responden también sin el prefijo " +
+      `\`${API_PREFIX}\`, para los clientes anteriores.`,
+  },
+  servers: [{ url: API_PREFIX }],
+  tags: [
+    "Autenticación",
+    "Tareas",
+    "Tablero",
+    "Subtareas",
+    "Adjuntos",
+    "Comentarios",
+    "Dependencias",
+    "Compartir",
+    "Papelera",
+    "Importar y exportar",
+    "Proyectos",
+    "Etiquetas",
+    "Webhooks",
+    "Administración",
+    "Supervisión",
+    "Documentación",
+  ].map((name) => ({ name })),
+  security: [{ bearerAuth: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      accessToken: {
+        type: "apiKey",
+        in: "query",
+        name: "access_token",
+        description: "Access token en la URL, para `EventSource` (solo GET /tasks/events)",
+      },
+    },
+    schemas,
+    parameters,
+    responses,
+  },
+};
+
+export default openapi;
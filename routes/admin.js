@@ -0,0 +1,322 @@
+/**
+ * Módulo de administración.
+ *
+ * Endpoints reservados a usuarios con rol `admin` para gestionar cuentas
+ * (listar, cambiar rol, deshabilitar, restablecer contraseña) y para consultar o
+ * reasignar las tareas de cualquier usuario y ver sus estadísticas. Todas las rutas exigen un token
+ * válido (`authenticateJWT`) y el rol de administrador (`authorize("admin")`).
+ */
+
+import express from "express";
+import bcrypt from "bcryptjs";
+import { authenticateJWT, authorize } from "../middleware/auth.js";
+import { ApiError, fieldError, validationError } from "../errors.js";
+import { tasksRepository, usersRepository } from "../storage/index.js";
+import { ROLES, roleOf, toPublicUser, validatePassword } from "../models/user.js";
+import { touchTask } from "../models/task.js";
+import { placeTask } from "../models/taskRank.js";
+import {
+  applyTaskQuery,
+  paginationHeaders,
+  parseTaskQuery,
+} from "../models/taskQuery.js";
+import { parseStatsQuery } from "../models/taskStats.js";
+import { revokeUserSessions } from "../services/sessions.js";
+import { recordTaskHistory } from "../services/taskHistory.js";
+import { publishTaskChange } from "../services/taskEvents.js";
+import { taskStats } from "../services/taskStats.js";
+
+// Crear el enrutador de Express; todas sus rutas requieren rol de administrador.
+const router = express.Router();
+router.use(authenticateJWT, authorize("admin"));
+
+/**
+ * Responde con la página de tareas resultante de aplicar los parámetros de consulta
+ * de GET /tasks sobre `tasks`.
+ */
+const sendTaskList = (req, res, next, tasks, query) => {
+  const { errors, options } = parseTaskQuery(query);
+  if (errors.length > 0) {
+    return next(validationError("INVALID_QUERY", errors));
+  }
+  const result = applyTaskQuery(tasks, options);
+  res.set(paginationHeaders(result, req.baseUrl + req.path, req.query));
+  res.json(result.items);
+};
+
+/**
+ * Listar usuarios.
+ *
+ * Endpoint: GET /users
+ *
+ * Responde con todos los usuarios registrados, sin sus contraseñas.
+ */
+router.get("/users", async (req, res, next) => {
+  try {
+    const users = await usersRepository.all();
+    res.json(users.map(toPublicUser));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Modificar el rol o el estado de un usuario.
+ *
+ * Endpoint: PATCH /users/:username
+ *
+ * Recibe en el cuerpo de la petición (ambos opcionales):
+ *   - role: nuevo rol (`user` o `admin`).
+ *   - disabled: `true` para deshabilitar la cuenta, `false` para habilitarla.
+ *
+ * Al deshabilitar una cuenta o cambiar su rol se revocan todas sus sesiones. Un
+ * administrador no puede deshabilitarse ni quitarse el rol de administrador a sí mismo.
+ *
+ * Respuestas:
+ *   - 200: el usuario actualizado.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 404: "Usuario no encontrado".
+ *   - 409: "No puede deshabilitar ni degradar su propia cuenta".
+ */
+router.patch("/users/:username", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    const body = req.body ?? {};
+    const errors = [];
+    for (const field of Object.keys(body)) {
+      if (field === "role") {
+        if (!ROLES.includes(body.role)) {
+          errors.push(fieldError(field, "ROLE_NOT_ALLOWED", { values: ROLES.join(", ") }));
+        }
+      } else if (field === "disabled") {
+        if (typeof body.disabled !== "boolean") {
+          errors.push(fieldError(field, "TYPE_BOOLEAN"));
+        }
+      } else {
+        errors.push(fieldError(field, "FIELD_NOT_ALLOWED"));
+      }
+    }
+    if (errors.length > 0) {
+      return next(validationError("INVALID_USER", errors));
+    }
+
+    if (
+      username === req.user.username &&
+      (body.disabled === true || (body.role && body.role !== "admin"))
+    ) {
+      return next(new ApiError(409, "SELF_DEMOTION"));
+    }
+
+    let previousRole = null;
+    const user = await usersRepository.update(
+      (u) => u.username === username,
+      (u) => {
+        previousRole = roleOf(u);
+        return {
+          ...u,
+          role: body.role ?? previousRole,
+          disabled: body.disabled ?? Boolean(u.disabled),
+        };
+      }
+    );
+    if (!user) {
+      return next(new ApiError(404, "USER_NOT_FOUND"));
+    }
+
+    // Los access tokens llevan el rol, así que tras un cambio de rol (o al
+    // deshabilitar la cuenta) se revocan sus sesiones para que no sigan en uso.
+    if (user.disabled) {
+      await revokeUserSessions(user.username, "disabled");
+    } else if (user.role !== previousRole) {
+      await revokeUserSessions(user.username, "role_changed");
+    }
+    res.json(toPublicUser(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Restablecer la contraseña de un usuario.
+ *
+ * Endpoint: POST /users/:username/reset-password
+ *
+ * Recibe en el cuerpo de la petición:
+ *   - password: nueva contraseña, que debe cumplir la política configurada.
+ *
+ * Además de cambiar la contraseña, desbloquea la cuenta y revoca todas sus
+ * sesiones para que deba iniciar sesión de nuevo.
+ *
+ * Respuestas:
+ *   - 204: contraseña restablecida.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 404: "Usuario no encontrado".
+ */
+router.post("/users/:username/reset-password", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    const password = req.body?.password;
+    const errors = validatePassword(password, { username });
+    if (errors.length > 0) {
+      return next(validationError("INVALID_PASSWORD", errors));
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 8);
+    const user = await usersRepository.update(
+      (u) => u.username === username,
+      (u) => ({
+        ...u,
+        password: hashedPassword,
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+      })
+    );
+    if (!user) {
+      return next(new ApiError(404, "USER_NOT_FOUND"));
+    }
+
+    await revokeUserSessions(username, "password_reset");
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Listar las tareas de todos los usuarios.
+ *
+ * Endpoint: GET /tasks
+ *
+ * Admite los mismos parámetros de consulta que GET /tasks, más `username` para
+ * limitar el listado a un usuario.
+ */
+router.get("/tasks", async (req, res, next) => {
+  try {
+    const { username, ...query } = req.query;
+    const tasks = await tasksRepository.filter(
+      (task) => username === undefined || task.username === username
+    );
+    sendTaskList(req, res, next, tasks, query);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Listar las tareas de un usuario.
+ *
+ * Endpoint: GET /users/:username/tasks
+ *
+ * Admite los mismos parámetros de consulta que GET /tasks.
+ *
+ * Respuestas:
+ *   - 200: array de tareas del usuario.
+ *   - 404: "Usuario no encontrado".
+ */
+router.get("/users/:username/tasks", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    const user = await usersRepository.find((u) => u.username === username);
+    if (!user) {
+      return next(new ApiError(404, "USER_NOT_FOUND"));
+    }
+
+    const tasks = await tasksRepository.filter((task) => task.username === username);
+    sendTaskList(req, res, next, tasks, req.query);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Estadísticas de productividad de todos los usuarios.
+ *
+ * Endpoint: GET /stats
+ *
+ * Admite los mismos parámetros de consulta que GET /tasks/stats, más `username`
+ * para limitarlas a un usuario. Además de las estadísticas globales, `byUser`
+ * resume las de cada dueño de tareas.
+ */
+router.get("/stats", async (req, res, next) => {
+  try {
+    const { username, ...query } = req.query;
+    const { errors, options } = parseStatsQuery(query);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_QUERY", errors));
+    }
+    const stats = await taskStats(
+      (task) => username === undefined || task.username === username,
+      options,
+      { byUser: true }
+    );
+    res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Reasignar una tarea a otro usuario.
+ *
+ * Endpoint: POST /tasks/:id/reassign
+ *
+ * Recibe en el cuerpo de la petición:
+ *   - username: usuario que pasa a ser dueño de la tarea.
+ *
+ * La tarea sale del proyecto y pierde las etiquetas del dueño anterior, y pasa al
+ * final de su columna en el tablero del nuevo dueño.
+ *
+ * Respuestas:
+ *   - 200: la tarea reasignada.
+ *   - 400: "El usuario destino no existe o está deshabilitado".
+ *   - 404: "Tarea no encontrada".
+ */
+router.post("/tasks/:id/reassign", async (req, res, next) => {
+  try {
+    const target = req.body?.username;
+    const user =
+      typeof target === "string"
+        ? await usersRepository.find((u) => u.username === target)
+        : null;
+    if (!user || user.disabled) {
+      return next(new ApiError(400, "INVALID_TARGET_USER"));
+    }
+
+    let previous = null;
+    const task = await tasksRepository.transaction((tasks) => {
+      const index = tasks.findIndex((t) => t.id === req.params.id);
+      if (index === -1) {
+        return null;
+      }
+      previous = tasks[index];
+      const reassigned = touchTask({
+        ...previous,
+        username: target,
+        // El nuevo dueño deja de figurar entre los usuarios con acceso compartido.
+        sharedWith: (previous.sharedWith ?? []).filter((s) => s.username !== target),
+        // Los proyectos y etiquetas son del dueño anterior, así que se desvinculan.
+        projectId: null,
+        tags: [],
+      });
+      tasks[index] = placeTask(tasks, reassigned);
+      return tasks[index];
+    });
+    if (!task) {
+      return next(new ApiError(404, "TASK_NOT_FOUND"));
+    }
+
+    await recordTaskHistory({
+      taskId: task.id,
+      username: req.user.username,
+      action: "updated",
+      before: previous,
+      after: task,
+    });
+    publishTaskChange(previous, task);
+    res.json(task);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
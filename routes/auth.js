@@ -1,28 +1,83 @@
 /**
  * Módulo de autenticación de usuarios.
  *
- * Este módulo utiliza Express para manejar rutas de registro e inicio de sesión.
- * Se emplea bcrypt para el cifrado de contraseñas y JSON Web Tokens (JWT) para la autenticación.
- * Los datos de los usuarios se almacenan en un archivo JSON en el sistema de archivos.
+ * Este módulo utiliza Express para manejar rutas de registro, inicio de sesión,
+ * renovación de tokens y cierre de sesión.
+ * Las rutas están protegidas con limitación de peticiones por IP y por cuenta, y las
+ * cuentas se bloquean temporalmente tras varios intentos de inicio de sesión fallidos.
+ * Se emplea bcrypt para el cifrado de contraseñas, JSON Web Tokens (JWT) como access
+ * tokens y refresh tokens rotativos asociados a una sesión (ver services/sessions.js).
+ * Los datos de los usuarios se guardan a través del repositorio de usuarios de la capa de almacenamiento.
  */
 
 import express from "express";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
-import { promises as fs } from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-import { jwtSecret } from "../config.js";
-
-// Determinar la ruta del archivo actual y su directorio para manejo de rutas relativas.
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { auth as authConfig } from "../config.js";
+import { usersRepository } from "../storage/index.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
+import { ApiError, validationError } from "../errors.js";
+import {
+  DEFAULT_ROLE,
+  normalizeUsername,
+  validateRegistration,
+} from "../models/user.js";
+import {
+  createSession,
+  revokeSession,
+  rotateRefreshToken,
+} from "../services/sessions.js";
+import { verifyToken } from "../services/tokens.js";
 
 // Crear un enrutador de Express para definir los endpoints de autenticación.
 const router = express.Router();
 
-// Definir la ruta al archivo JSON que almacena los usuarios.
-const usersFilePath = path.join(__dirname, "../data/users.json");
+// Limitar las peticiones por IP en todas las rutas de autenticación.
+router.use(
+  createRateLimiter({
+    ...authConfig.rateLimit.ip,
+    key: (req) => req.ip,
+  })
+);
+
+// Hash con el que se compara la contraseña cuando el usuario no existe, para que la
+// respuesta tarde lo mismo que con un usuario real y no revele qué usuarios existen.
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("usuario-inexistente", 8);
+
+// Limitar los intentos de inicio de sesión por cuenta, sin importar la IP de origen.
+const accountRateLimiter = createRateLimiter({
+  ...authConfig.rateLimit.account,
+  key: (req) =>
+    typeof req.body?.username === "string" ? normalizeUsername(req.body.username) : null,
+  code: "TOO_MANY_LOGIN_ATTEMPTS",
+});
+
+/**
+ * Registra un intento de inicio de sesión fallido. Al alcanzar el máximo de
+ * intentos consecutivos, la cuenta queda bloqueada durante el tiempo configurado.
+ */
+const registerFailedLogin = (username) =>
+  usersRepository.update(
+    (u) => u.username === username,
+    (u) => {
+      const attempts = (u.failedLoginAttempts ?? 0) + 1;
+      if (attempts < authConfig.lockout.maxFailedAttempts) {
+        return { ...u, failedLoginAttempts: attempts };
+      }
+      const lockedUntil = new Date(
+        Date.now() + authConfig.lockout.durationMinutes * 60 * 1000
+      ).toISOString();
+      return { ...u, failedLoginAttempts: 0, lockedUntil };
+    }
+  );
+
+/**
+ * Reinicia el contador de intentos fallidos tras un inicio de sesión correcto.
+ */
+const clearFailedLogins = (username) =>
+  usersRepository.update(
+    (u) => u.username === username,
+    (u) => ({ ...u, failedLoginAttempts: 0, lockedUntil: null })
+  );
 
 /**
  * Registro de usuario.
@@ -34,27 +89,42 @@ const usersFilePath = path.join(__dirname, "../data/users.json");
  *   - password: contraseña en texto plano.
  *
  * Procedimiento:
- *   1. Lee el archivo de usuarios y lo parsea a JSON.
+ *   1. Valida el nombre de usuario y la contraseña según las políticas configuradas.
  *   2. Hashea la contraseña utilizando bcrypt con 8 rondas de sal.
- *   3. Agrega el nuevo usuario (con contraseña hasheada) al array de usuarios.
- *   4. Escribe el array actualizado en el archivo de usuarios.
+ *   3. Guarda el nuevo usuario (con contraseña hasheada y rol `user`) en el repositorio de usuarios,
+ *      comprobando en la misma transacción que el nombre (sin distinguir mayúsculas)
+ *      no esté ya registrado.
  *
  * Respuestas:
  *   - 201: "Usuario registrado" al completar el registro.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 409: "El usuario ya existe" si el nombre de usuario está en uso.
+ *   - 429: demasiadas solicitudes desde la misma IP.
  *   - 500: "Error en el servidor" en caso de ocurrir un error.
  */
-router.post("/register", async (req, res) => {
-  const { username, password } = req.body;
+router.post("/register", async (req, res, next) => {
+  const { username, password } = req.body ?? {};
   try {
-    const data = await fs.readFile(usersFilePath, "utf8");
-    let users = JSON.parse(data);
+    const errors = validateRegistration(req.body);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_REGISTRATION", errors));
+    }
+
     const hashedPassword = await bcrypt.hash(password, 8);
-    users.push({ username, password: hashedPassword });
-    await fs.writeFile(usersFilePath, JSON.stringify(users));
+    const created = await usersRepository.transaction((users) => {
+      const normalized = normalizeUsername(username);
+      if (users.some((u) => normalizeUsername(u.username) === normalized)) {
+        return false;
+      }
+      users.push({ username, password: hashedPassword, role: DEFAULT_ROLE });
+      return true;
+    });
+    if (!created) {
+      return next(new ApiError(409, "USER_EXISTS"));
+    }
     res.status(201).send("Usuario registrado");
   } catch (error) {
-    console.error("Error:", error);
-    res.status(500).send("Error en el servidor");
+    next(error);
   }
 });
 
@@ -68,34 +138,143 @@ router.post("/register", async (req, res) => {
  *   - password: contraseña en texto plano.
  *
  * Procedimiento:
- *   1. Lee el archivo de usuarios y parsea su contenido.
- *   2. Busca el usuario que coincide con el username proporcionado.
+ *   1. Busca en el repositorio el usuario que coincide con el username proporcionado,
+ *      sin distinguir mayúsculas (como el registro y el límite por cuenta).
+ *   2. Si la cuenta está bloqueada, rechaza el intento sin comprobar la contraseña.
  *   3. Verifica la contraseña comparando el valor recibido con el hasheado almacenado.
- *   4. Si la autenticación es correcta, genera un token JWT con una vigencia de 1 hora.
+ *      Cada fallo suma un intento; al llegar al máximo configurado la cuenta se bloquea.
+ *      Si el usuario no existe la contraseña se compara igualmente con un hash fijo,
+ *      para que el tiempo de respuesta no delate qué usuarios existen.
+ *   4. Si la autenticación es correcta y la cuenta no está deshabilitada, reinicia los
+ *      intentos fallidos, crea una sesión y genera un access token JWT con el nombre y
+ *      el rol del usuario (vigencia configurable, 1 hora por defecto) y un refresh token.
  *
  * Respuestas:
- *   - JSON con el token JWT si la autenticación es exitosa.
+ *   - JSON `{ token, refreshToken }` si la autenticación es exitosa.
+ *   - 400: "Usuario y contraseña son obligatorios" si falta alguno de los dos.
  *   - 401: "Credenciales inválidas" si el usuario no existe o la contraseña no coincide.
+ *   - 403: "Cuenta deshabilitada" si un administrador deshabilitó la cuenta.
+ *   - 423: "Cuenta bloqueada temporalmente" (con cabecera `Retry-After`), solo si la
+ *     contraseña es correcta; con una incorrecta se responde 401.
+ *   - 429: demasiadas solicitudes desde la misma IP o para la misma cuenta.
  *   - 500: "Error en el servidor" en caso de error.
  */
-router.post("/login", async (req, res) => {
-  const { username, password } = req.body;
+router.post("/login", accountRateLimiter, async (req, res, next) => {
+  const { username, password } = req.body ?? {};
   try {
-    const data = await fs.readFile(usersFilePath, "utf8");
-    const users = JSON.parse(data);
-    const user = users.find((u) => u.username === username);
+    if (typeof username !== "string" || typeof password !== "string") {
+      return next(new ApiError(400, "CREDENTIALS_REQUIRED"));
+    }
+
+    const normalized = normalizeUsername(username);
+    const user = await usersRepository.find((u) => normalizeUsername(u.username) === normalized);
 
-    if (!user || !(await bcrypt.compare(password, user.password))) {
-      return res.status(401).send("Credenciales inválidas");
+    // El bloqueo solo se revela tras una contraseña correcta: con una incorrecta, una
+    // cuenta bloqueada responde igual que una inexistente. Los fallos durante el
+    // bloqueo no se cuentan.
+    const lockedMs = user?.lockedUntil ? Date.parse(user.lockedUntil) - Date.now() : 0;
+    const validPassword = await bcrypt.compare(password, user?.password ?? DUMMY_PASSWORD_HASH);
+    if (!user || !validPassword) {
+      if (user && lockedMs <= 0) {
+        await registerFailedLogin(user.username);
+      }
+      return next(new ApiError(401, "INVALID_CREDENTIALS"));
     }
 
-    const token = jwt.sign({ username: user.username }, jwtSecret, {
-      expiresIn: "1h",
-    });
-    res.json({ token });
+    if (lockedMs > 0) {
+      res.set("Retry-After", String(Math.ceil(lockedMs / 1000)));
+      return next(new ApiError(423, "ACCOUNT_LOCKED"));
+    }
+
+    if (user.disabled) {
+      return next(new ApiError(403, "ACCOUNT_DISABLED"));
+    }
+
+    if (user.failedLoginAttempts || user.lockedUntil) {
+      await clearFailedLogins(user.username);
+    }
+
+    const { token, refreshToken } = await createSession(user);
+    res.json({ token, refreshToken });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Renovación de tokens.
+ *
+ * Endpoint: POST /refresh
+ *
+ * Recibe en el cuerpo de la petición:
+ *   - refreshToken: refresh token obtenido en el login o en la última renovación.
+ *
+ * El refresh token se rota: el recibido deja de ser válido y se devuelve uno nuevo.
+ * Si se presenta un refresh token que ya fue rotado, se considera comprometido y
+ * se revoca la sesión completa.
+ *
+ * Respuestas:
+ *   - JSON `{ token, refreshToken }` con el nuevo par de tokens.
+ *   - 401: refresh token inválido, reutilizado, sesión expirada o revocada, o cuenta deshabilitada.
+ *   - 500: "Error en el servidor" en caso de error.
+ */
+router.post("/refresh", async (req, res, next) => {
+  try {
+    const { token, refreshToken } = await rotateRefreshToken(req.body?.refreshToken);
+    res.json({ token, refreshToken });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Obtiene el identificador de sesión (`sid`) de un header 'Authorization'.
+ * Se acepta un access token ya expirado para poder cerrar su sesión, pero su
+ * firma debe ser válida. Devuelve `null` si el token no es válido.
+ */
+const sessionIdFromHeader = (authHeader) => {
+  try {
+    const token = authHeader.split(" ")[1];
+    return verifyToken(token, { ignoreExpiration: true }).sid ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Cierre de sesión.
+ *
+ * Endpoint: POST /logout
+ *
+ * Revoca la sesión indicada por el refresh token del cuerpo (`refreshToken`) o,
+ * si no se envía, la sesión del access token del header 'Authorization'. A partir
+ * de ese momento se rechazan el refresh token y los access tokens de la sesión.
+ *
+ * Respuestas:
+ *   - 204: sesión cerrada.
+ *   - 401: no se identificó ninguna sesión activa.
+ *   - 500: "Error en el servidor" en caso de error.
+ */
+router.post("/logout", async (req, res, next) => {
+  try {
+    const refreshToken = req.body?.refreshToken;
+    let session = null;
+
+    if (refreshToken) {
+      session = await revokeSession({ refreshToken });
+    } else if (req.headers.authorization) {
+      const sid = sessionIdFromHeader(req.headers.authorization);
+      if (sid) {
+        session = await revokeSession({ sessionId: sid });
+      }
+    }
+
+    if (!session) {
+      return next(new ApiError(401, "SESSION_NOT_FOUND"));
+    }
+    res.status(204).end();
   } catch (error) {
-    console.error("Error:", error);
-    res.status(500).send("Error en el servidor");
+    next(error);
   }
 });
 
@@ -0,0 +1,30 @@
+/**
+ * Módulo de configuración del front end.
+ *
+ * Publica los valores que el front end necesita conocer al arrancar y que dependen
+ * del despliegue, para no tener que compilarlo de nuevo en cada entorno. La ruta no
+ * requiere autenticación.
+ */
+
+import express from "express";
+import { client as clientConfig } from "../config.js";
+
+// Crear el enrutador de Express.
+const router = express.Router();
+
+/**
+ * Obtener la configuración del front end.
+ *
+ * Endpoint: GET /config
+ *
+ * Responde con `{ apiBaseUrl }`, la URL base a la que el front end debe enviar las
+ * peticiones de la API (`client.apiBaseUrl` en config.js, variable `API_BASE_URL`).
+ * No se guarda en caché, para que un cambio de configuración se aplique en la
+ * siguiente carga.
+ */
+router.get("/config", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ apiBaseUrl: clientConfig.apiBaseUrl });
+});
+
+export default router;
@@ -0,0 +1,70 @@
+/**
+ * Módulo de documentación de la API.
+ *
+ * Publica la especificación OpenAPI (ver openapi.js) y una página con la
+ * documentación interactiva (Swagger UI), desde la que se pueden probar las
+ * rutas con un access token. Ninguna de las dos rutas requiere autenticación.
+ *
+ * Los archivos de Swagger UI se sirven desde la dependencia `swagger-ui-dist`
+ * (versión fijada en package.json), sin depender de una CDN.
+ */
+
+import express from "express";
+// Solo la ruta de la carpeta: el módulo principal carga también el bundle del navegador.
+import swaggerUiPath from "swagger-ui-dist/absolute-path.js";
+import openapi from "../openapi.js";
+
+// Crear el enrutador de Express.
+const router = express.Router();
+
+// Ruta de los archivos de Swagger UI, relativa a la página (funciona con y sin /api).
+const SWAGGER_UI = "docs/assets";
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${openapi.info.title} · API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: "openapi.json",
+      dom_id: "#swagger-ui",
+      persistAuthorization: true,
+    });
+  </script>
+</body>
+</html>
+`;
+
+/**
+ * Obtener la especificación OpenAPI.
+ *
+ * Endpoint: GET /openapi.json
+ */
+router.get("/openapi.json", (req, res) => {
+  res.json(openapi);
+});
+
+/**
+ * Archivos de Swagger UI.
+ *
+ * Endpoint: GET /docs/assets/*
+ */
+router.use("/docs/assets", express.static(swaggerUiPath(), { index: false }));
+
+/**
+ * Página de documentación interactiva.
+ *
+ * Endpoint: GET /docs
+ */
+router.get("/docs", (req, res) => {
+  res.type("html").send(DOCS_PAGE);
+});
+
+export default router;
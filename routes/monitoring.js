@@ -0,0 +1,53 @@
+/**
+ * Módulo de supervisión del servidor.
+ *
+ * Publica el estado del servidor, para balanceadores y orquestadores, y las
+ * métricas de las peticiones en el formato de Prometheus. Ninguna de las dos rutas
+ * requiere autenticación; conviene que /metrics solo sea accesible desde la red
+ * interna.
+ */
+
+import express from "express";
+import { checkHealth } from "../services/health.js";
+import { renderMetrics } from "../services/metrics.js";
+
+// Crear el enrutador de Express.
+const router = express.Router();
+
+/**
+ * Obtener el estado del servidor.
+ *
+ * Endpoint: GET /health
+ *
+ * Comprueba que los archivos de datos se pueden leer y escribir y que su contenido
+ * es válido (ver services/health.js). No se guarda en caché.
+ *
+ * Respuestas:
+ *   - 200: `{ status: "ok", uptimeSeconds, checks }`.
+ *   - 503: `{ status: "error", uptimeSeconds, checks }`, con el error de cada
+ *     archivo inaccesible en `checks`.
+ */
+router.get("/health", async (req, res, next) => {
+  try {
+    const health = await checkHealth();
+    res.set("Cache-Control", "no-store");
+    res.status(health.status === "ok" ? 200 : 503).json(health);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Obtener las métricas del servidor.
+ *
+ * Endpoint: GET /metrics
+ *
+ * Responde en el formato de texto de Prometheus con el número de peticiones y su
+ * duración por ruta (ver services/metrics.js).
+ */
+router.get("/metrics", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.type("text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+});
+
+export default router;
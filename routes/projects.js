@@ -0,0 +1,183 @@
+/**
+ * Módulo de proyectos.
+ *
+ * Endpoints para que cada usuario gestione sus proyectos (listas en las que agrupa
+ * sus tareas). Un usuario solo ve y modifica sus propios proyectos; los de otros
+ * usuarios responden 404. Para listar las tareas de un proyecto se usa
+ * GET /tasks?project=<id>.
+ *
+ * Al eliminar un proyecto sus tareas no se borran: quedan sin proyecto
+ * (`projectId: null`).
+ */
+
+import express from "express";
+import { v4 as uuidv4 } from "uuid";
+import { authenticateJWT } from "../middleware/auth.js";
+import { ApiError, validationError } from "../errors.js";
+import { projectsRepository } from "../storage/index.js";
+import { applyProjectFields, validateProject } from "../models/project.js";
+import { detachProject } from "../services/taskReferences.js";
+
+// Crear el enrutador de Express; todas sus rutas requieren autenticación.
+const router = express.Router();
+router.use(authenticateJWT);
+
+/**
+ * Indica si ya existe otro proyecto del usuario con el mismo nombre.
+ */
+const nameTaken = (projects, username, nombre, exceptId) =>
+  projects.some(
+    (p) =>
+      p.username === username &&
+      p.id !== exceptId &&
+      p.nombre.toLowerCase() === nombre.trim().toLowerCase()
+  );
+
+/**
+ * Listar los proyectos del usuario autenticado.
+ *
+ * Endpoint: GET /projects
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const projects = await projectsRepository.filter(
+      (p) => p.username === req.user.username
+    );
+    res.json(projects);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Crear un proyecto.
+ *
+ * Endpoint: POST /projects
+ *
+ * Recibe en el cuerpo de la petición:
+ *   - nombre: obligatorio, único entre los proyectos del usuario.
+ *   - descripcion: opcional.
+ *
+ * Respuestas:
+ *   - 201: el proyecto creado.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 409: "Ya existe un proyecto con ese nombre".
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const errors = validateProject(req.body);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_PROJECT", errors));
+    }
+
+    const { username } = req.user;
+    const project = await projectsRepository.transaction((projects) => {
+      if (nameTaken(projects, username, req.body.nombre)) {
+        return null;
+      }
+      const now = new Date().toISOString();
+      const created = applyProjectFields({ id: uuidv4(), username, createdAt: now }, req.body);
+      projects.push(created);
+      return created;
+    });
+    if (!project) {
+      return next(new ApiError(409, "PROJECT_EXISTS"));
+    }
+    res.status(201).json(project);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Obtener un proyecto.
+ *
+ * Endpoint: GET /projects/:id
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const project = await projectsRepository.find(
+      (p) => p.id === req.params.id && p.username === req.user.username
+    );
+    if (!project) {
+      return next(new ApiError(404, "PROJECT_NOT_FOUND"));
+    }
+    res.json(project);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Modificar un proyecto.
+ *
+ * Endpoint: PUT /projects/:id
+ *
+ * Actualiza `nombre` y/o `descripcion`; los campos omitidos conservan su valor.
+ *
+ * Respuestas:
+ *   - 200: el proyecto actualizado.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 404: "Proyecto no encontrado".
+ *   - 409: "Ya existe un proyecto con ese nombre".
+ */
+router.put("/:id", async (req, res, next) => {
+  try {
+    const errors = validateProject(req.body, { partial: true });
+    if (errors.length > 0) {
+      return next(validationError("INVALID_PROJECT", errors));
+    }
+
+    const { username } = req.user;
+    const result = await projectsRepository.transaction((projects) => {
+      const index = projects.findIndex(
+        (p) => p.id === req.params.id && p.username === username
+      );
+      if (index === -1) {
+        return { status: 404 };
+      }
+      if ("nombre" in req.body && nameTaken(projects, username, req.body.nombre, req.params.id)) {
+        return { status: 409 };
+      }
+      projects[index] = applyProjectFields(projects[index], req.body);
+      return { status: 200, project: projects[index] };
+    });
+    if (result.status === 404) {
+      return next(new ApiError(404, "PROJECT_NOT_FOUND"));
+    }
+    if (result.status === 409) {
+      return next(new ApiError(409, "PROJECT_EXISTS"));
+    }
+    res.json(result.project);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Eliminar un proyecto.
+ *
+ * Endpoint: DELETE /projects/:id
+ *
+ * Las tareas del proyecto se conservan sin proyecto (`projectId: null`).
+ *
+ * Respuestas:
+ *   - 204: proyecto eliminado.
+ *   - 404: "Proyecto no encontrado".
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const removed = await projectsRepository.remove(
+      (p) => p.id === req.params.id && p.username === req.user.username
+    );
+    if (removed.length === 0) {
+      return next(new ApiError(404, "PROJECT_NOT_FOUND"));
+    }
+    await detachProject(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,178 @@
+/**
+ * Módulo de etiquetas.
+ *
+ * Endpoints para que cada usuario gestione sus etiquetas: texto libre, con un color
+ * opcional, con el que clasifica sus tareas. Un usuario solo ve y modifica sus
+ * propias etiquetas; las de otros usuarios responden 404. Para listar las tareas
+ * con una etiqueta se usa GET /tasks?tag=<id>.
+ *
+ * Al eliminar una etiqueta se quita de todas las tareas que la llevaban.
+ */
+
+import express from "express";
+import { v4 as uuidv4 } from "uuid";
+import { authenticateJWT } from "../middleware/auth.js";
+import { ApiError, validationError } from "../errors.js";
+import { tagsRepository } from "../storage/index.js";
+import { applyTagFields, validateTag } from "../models/tag.js";
+import { removeTagFromTasks } from "../services/taskReferences.js";
+
+// Crear el enrutador de Express; todas sus rutas requieren autenticación.
+const router = express.Router();
+router.use(authenticateJWT);
+
+/**
+ * Indica si ya existe otra etiqueta del usuario con el mismo nombre.
+ */
+const nameTaken = (tags, username, nombre, exceptId) =>
+  tags.some(
+    (t) =>
+      t.username === username &&
+      t.id !== exceptId &&
+      t.nombre.toLowerCase() === nombre.trim().toLowerCase()
+  );
+
+/**
+ * Listar las etiquetas del usuario autenticado.
+ *
+ * Endpoint: GET /tags
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const tags = await tagsRepository.filter((t) => t.username === req.user.username);
+    res.json(tags);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Crear una etiqueta.
+ *
+ * Endpoint: POST /tags
+ *
+ * Recibe en el cuerpo de la petición:
+ *   - nombre: obligatorio, único entre las etiquetas del usuario.
+ *   - color: opcional, en formato #RRGGBB.
+ *
+ * Respuestas:
+ *   - 201: la etiqueta creada.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 409: "Ya existe una etiqueta con ese nombre".
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const errors = validateTag(req.body);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_TAG", errors));
+    }
+
+    const { username } = req.user;
+    const tag = await tagsRepository.transaction((tags) => {
+      if (nameTaken(tags, username, req.body.nombre)) {
+        return null;
+      }
+      const now = new Date().toISOString();
+      const created = applyTagFields({ id: uuidv4(), username, createdAt: now }, req.body);
+      tags.push(created);
+      return created;
+    });
+    if (!tag) {
+      return next(new ApiError(409, "TAG_EXISTS"));
+    }
+    res.status(201).json(tag);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Obtener una etiqueta.
+ *
+ * Endpoint: GET /tags/:id
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const tag = await tagsRepository.find(
+      (t) => t.id === req.params.id && t.username === req.user.username
+    );
+    if (!tag) {
+      return next(new ApiError(404, "TAG_NOT_FOUND"));
+    }
+    res.json(tag);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Modificar una etiqueta.
+ *
+ * Endpoint: PUT /tags/:id
+ *
+ * Actualiza `nombre` y/o `color`; los campos omitidos conservan su valor.
+ *
+ * Respuestas:
+ *   - 200: la etiqueta actualizada.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 404: "Etiqueta no encontrada".
+ *   - 409: "Ya existe una etiqueta con ese nombre".
+ */
+router.put("/:id", async (req, res, next) => {
+  try {
+    const errors = validateTag(req.body, { partial: true });
+    if (errors.length > 0) {
+      return next(validationError("INVALID_TAG", errors));
+    }
+
+    const { username } = req.user;
+    const result = await tagsRepository.transaction((tags) => {
+      const index = tags.findIndex((t) => t.id === req.params.id && t.username === username);
+      if (index === -1) {
+        return { status: 404 };
+      }
+      if ("nombre" in req.body && nameTaken(tags, username, req.body.nombre, req.params.id)) {
+        return { status: 409 };
+      }
+      tags[index] = applyTagFields(tags[index], req.body);
+      return { status: 200, tag: tags[index] };
+    });
+    if (result.status === 404) {
+      return next(new ApiError(404, "TAG_NOT_FOUND"));
+    }
+    if (result.status === 409) {
+      return next(new ApiError(409, "TAG_EXISTS"));
+    }
+    res.json(result.tag);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Eliminar una etiqueta.
+ *
+ * Endpoint: DELETE /tags/:id
+ *
+ * La etiqueta se quita de todas las tareas que la llevaban.
+ *
+ * Respuestas:
+ *   - 204: etiqueta eliminada.
+ *   - 404: "Etiqueta no encontrada".
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const removed = await tagsRepository.remove(
+      (t) => t.id === req.params.id && t.username === req.user.username
+    );
+    if (removed.length === 0) {
+      return next(new ApiError(404, "TAG_NOT_FOUND"));
+    }
+    await removeTagFromTasks(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,169 @@
+/**
+ * Módulo de archivos adjuntos de una tarea.
+ *
+ * Endpoints para subir (multipart/form-data), listar, descargar y eliminar los
+ * archivos adjuntos de una tarea. Se monta dentro del enrutador de tareas en
+ * `/:id/attachments`.
+ *
+ * Listar y descargar requiere acceso a la tarea, igual que GET /tasks/:id; subir
+ * o eliminar adjuntos requiere ser el dueño o tenerla compartida como `editor`.
+ * El tamaño máximo y los tipos admitidos se configuran en `attachments` (config.js).
+ */
+
+import express from "express";
+import { authenticateJWT } from "../middleware/auth.js";
+import { ApiError } from "../errors.js";
+import { attachments as attachmentsConfig } from "../config.js";
+import { ATTACHMENT_FIELD, parseMultipart } from "../models/attachment.js";
+import { CAN_EDIT, CAN_VIEW, findTaskForUser, taskAccessError } from "../services/taskAccess.js";
+import {
+  attachmentPath,
+  deleteAttachment,
+  findAttachment,
+  listAttachments,
+  saveAttachment,
+} from "../services/taskAttachments.js";
+
+// Crear el enrutador de Express con acceso a los parámetros de la ruta padre.
+const router = express.Router({ mergeParams: true });
+
+// El formulario se recibe completo en memoria; el margen cubre las cabeceras de
+// las partes. Si se supera, body-parser responde 413.
+const multipartBody = express.raw({
+  type: "multipart/form-data",
+  limit: attachmentsConfig.maxFileSize + 64 * 1024,
+});
+
+/**
+ * Middleware que comprueba que el usuario tenga alguno de los permisos indicados
+ * sobre la tarea de la ruta y la deja en `req.task`.
+ */
+const requireTask = (allowed) => async (req, res, next) => {
+  try {
+    const { task, permission } = await findTaskForUser(req.params.id, req.user.username);
+    if (!task) {
+      return next(taskAccessError("not_found"));
+    }
+    if (!allowed.includes(permission)) {
+      return next(taskAccessError("forbidden"));
+    }
+    req.task = task;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Listar los adjuntos de una tarea.
+ *
+ * Endpoint: GET /tasks/:id/attachments
+ *
+ * Responde con los datos de cada adjunto: `{ id, taskId, filename, contentType,
+ * size, uploadedBy, createdAt }`.
+ */
+router.get("/", authenticateJWT, requireTask(CAN_VIEW), async (req, res, next) => {
+  try {
+    res.json(await listAttachments(req.task.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Subir un archivo adjunto.
+ *
+ * Endpoint: POST /tasks/:id/attachments
+ *
+ * Recibe un formulario `multipart/form-data` con el archivo en el campo `file`.
+ *
+ * Respuestas:
+ *   - 201: datos del adjunto creado.
+ *   - 400: el cuerpo no es un formulario válido o no lleva el archivo.
+ *   - 403: sin permiso de edición sobre la tarea.
+ *   - 404: "Tarea no encontrada".
+ *   - 413: el archivo supera el tamaño máximo.
+ *   - 415: tipo de archivo no admitido.
+ */
+router.post("/", authenticateJWT, requireTask(CAN_EDIT), multipartBody, async (req, res, next) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return next(new ApiError(400, "INVALID_MULTIPART"));
+    }
+    const { files } = parseMultipart(req.body, req.get("Content-Type"));
+    const file = files.find((f) => f.field === ATTACHMENT_FIELD);
+    if (!file) {
+      return next(new ApiError(400, "ATTACHMENT_REQUIRED", { params: { field: ATTACHMENT_FIELD } }));
+    }
+    if (file.data.length > attachmentsConfig.maxFileSize) {
+      return next(new ApiError(413, "ATTACHMENT_TOO_LARGE", {
+        params: { max: attachmentsConfig.maxFileSize },
+      }));
+    }
+    if (!attachmentsConfig.allowedTypes.includes(file.contentType)) {
+      return next(new ApiError(415, "ATTACHMENT_TYPE_NOT_ALLOWED", {
+        details: { allowedTypes: attachmentsConfig.allowedTypes },
+        params: { type: file.contentType },
+      }));
+    }
+
+    const attachment = await saveAttachment(req.task.id, req.user.username, file);
+    res.status(201).json(attachment);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Descargar un adjunto.
+ *
+ * Endpoint: GET /tasks/:id/attachments/:attachmentId
+ *
+ * El archivo se envía siempre como descarga (`Content-Disposition: attachment`),
+ * con su tipo original y sin que el navegador lo interprete como otro tipo.
+ *
+ * Respuestas:
+ *   - 200: el archivo.
+ *   - 404: "Tarea no encontrada" o "Archivo adjunto no encontrado".
+ */
+router.get("/:attachmentId", authenticateJWT, requireTask(CAN_VIEW), async (req, res, next) => {
+  try {
+    const attachment = await findAttachment(req.task.id, req.params.attachmentId);
+    if (!attachment) {
+      return next(new ApiError(404, "ATTACHMENT_NOT_FOUND"));
+    }
+    res.attachment(attachment.filename);
+    res.type(attachment.contentType);
+    res.set("X-Content-Type-Options", "nosniff");
+    res.sendFile(attachmentPath(attachment), (error) => {
+      if (error && !res.headersSent) {
+        next(error.code === "ENOENT" ? new ApiError(404, "ATTACHMENT_NOT_FOUND") : error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Eliminar un adjunto.
+ *
+ * Endpoint: DELETE /tasks/:id/attachments/:attachmentId
+ *
+ * Respuestas:
+ *   - 204: adjunto eliminado.
+ *   - 403: sin permiso de edición sobre la tarea.
+ *   - 404: "Tarea no encontrada" o "Archivo adjunto no encontrado".
+ */
+router.delete("/:attachmentId", authenticateJWT, requireTask(CAN_EDIT), async (req, res, next) => {
+  try {
+    if (!(await deleteAttachment(req.task.id, req.params.attachmentId))) {
+      return next(new ApiError(404, "ATTACHMENT_NOT_FOUND"));
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,105 @@
+/**
+ * Módulo del tablero Kanban.
+ *
+ * Muestra las tareas del usuario agrupadas en una columna por estado, en el orden
+ * manual que guarda el campo `rank` de cada tarea (ver models/taskRank.js), y
+ * permite mover una tarea de columna y de posición en una sola petición. Se monta
+ * dentro del enrutador de tareas, en `/board` y `/:id/move`.
+ */
+
+import express from "express";
+import { authenticateJWT } from "../middleware/auth.js";
+import { validationError } from "../errors.js";
+import { tasksRepository } from "../storage/index.js";
+import { ESTADOS, taskEtag, updateTask } from "../models/task.js";
+import { boardColumn, placeTask, validateMove } from "../models/taskRank.js";
+import {
+  CAN_EDIT,
+  assertCanComplete,
+  taskAccessError,
+  updateTaskForUser,
+} from "../services/taskAccess.js";
+import { withNextOccurrence } from "../services/recurrence.js";
+
+// Crear el enrutador de Express.
+const router = express.Router();
+
+/**
+ * Obtener el tablero del usuario autenticado.
+ *
+ * Endpoint: GET /board
+ *
+ * Responde con un objeto con una clave por estado (`pendiente`, `en_progreso`,
+ * `completada`) cuyo valor es el array de tareas del usuario en ese estado, en el
+ * orden del tablero. Las tareas que aún no tienen posición van al final, por fecha
+ * de creación.
+ */
+router.get("/board", authenticateJWT, async (req, res, next) => {
+  try {
+    const tasks = await tasksRepository.all();
+    res.json(
+      Object.fromEntries(ESTADOS.map((estado) => [estado, boardColumn(tasks, req.user.username, estado)]))
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Mover una tarea en el tablero.
+ *
+ * Endpoint: POST /:id/move
+ *
+ * Recibe en el cuerpo de la petición (ambos opcionales):
+ *   - estado: columna de destino (por defecto, la actual).
+ *   - position: índice en la columna de destino contando desde 0, sin la propia
+ *     tarea (por defecto, al final). Los valores mayores que la columna la colocan
+ *     al final.
+ *
+ * El tablero es el del dueño de la tarea, así que también pueden moverla los
+ * usuarios con quienes se compartió como `editor`. Cambiar de columna es un cambio
+ * de estado como el de PATCH /:id: no se puede completar una tarea bloqueada y al
+ * completar una tarea recurrente se crea su siguiente ocurrencia. Admite `If-Match`.
+ *
+ * Respuestas:
+ *   - 200: la tarea movida, con su nuevo `rank` y `ETag`.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 403: la tarea se compartió con el usuario solo como `viewer`.
+ *   - 404: "Tarea no encontrada".
+ *   - 409: JSON con las tareas bloqueantes abiertas si se intenta completarla.
+ *   - 412: la tarea cambió desde la versión indicada en `If-Match`.
+ */
+router.post("/:id/move", authenticateJWT, async (req, res, next) => {
+  try {
+    const errors = validateMove(req.body);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_MOVE", errors));
+    }
+    const { estado, position } = req.body;
+
+    const result = await updateTaskForUser(
+      req.params.id,
+      req.user.username,
+      (task, tasks) => {
+        const updated = updateTask(task, estado === undefined ? {} : { estado });
+        assertCanComplete(task, updated, tasks);
+        return withNextOccurrence(placeTask(tasks, updated, position), tasks);
+      },
+      CAN_EDIT,
+      { ifMatch: req.get("If-Match") }
+    );
+    if (result.status !== "ok") {
+      if (result.task) {
+        res.set("ETag", taskEtag(result.task));
+      }
+      return next(taskAccessError(result.status));
+    }
+
+    res.set("ETag", taskEtag(result.task));
+    res.status(200).json(result.task);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
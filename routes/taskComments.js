@@ -0,0 +1,148 @@
+/**
+ * Módulo de comentarios de una tarea.
+ *
+ * Endpoints para el hilo de comentarios de una tarea. Se monta dentro del
+ * enrutador de tareas en `/:id/comments`.
+ *
+ * Cualquier usuario con acceso a la tarea (dueño o compartida, también como
+ * `viewer`) puede leer los comentarios y comentar; solo el autor de un comentario
+ * puede editarlo o eliminarlo. Las menciones `@username` a usuarios registrados
+ * aparecen en el listado de menciones del usuario mencionado (GET /tasks/mentions).
+ */
+
+import express from "express";
+import { authenticateJWT } from "../middleware/auth.js";
+import { ApiError, validationError } from "../errors.js";
+import { validateComment } from "../models/comment.js";
+import { findTaskForUser, taskAccessError } from "../services/taskAccess.js";
+import {
+  createComment,
+  deleteComment,
+  listComments,
+  updateComment,
+} from "../services/taskComments.js";
+
+// Crear el enrutador de Express con acceso a los parámetros de la ruta padre.
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Error correspondiente a un resultado de `updateComment` o `deleteComment`.
+ */
+const commentError = (status) =>
+  status === "forbidden"
+    ? new ApiError(403, "COMMENT_FORBIDDEN")
+    : new ApiError(404, "COMMENT_NOT_FOUND");
+
+/**
+ * Middleware que comprueba que el usuario tenga acceso a la tarea de la ruta.
+ */
+const requireTask = async (req, res, next) => {
+  try {
+    const { task } = await findTaskForUser(req.params.id, req.user.username);
+    if (!task) {
+      return next(taskAccessError("not_found"));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Listar los comentarios de una tarea.
+ *
+ * Endpoint: GET /tasks/:id/comments
+ *
+ * Responde con los comentarios en orden cronológico: `{ id, taskId, username,
+ * texto, mentions, createdAt, updatedAt }`.
+ */
+router.get("/", authenticateJWT, requireTask, async (req, res, next) => {
+  try {
+    res.json(await listComments(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Comentar una tarea.
+ *
+ * Endpoint: POST /tasks/:id/comments
+ *
+ * Recibe en el cuerpo de la petición:
+ *   - texto: texto del comentario (obligatorio); puede mencionar usuarios con `@username`.
+ *
+ * Respuestas:
+ *   - 201: el comentario creado, con los usuarios mencionados en `mentions`.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 404: "Tarea no encontrada".
+ */
+router.post("/", authenticateJWT, requireTask, async (req, res, next) => {
+  try {
+    const errors = validateComment(req.body);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_COMMENT", errors));
+    }
+    res.status(201).json(await createComment(req.params.id, req.user.username, req.body.texto));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Editar un comentario.
+ *
+ * Endpoint: PATCH /tasks/:id/comments/:commentId
+ *
+ * Reemplaza el texto del comentario y vuelve a calcular sus menciones.
+ *
+ * Respuestas:
+ *   - 200: el comentario actualizado.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 403: el usuario no es el autor del comentario.
+ *   - 404: "Tarea no encontrada" o "Comentario no encontrado".
+ */
+router.patch("/:commentId", authenticateJWT, requireTask, async (req, res, next) => {
+  try {
+    const errors = validateComment(req.body);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_COMMENT", errors));
+    }
+    const result = await updateComment(
+      req.params.id,
+      req.params.commentId,
+      req.user.username,
+      req.body.texto
+    );
+    if (result.status !== "ok") {
+      return next(commentError(result.status));
+    }
+    res.json(result.comment);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Eliminar un comentario.
+ *
+ * Endpoint: DELETE /tasks/:id/comments/:commentId
+ *
+ * Respuestas:
+ *   - 204: comentario eliminado.
+ *   - 403: el usuario no es el autor del comentario.
+ *   - 404: "Tarea no encontrada" o "Comentario no encontrado".
+ */
+router.delete("/:commentId", authenticateJWT, requireTask, async (req, res, next) => {
+  try {
+    const status = await deleteComment(req.params.id, req.params.commentId, req.user.username);
+    if (status !== "ok") {
+      return next(commentError(status));
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
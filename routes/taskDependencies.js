@@ -0,0 +1,138 @@
+/**
+ * Módulo de dependencias entre tareas.
+ *
+ * Una tarea puede estar "bloqueada por" otras tareas (`blockedBy`). Mientras alguna
+ * de ellas no esté completada, la tarea bloqueada no puede pasar a `completada`.
+ * Se monta dentro del enrutador de tareas en `/:id/dependencies`.
+ *
+ * Añadir o quitar dependencias requiere permiso de edición sobre la tarea
+ * bloqueada y acceso de lectura a la tarea bloqueante. No se permiten ciclos.
+ */
+
+import express from "express";
+import { authenticateJWT } from "../middleware/auth.js";
+import { ApiError } from "../errors.js";
+import { tasksRepository } from "../storage/index.js";
+import { createsDependencyCycle, taskPermission, touchTask } from "../models/task.js";
+import {
+  TaskConflictError,
+  findTaskForUser,
+  taskAccessError,
+  updateTaskForUser,
+} from "../services/taskAccess.js";
+
+// Crear el enrutador de Express con acceso a los parámetros de la ruta padre.
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Resumen de una tarea para los listados de dependencias.
+ */
+const summarize = (task) => ({
+  id: task.id,
+  titulo: task.titulo,
+  estado: task.estado,
+  username: task.username,
+});
+
+/**
+ * Listar las dependencias de una tarea.
+ *
+ * Endpoint: GET /tasks/:id/dependencies
+ *
+ * Responde con `{ blockedBy, blocking }`: las tareas que bloquean a esta y las
+ * tareas que esta bloquea, limitadas a las que el usuario puede ver.
+ */
+router.get("/", authenticateJWT, async (req, res, next) => {
+  try {
+    const { task } = await findTaskForUser(req.params.id, req.user.username);
+    if (!task) {
+      return next(taskAccessError("not_found"));
+    }
+
+    const tasks = await tasksRepository.all();
+    const visible = (t) => taskPermission(t, req.user.username) !== null;
+    const blockedBy = task.blockedBy ?? [];
+    res.json({
+      blockedBy: tasks.filter((t) => blockedBy.includes(t.id) && visible(t)).map(summarize),
+      blocking: tasks
+        .filter((t) => (t.blockedBy ?? []).includes(task.id) && visible(t))
+        .map(summarize),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Añadir una tarea bloqueante.
+ *
+ * Endpoint: POST /tasks/:id/dependencies
+ *
+ * Recibe en el cuerpo de la petición:
+ *   - taskId: identificador de la tarea que bloquea a esta.
+ *
+ * Respuestas:
+ *   - 201: la lista actualizada `blockedBy`.
+ *   - 400: `taskId` ausente, igual a la propia tarea o sin acceso a ella.
+ *   - 403: sin permiso de edición sobre la tarea.
+ *   - 404: "Tarea no encontrada".
+ *   - 409: la dependencia crearía un ciclo.
+ */
+router.post("/", authenticateJWT, async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+    const blockerId = req.body?.taskId;
+    if (typeof blockerId !== "string" || blockerId === "" || blockerId === taskId) {
+      return next(new ApiError(400, "DEPENDENCY_REQUIRED"));
+    }
+    const { task: blocker } = await findTaskForUser(blockerId, req.user.username);
+    if (!blocker) {
+      return next(new ApiError(400, "BLOCKER_NOT_FOUND"));
+    }
+
+    const result = await updateTaskForUser(taskId, req.user.username, (task, tasks) => {
+      if (createsDependencyCycle(tasks, taskId, blockerId)) {
+        throw new TaskConflictError("DEPENDENCY_CYCLE", { taskId: blockerId });
+      }
+      const blockedBy = task.blockedBy ?? [];
+      return blockedBy.includes(blockerId)
+        ? task
+        : touchTask({ ...task, blockedBy: [...blockedBy, blockerId] });
+    });
+    if (result.status !== "ok") {
+      return next(taskAccessError(result.status));
+    }
+    res.status(201).json(result.task.blockedBy);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Quitar una tarea bloqueante.
+ *
+ * Endpoint: DELETE /tasks/:id/dependencies/:blockerId
+ *
+ * Respuestas:
+ *   - 204: dependencia eliminada (o no existía).
+ *   - 403: sin permiso de edición sobre la tarea.
+ *   - 404: "Tarea no encontrada".
+ */
+router.delete("/:blockerId", authenticateJWT, async (req, res, next) => {
+  try {
+    const { blockerId } = req.params;
+    const result = await updateTaskForUser(req.params.id, req.user.username, (task) =>
+      (task.blockedBy ?? []).includes(blockerId)
+        ? touchTask({ ...task, blockedBy: task.blockedBy.filter((id) => id !== blockerId) })
+        : task
+    );
+    if (result.status !== "ok") {
+      return next(taskAccessError(result.status));
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
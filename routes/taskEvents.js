@@ -0,0 +1,97 @@
+/**
+ * Módulo de eventos en tiempo real.
+ *
+ * Endpoint de Server-Sent Events que envía al usuario autenticado los cambios de
+ * sus tareas y de las compartidas con él (`task.created`, `task.updated` y
+ * `task.deleted`) a medida que ocurren. Se monta dentro del enrutador de tareas
+ * en `/events`.
+ *
+ * Como `EventSource` no permite enviar cabeceras, el token puede indicarse
+ * también en el parámetro de consulta `access_token`.
+ */
+
+import express from "express";
+import { events as eventsConfig } from "../config.js";
+import { authenticateJWT } from "../middleware/auth.js";
+import { eventsSince, lastEventId, subscribe } from "../services/taskEvents.js";
+
+// Crear el enrutador de Express.
+const router = express.Router();
+
+/**
+ * Toma el token de `?access_token=` cuando la petición no trae cabecera
+ * `Authorization`, para que `authenticateJWT` pueda validarlo.
+ */
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === "string") {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * Escribe un mensaje en formato Server-Sent Events.
+ */
+const writeEvent = (res, { id, event, data }) => {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Convierte un evento de tarea en un mensaje para el cliente.
+ */
+const toMessage = (event) => ({
+  id: event.id,
+  event: event.type,
+  data: { taskId: event.taskId, task: event.task, at: event.at },
+});
+
+/**
+ * Suscribirse a los cambios de las tareas.
+ *
+ * Endpoint: GET /tasks/events
+ *
+ * Responde con un flujo `text/event-stream`. Cada mensaje lleva un `id` creciente,
+ * el tipo de evento y en `data` un JSON `{ taskId, task, at }` (`task` es `null`
+ * en `task.deleted`).
+ *
+ * Reconexión: si el cliente envía la cabecera `Last-Event-ID` (o el parámetro
+ * `lastEventId`), primero recibe los eventos que se perdió. Si ya no están
+ * disponibles recibe un evento `reset` y debe volver a cargar GET /tasks. Sin
+ * identificador, la conexión empieza con un evento `ready` cuyo `id` sirve como
+ * punto de partida.
+ */
+router.get("/", tokenFromQuery, authenticateJWT, (req, res) => {
+  const { username } = req.user;
+  const since = req.get("Last-Event-ID") ?? req.query.lastEventId;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Evita que proxies como nginx retengan los mensajes.
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${eventsConfig.retryMs}\n\n`);
+
+  if (since === undefined) {
+    writeEvent(res, { id: lastEventId(), event: "ready", data: {} });
+  } else {
+    const { events, complete } = eventsSince(username, since);
+    if (!complete) {
+      writeEvent(res, { id: lastEventId(), event: "reset", data: {} });
+    }
+    events.forEach((event) => writeEvent(res, toMessage(event)));
+  }
+
+  const unsubscribe = subscribe(username, (event) => writeEvent(res, toMessage(event)));
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), eventsConfig.heartbeatMs);
+  heartbeat.unref();
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,47 @@
+/**
+ * Módulo del historial de cambios de una tarea.
+ *
+ * Se monta dentro del enrutador de tareas en `/:id/history`. Cualquier usuario con
+ * acceso a la tarea puede consultar su historial; el dueño, también el de las
+ * tareas que tiene en la papelera.
+ */
+
+import express from "express";
+import { authenticateJWT } from "../middleware/auth.js";
+import { trashRepository } from "../storage/index.js";
+import { findTaskForUser, taskAccessError } from "../services/taskAccess.js";
+import { taskHistory } from "../services/taskHistory.js";
+
+// Crear el enrutador de Express con acceso a los parámetros de la ruta padre.
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Obtener el historial de una tarea.
+ *
+ * Endpoint: GET /tasks/:id/history
+ *
+ * Responde con las entradas en orden cronológico: `{ id, taskId, username,
+ * action, changes, at }`, donde `action` es `created`, `updated`, `deleted` o
+ * `restored` y `changes` lista los campos modificados (`field`, `from`, `to`).
+ *
+ * Respuestas:
+ *   - 200: array de entradas del historial.
+ *   - 404: "Tarea no encontrada".
+ */
+router.get("/", authenticateJWT, async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+    const { task } = await findTaskForUser(taskId, req.user.username);
+    const trashed =
+      !task &&
+      (await trashRepository.find((t) => t.id === taskId && t.username === req.user.username));
+    if (!task && !trashed) {
+      return next(taskAccessError("not_found"));
+    }
+    res.json(await taskHistory(taskId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,188 @@
+/**
+ * Módulo de importación y exportación de tareas.
+ *
+ * Permite descargar las tareas del usuario autenticado en CSV, JSON o iCalendar
+ * (VTODO) y crear tareas a partir de esos mismos formatos. La importación admite
+ * un modo de prueba (`dryRun`) que valida todas las filas sin guardar nada.
+ * Se monta dentro del enrutador de tareas, en `/export` y `/import`.
+ */
+
+import express from "express";
+import { v4 as uuidv4 } from "uuid";
+import { authenticateJWT } from "../middleware/auth.js";
+import { localizeDetails, requestLanguage } from "../middleware/errors.js";
+import { ApiError, validationError } from "../errors.js";
+import { tasksRepository } from "../storage/index.js";
+import { createTask, validateTask } from "../models/task.js";
+import { withBoardRank } from "../models/taskRank.js";
+import { applyTaskQuery, parseTaskQuery } from "../models/taskQuery.js";
+import {
+  CONTENT_TYPES,
+  FORMATS,
+  parseCsv,
+  parseICalendar,
+  parseJson,
+  toCsv,
+  toICalendar,
+} from "../models/taskFormats.js";
+import { recordTaskHistory } from "../services/taskHistory.js";
+import { publishTaskChange } from "../services/taskEvents.js";
+
+// Crear el enrutador de Express.
+const router = express.Router();
+
+// Máximo de tareas por importación.
+const MAX_IMPORT_ROWS = 1000;
+
+// Los CSV e iCalendar se reciben como texto; los JSON los interpreta body-parser en app.js.
+const textBody = express.text({
+  type: ["text/csv", "text/calendar", "text/plain"],
+  limit: "2mb",
+});
+
+/**
+ * Error 400 para un formato desconocido.
+ */
+const unsupportedFormat = () =>
+  new ApiError(400, "UNSUPPORTED_FORMAT", { params: { formats: FORMATS.join(", ") } });
+
+/**
+ * Deduce el formato de la petición: parámetro `format` o, en su defecto, el
+ * tipo de contenido (importación) o la cabecera `Accept` (exportación).
+ */
+const formatOf = (req, header) => {
+  if (req.query.format !== undefined) {
+    return FORMATS.includes(req.query.format) ? req.query.format : null;
+  }
+  if (header === "accept") {
+    // JSON va primero para que `Accept: */*` lo elija por defecto.
+    const type = req.accepts([CONTENT_TYPES.json, CONTENT_TYPES.csv, CONTENT_TYPES.ics]);
+    return FORMATS.find((f) => CONTENT_TYPES[f] === type) ?? "json";
+  }
+  const type = req.get(header);
+  return FORMATS.find((f) => type?.startsWith(CONTENT_TYPES[f])) ?? null;
+};
+
+/**
+ * Exportar las tareas del usuario autenticado.
+ *
+ * Endpoint: GET /tasks/export
+ *
+ * Parámetros de consulta:
+ *   - format: `csv`, `json` o `ics` (si se omite, se usa la cabecera `Accept`;
+ *     JSON por defecto).
+ *   - Los mismos filtros y ordenación que GET /tasks (sin paginación).
+ *
+ * La respuesta se envía como archivo adjunto (`tareas.csv`, `tareas.json` o `tareas.ics`).
+ *
+ * Respuestas:
+ *   - 200: el archivo exportado.
+ *   - 400: formato desconocido o parámetros de consulta inválidos.
+ */
+router.get("/export", authenticateJWT, async (req, res, next) => {
+  try {
+    const format = formatOf(req, "accept");
+    if (!format) {
+      return next(unsupportedFormat());
+    }
+    const { page, limit, ...query } = req.query;
+    const { errors, options } = parseTaskQuery(query);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_QUERY", errors));
+    }
+
+    const tasks = await tasksRepository.filter((task) => task.username === req.user.username);
+    const { items } = applyTaskQuery(tasks, options);
+    const body =
+      format === "csv" ? toCsv(items) : format === "ics" ? toICalendar(items) : JSON.stringify(items, null, 2);
+
+    res.attachment(`tareas.${format}`);
+    res.type(`${CONTENT_TYPES[format]}; charset=utf-8`);
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Importar tareas.
+ *
+ * Endpoint: POST /tasks/import
+ *
+ * El cuerpo es el contenido del archivo: CSV con cabecera (`text/csv`), iCalendar
+ * con componentes VTODO (`text/calendar`) o JSON (`application/json`, un array de
+ * tareas o `{ "tasks": [...] }`). El formato se toma del parámetro `format` o del
+ * tipo de contenido. De cada fila se leen `titulo`, `descripcion`, `estado`,
+ * `prioridad`, `fechaLimite`, `recordatorios` y `recurrencia`; las tareas se crean
+ * siempre nuevas y a nombre del usuario autenticado.
+ *
+ * Con `?dryRun=true` solo se validan las filas. Sin él, si alguna fila es inválida
+ * no se importa ninguna.
+ *
+ * La respuesta es un informe `{ dryRun, total, valid, invalid, errors, created }`,
+ * donde `errors` lista por fila (`row`, empezando en 1) sus campos inválidos y
+ * `created` las tareas creadas.
+ *
+ * Respuestas:
+ *   - 200: informe del modo de prueba.
+ *   - 201: informe con las tareas importadas.
+ *   - 400: formato no admitido o ilegible, o filas inválidas (`INVALID_IMPORT_ROWS`,
+ *     con el informe en `details`).
+ */
+router.post("/import", authenticateJWT, textBody, async (req, res, next) => {
+  try {
+    const format = formatOf(req, "content-type");
+    if (!format) {
+      return next(unsupportedFormat());
+    }
+    if (format !== "json" && typeof req.body !== "string") {
+      return next(new ApiError(400, "INVALID_IMPORT_BODY", { params: { type: CONTENT_TYPES[format] } }));
+    }
+
+    // Un contenido mal formado lanza un `FormatError` (400).
+    const rows =
+      format === "csv" ? parseCsv(req.body) : format === "ics" ? parseICalendar(req.body) : parseJson(req.body);
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return next(new ApiError(400, "IMPORT_TOO_LARGE", { params: { max: MAX_IMPORT_ROWS } }));
+    }
+
+    const errors = rows
+      .map((row, index) => ({ row: index + 1, errors: validateTask(row) }))
+      .filter((result) => result.errors.length > 0);
+    const dryRun = req.query.dryRun === "true";
+    const report = {
+      dryRun,
+      total: rows.length,
+      valid: rows.length - errors.length,
+      invalid: errors.length,
+      errors,
+      created: [],
+    };
+    if (dryRun) {
+      // Los campos inválidos del informe llevan su mensaje, como en las respuestas de error.
+      res.vary("Accept-Language");
+      return res.json(localizeDetails(report, requestLanguage(req)));
+    }
+    if (errors.length > 0) {
+      return next(new ApiError(400, "INVALID_IMPORT_ROWS", { details: report }));
+    }
+
+    // Las tareas importadas van al final de su columna del tablero, en el orden del archivo.
+    const created = await tasksRepository.transaction((tasks) =>
+      rows.map((row) => {
+        const task = withBoardRank(null, createTask(row, { id: uuidv4(), username: req.user.username }), tasks);
+        tasks.push(task);
+        return task;
+      })
+    );
+    for (const task of created) {
+      await recordTaskHistory({ taskId: task.id, username: req.user.username, action: "created" });
+      publishTaskChange(null, task);
+    }
+    res.status(201).json({ ...report, created });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
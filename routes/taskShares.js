@@ -0,0 +1,136 @@
+/**
+ * Módulo de tareas compartidas.
+ *
+ * Endpoints para gestionar con qué usuarios se comparte una tarea y con qué
+ * permiso (`viewer` o `editor`). Se monta dentro del enrutador de tareas en
+ * `/:id/shares`, por lo que `req.params.id` es el identificador de la tarea.
+ */
+
+import express from "express";
+import { authenticateJWT } from "../middleware/auth.js";
+import { ApiError, fieldError, validationError } from "../errors.js";
+import { usersRepository } from "../storage/index.js";
+import { SHARE_PERMISSIONS, touchTask } from "../models/task.js";
+import {
+  CAN_VIEW,
+  OWNER_ONLY,
+  findTaskForUser,
+  taskAccessError,
+  updateTaskForUser,
+} from "../services/taskAccess.js";
+
+// Crear el enrutador de Express con acceso a los parámetros de la ruta padre.
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Listar los usuarios con los que se comparte una tarea.
+ *
+ * Endpoint: GET /tasks/:id/shares
+ *
+ * Disponible para el dueño y para cualquier usuario con acceso a la tarea.
+ */
+router.get("/", authenticateJWT, async (req, res, next) => {
+  try {
+    const { task } = await findTaskForUser(req.params.id, req.user.username);
+    if (!task) {
+      return next(taskAccessError("not_found"));
+    }
+    res.json(task.sharedWith ?? []);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Compartir una tarea con un usuario o cambiar su permiso.
+ *
+ * Endpoint: PUT /tasks/:id/shares/:username
+ *
+ * Recibe en el cuerpo de la petición:
+ *   - permission: `viewer` (solo lectura) o `editor` (lectura y modificación).
+ *
+ * Solo el dueño de la tarea puede compartirla.
+ *
+ * Respuestas:
+ *   - 200: la lista actualizada de usuarios con acceso.
+ *   - 400: permiso inválido, usuario inexistente o el propio dueño.
+ *   - 403: el usuario autenticado no es el dueño.
+ *   - 404: "Tarea no encontrada".
+ */
+router.put("/:username", authenticateJWT, async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    const permission = req.body?.permission;
+    if (!SHARE_PERMISSIONS.includes(permission)) {
+      return next(
+        validationError("INVALID_SHARE", [
+          fieldError("permission", "SHARE_PERMISSION_NOT_ALLOWED", {
+            values: SHARE_PERMISSIONS.join(", "),
+          }),
+        ])
+      );
+    }
+    if (username === req.user.username) {
+      return next(new ApiError(400, "SHARE_WITH_SELF"));
+    }
+    const user = await usersRepository.find((u) => u.username === username);
+    if (!user) {
+      return next(new ApiError(400, "SHARE_USER_NOT_FOUND"));
+    }
+
+    const result = await updateTaskForUser(
+      req.params.id,
+      req.user.username,
+      (task) => {
+        const others = (task.sharedWith ?? []).filter((s) => s.username !== username);
+        return touchTask({ ...task, sharedWith: [...others, { username, permission }] });
+      },
+      OWNER_ONLY
+    );
+    if (result.status !== "ok") {
+      return next(taskAccessError(result.status));
+    }
+    res.json(result.task.sharedWith);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Dejar de compartir una tarea con un usuario.
+ *
+ * Endpoint: DELETE /tasks/:id/shares/:username
+ *
+ * El dueño puede quitar a cualquier usuario; un usuario con acceso compartido
+ * solo puede quitarse a sí mismo (abandonar la tarea).
+ *
+ * Respuestas:
+ *   - 204: acceso retirado (o el usuario no tenía acceso).
+ *   - 403: el usuario autenticado no es el dueño ni el usuario a quitar.
+ *   - 404: "Tarea no encontrada".
+ */
+router.delete("/:username", authenticateJWT, async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    const allowed = username === req.user.username ? CAN_VIEW : OWNER_ONLY;
+
+    const result = await updateTaskForUser(
+      req.params.id,
+      req.user.username,
+      (task) =>
+        touchTask({
+          ...task,
+          sharedWith: (task.sharedWith ?? []).filter((s) => s.username !== username),
+        }),
+      allowed
+    );
+    if (result.status !== "ok") {
+      return next(taskAccessError(result.status));
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,173 @@
+/**
+ * Módulo de subtareas.
+ *
+ * Endpoints para gestionar la lista de subtareas (checklist) de una tarea. Cada
+ * subtarea tiene su propio estado de completado y la tarea padre guarda en
+ * `progreso` el total, las completadas y el porcentaje. Se monta dentro del
+ * enrutador de tareas en `/:id/subtasks`.
+ *
+ * Leer requiere acceso a la tarea; crear, modificar o eliminar subtareas requiere
+ * ser el dueño o tenerla compartida como `editor`.
+ */
+
+import express from "express";
+import { v4 as uuidv4 } from "uuid";
+import { authenticateJWT } from "../middleware/auth.js";
+import { ApiError, validationError } from "../errors.js";
+import { subtaskProgress, touchTask, validateSubtask } from "../models/task.js";
+import {
+  findTaskForUser,
+  taskAccessError,
+  updateTaskForUser,
+} from "../services/taskAccess.js";
+
+// Crear el enrutador de Express con acceso a los parámetros de la ruta padre.
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Devuelve la tarea con la lista de subtareas indicada y su progreso recalculado.
+ */
+const withSubtasks = (task, subtasks) =>
+  touchTask({ ...task, subtasks, progreso: subtaskProgress(subtasks) });
+
+/**
+ * Listar las subtareas de una tarea.
+ *
+ * Endpoint: GET /tasks/:id/subtasks
+ */
+router.get("/", authenticateJWT, async (req, res, next) => {
+  try {
+    const { task } = await findTaskForUser(req.params.id, req.user.username);
+    if (!task) {
+      return next(taskAccessError("not_found"));
+    }
+    res.json(task.subtasks ?? []);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Crear una subtarea.
+ *
+ * Endpoint: POST /tasks/:id/subtasks
+ *
+ * Recibe en el cuerpo de la petición:
+ *   - titulo: texto de la subtarea (obligatorio).
+ *   - completada: booleano (opcional, `false` por defecto).
+ *
+ * Respuestas:
+ *   - 201: la subtarea creada.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 403: sin permiso de edición sobre la tarea.
+ *   - 404: "Tarea no encontrada".
+ */
+router.post("/", authenticateJWT, async (req, res, next) => {
+  try {
+    const errors = validateSubtask(req.body);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_SUBTASK", errors));
+    }
+
+    const now = new Date().toISOString();
+    const subtask = {
+      id: uuidv4(),
+      titulo: req.body.titulo.trim(),
+      completada: req.body.completada ?? false,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const result = await updateTaskForUser(req.params.id, req.user.username, (task) =>
+      withSubtasks(task, [...(task.subtasks ?? []), subtask])
+    );
+    if (result.status !== "ok") {
+      return next(taskAccessError(result.status));
+    }
+    res.status(201).json(subtask);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Actualizar una subtarea.
+ *
+ * Endpoint: PUT /tasks/:id/subtasks/:subtaskId
+ *
+ * Actualiza `titulo` y/o `completada`; los campos omitidos conservan su valor.
+ *
+ * Respuestas:
+ *   - 200: la subtarea actualizada.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 403: sin permiso de edición sobre la tarea.
+ *   - 404: "Tarea no encontrada" o "Subtarea no encontrada".
+ */
+router.put("/:subtaskId", authenticateJWT, async (req, res, next) => {
+  try {
+    const errors = validateSubtask(req.body, { partial: true });
+    if (errors.length > 0) {
+      return next(validationError("INVALID_SUBTASK", errors));
+    }
+
+    const { subtaskId } = req.params;
+    let updated = null;
+    const result = await updateTaskForUser(req.params.id, req.user.username, (task) => {
+      const subtasks = (task.subtasks ?? []).map((subtask) => {
+        if (subtask.id !== subtaskId) {
+          return subtask;
+        }
+        updated = {
+          ...subtask,
+          ...("titulo" in req.body && { titulo: req.body.titulo.trim() }),
+          ...("completada" in req.body && { completada: req.body.completada }),
+          updatedAt: new Date().toISOString(),
+        };
+        return updated;
+      });
+      return updated ? withSubtasks(task, subtasks) : task;
+    });
+    if (result.status !== "ok") {
+      return next(taskAccessError(result.status));
+    }
+    if (!updated) {
+      return next(new ApiError(404, "SUBTASK_NOT_FOUND"));
+    }
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Eliminar una subtarea.
+ *
+ * Endpoint: DELETE /tasks/:id/subtasks/:subtaskId
+ *
+ * Respuestas:
+ *   - 204: subtarea eliminada.
+ *   - 403: sin permiso de edición sobre la tarea.
+ *   - 404: "Tarea no encontrada" o "Subtarea no encontrada".
+ */
+router.delete("/:subtaskId", authenticateJWT, async (req, res, next) => {
+  try {
+    const { subtaskId } = req.params;
+    let found = false;
+    const result = await updateTaskForUser(req.params.id, req.user.username, (task) => {
+      const subtasks = (task.subtasks ?? []).filter((s) => s.id !== subtaskId);
+      found = subtasks.length !== (task.subtasks ?? []).length;
+      return found ? withSubtasks(task, subtasks) : task;
+    });
+    if (result.status !== "ok") {
+      return next(taskAccessError(result.status));
+    }
+    if (!found) {
+      return next(new ApiError(404, "SUBTASK_NOT_FOUND"));
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+/**
+ * Módulo de la papelera de tareas.
+ *
+ * Endpoints para que el dueño de las tareas eliminadas las liste, las restaure o
+ * las borre definitivamente. Se monta dentro del enrutador de tareas en `/trash`.
+ * Las tareas que superan el periodo de retención se purgan automáticamente
+ * (ver services/taskTrash.js).
+ */
+
+import express from "express";
+import { authenticateJWT } from "../middleware/auth.js";
+import { ApiError } from "../errors.js";
+import { listTrash, purgeTask, restoreTask } from "../services/taskTrash.js";
+
+// Crear el enrutador de Express; todas sus rutas requieren autenticación.
+const router = express.Router();
+router.use(authenticateJWT);
+
+/**
+ * Listar la papelera del usuario autenticado.
+ *
+ * Endpoint: GET /tasks/trash
+ *
+ * Devuelve las tareas eliminadas, con `deletedAt` y `deletedBy`, de la más
+ * reciente a la más antigua.
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    res.json(await listTrash(req.user.username));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Restaurar una tarea de la papelera.
+ *
+ * Endpoint: POST /tasks/trash/:id/restore
+ *
+ * Respuestas:
+ *   - 200: la tarea restaurada.
+ *   - 404: "Tarea no encontrada en la papelera".
+ */
+router.post("/:id/restore", async (req, res, next) => {
+  try {
+    const task = await restoreTask(req.params.id, req.user.username);
+    if (!task) {
+      return next(new ApiError(404, "TRASH_TASK_NOT_FOUND"));
+    }
+    res.json(task);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Purgar una tarea de la papelera.
+ *
+ * Endpoint: DELETE /tasks/trash/:id
+ *
+ * Borra la tarea definitivamente junto con su historial.
+ *
+ * Respuestas:
+ *   - 204: tarea purgada.
+ *   - 404: "Tarea no encontrada en la papelera".
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    if (!(await purgeTask(req.params.id, req.user.username))) {
+      return next(new ApiError(404, "TRASH_TASK_NOT_FOUND"));
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -3,67 +3,314 @@
  *
  * Este módulo implementa endpoints para que los usuarios autenticados puedan
  * leer, crear, actualizar y eliminar tareas. Se utiliza JWT para la autenticación,
- * UUID para generar identificadores únicos y un archivo JSON para almacenar las tareas.
+ * UUID para generar identificadores únicos y el repositorio de tareas de la capa
+ * de almacenamiento para persistirlas.
+ *
+ * Cada tarea pertenece a un usuario (`username`) y puede compartirse con otros como
+ * `viewer` (solo lectura) o `editor` (lectura y modificación); ver routes/taskShares.js.
  */
 
 import express from "express";
-import { promises as fs } from "fs";
-import path from "path";
-import jwt from "jsonwebtoken";
 import { v4 as uuidv4 } from "uuid";
-import { fileURLToPath } from "url";
-import { jwtSecret } from "../config.js";
-
-// Definir las variables para obtener la ruta actual del módulo.
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { authenticateJWT } from "../middleware/auth.js";
+import { fieldError, validationError } from "../errors.js";
+import { remindersRepository, tasksRepository } from "../storage/index.js";
+import {
+  createTask,
+  dueTime,
+  replaceTask,
+  taskEtag,
+  updateTask,
+  validateTask,
+} from "../models/task.js";
+import {
+  CAN_EDIT,
+  assertCanComplete,
+  findTaskForUser,
+  taskAccessError,
+  updateTaskForUser,
+} from "../services/taskAccess.js";
+import { validateTaskReferences } from "../services/taskReferences.js";
+import { withNextOccurrence } from "../services/recurrence.js";
+import { recordTaskHistory } from "../services/taskHistory.js";
+import { moveTaskToTrash } from "../services/taskTrash.js";
+import { applyBatch, validateBatch } from "../services/taskBatch.js";
+import { publishTaskChange } from "../services/taskEvents.js";
+import { listMentions } from "../services/taskComments.js";
+import { taskStats } from "../services/taskStats.js";
+import { parseStatsQuery } from "../models/taskStats.js";
+import { withBoardRank } from "../models/taskRank.js";
+import taskSharesRouter from "./taskShares.js";
+import taskSubtasksRouter from "./taskSubtasks.js";
+import taskDependenciesRouter from "./taskDependencies.js";
+import taskHistoryRouter from "./taskHistory.js";
+import taskAttachmentsRouter from "./taskAttachments.js";
+import taskCommentsRouter from "./taskComments.js";
+import taskTrashRouter from "./taskTrash.js";
+import taskEventsRouter from "./taskEvents.js";
+import taskImportExportRouter from "./taskImportExport.js";
+import taskBoardRouter from "./taskBoard.js";
+import {
+  applyTaskQuery,
+  paginationHeaders,
+  parseTaskQuery,
+} from "../models/taskQuery.js";
 
-// Crear el enrutador de Express y definir la ruta del archivo JSON que almacena las tareas.
+// Crear el enrutador de Express.
 const router = express.Router();
-const tasksFilePath = path.join(__dirname, "../data/tasks.json");
+
+// Gestión de los usuarios con los que se comparte cada tarea.
+router.use("/:id/shares", taskSharesRouter);
+
+// Subtareas y dependencias ("bloqueada por") de cada tarea.
+router.use("/:id/subtasks", taskSubtasksRouter);
+router.use("/:id/dependencies", taskDependenciesRouter);
+
+// Archivos adjuntos y comentarios de cada tarea.
+router.use("/:id/attachments", taskAttachmentsRouter);
+router.use("/:id/comments", taskCommentsRouter);
+
+// Papelera de tareas eliminadas e historial de cambios de cada tarea.
+router.use("/trash", taskTrashRouter);
+router.use("/:id/history", taskHistoryRouter);
+
+// Eventos en tiempo real (Server-Sent Events) de los cambios en las tareas.
+router.use("/events", taskEventsRouter);
+
+// Importación y exportación en CSV, JSON e iCalendar (/export y /import).
+router.use(taskImportExportRouter);
+
+// Tablero Kanban y movimiento de tareas entre columnas (/board y /:id/move).
+router.use(taskBoardRouter);
 
 /**
- * Middleware de autenticación JWT.
+ * Obtener todas las tareas del usuario autenticado.
  *
- * Verifica el token enviado en el header 'Authorization'. Si el token es válido,
- * se asigna la información del usuario a `req.user` y se continúa a la siguiente función.
- * En caso contrario, se devuelve un error 401 (sin token) o 403 (token inválido).
+ * Endpoint: GET /
+ *
+ * Obtiene del repositorio las tareas que pertenecen al usuario autenticado
+ * y responde con un JSON que contiene dichas tareas.
+ *
+ * Parámetros de consulta opcionales (ver `parseTaskQuery`):
+ *   - estado, prioridad: filtros por uno o varios valores separados por comas.
+ *   - fechaLimiteDesde, fechaLimiteHasta: rango de fecha límite.
+ *   - q: búsqueda de texto en `titulo` y `descripcion`.
+ *   - project: tareas de un proyecto (`none` para las que no tienen proyecto).
+ *   - tag: tareas con todas las etiquetas indicadas (separadas por comas).
+ *   - sort: campos de ordenación, p. ej. `sort=-prioridad,fechaLimite`.
+ *   - page, limit: paginación.
+ *
+ * El cuerpo sigue siendo un array de tareas; el total de resultados se envía en
+ * la cabecera `X-Total-Count` y, si se pagina, `X-Page`, `X-Limit`,
+ * `X-Total-Pages` y `Link` (rel="next"/"prev") describen la página.
+ *
+ * Respuestas:
+ *   - 200: array de tareas.
+ *   - 400: JSON con la lista de parámetros inválidos.
  */
-const authenticateJWT = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    return res.status(401).send("Acceso denegado");
+router.get("/", authenticateJWT, async (req, res, next) => {
+  try {
+    const { errors, options } = parseTaskQuery(req.query);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_QUERY", errors));
+    }
+
+    const userTasks = await tasksRepository.filter(
+      (task) => task.username === req.user.username
+    );
+    const result = applyTaskQuery(userTasks, options);
+
+    res.set(paginationHeaders(result, req.baseUrl, req.query));
+    res.json(result.items);
+  } catch (error) {
+    next(error);
   }
-  const token = authHeader.split(" ")[1];
-  jwt.verify(token, jwtSecret, (err, user) => {
-    if (err) {
-      console.error("Error al verificar el token:", err);
-      return res.status(403).send("Token inválido");
+});
+
+/**
+ * Obtener las tareas compartidas con el usuario autenticado.
+ *
+ * Endpoint: GET /shared
+ *
+ * Devuelve las tareas de otros usuarios a las que el usuario autenticado tiene
+ * acceso como `viewer` o `editor`. Admite los mismos parámetros de consulta y
+ * cabeceras de paginación que GET /.
+ */
+router.get("/shared", authenticateJWT, async (req, res, next) => {
+  try {
+    const { errors, options } = parseTaskQuery(req.query);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_QUERY", errors));
     }
-    req.user = user;
-    next();
-  });
-};
+
+    const sharedTasks = await tasksRepository.filter((task) =>
+      (task.sharedWith ?? []).some((s) => s.username === req.user.username)
+    );
+    const result = applyTaskQuery(sharedTasks, options);
+
+    res.set(paginationHeaders(result, req.baseUrl + req.path, req.query));
+    res.json(result.items);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Días por defecto y máximos que abarca GET /upcoming.
+const UPCOMING_DEFAULT_DAYS = 7;
+const UPCOMING_MAX_DAYS = 365;
 
 /**
- * Obtener todas las tareas del usuario autenticado.
+ * Ordena tareas por el momento en que vencen.
+ */
+const byDueTime = (a, b) => dueTime(a) - dueTime(b);
+
+/**
+ * Obtener las próximas tareas por vencer.
  *
- * Endpoint: GET /
+ * Endpoint: GET /upcoming
  *
- * Lee el archivo de tareas, filtra las tareas que pertenecen al usuario autenticado
- * y responde con un JSON que contiene dichas tareas.
+ * Devuelve las tareas del usuario autenticado no completadas cuya fecha límite
+ * está entre ahora y los próximos `days` días (7 por defecto, máximo 365),
+ * ordenadas por fecha límite. Una fecha límite sin hora vence al final de ese día.
+ *
+ * Respuestas:
+ *   - 200: array de tareas.
+ *   - 400: `days` no es un entero válido.
  */
-router.get("/", authenticateJWT, async (req, res) => {
+router.get("/upcoming", authenticateJWT, async (req, res, next) => {
   try {
-    const data = await fs.readFile(tasksFilePath, "utf8");
-    const tasks = JSON.parse(data);
-    const userTasks = tasks.filter(
-      (task) => task.username === req.user.username
+    const days = req.query.days === undefined ? UPCOMING_DEFAULT_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > UPCOMING_MAX_DAYS) {
+      return next(
+        validationError("INVALID_QUERY", [
+          fieldError("days", "INTEGER_RANGE", { min: 1, max: UPCOMING_MAX_DAYS }),
+        ])
+      );
+    }
+
+    const now = Date.now();
+    const until = now + days * 24 * 60 * 60 * 1000;
+    const tasks = await tasksRepository.filter((task) => {
+      const due = dueTime(task);
+      return (
+        task.username === req.user.username &&
+        task.estado !== "completada" &&
+        due !== null &&
+        due >= now &&
+        due <= until
+      );
+    });
+    res.json(tasks.sort(byDueTime));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Obtener las tareas vencidas.
+ *
+ * Endpoint: GET /overdue
+ *
+ * Devuelve las tareas del usuario autenticado no completadas cuya fecha límite
+ * ya ha pasado, de la más antigua a la más reciente.
+ */
+router.get("/overdue", authenticateJWT, async (req, res, next) => {
+  try {
+    const now = Date.now();
+    const tasks = await tasksRepository.filter((task) => {
+      const due = dueTime(task);
+      return (
+        task.username === req.user.username &&
+        task.estado !== "completada" &&
+        due !== null &&
+        due < now
+      );
+    });
+    res.json(tasks.sort(byDueTime));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Obtener los recordatorios del usuario autenticado.
+ *
+ * Endpoint: GET /reminders
+ *
+ * Devuelve los recordatorios registrados por el planificador para las tareas del
+ * usuario, del más reciente al más antiguo. Con `since` (fecha ISO 8601) se
+ * limitan a los vencidos después de esa fecha.
+ */
+router.get("/reminders", authenticateJWT, async (req, res, next) => {
+  try {
+    const since = req.query.since === undefined ? null : Date.parse(req.query.since);
+    if (Number.isNaN(since)) {
+      return next(
+        validationError("INVALID_QUERY", [fieldError("since", "DATE_TIME_FORMAT")])
+      );
+    }
+
+    const reminders = await remindersRepository.filter(
+      (r) =>
+        r.username === req.user.username &&
+        (since === null || Date.parse(r.remindAt) > since)
     );
-    res.json(userTasks);
+    res.json(reminders.sort((a, b) => Date.parse(b.remindAt) - Date.parse(a.remindAt)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Obtener los comentarios que mencionan al usuario autenticado.
+ *
+ * Endpoint: GET /mentions
+ *
+ * Devuelve los comentarios con una mención `@username` al usuario, del más
+ * reciente al más antiguo, solo de las tareas a las que sigue teniendo acceso.
+ * Cada comentario incluye en `task` el `id` y el `titulo` de su tarea. Con `since`
+ * (fecha ISO 8601) se limitan a los creados después de esa fecha.
+ */
+router.get("/mentions", authenticateJWT, async (req, res, next) => {
+  try {
+    const since = req.query.since === undefined ? null : Date.parse(req.query.since);
+    if (Number.isNaN(since)) {
+      return next(
+        validationError("INVALID_QUERY", [fieldError("since", "DATE_TIME_FORMAT")])
+      );
+    }
+    res.json(await listMentions(req.user.username, { since }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Obtener las estadísticas de productividad del usuario autenticado.
+ *
+ * Endpoint: GET /stats
+ *
+ * Calcula sobre las tareas del usuario los totales por estado y prioridad, las
+ * vencidas, la tasa de finalización y el tiempo medio hasta completarlas, y una
+ * serie (`series`) de tareas creadas frente a completadas.
+ *
+ * Parámetros de consulta opcionales (ver `parseStatsQuery`):
+ *   - from, to: rango de fechas AAAA-MM-DD de la serie (últimos 30 días por defecto).
+ *   - interval: `day` (por defecto) o `week`.
+ *
+ * Respuestas:
+ *   - 200: JSON con las estadísticas.
+ *   - 400: JSON con la lista de parámetros inválidos.
+ */
+router.get("/stats", authenticateJWT, async (req, res, next) => {
+  try {
+    const { errors, options } = parseStatsQuery(req.query);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_QUERY", errors));
+    }
+    res.json(await taskStats((task) => task.username === req.user.username, options));
   } catch (error) {
-    console.error("Error:", error);
-    res.status(500).send("Error en el servidor");
+    next(error);
   }
 });
 
@@ -72,26 +319,79 @@ router.get("/", authenticateJWT, async (req, res) => {
  *
  * Endpoint: POST /
  *
- * Crea una tarea nueva combinando los datos recibidos en el cuerpo de la petición
- * con un identificador único (UUID) y la asociación al usuario autenticado.
- * La tarea se añade al archivo de tareas y se responde con el objeto creado.
+ * Valida los datos recibidos en el cuerpo de la petición según el modelo de tarea
+ * (`titulo` obligatorio; `descripcion`, `estado`, `prioridad`, `fechaLimite`,
+ * `projectId`, `tags`, `recordatorios` y `recurrencia` opcionales) y crea la tarea con un identificador único (UUID), la asociación al
+ * usuario autenticado y las fechas de creación y actualización.
+ * La tarea se añade al repositorio de tareas y se responde con el objeto creado.
+ *
+ * Respuestas:
+ *   - 201: la tarea creada.
+ *   - 400: JSON con la lista de campos inválidos.
  */
-router.post("/", authenticateJWT, async (req, res) => {
+router.post("/", authenticateJWT, async (req, res, next) => {
   try {
-    const newTask = {
-      ...req.body,
-      id: uuidv4(),
-      username: req.user.username,
-    };
-
-    const data = await fs.readFile(tasksFilePath, "utf8");
-    const tasks = JSON.parse(data);
-    tasks.push(newTask);
-    await fs.writeFile(tasksFilePath, JSON.stringify(tasks));
+    const errors = validateTask(req.body);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_TASK", errors));
+    }
+    const referenceErrors = await validateTaskReferences(req.body, req.user.username);
+    if (referenceErrors.length > 0) {
+      return next(validationError("INVALID_TASK", referenceErrors));
+    }
+
+    // La tarea se añade al final de la columna de su estado en el tablero.
+    const newTask = await tasksRepository.transaction((tasks) => {
+      const task = withBoardRank(
+        null,
+        createTask(req.body, { id: uuidv4(), username: req.user.username }),
+        tasks
+      );
+      tasks.push(task);
+      return task;
+    });
+    await recordTaskHistory({ taskId: newTask.id, username: req.user.username, action: "created" });
+    publishTaskChange(null, newTask);
+    res.set("ETag", taskEtag(newTask));
     res.status(201).json(newTask);
   } catch (error) {
-    console.error("Error:", error);
-    res.status(500).send("Error en el servidor");
+    next(error);
+  }
+});
+
+/**
+ * Aplicar varias operaciones en un solo lote.
+ *
+ * Endpoint: POST /batch
+ *
+ * Recibe `{ "operations": [...] }` con hasta 100 operaciones, que se aplican en orden:
+ *   - `{ "op": "create", "task": {...} }`: como POST /.
+ *   - `{ "op": "update", "id": "...", "task": {...} }`: como PATCH /:id.
+ *   - `{ "op": "delete", "id": "..." }`: como DELETE /:id.
+ *
+ * El lote es atómico: se aplican todas las operaciones con una única escritura o
+ * ninguna. La respuesta incluye en `results` el resultado de cada operación
+ * (`index`, `op`, `status` y la tarea creada o modificada, o el `id` eliminado).
+ *
+ * Respuestas:
+ *   - 200: JSON `{ results }`.
+ *   - 400: `INVALID_BATCH`, con los campos inválidos de cada operación en `details`
+ *     (`[{ index, errors }]`).
+ *   - 403, 404, 409: una operación no pudo aplicarse; el error es el de su ruta
+ *     individual y `details.index` indica su posición. No se aplica ninguna operación.
+ */
+router.post("/batch", authenticateJWT, async (req, res, next) => {
+  try {
+    const { operations } = req.body ?? {};
+    const errors = await validateBatch(operations, req.user.username);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_BATCH", errors));
+    }
+
+    const results = await applyBatch(operations, req.user.username);
+    res.status(200).json({ results });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -100,51 +400,30 @@ router.post("/", authenticateJWT, async (req, res) => {
  *
  * Endpoint: DELETE /:id
  *
- * Elimina la tarea identificada por el parámetro `id` únicamente si pertenece
- * al usuario autenticado. Se actualiza el archivo de tareas y se responde confirmando
- * la eliminación.
+ * Mueve a la papelera la tarea identificada por el parámetro `id` únicamente si pertenece
+ * al usuario autenticado; desde allí puede restaurarse o purgarse (ver routes/taskTrash.js).
+ * Los usuarios con quienes se compartió la tarea no pueden eliminarla (403).
+ * La tarea eliminada se quita también de las dependencias de las tareas que bloqueaba.
+ * Con la cabecera `If-Match` solo se elimina si la tarea conserva esa versión.
+ *
+ * Respuestas:
+ *   - 200: "Tarea eliminada".
+ *   - 403: el usuario autenticado no es el dueño.
+ *   - 404: "Tarea no encontrada".
+ *   - 412: la tarea cambió desde la versión indicada en `If-Match`.
  */
-router.delete("/:id", authenticateJWT, async (req, res) => {
+router.delete("/:id", authenticateJWT, async (req, res, next) => {
   try {
-    const taskId = req.params.id;
-    const data = await fs.readFile(tasksFilePath, "utf8");
-    let tasks = JSON.parse(data);
-    tasks = tasks.filter(
-      (task) => !(task.id === taskId && task.username === req.user.username)
-    );
-    await fs.writeFile(tasksFilePath, JSON.stringify(tasks));
+    const result = await moveTaskToTrash(req.params.id, req.user.username, {
+      ifMatch: req.get("If-Match"),
+    });
+    if (result.status !== "ok") {
+      return next(taskAccessError(result.status));
+    }
     res.status(200).send("Tarea eliminada");
   } catch (error) {
-    console.error("Error:", error);
-    res.status(500).send("Error en el servidor");
+    next(error);
   }
-  // Nota: A continuación se declara una ruta PUT para actualizar tareas.
-  // Se observa que esta declaración está anidada dentro de la ruta DELETE, lo que podría
-  // generar comportamientos inesperados. Se mantiene la estructura original sin modificar el código.
-  router.put("/:id", authenticateJWT, async (req, res) => {
-    try {
-      const taskId = req.params.id;
-      const updatedTask = req.body;
-
-      const data = await fs.readFile(tasksFilePath, "utf8");
-      let tasks = JSON.parse(data);
-
-      const taskIndex = tasks.findIndex(
-        (task) => task.id === taskId && task.username === req.user.username
-      );
-      if (taskIndex === -1) {
-        return res.status(404).send("Tarea no encontrada");
-      }
-
-      tasks[taskIndex] = { ...tasks[taskIndex], ...updatedTask };
-      await fs.writeFile(tasksFilePath, JSON.stringify(tasks));
-
-      res.status(200).json(tasks[taskIndex]);
-    } catch (error) {
-      console.error("Error:", error);
-      res.status(500).send("Error en el servidor");
-    }
-  });
 });
 
 /**
@@ -153,66 +432,115 @@ router.delete("/:id", authenticateJWT, async (req, res) => {
  * Endpoint: GET /:id
  *
  * Busca y devuelve la tarea que coincide con el `id` proporcionado, siempre y cuando
- * pertenezca al usuario autenticado. Si la tarea no se encuentra, responde con error 404.
+ * pertenezca al usuario autenticado o se haya compartido con él. Si la tarea no se
+ * encuentra, responde con error 404. La cabecera `ETag` lleva la versión de la tarea;
+ * con `If-None-Match` se responde 304 si no ha cambiado.
  */
-router.get("/:id", authenticateJWT, async (req, res) => {
+router.get("/:id", authenticateJWT, async (req, res, next) => {
   try {
-    const taskId = req.params.id;
-    const data = await fs.readFile(tasksFilePath, "utf8");
-    const tasks = JSON.parse(data);
-
-    const task = tasks.find(
-      (task) => task.id === taskId && task.username === req.user.username
-    );
+    const { task } = await findTaskForUser(req.params.id, req.user.username);
     if (!task) {
-      return res.status(404).send("Tarea no encontrada");
+      return next(taskAccessError("not_found"));
     }
 
+    res.set("ETag", taskEtag(task));
     res.status(200).json(task);
   } catch (error) {
-    console.error("Error:", error);
-    res.status(500).send("Error en el servidor");
+    next(error);
   }
 });
 
 /**
- * Actualizar campos específicos de una tarea.
+ * Valida y guarda los cambios de PATCH y PUT sobre una tarea.
  *
- * Endpoint: PUT /:id
- *
- * Actualiza únicamente los campos `titulo` y `descripcion` de la tarea identificada
- * por el parámetro `id`, siempre que la tarea pertenezca al usuario autenticado.
- * Se actualiza el archivo de tareas y se responde con la tarea actualizada.
+ * @param {Function} apply - `updateTask` (PATCH) o `replaceTask` (PUT).
+ * @param {boolean} partial - Si el cuerpo se valida en modo parcial.
  */
-router.put("/:id", authenticateJWT, async (req, res) => {
+const saveTask = (apply, partial) => async (req, res, next) => {
   try {
     const taskId = req.params.id;
-    const updatedTask = req.body;
-
-    const data = await fs.readFile(tasksFilePath, "utf8");
-    let tasks = JSON.parse(data);
+    const input = req.body;
 
-    const taskIndex = tasks.findIndex(
-      (task) => task.id === taskId && task.username === req.user.username
-    );
-    if (taskIndex === -1) {
-      return res.status(404).send("Tarea no encontrada");
+    const errors = validateTask(input, { partial });
+    if (errors.length > 0) {
+      return next(validationError("INVALID_TASK", errors));
     }
 
-    // Actualizar solo los campos 'titulo' y 'descripcion'
-    tasks[taskIndex] = {
-      ...tasks[taskIndex],
-      titulo: updatedTask.titulo,
-      descripcion: updatedTask.descripcion,
-    };
+    // El proyecto y las etiquetas deben ser del dueño de la tarea, no de quien la edita.
+    const { task: current } = await findTaskForUser(taskId, req.user.username);
+    if (current) {
+      const referenceErrors = await validateTaskReferences(input, current.username);
+      if (referenceErrors.length > 0) {
+        return next(validationError("INVALID_TASK", referenceErrors));
+      }
+    }
 
-    await fs.writeFile(tasksFilePath, JSON.stringify(tasks));
+    const result = await updateTaskForUser(
+      taskId,
+      req.user.username,
+      (task, tasks) => {
+        const updated = apply(task, input);
+        assertCanComplete(task, updated, tasks);
+        return withNextOccurrence(withBoardRank(task, updated, tasks), tasks);
+      },
+      CAN_EDIT,
+      { ifMatch: req.get("If-Match") }
+    );
+    if (result.status !== "ok") {
+      if (result.task) {
+        res.set("ETag", taskEtag(result.task));
+      }
+      return next(taskAccessError(result.status));
+    }
 
-    res.status(200).json(tasks[taskIndex]);
+    res.set("ETag", taskEtag(result.task));
+    res.status(200).json(result.task);
   } catch (error) {
-    console.error("Error:", error);
-    res.status(500).send("Error en el servidor");
+    next(error);
   }
-});
+};
+
+/**
+ * Actualizar campos específicos de una tarea.
+ *
+ * Endpoint: PATCH /:id
+ *
+ * Actualiza los campos del modelo de tarea presentes en el cuerpo de la petición
+ * (los omitidos conservan su valor) de la tarea identificada por el parámetro `id`,
+ * siempre que la tarea pertenezca al usuario autenticado o se haya compartido con él
+ * como `editor`. Los campos gestionados por el servidor se ignoran; `version` aumenta
+ * y `updatedAt` se renueva.
+ * Una tarea no puede pasar a `completada` mientras tenga tareas bloqueantes abiertas.
+ * `projectId` y `tags` deben referirse a proyectos y etiquetas del dueño de la tarea.
+ * Al completar una tarea recurrente se crea su siguiente ocurrencia, cuyo
+ * identificador se devuelve en `nextOccurrenceId`.
+ * Si cambia el `estado`, la tarea pasa al final de su nueva columna del tablero
+ * (para elegir la posición, ver POST /:id/move).
+ *
+ * Con la cabecera `If-Match` (el `ETag` recibido al leer la tarea) el cambio solo se
+ * aplica si nadie la ha modificado desde entonces.
+ *
+ * Respuestas:
+ *   - 200: la tarea actualizada, con su nuevo `ETag`.
+ *   - 400: JSON con la lista de campos inválidos o referencias inexistentes.
+ *   - 403: la tarea se compartió con el usuario solo como `viewer`.
+ *   - 404: "Tarea no encontrada".
+ *   - 409: JSON con las tareas bloqueantes abiertas si se intenta completarla.
+ *   - 412: la tarea cambió desde la versión indicada en `If-Match` (se envía el `ETag` actual).
+ */
+router.patch("/:id", authenticateJWT, saveTask(updateTask, true));
+
+/**
+ * Reemplazar una tarea.
+ *
+ * Endpoint: PUT /:id
+ *
+ * Igual que PATCH /:id, pero el cuerpo es la tarea completa: `titulo` es obligatorio
+ * y los campos editables omitidos vuelven a su valor por defecto (p. ej. `prioridad`
+ * a `media` o `tags` a `[]`). Los campos gestionados por el servidor se conservan.
+ *
+ * Respuestas: las mismas que PATCH /:id.
+ */
+router.put("/:id", authenticateJWT, saveTask(replaceTask, false));
 
 export default router;
@@ -0,0 +1,179 @@
+/**
+ * Módulo de webhooks.
+ *
+ * Endpoints para que cada usuario registre URLs a las que se envían los eventos
+ * de las tareas que puede ver (`task.created`, `task.updated`, `task.completed` y
+ * `task.deleted`) y consulte el registro de entregas de cada una. El envío, la
+ * firma y los reintentos se describen en services/webhooks.js.
+ *
+ * Un usuario solo ve y modifica sus propios webhooks; los de otros usuarios
+ * responden 404. El secreto con el que se firman las entregas solo se muestra al
+ * crear el webhook.
+ */
+
+import express from "express";
+import { v4 as uuidv4 } from "uuid";
+import { authenticateJWT } from "../middleware/auth.js";
+import { ApiError, validationError } from "../errors.js";
+import { webhooksRepository } from "../storage/index.js";
+import { applyWebhookFields, validateWebhook } from "../models/webhook.js";
+import { deleteWebhook, generateSecret, listDeliveries } from "../services/webhooks.js";
+
+// Crear el enrutador de Express; todas sus rutas requieren autenticación.
+const router = express.Router();
+router.use(authenticateJWT);
+
+/**
+ * Datos de un webhook que se devuelven al cliente (sin el secreto).
+ */
+const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+/**
+ * Busca un webhook del usuario autenticado.
+ */
+const findOwnWebhook = (req) =>
+  webhooksRepository.find((w) => w.id === req.params.id && w.username === req.user.username);
+
+/**
+ * Listar los webhooks del usuario autenticado.
+ *
+ * Endpoint: GET /webhooks
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const webhooks = await webhooksRepository.filter((w) => w.username === req.user.username);
+    res.json(webhooks.map(publicWebhook));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Registrar un webhook.
+ *
+ * Endpoint: POST /webhooks
+ *
+ * Recibe en el cuerpo de la petición:
+ *   - url: URL http o https a la que se envían los eventos (obligatoria).
+ *   - events: eventos a los que se suscribe (todos por defecto).
+ *   - active: si se envían los eventos (`true` por defecto).
+ *
+ * Respuestas:
+ *   - 201: el webhook creado, con el `secret` con el que se firman las entregas.
+ *   - 400: JSON con la lista de campos inválidos.
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const errors = validateWebhook(req.body);
+    if (errors.length > 0) {
+      return next(validationError("INVALID_WEBHOOK", errors));
+    }
+
+    const now = new Date().toISOString();
+    const webhook = applyWebhookFields(
+      { id: uuidv4(), username: req.user.username, secret: generateSecret(), createdAt: now },
+      req.body
+    );
+    await webhooksRepository.insert(webhook);
+    res.status(201).json(webhook);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Obtener un webhook.
+ *
+ * Endpoint: GET /webhooks/:id
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) {
+      return next(new ApiError(404, "WEBHOOK_NOT_FOUND"));
+    }
+    res.json(publicWebhook(webhook));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Modificar un webhook.
+ *
+ * Endpoint: PUT /webhooks/:id
+ *
+ * Actualiza `url`, `events` y/o `active`; los campos omitidos conservan su valor.
+ *
+ * Respuestas:
+ *   - 200: el webhook actualizado.
+ *   - 400: JSON con la lista de campos inválidos.
+ *   - 404: "Webhook no encontrado".
+ */
+router.put("/:id", async (req, res, next) => {
+  try {
+    const errors = validateWebhook(req.body, { partial: true });
+    if (errors.length > 0) {
+      return next(validationError("INVALID_WEBHOOK", errors));
+    }
+
+    const webhook = await webhooksRepository.update(
+      (w) => w.id === req.params.id && w.username === req.user.username,
+      (w) => applyWebhookFields(w, req.body)
+    );
+    if (!webhook) {
+      return next(new ApiError(404, "WEBHOOK_NOT_FOUND"));
+    }
+    res.json(publicWebhook(webhook));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Eliminar un webhook y su registro de entregas.
+ *
+ * Endpoint: DELETE /webhooks/:id
+ *
+ * Respuestas:
+ *   - 204: webhook eliminado.
+ *   - 404: "Webhook no encontrado".
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    if (!(await deleteWebhook(req.params.id, req.user.username))) {
+      return next(new ApiError(404, "WEBHOOK_NOT_FOUND"));
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Registro de entregas de un webhook.
+ *
+ * Endpoint: GET /webhooks/:id/deliveries
+ *
+ * Responde con las entregas más recientes primero: `{ id, webhookId, event,
+ * payload, status, attempts, nextAttemptAt, createdAt, completedAt }`, donde
+ * `status` es `pending`, `succeeded` o `failed` y `attempts` lista cada intento
+ * (`at`, `statusCode`, `error`, `durationMs`).
+ *
+ * Respuestas:
+ *   - 200: array de entregas.
+ *   - 404: "Webhook no encontrado".
+ */
+router.get("/:id/deliveries", async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) {
+      return next(new ApiError(404, "WEBHOOK_NOT_FOUND"));
+    }
+    res.json(await listDeliveries(webhook.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,83 @@
+/**
+ * Estado del servidor.
+ *
+ * Comprueba que se puede acceder a los archivos de datos del almacenamiento
+ * configurado: con el adaptador `json`, `tasks.json` y `users.json` de la carpeta
+ * de datos; con `sqlite`, el archivo de la base de datos. El adaptador `memory` no
+ * usa archivos.
+ *
+ * La carpeta de cada archivo debe admitir escrituras, porque el adaptador `json`
+ * escribe un archivo temporal junto al original y lo renombra. El archivo debe
+ * poder leerse y escribirse y, con el adaptador `json`, contener un array JSON
+ * válido (un archivo truncado haría fallar todas las peticiones). Si todavía no
+ * existe (instalación nueva) se da por bueno, porque se crea con la primera
+ * escritura.
+ */
+
+import { constants, promises as fs } from "fs";
+import path from "path";
+import { storage as storageConfig } from "../config.js";
+
+// Colecciones imprescindibles del adaptador `json`.
+const REQUIRED_COLLECTIONS = ["tasks", "users"];
+
+/**
+ * Archivos de datos que usa una configuración de almacenamiento.
+ */
+const dataFiles = (config) => {
+  if (config.driver === "json") {
+    return REQUIRED_COLLECTIONS.map((name) => path.join(config.dataDir, `${name}.json`));
+  }
+  if (config.driver === "sqlite") {
+    return [config.sqliteFile];
+  }
+  return [];
+};
+
+/**
+ * Comprueba un archivo de datos.
+ *
+ * @param {string} file - Ruta del archivo.
+ * @param {boolean} json - Si el archivo debe contener un array JSON.
+ * @returns {Promise<{status: string, error?: string}>} `error` es el código del
+ *   error de acceso (p. ej. `EACCES`) o `INVALID_JSON`.
+ */
+const checkFile = async (file, json) => {
+  try {
+    await fs.access(path.dirname(file), constants.W_OK);
+    await fs.access(file, constants.R_OK | constants.W_OK);
+    if (json && !Array.isArray(JSON.parse(await fs.readFile(file, "utf8")))) {
+      return { status: "error", error: "INVALID_JSON" };
+    }
+    return { status: "ok" };
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return { status: "error", error: "INVALID_JSON" };
+    }
+    if (error.code === "ENOENT" && error.path === file) {
+      return { status: "ok" };
+    }
+    return { status: "error", error: error.code ?? error.message };
+  }
+};
+
+/**
+ * Comprueba el estado del servidor.
+ *
+ * @param {Object} [config] - Configuración de almacenamiento (por defecto, `storage` de config.js).
+ * @returns {Promise<{status: string, uptimeSeconds: number, checks: Object}>}
+ *   `status` es `ok` si todas las comprobaciones son correctas y `error` si no;
+ *   `checks` tiene una entrada por archivo, con su nombre como clave.
+ */
+export async function checkHealth(config = storageConfig) {
+  const checks = {};
+  for (const file of dataFiles(config)) {
+    checks[path.basename(file)] = await checkFile(file, config.driver === "json");
+  }
+  const healthy = Object.values(checks).every((check) => check.status === "ok");
+  return {
+    status: healthy ? "ok" : "error",
+    uptimeSeconds: Math.round(process.uptime()),
+    checks,
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Métricas de la aplicación en el formato de texto de Prometheus.
+ *
+ * Se cuentan las peticiones HTTP por método, ruta y código de estado
+ * (`http_requests_total`) y se agrupa su duración por método y ruta en un
+ * histograma (`http_request_duration_seconds`). La ruta es el path de la
+ * especificación OpenAPI (`/tasks/{id}`), no la URL concreta, para que el número
+ * de series no crezca con cada identificador; las peticiones que no corresponden a
+ * ninguna ruta de la API (archivos del front end, rutas inexistentes) se agrupan
+ * en `other`.
+ *
+ * Los valores se guardan en memoria y empiezan de cero cada vez que arranca el
+ * servidor; Prometheus lo detecta por `process_start_time_seconds`.
+ */
+
+// Límites superiores de los intervalos del histograma de duración, en segundos.
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Ruta de las peticiones que no corresponden a ninguna ruta de la API.
+export const OTHER_ROUTE = "other";
+
+const startTime = Date.now();
+
+// Contadores por `método ruta código` y duraciones por `método ruta`.
+const requests = new Map();
+const durations = new Map();
+
+/**
+ * Registra una petición atendida.
+ *
+ * @param {Object} request
+ * @param {string} request.method - Método HTTP.
+ * @param {string} request.route - Path de la especificación u `OTHER_ROUTE`.
+ * @param {number} request.status - Código de estado de la respuesta.
+ * @param {number} request.seconds - Duración de la petición.
+ */
+export function recordRequest({ method, route, status, seconds }) {
+  const counterKey = JSON.stringify([method, route, String(status)]);
+  requests.set(counterKey, (requests.get(counterKey) ?? 0) + 1);
+
+  const histogramKey = JSON.stringify([method, route]);
+  let histogram = durations.get(histogramKey);
+  if (!histogram) {
+    histogram = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    durations.set(histogramKey, histogram);
+  }
+  DURATION_BUCKETS.forEach((limit, i) => {
+    if (seconds <= limit) {
+      histogram.buckets[i]++;
+    }
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+/**
+ * Escapa el valor de una etiqueta.
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+/**
+ * Escribe un conjunto de etiquetas: `{method="GET",route="/tasks"}`.
+ */
+const labels = (pairs) =>
+  `{${Object.entries(pairs).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+
+/**
+ * Genera el texto de todas las métricas.
+ *
+ * @returns {string}
+ */
+export function renderMetrics() {
+  const lines = [
+    "# HELP http_requests_total Peticiones HTTP atendidas.",
+    "# TYPE http_requests_total counter",
+  ];
+  for (const [key, count] of requests) {
+    const [method, route, status] = JSON.parse(key);
+    lines.push(`http_requests_total${labels({ method, route, status })} ${count}`);
+  }
+
+  lines.push(
+    "# HELP http_request_duration_seconds Duración de las peticiones HTTP.",
+    "# TYPE http_request_duration_seconds histogram"
+  );
+  for (const [key, histogram] of durations) {
+    const [method, route] = JSON.parse(key);
+    DURATION_BUCKETS.forEach((limit, i) => {
+      lines.push(`http_request_duration_seconds_bucket${labels({ method, route, le: limit })} ${histogram.buckets[i]}`);
+    });
+    lines.push(
+      `http_request_duration_seconds_bucket${labels({ method, route, le: "+Inf" })} ${histogram.count}`,
+      `http_request_duration_seconds_sum${labels({ method, route })} ${histogram.sum}`,
+      `http_request_duration_seconds_count${labels({ method, route })} ${histogram.count}`
+    );
+  }
+
+  lines.push(
+    "# HELP process_start_time_seconds Inicio del proceso, en segundos desde la época Unix.",
+    "# TYPE process_start_time_seconds gauge",
+    `process_start_time_seconds ${startTime / 1000}`,
+    "# HELP process_resident_memory_bytes Memoria residente del proceso.",
+    "# TYPE process_resident_memory_bytes gauge",
+    `process_resident_memory_bytes ${process.memoryUsage().rss}`
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Pone a cero las métricas de las peticiones (para las pruebas).
+ */
+export function resetMetrics() {
+  requests.clear();
+  durations.clear();
+}
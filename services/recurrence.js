@@ -0,0 +1,40 @@
+/**
+ * Generación de las ocurrencias de las tareas recurrentes.
+ *
+ * Cuando una tarea con `recurrencia` pasa a `completada` se crea su siguiente
+ * ocurrencia, y la tarea completada guarda su identificador en `nextOccurrenceId`
+ * para no generarla dos veces (p. ej. si se reabre y se vuelve a completar).
+ * Lo usan las rutas PATCH y PUT /tasks/:id y el planificador (services/scheduler.js), que
+ * genera las ocurrencias que falten.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { createNextOccurrence } from "../models/task.js";
+import { placeTask } from "../models/taskRank.js";
+
+/**
+ * Indica si una tarea completada tiene pendiente generar su siguiente ocurrencia.
+ */
+export const needsNextOccurrence = (task) =>
+  task.estado === "completada" && Boolean(task.recurrencia) && !task.nextOccurrenceId;
+
+/**
+ * Genera, dentro de una transacción de tareas, la siguiente ocurrencia de `task`
+ * si la necesita y la añade a `tasks`, al final de su columna del tablero.
+ *
+ * @param {Object} task - Tarea (ya modificada) que puede haberse completado.
+ * @param {Array} tasks - Array de tareas de la transacción; se le añade la ocurrencia.
+ * @param {Date} [now] - Momento actual.
+ * @returns {Object} `task`, con `nextOccurrenceId` si se generó la ocurrencia.
+ */
+export function withNextOccurrence(task, tasks, now = new Date()) {
+  if (!needsNextOccurrence(task)) {
+    return task;
+  }
+  const occurrence = createNextOccurrence(task, { id: uuidv4(), now });
+  if (!occurrence) {
+    return task;
+  }
+  tasks.push(placeTask(tasks, occurrence));
+  return { ...task, nextOccurrenceId: occurrence.id };
+}
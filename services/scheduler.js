@@ -0,0 +1,155 @@
+/**
+ * Planificador de tareas en segundo plano.
+ *
+ * Se arranca desde app.js y, cada `scheduler.intervalMs` (config.js):
+ *   - Registra en la colección `reminders` los recordatorios que han vencido
+ *     (fecha límite menos la antelación de cada recordatorio) de las tareas que
+ *     no están completadas. Cada recordatorio se registra una sola vez; si cambia
+ *     la fecha límite, vuelve a programarse.
+ *   - Genera la siguiente ocurrencia de las tareas recurrentes completadas que aún
+ *     no la tengan (p. ej. si se completaron por otra vía que la ruta PUT).
+ *   - Purga las tareas que superan el periodo de retención de la papelera.
+ *   - Reintenta las entregas de webhooks pendientes que no tienen un reintento
+ *     programado (p. ej. tras reiniciar la aplicación).
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { scheduler as schedulerConfig } from "../config.js";
+import { logger } from "../logger.js";
+import { remindersRepository, tasksRepository } from "../storage/index.js";
+import { dueTime, touchTask } from "../models/task.js";
+import { needsNextOccurrence, withNextOccurrence } from "./recurrence.js";
+import { purgeExpiredTrash } from "./taskTrash.js";
+import { recordTaskHistory } from "./taskHistory.js";
+import { publishTaskChange } from "./taskEvents.js";
+import { retryPendingDeliveries } from "./webhooks.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Clave que identifica un recordatorio para no registrarlo dos veces.
+ */
+const reminderKey = (reminder) =>
+  `${reminder.taskId}|${reminder.offsetMinutes}|${reminder.remindAt}`;
+
+/**
+ * Calcula los recordatorios de las tareas que vencen en `now` o antes.
+ *
+ * @param {Array} tasks - Tareas almacenadas.
+ * @param {Date} now - Momento actual.
+ * @returns {Array<Object>} Recordatorios vencidos (registrados o no).
+ */
+export function dueReminders(tasks, now) {
+  const reminders = [];
+  for (const task of tasks) {
+    const due = dueTime(task);
+    if (due === null || task.estado === "completada") {
+      continue;
+    }
+    for (const offsetMinutes of task.recordatorios ?? []) {
+      const remindAt = due - offsetMinutes * MINUTE_MS;
+      if (remindAt <= now.getTime()) {
+        reminders.push({
+          taskId: task.id,
+          username: task.username,
+          titulo: task.titulo,
+          fechaLimite: task.fechaLimite,
+          offsetMinutes,
+          remindAt: new Date(remindAt).toISOString(),
+        });
+      }
+    }
+  }
+  return reminders;
+}
+
+/**
+ * Registra los recordatorios vencidos que aún no se habían registrado.
+ *
+ * @param {Date} [now] - Momento actual.
+ * @returns {Promise<Array<Object>>} Recordatorios registrados en esta ejecución.
+ */
+export async function recordDueReminders(now = new Date()) {
+  const pending = dueReminders(await tasksRepository.all(), now);
+  if (pending.length === 0) {
+    return [];
+  }
+  return remindersRepository.transaction((reminders) => {
+    const recorded = new Set(reminders.map(reminderKey));
+    const created = pending
+      .filter((reminder) => !recorded.has(reminderKey(reminder)))
+      .map((reminder) => ({ id: uuidv4(), ...reminder, createdAt: now.toISOString() }));
+    reminders.push(...created);
+    return created;
+  });
+}
+
+/**
+ * Genera las ocurrencias que falten de las tareas recurrentes completadas. Cada
+ * ocurrencia se registra en el historial como creada por el dueño de la tarea.
+ *
+ * @param {Date} [now] - Momento actual.
+ * @returns {Promise<Array<Object>>} Ocurrencias creadas en esta ejecución.
+ */
+export async function generateMissingOccurrences(now = new Date()) {
+  const occurrences = await tasksRepository.transaction((tasks) => {
+    const count = tasks.length;
+    for (let i = 0; i < count; i++) {
+      if (needsNextOccurrence(tasks[i])) {
+        const task = withNextOccurrence(tasks[i], tasks, now);
+        tasks[i] = task === tasks[i] ? task : touchTask(task, now.toISOString());
+      }
+    }
+    return tasks.slice(count);
+  });
+  for (const task of occurrences) {
+    await recordTaskHistory({ taskId: task.id, username: task.username, action: "created" });
+    publishTaskChange(null, task);
+  }
+  return occurrences;
+}
+
+/**
+ * Ejecuta una vez todos los trabajos del planificador.
+ *
+ * @param {Date} [now] - Momento actual.
+ * @returns {Promise<{reminders: Array, occurrences: Array, purged: Array, deliveries: Array}>}
+ */
+export async function runScheduledJobs(now = new Date()) {
+  const reminders = await recordDueReminders(now);
+  const occurrences = await generateMissingOccurrences(now);
+  const purged = await purgeExpiredTrash(now);
+  const deliveries = await retryPendingDeliveries(now);
+  return { reminders, occurrences, purged, deliveries };
+}
+
+/**
+ * Arranca el planificador. Ejecuta los trabajos al arrancar y luego
+ * periódicamente; una ejecución no empieza mientras siga en curso la anterior.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Intervalo entre ejecuciones.
+ * @returns {{stop: Function}} Objeto para detener el planificador.
+ */
+export function startScheduler({ intervalMs = schedulerConfig.intervalMs } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await runScheduledJobs();
+    } catch (error) {
+      logger.error("Error en el planificador", { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // El planificador no impide que el proceso termine.
+  timer.unref();
+  tick();
+  return { stop: () => clearInterval(timer) };
+}
@@ -0,0 +1,211 @@
+/**
+ * Gestión de sesiones y refresh tokens.
+ *
+ * Cada inicio de sesión crea una sesión con un refresh token opaco. El access
+ * token (JWT) lleva el identificador de sesión en el claim `sid`, de modo que al
+ * revocar la sesión dejan de aceptarse tanto el refresh token como los access
+ * tokens emitidos para ella.
+ *
+ * Los refresh tokens se rotan en cada uso: el token presentado se invalida y se
+ * emite uno nuevo. Si alguien presenta un token ya rotado (reutilización), se
+ * asume que fue robado y se revoca la sesión completa.
+ *
+ * Solo se guarda el hash SHA-256 de los refresh tokens, nunca el valor original.
+ */
+
+import crypto from "crypto";
+import { auth as authConfig } from "../config.js";
+import { sessionsRepository, usersRepository } from "../storage/index.js";
+import { roleOf } from "../models/user.js";
+import { ApiError } from "../errors.js";
+import { signToken } from "./tokens.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(32).toString("base64url");
+
+// Código de error (ver locales/) para cada motivo de rechazo de un refresh token.
+const REASON_CODES = {
+  invalid: "REFRESH_TOKEN_INVALID",
+  expired: "SESSION_EXPIRED",
+  revoked: "SESSION_REVOKED",
+  reused: "REFRESH_TOKEN_REUSED",
+  disabled: "ACCOUNT_DISABLED",
+};
+
+/**
+ * Error de refresh token (401). `reason` indica el motivo: `invalid`, `expired`,
+ * `revoked`, `reused` o `disabled`.
+ */
+export class SessionError extends ApiError {
+  constructor(reason) {
+    super(401, REASON_CODES[reason]);
+    this.name = "SessionError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Firma un access token para un usuario y una sesión, con la clave actual
+ * (ver services/tokens.js).
+ *
+ * @param {Object} user - Usuario autenticado (se incluyen su nombre y su rol).
+ * @param {string} sessionId - Identificador de la sesión.
+ * @returns {string} JWT firmado.
+ */
+export function signAccessToken(user, sessionId) {
+  return signToken(
+    { username: user.username, role: roleOf(user), sid: sessionId },
+    { expiresIn: authConfig.accessTokenExpiresIn }
+  );
+}
+
+/**
+ * Crea una sesión nueva para el usuario.
+ *
+ * @param {Object} user - Usuario que inicia sesión.
+ * @returns {Promise<{token: string, refreshToken: string, session: Object}>}
+ */
+export async function createSession(user) {
+  const refreshToken = generateRefreshToken();
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    username: user.username,
+    refreshTokenHash: hashToken(refreshToken),
+    previousRefreshTokenHashes: [],
+    createdAt: new Date(now).toISOString(),
+    lastUsedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + authConfig.refreshTokenTtlDays * DAY_MS).toISOString(),
+    revokedAt: null,
+    revokedReason: null,
+  };
+
+  await sessionsRepository.insert(session);
+  return { token: signAccessToken(user, session.id), refreshToken, session };
+}
+
+/**
+ * Canjea un refresh token por un par de tokens nuevos (rotación).
+ *
+ * La búsqueda, la comprobación y la rotación se hacen en una sola transacción,
+ * así dos peticiones simultáneas con el mismo token no pueden canjearlo ambas.
+ *
+ * @param {string} refreshToken - Refresh token presentado por el cliente.
+ * @returns {Promise<{token: string, refreshToken: string, session: Object}>}
+ * El nuevo access token toma el rol actual del usuario, de modo que los cambios de
+ * rol se aplican en la siguiente renovación. Si el usuario fue eliminado o
+ * deshabilitado, la sesión se revoca.
+ *
+ * @throws {SessionError} Si el token no es válido, la sesión expiró o fue revocada,
+ *   el token ya había sido utilizado (en cuyo caso se revoca la sesión) o la
+ *   cuenta está deshabilitada.
+ */
+export async function rotateRefreshToken(refreshToken) {
+  if (typeof refreshToken !== "string" || refreshToken === "") {
+    throw new SessionError("invalid");
+  }
+
+  const hash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  const outcome = await sessionsRepository.transaction((sessions) => {
+    const current = sessions.find((s) => s.refreshTokenHash === hash);
+    if (!current) {
+      const reused = sessions.find((s) => s.previousRefreshTokenHashes.includes(hash));
+      if (!reused) {
+        return { reason: "invalid" };
+      }
+      if (!reused.revokedAt) {
+        reused.revokedAt = now.toISOString();
+        reused.revokedReason = "reuse";
+      }
+      return { reason: "reused" };
+    }
+    if (current.revokedAt) {
+      return { reason: "revoked" };
+    }
+    if (Date.parse(current.expiresAt) <= now.getTime()) {
+      return { reason: "expired" };
+    }
+
+    current.previousRefreshTokenHashes.push(current.refreshTokenHash);
+    current.refreshTokenHash = hashToken(newRefreshToken);
+    current.lastUsedAt = now.toISOString();
+    return { session: { ...current } };
+  });
+
+  if (!outcome.session) {
+    throw new SessionError(outcome.reason);
+  }
+
+  const { session } = outcome;
+  const user = await usersRepository.find((u) => u.username === session.username);
+  if (!user || user.disabled) {
+    await revokeSession({ sessionId: session.id }, "disabled");
+    throw new SessionError("disabled");
+  }
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: newRefreshToken,
+    session,
+  };
+}
+
+/**
+ * Revoca una sesión.
+ *
+ * @param {Object} criteria - `{ sessionId }` o `{ refreshToken }`.
+ * @param {string} [reason="logout"] - Motivo que se guarda en la sesión.
+ * @returns {Promise<Object|null>} La sesión revocada o `null` si no existe.
+ */
+export function revokeSession({ sessionId, refreshToken }, reason = "logout") {
+  const hash = refreshToken ? hashToken(refreshToken) : null;
+  return sessionsRepository.update(
+    (s) => (sessionId ? s.id === sessionId : s.refreshTokenHash === hash),
+    (s) =>
+      s.revokedAt
+        ? s
+        : { ...s, revokedAt: new Date().toISOString(), revokedReason: reason }
+  );
+}
+
+/**
+ * Revoca todas las sesiones activas de un usuario.
+ *
+ * @param {string} username - Usuario cuyas sesiones se cierran.
+ * @param {string} reason - Motivo que se guarda en cada sesión.
+ * @returns {Promise<number>} Número de sesiones revocadas.
+ */
+export function revokeUserSessions(username, reason) {
+  const revokedAt = new Date().toISOString();
+  return sessionsRepository.transaction((sessions) => {
+    let count = 0;
+    for (const session of sessions) {
+      if (session.username === username && !session.revokedAt) {
+        session.revokedAt = revokedAt;
+        session.revokedReason = reason;
+        count++;
+      }
+    }
+    return count;
+  });
+}
+
+/**
+ * Indica si una sesión existe, no ha expirado y no ha sido revocada.
+ *
+ * @param {string} sessionId - Identificador de la sesión (`sid` del JWT).
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionActive(sessionId) {
+  const session = await sessionsRepository.find((s) => s.id === sessionId);
+  return Boolean(
+    session && !session.revokedAt && Date.parse(session.expiresAt) > Date.now()
+  );
+}
@@ -0,0 +1,152 @@
+/**
+ * Acceso a tareas según los permisos del usuario.
+ *
+ * Centraliza la comprobación de propiedad y de permisos compartidos para que
+ * todas las rutas que operan sobre una tarea concreta (`/tasks/:id/...`) apliquen
+ * las mismas reglas:
+ *   - Sin acceso: la tarea se trata como inexistente (`not_found`), para no revelar
+ *     que existe.
+ *   - Con acceso pero sin el permiso requerido: `forbidden`.
+ *   - Con una cabecera `If-Match` que no coincide con la versión actual de la
+ *     tarea (otro usuario la modificó antes): `precondition_failed`.
+ */
+
+import { ApiError } from "../errors.js";
+import { tasksRepository } from "../storage/index.js";
+import { openBlockers, taskEtag, taskPermission } from "../models/task.js";
+import { recordTaskHistory } from "./taskHistory.js";
+import { publishTaskChange } from "./taskEvents.js";
+
+// Permisos que permiten leer, modificar o administrar una tarea.
+export const CAN_VIEW = ["owner", "editor", "viewer"];
+export const CAN_EDIT = ["owner", "editor"];
+export const OWNER_ONLY = ["owner"];
+
+/**
+ * Error lanzado dentro de una modificación cuando el cambio viola una regla de
+ * negocio (p. ej. completar una tarea bloqueada). Al lanzarse dentro de la
+ * transacción, no se guarda ningún cambio; se responde 409.
+ */
+export class TaskConflictError extends ApiError {
+  constructor(code, details) {
+    super(409, code, { details });
+    this.name = "TaskConflictError";
+  }
+}
+
+/**
+ * Comprueba que una tarea que pasa a `completada` no tenga bloqueantes abiertos.
+ *
+ * @param {Object} previous - Tarea antes del cambio.
+ * @param {Object} next - Tarea después del cambio.
+ * @param {Array} tasks - Todas las tareas almacenadas.
+ * @throws {TaskConflictError} Si la tarea queda completada con bloqueantes abiertos.
+ */
+export function assertCanComplete(previous, next, tasks) {
+  if (next.estado !== "completada" || previous.estado === "completada") {
+    return;
+  }
+  const blockers = openBlockers(next, tasks);
+  if (blockers.length > 0) {
+    throw new TaskConflictError("TASK_BLOCKED", { blockedBy: blockers.map((t) => t.id) });
+  }
+}
+
+/**
+ * Comprueba una cabecera `If-Match` contra el ETag actual de la tarea.
+ *
+ * @param {Object} task - Tarea almacenada.
+ * @param {string} [ifMatch] - Valor de la cabecera (lista de ETags o `*`).
+ * @returns {boolean} `true` si no hay cabecera o alguno de los ETags coincide.
+ */
+export function matchesIfMatch(task, ifMatch) {
+  if (ifMatch === undefined) {
+    return true;
+  }
+  const etag = taskEtag(task);
+  return ifMatch
+    .split(",")
+    .map((value) => value.trim())
+    .some((value) => value === "*" || value === etag);
+}
+
+/**
+ * Busca una tarea a la que el usuario tenga acceso.
+ *
+ * @param {string} taskId - Identificador de la tarea.
+ * @param {string} username - Usuario que accede.
+ * @returns {Promise<{task: Object|null, permission: string|null}>}
+ */
+export async function findTaskForUser(taskId, username) {
+  const task = await tasksRepository.find((t) => t.id === taskId);
+  const permission = task ? taskPermission(task, username) : null;
+  return { task: permission ? task : null, permission };
+}
+
+/**
+ * Modifica una tarea si el usuario tiene alguno de los permisos indicados.
+ *
+ * La comprobación y la escritura se hacen en una única transacción. Si `updater`
+ * lanza (p. ej. un `TaskConflictError`), no se guarda ningún cambio. Los campos
+ * modificados se registran en el historial de la tarea, y las tareas que `updater`
+ * añada a `tasks` (p. ej. la siguiente ocurrencia) como creadas. Los cambios se
+ * publican como eventos en tiempo real (ver services/taskEvents.js).
+ *
+ * @param {string} taskId - Identificador de la tarea.
+ * @param {string} username - Usuario que realiza el cambio.
+ * @param {Function} updater - Recibe la tarea y el array de todas las tareas, y
+ *   devuelve la tarea modificada.
+ * @param {Array<string>} [allowed=CAN_EDIT] - Permisos que autorizan el cambio.
+ * @param {Object} [options]
+ * @param {string} [options.ifMatch] - Cabecera `If-Match` de la petición; si no
+ *   coincide con la versión actual no se modifica la tarea.
+ * @returns {Promise<{status: "ok"|"not_found"|"forbidden"|"precondition_failed", task?: Object}>}
+ */
+export async function updateTaskForUser(taskId, username, updater, allowed = CAN_EDIT, { ifMatch } = {}) {
+  const result = await tasksRepository.transaction((tasks) => {
+    const index = tasks.findIndex((t) => t.id === taskId);
+    const permission = index === -1 ? null : taskPermission(tasks[index], username);
+    if (!permission) {
+      return { status: "not_found" };
+    }
+    if (!allowed.includes(permission)) {
+      return { status: "forbidden" };
+    }
+    if (!matchesIfMatch(tasks[index], ifMatch)) {
+      return { status: "precondition_failed", task: tasks[index] };
+    }
+    const before = tasks[index];
+    const count = tasks.length;
+    tasks[index] = updater(before, tasks);
+    return { status: "ok", task: tasks[index], before, created: tasks.slice(count) };
+  });
+  if (result.status !== "ok") {
+    return result;
+  }
+
+  const { before, created, ...rest } = result;
+  await recordTaskHistory({ taskId, username, action: "updated", before, after: rest.task });
+  publishTaskChange(before, rest.task);
+  for (const task of created) {
+    await recordTaskHistory({ taskId: task.id, username, action: "created" });
+    publishTaskChange(null, task);
+  }
+  return rest;
+}
+
+/**
+ * Devuelve el error correspondiente a un resultado de `updateTaskForUser`
+ * distinto de `ok`, para pasarlo a `next`.
+ *
+ * @param {"not_found"|"forbidden"|"precondition_failed"} status
+ * @returns {ApiError}
+ */
+export function taskAccessError(status) {
+  if (status === "precondition_failed") {
+    return new ApiError(412, "TASK_VERSION_MISMATCH");
+  }
+  if (status === "forbidden") {
+    return new ApiError(403, "TASK_FORBIDDEN");
+  }
+  return new ApiError(404, "TASK_NOT_FOUND");
+}
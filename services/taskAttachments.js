@@ -0,0 +1,115 @@
+/**
+ * Archivos adjuntos de las tareas.
+ *
+ * Cada archivo se guarda en disco en `attachments.dir/<taskId>/<id>` (config.js) y
+ * sus datos en la colección `attachments`:
+ *   { id, taskId, filename, contentType, size, uploadedBy, createdAt }
+ *
+ * Los adjuntos de una tarea eliminada se conservan mientras esté en la papelera,
+ * para poder restaurarla, y se borran al purgarla (ver services/taskTrash.js).
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { attachments as attachmentsConfig } from "../config.js";
+import { attachmentsRepository } from "../storage/index.js";
+import { safeFilename } from "../models/attachment.js";
+
+/**
+ * Carpeta con los archivos de una tarea.
+ */
+const taskDir = (taskId) => path.join(attachmentsConfig.dir, taskId);
+
+/**
+ * Ruta en disco del archivo de un adjunto.
+ *
+ * @param {Object} attachment - Datos del adjunto.
+ * @returns {string}
+ */
+export const attachmentPath = (attachment) => path.join(taskDir(attachment.taskId), attachment.id);
+
+/**
+ * Lista los adjuntos de una tarea, del más antiguo al más reciente.
+ *
+ * @param {string} taskId - Tarea.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listAttachments(taskId) {
+  const attachments = await attachmentsRepository.filter((a) => a.taskId === taskId);
+  return attachments.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Busca un adjunto de una tarea.
+ *
+ * @param {string} taskId - Tarea.
+ * @param {string} attachmentId - Adjunto.
+ * @returns {Promise<Object|undefined>}
+ */
+export function findAttachment(taskId, attachmentId) {
+  return attachmentsRepository.find((a) => a.taskId === taskId && a.id === attachmentId);
+}
+
+/**
+ * Guarda un archivo subido como adjunto de una tarea.
+ *
+ * @param {string} taskId - Tarea.
+ * @param {string} username - Usuario que lo sube.
+ * @param {{filename: string, contentType: string, data: Buffer}} file - Archivo
+ *   recibido (ver `parseMultipart`).
+ * @returns {Promise<Object>} Datos del adjunto creado.
+ */
+export async function saveAttachment(taskId, username, file) {
+  const attachment = {
+    id: uuidv4(),
+    taskId,
+    filename: safeFilename(file.filename),
+    contentType: file.contentType,
+    size: file.data.length,
+    uploadedBy: username,
+    createdAt: new Date().toISOString(),
+  };
+
+  const filePath = attachmentPath(attachment);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, file.data);
+  try {
+    await attachmentsRepository.insert(attachment);
+  } catch (error) {
+    await fs.rm(filePath, { force: true });
+    throw error;
+  }
+  return attachment;
+}
+
+/**
+ * Elimina un adjunto y su archivo.
+ *
+ * @param {string} taskId - Tarea.
+ * @param {string} attachmentId - Adjunto.
+ * @returns {Promise<Object|null>} El adjunto eliminado o `null` si no existía.
+ */
+export async function deleteAttachment(taskId, attachmentId) {
+  const [removed] = await attachmentsRepository.remove(
+    (a) => a.taskId === taskId && a.id === attachmentId
+  );
+  if (!removed) {
+    return null;
+  }
+  await fs.rm(attachmentPath(removed), { force: true });
+  return removed;
+}
+
+/**
+ * Elimina todos los adjuntos de las tareas indicadas, con sus archivos.
+ *
+ * @param {Array<string>} taskIds - Tareas purgadas.
+ * @returns {Promise<void>}
+ */
+export async function deleteTaskAttachments(taskIds) {
+  await attachmentsRepository.remove((a) => taskIds.includes(a.taskId));
+  await Promise.all(
+    taskIds.map((taskId) => fs.rm(taskDir(taskId), { recursive: true, force: true }))
+  );
+}
@@ -0,0 +1,216 @@
+/**
+ * Operaciones por lotes sobre las tareas.
+ *
+ * Un lote es una lista de operaciones `create`, `update` y `delete` que se aplican
+ * en orden dentro de una única transacción de tareas: o se aplican todas con una
+ * sola escritura o no se aplica ninguna. Cada operación sigue las mismas reglas
+ * que su ruta individual (POST, PUT y DELETE /tasks/:id): validación, permisos,
+ * dependencias, recurrencia, papelera, historial y eventos.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { ApiError, fieldError } from "../errors.js";
+import { tasksRepository } from "../storage/index.js";
+import { createTask, taskPermission, updateTask, validateTask } from "../models/task.js";
+import { withBoardRank } from "../models/taskRank.js";
+import {
+  CAN_EDIT,
+  TaskConflictError,
+  assertCanComplete,
+  findTaskForUser,
+  taskAccessError,
+} from "./taskAccess.js";
+import { validateTaskReferences } from "./taskReferences.js";
+import { withNextOccurrence } from "./recurrence.js";
+import { addToTrash, detachTask } from "./taskTrash.js";
+import { recordTaskHistory } from "./taskHistory.js";
+import { publishTaskChange } from "./taskEvents.js";
+
+// Operaciones admitidas en un lote.
+export const BATCH_OPERATIONS = ["create", "update", "delete"];
+
+// Máximo de operaciones por lote.
+export const MAX_BATCH_OPERATIONS = 100;
+
+/**
+ * Error lanzado dentro de la transacción cuando una operación no puede aplicarse.
+ * Conserva el código HTTP y el código de error con los que respondería su ruta
+ * individual (403, 404 o 409) y añade a `details` la posición de la operación.
+ */
+export class BatchOperationError extends ApiError {
+  constructor(index, error) {
+    super(error.status, error.code, { details: { index, ...error.details } });
+    this.name = "BatchOperationError";
+    this.index = index;
+  }
+}
+
+/**
+ * Valida la forma y los datos de las operaciones de un lote.
+ *
+ * Los errores se agrupan por operación (`index`, empezando en 0). Los permisos y
+ * la existencia de las tareas se comprueban al aplicar el lote.
+ *
+ * @param {*} operations - Cuerpo recibido en `operations`.
+ * @param {string} username - Usuario que envía el lote.
+ * @returns {Promise<Array<{index: number, errors: Array<{field: string, code: string, params: Object}>}>>}
+ */
+export async function validateBatch(operations, username) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return [{ index: null, errors: [fieldError("operations", "BATCH_OPERATIONS_FORMAT")] }];
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return [{
+      index: null,
+      errors: [fieldError("operations", "BATCH_TOO_MANY_OPERATIONS", { max: MAX_BATCH_OPERATIONS })],
+    }];
+  }
+
+  const results = [];
+  for (const [index, operation] of operations.entries()) {
+    const errors = await validateOperation(operation, username);
+    if (errors.length > 0) {
+      results.push({ index, errors });
+    }
+  }
+  return results;
+}
+
+/**
+ * Valida una operación del lote.
+ */
+const validateOperation = async (operation, username) => {
+  if (operation === null || typeof operation !== "object" || Array.isArray(operation)) {
+    return [fieldError("op", "BATCH_OPERATION_FORMAT")];
+  }
+  const { op, id, task } = operation;
+  if (!BATCH_OPERATIONS.includes(op)) {
+    return [fieldError("op", "VALUE_NOT_ALLOWED", { values: BATCH_OPERATIONS.join(", ") })];
+  }
+
+  const errors = [];
+  if (op !== "create" && (typeof id !== "string" || id === "")) {
+    errors.push(fieldError("id", "BATCH_ID_REQUIRED"));
+  }
+  if (op === "delete") {
+    return errors;
+  }
+  if (task === null || typeof task !== "object" || Array.isArray(task)) {
+    errors.push(fieldError("task", "BATCH_TASK_FORMAT"));
+    return errors;
+  }
+
+  const taskErrors = validateTask(task, { partial: op === "update" });
+  if (taskErrors.length > 0 || errors.length > 0) {
+    return [...errors, ...taskErrors.map((e) => ({ ...e, field: `task.${e.field}` }))];
+  }
+
+  // El proyecto y las etiquetas deben ser del dueño de la tarea, no de quien la edita.
+  let owner = username;
+  if (op === "update") {
+    const { task: current } = await findTaskForUser(id, username);
+    if (!current) {
+      return [];
+    }
+    owner = current.username;
+  }
+  const referenceErrors = await validateTaskReferences(task, owner);
+  return referenceErrors.map((e) => ({ ...e, field: `task.${e.field}` }));
+};
+
+/**
+ * Aplica una operación sobre el array de tareas de la transacción.
+ *
+ * @returns {{result: Object, changes: Array<{action: string, before: Object|null, after: Object|null}>}}
+ */
+const applyOperation = (tasks, { op, id, task: input }, index, username) => {
+  if (op === "create") {
+    const task = withBoardRank(null, createTask(input, { id: uuidv4(), username }), tasks);
+    tasks.push(task);
+    return {
+      result: { index, op, status: 201, task },
+      changes: [{ action: "created", before: null, after: task }],
+    };
+  }
+
+  const position = tasks.findIndex((t) => t.id === id);
+  const permission = position === -1 ? null : taskPermission(tasks[position], username);
+  if (!permission) {
+    throw new BatchOperationError(index, taskAccessError("not_found"));
+  }
+
+  if (op === "delete") {
+    if (permission !== "owner") {
+      throw new BatchOperationError(index, taskAccessError("forbidden"));
+    }
+    const { removed, unblocked } = detachTask(tasks, position);
+    return {
+      result: { index, op, status: 200, id },
+      changes: [
+        { action: "deleted", before: removed, after: null },
+        ...unblocked.map((t) => ({ action: "unblocked", before: t, after: t })),
+      ],
+    };
+  }
+
+  if (!CAN_EDIT.includes(permission)) {
+    throw new BatchOperationError(index, taskAccessError("forbidden"));
+  }
+  const before = tasks[position];
+  const count = tasks.length;
+  try {
+    const next = updateTask(before, input);
+    assertCanComplete(before, next, tasks);
+    tasks[position] = withNextOccurrence(withBoardRank(before, next, tasks), tasks);
+  } catch (error) {
+    if (error instanceof TaskConflictError) {
+      throw new BatchOperationError(index, error);
+    }
+    throw error;
+  }
+  return {
+    result: { index, op, status: 200, task: tasks[position] },
+    changes: [
+      { action: "updated", before, after: tasks[position] },
+      ...tasks.slice(count).map((t) => ({ action: "created", before: null, after: t })),
+    ],
+  };
+};
+
+/**
+ * Aplica un lote de operaciones ya validado con `validateBatch`.
+ *
+ * Todas las operaciones se aplican en una única transacción de tareas; si alguna
+ * falla se lanza un `BatchOperationError` y no se guarda ningún cambio. Después de
+ * la escritura se mueven a la papelera las tareas eliminadas y se registran el
+ * historial y los eventos de cada cambio.
+ *
+ * @param {Array<Object>} operations - Operaciones `{ op, id?, task? }`.
+ * @param {string} username - Usuario que envía el lote.
+ * @returns {Promise<Array<Object>>} Resultado de cada operación, en orden:
+ *   `{ index, op, status, task }` (o `id` en las eliminaciones).
+ * @throws {BatchOperationError} Si alguna operación no puede aplicarse.
+ */
+export async function applyBatch(operations, username) {
+  const { results, changes } = await tasksRepository.transaction((tasks) => {
+    const applied = operations.map((operation, index) =>
+      applyOperation(tasks, operation, index, username)
+    );
+    return {
+      results: applied.map((a) => a.result),
+      changes: applied.flatMap((a) => a.changes),
+    };
+  });
+
+  const deleted = changes.filter((c) => c.action === "deleted").map((c) => c.before);
+  if (deleted.length > 0) {
+    await addToTrash(deleted, username);
+  }
+  for (const { action, before, after } of changes) {
+    if (action === "created" || action === "updated") {
+      await recordTaskHistory({ taskId: after.id, username, action, before, after });
+    }
+    publishTaskChange(before, after);
+  }
+  return results;
+}
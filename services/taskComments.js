@@ -0,0 +1,151 @@
+/**
+ * Comentarios de las tareas.
+ *
+ * Los comentarios se guardan en la colección `comments`:
+ *   { id, taskId, username, texto, mentions, createdAt, updatedAt }
+ *
+ * `mentions` lista los usuarios registrados mencionados con `@username` (sin
+ * distinguir mayúsculas); los nombres que no corresponden a ningún usuario se quedan como texto. Los
+ * comentarios de una tarea se borran al purgarla de la papelera.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { commentsRepository, tasksRepository, usersRepository } from "../storage/index.js";
+import { extractMentions } from "../models/comment.js";
+import { normalizeUsername } from "../models/user.js";
+import { taskPermission } from "../models/task.js";
+
+/**
+ * Usuarios registrados mencionados en un texto. Las menciones no distinguen
+ * mayúsculas (`@Bea` menciona a `bea`) y se guarda el nombre registrado.
+ */
+const resolveMentions = async (texto) => {
+  const names = extractMentions(texto).map(normalizeUsername);
+  if (names.length === 0) {
+    return [];
+  }
+  const users = await usersRepository.filter((u) => names.includes(normalizeUsername(u.username)));
+  const registered = new Map(users.map((u) => [normalizeUsername(u.username), u.username]));
+  return [...new Set(names.filter((name) => registered.has(name)).map((name) => registered.get(name)))];
+};
+
+/**
+ * Lista los comentarios de una tarea en orden cronológico.
+ *
+ * @param {string} taskId - Tarea.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listComments(taskId) {
+  const comments = await commentsRepository.filter((c) => c.taskId === taskId);
+  return comments.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Añade un comentario a una tarea.
+ *
+ * @param {string} taskId - Tarea.
+ * @param {string} username - Autor.
+ * @param {string} texto - Texto validado con `validateComment`.
+ * @returns {Promise<Object>} El comentario creado.
+ */
+export async function createComment(taskId, username, texto) {
+  const now = new Date().toISOString();
+  const comment = {
+    id: uuidv4(),
+    taskId,
+    username,
+    texto: texto.trim(),
+    mentions: await resolveMentions(texto),
+    createdAt: now,
+    updatedAt: now,
+  };
+  await commentsRepository.insert(comment);
+  return comment;
+}
+
+/**
+ * Modifica el texto de un comentario. Solo su autor puede hacerlo.
+ *
+ * @param {string} taskId - Tarea.
+ * @param {string} commentId - Comentario.
+ * @param {string} username - Usuario que lo modifica.
+ * @param {string} texto - Texto validado con `validateComment`.
+ * @returns {Promise<{status: "ok"|"not_found"|"forbidden", comment?: Object}>}
+ */
+export async function updateComment(taskId, commentId, username, texto) {
+  const mentions = await resolveMentions(texto);
+  return commentsRepository.transaction((comments) => {
+    const index = comments.findIndex((c) => c.taskId === taskId && c.id === commentId);
+    if (index === -1) {
+      return { status: "not_found" };
+    }
+    if (comments[index].username !== username) {
+      return { status: "forbidden" };
+    }
+    comments[index] = {
+      ...comments[index],
+      texto: texto.trim(),
+      mentions,
+      updatedAt: new Date().toISOString(),
+    };
+    return { status: "ok", comment: comments[index] };
+  });
+}
+
+/**
+ * Elimina un comentario. Solo su autor puede hacerlo.
+ *
+ * @param {string} taskId - Tarea.
+ * @param {string} commentId - Comentario.
+ * @param {string} username - Usuario que lo elimina.
+ * @returns {Promise<"ok"|"not_found"|"forbidden">}
+ */
+export function deleteComment(taskId, commentId, username) {
+  return commentsRepository.transaction((comments) => {
+    const index = comments.findIndex((c) => c.taskId === taskId && c.id === commentId);
+    if (index === -1) {
+      return "not_found";
+    }
+    if (comments[index].username !== username) {
+      return "forbidden";
+    }
+    comments.splice(index, 1);
+    return "ok";
+  });
+}
+
+/**
+ * Lista los comentarios en los que se menciona a un usuario, del más reciente al
+ * más antiguo. Solo se incluyen los de tareas a las que el usuario tiene acceso;
+ * cada uno lleva el `id` y el `titulo` de su tarea en `task`.
+ *
+ * @param {string} username - Usuario mencionado.
+ * @param {Object} [options]
+ * @param {number|null} [options.since] - Solo los comentarios creados después de
+ *   este instante (milisegundos).
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listMentions(username, { since = null } = {}) {
+  const comments = await commentsRepository.filter(
+    (c) => c.mentions.includes(username) && (since === null || Date.parse(c.createdAt) > since)
+  );
+  const taskIds = new Set(comments.map((c) => c.taskId));
+  const tasks = await tasksRepository.filter(
+    (t) => taskIds.has(t.id) && taskPermission(t, username) !== null
+  );
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  return comments
+    .filter((c) => byId.has(c.taskId))
+    .map((c) => ({ ...c, task: { id: c.taskId, titulo: byId.get(c.taskId).titulo } }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Elimina todos los comentarios de las tareas indicadas.
+ *
+ * @param {Array<string>} taskIds - Tareas purgadas.
+ * @returns {Promise<Array<Object>>} Comentarios eliminados.
+ */
+export function deleteTaskComments(taskIds) {
+  return commentsRepository.remove((c) => taskIds.includes(c.taskId));
+}
@@ -0,0 +1,145 @@
+/**
+ * Eventos de cambios en las tareas.
+ *
+ * Cada cambio de una tarea genera eventos `task.created`, `task.updated` o
+ * `task.deleted` dirigidos a los usuarios que pueden verla (el dueño y aquellos
+ * con quienes se comparte). Los eventos se entregan en el momento a los
+ * suscriptores (GET /tasks/events) y se guardan en un búfer en memoria con
+ * identificadores crecientes, para que un cliente que se reconecta reciba los
+ * que se perdió a partir de su último identificador (`Last-Event-ID`).
+ *
+ * Si un usuario pierde el acceso a una tarea (deja de compartirse o se reasigna),
+ * recibe `task.deleted` para que el cliente la retire.
+ *
+ * Otros módulos pueden recibir cada cambio con las dos versiones de la tarea
+ * mediante `onTaskChange` (p. ej. los webhooks, ver services/webhooks.js).
+ */
+
+import { events as eventsConfig } from "../config.js";
+
+// Tipos de evento.
+export const TASK_EVENTS = ["task.created", "task.updated", "task.deleted"];
+
+let lastId = 0;
+const buffer = [];
+const subscribers = new Map();
+const changeListeners = new Set();
+
+/**
+ * Usuarios que pueden ver una tarea.
+ */
+const audienceOf = (task) =>
+  task ? [task.username, ...(task.sharedWith ?? []).map((s) => s.username)] : [];
+
+/**
+ * Guarda un evento en el búfer y lo entrega a los suscriptores de sus usuarios.
+ */
+const emit = (type, taskId, task, usernames) => {
+  if (usernames.length === 0) {
+    return;
+  }
+  const event = {
+    id: String(++lastId),
+    type,
+    taskId,
+    task,
+    usernames,
+    at: new Date().toISOString(),
+  };
+  buffer.push(event);
+  if (buffer.length > eventsConfig.bufferSize) {
+    buffer.shift();
+  }
+  for (const username of usernames) {
+    for (const listener of subscribers.get(username) ?? []) {
+      listener(event);
+    }
+  }
+};
+
+/**
+ * Publica los eventos correspondientes al cambio de una tarea.
+ *
+ * @param {Object|null} before - Tarea antes del cambio (`null` si se ha creado).
+ * @param {Object|null} after - Tarea después del cambio (`null` si se ha eliminado).
+ */
+export function publishTaskChange(before, after) {
+  for (const listener of changeListeners) {
+    listener(before, after);
+  }
+  const taskId = (after ?? before).id;
+  if (!after) {
+    emit("task.deleted", taskId, null, audienceOf(before));
+    return;
+  }
+  const audience = audienceOf(after);
+  emit(before ? "task.updated" : "task.created", taskId, after, audience);
+  const revoked = audienceOf(before).filter((username) => !audience.includes(username));
+  emit("task.deleted", taskId, null, revoked);
+}
+
+/**
+ * Registra una función que recibe cada cambio de una tarea, de cualquier usuario.
+ *
+ * @param {Function} listener - Recibe `(before, after)` como `publishTaskChange`.
+ * @returns {Function} Función que cancela el registro.
+ */
+export function onTaskChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Suscribe una función a los eventos de un usuario.
+ *
+ * @param {string} username - Usuario.
+ * @param {Function} listener - Recibe cada evento.
+ * @returns {Function} Función que cancela la suscripción.
+ */
+export function subscribe(username, listener) {
+  if (!subscribers.has(username)) {
+    subscribers.set(username, new Set());
+  }
+  subscribers.get(username).add(listener);
+  return () => {
+    const listeners = subscribers.get(username);
+    listeners?.delete(listener);
+    if (listeners?.size === 0) {
+      subscribers.delete(username);
+    }
+  };
+}
+
+/**
+ * Devuelve los eventos de un usuario posteriores a `lastEventId`.
+ *
+ * @param {string} username - Usuario.
+ * @param {string} lastEventId - Último identificador que recibió el cliente.
+ * @returns {{events: Array<Object>, complete: boolean}} `complete` es `false` si
+ *   algún evento posterior ya salió del búfer (o el identificador no es de este
+ *   proceso) y el cliente debe volver a cargar las tareas.
+ */
+export function eventsSince(username, lastEventId) {
+  const since = Number(lastEventId);
+  if (!Number.isInteger(since) || since < 0 || since > lastId) {
+    return { events: [], complete: false };
+  }
+  const oldest = buffer.length > 0 ? Number(buffer[0].id) : lastId + 1;
+  return {
+    events: buffer.filter((e) => Number(e.id) > since && e.usernames.includes(username)),
+    complete: since >= oldest - 1,
+  };
+}
+
+/**
+ * Identificador del último evento publicado.
+ */
+export const lastEventId = () => String(lastId);
+
+/**
+ * Vacía el búfer y las suscripciones. Se usa en las pruebas.
+ */
+export function resetTaskEvents() {
+  buffer.length = 0;
+  subscribers.clear();
+}
@@ -0,0 +1,90 @@
+/**
+ * Historial de cambios de las tareas.
+ *
+ * Cada entrada registra quién (`username`) hizo qué (`action`) sobre una tarea y
+ * cuándo (`at`). En las modificaciones, `changes` lista los campos que cambiaron
+ * con su valor anterior y el nuevo. Las entradas se guardan en la colección
+ * `taskHistory` y se borran al purgar la tarea de la papelera.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { historyRepository } from "../storage/index.js";
+
+// Acciones que se registran en el historial.
+export const HISTORY_ACTIONS = ["created", "updated", "deleted", "restored"];
+
+// Campos que cambian en cada modificación o con el orden del tablero y no aportan
+// información al historial.
+const IGNORED_FIELDS = ["updatedAt", "version", "rank"];
+
+/**
+ * Calcula los campos que difieren entre dos versiones de una tarea.
+ *
+ * @param {Object} before - Tarea antes del cambio.
+ * @param {Object} after - Tarea después del cambio.
+ * @returns {Array<{field: string, from: *, to: *}>} Campos modificados.
+ */
+export function diffTask(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Añade una entrada al historial de una tarea.
+ *
+ * En las acciones `updated` se calculan los campos modificados a partir de
+ * `before` y `after`; si no cambió ninguno no se registra nada.
+ *
+ * @param {Object} entry
+ * @param {string} entry.taskId - Tarea afectada.
+ * @param {string} entry.username - Usuario que realizó la acción.
+ * @param {string} entry.action - Una de `HISTORY_ACTIONS`.
+ * @param {Object} [entry.before] - Tarea antes del cambio (solo `updated`).
+ * @param {Object} [entry.after] - Tarea después del cambio (solo `updated`).
+ * @returns {Promise<Object|null>} La entrada registrada o `null`.
+ */
+export async function recordTaskHistory({ taskId, username, action, before, after }) {
+  const changes = action === "updated" ? diffTask(before, after) : [];
+  if (action === "updated" && changes.length === 0) {
+    return null;
+  }
+  return historyRepository.insert({
+    id: uuidv4(),
+    taskId,
+    username,
+    action,
+    changes,
+    at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Devuelve el historial de una tarea en orden cronológico.
+ *
+ * @param {string} taskId - Tarea consultada.
+ * @returns {Promise<Array<Object>>}
+ */
+export function taskHistory(taskId) {
+  return historyRepository.filter((entry) => entry.taskId === taskId);
+}
+
+/**
+ * Borra el historial de las tareas indicadas.
+ *
+ * @param {Array<string>} taskIds - Tareas purgadas.
+ * @returns {Promise<Array<Object>>} Entradas eliminadas.
+ */
+export function deleteTaskHistory(taskIds) {
+  return historyRepository.remove((entry) => taskIds.includes(entry.taskId));
+}
@@ -0,0 +1,124 @@
+/**
+ * Referencias de una tarea a proyectos y etiquetas.
+ *
+ * Los proyectos y las etiquetas pertenecen a un usuario; una tarea solo puede
+ * referenciar los de su dueño, aunque quien la modifique sea un `editor` con el
+ * que se compartió. También aplica lo que ocurre con las tareas al eliminar un
+ * proyecto o una etiqueta, o al restaurar una tarea cuyas referencias ya no existen.
+ */
+
+import { fieldError } from "../errors.js";
+import {
+  projectsRepository,
+  tagsRepository,
+  tasksRepository,
+} from "../storage/index.js";
+import { touchTask } from "../models/task.js";
+import { recordTaskHistory } from "./taskHistory.js";
+import { publishTaskChange } from "./taskEvents.js";
+
+/**
+ * Comprueba que el proyecto y las etiquetas indicados existan y pertenezcan a `owner`.
+ *
+ * @param {Object} input - Cuerpo de la petición ya validado por `validateTask`.
+ * @param {string} owner - Dueño de la tarea.
+ * @returns {Promise<Array<{field: string, code: string, params: Object}>>} Errores encontrados.
+ */
+export async function validateTaskReferences(input, owner) {
+  const errors = [];
+  if (typeof input.projectId === "string") {
+    const project = await projectsRepository.find(
+      (p) => p.id === input.projectId && p.username === owner
+    );
+    if (!project) {
+      errors.push(fieldError("projectId", "UNKNOWN_PROJECT"));
+    }
+  }
+  if (Array.isArray(input.tags) && input.tags.length > 0) {
+    const ownTags = new Set(
+      (await tagsRepository.filter((t) => t.username === owner)).map((t) => t.id)
+    );
+    const missing = input.tags.filter((id) => !ownTags.has(id));
+    if (missing.length > 0) {
+      errors.push(fieldError("tags", "UNKNOWN_TAGS", { ids: [...new Set(missing)].join(", ") }));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Aplica `update` a todas las tareas que cumplen `matches` en una sola transacción,
+ * y registra y publica cada cambio con la versión anterior de la tarea. El cambio
+ * se atribuye al dueño de la tarea, que es quien eliminó el proyecto o la etiqueta.
+ *
+ * @returns {Promise<number>} Número de tareas afectadas.
+ */
+const updateMatchingTasks = async (matches, update) => {
+  const changed = await tasksRepository.transaction((tasks) => {
+    const now = new Date().toISOString();
+    const affected = [];
+    tasks.forEach((task, index) => {
+      if (matches(task)) {
+        tasks[index] = touchTask(update(task), now);
+        affected.push({ before: task, after: tasks[index] });
+      }
+    });
+    return affected;
+  });
+  for (const { before, after } of changed) {
+    await recordTaskHistory({ taskId: after.id, username: after.username, action: "updated", before, after });
+    publishTaskChange(before, after);
+  }
+  return changed.length;
+};
+
+/**
+ * Saca de su proyecto las tareas de un proyecto eliminado. Las tareas no se borran:
+ * quedan con `projectId: null`.
+ *
+ * @param {string} projectId - Proyecto eliminado.
+ * @returns {Promise<number>} Número de tareas afectadas.
+ */
+export async function detachProject(projectId) {
+  return updateMatchingTasks(
+    (task) => task.projectId === projectId,
+    (task) => ({ ...task, projectId: null })
+  );
+}
+
+/**
+ * Quita una etiqueta eliminada de todas las tareas que la llevaban.
+ *
+ * @param {string} tagId - Etiqueta eliminada.
+ * @returns {Promise<number>} Número de tareas afectadas.
+ */
+export async function removeTagFromTasks(tagId) {
+  return updateMatchingTasks(
+    (task) => task.tags?.includes(tagId),
+    (task) => ({ ...task, tags: task.tags.filter((id) => id !== tagId) })
+  );
+}
+
+/**
+ * Quita de una tarea las referencias a proyectos, etiquetas y tareas bloqueantes
+ * que ya no existen (p. ej. al restaurarla de la papelera).
+ *
+ * @param {Object} task - Tarea a restaurar.
+ * @returns {Promise<Object>} Tarea con solo las referencias válidas.
+ */
+export async function pruneTaskReferences(task) {
+  const [projects, tags, tasks] = await Promise.all([
+    projectsRepository.filter((p) => p.username === task.username),
+    tagsRepository.filter((t) => t.username === task.username),
+    tasksRepository.all(),
+  ]);
+  const projectIds = new Set(projects.map((p) => p.id));
+  const tagIds = new Set(tags.map((t) => t.id));
+  const taskIds = new Set(tasks.map((t) => t.id));
+  return {
+    ...task,
+    projectId: projectIds.has(task.projectId) ? task.projectId : null,
+    tags: (task.tags ?? []).filter((id) => tagIds.has(id)),
+    blockedBy: (task.blockedBy ?? []).filter((id) => taskIds.has(id)),
+  };
+}
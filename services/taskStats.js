@@ -0,0 +1,44 @@
+/**
+ * Estadísticas de productividad de las tareas.
+ *
+ * Reúne las tareas y su historial para calcular las estadísticas de
+ * models/taskStats.js. Solo cuentan las tareas activas: las de la papelera no.
+ */
+
+import { historyRepository, tasksRepository } from "../storage/index.js";
+import { completionTimes, computeTaskStats } from "../models/taskStats.js";
+
+/**
+ * Calcula las estadísticas de las tareas que cumplen `predicate`.
+ *
+ * @param {Function} predicate - Filtro de las tareas.
+ * @param {Object} options - Resultado de `parseStatsQuery`.
+ * @param {Object} [settings]
+ * @param {boolean} [settings.byUser=false] - Si es `true`, se añade `byUser`: por
+ *   cada dueño, `{ username, total, completadas, overdue, completionRate }`.
+ * @returns {Promise<Object>}
+ */
+export async function taskStats(predicate, options, { byUser = false } = {}) {
+  const tasks = await tasksRepository.filter(predicate);
+  const ids = new Set(tasks.map((task) => task.id));
+  const history = await historyRepository.filter((entry) => ids.has(entry.taskId));
+  const completedAt = completionTimes(tasks, history);
+  const now = new Date();
+  const stats = computeTaskStats(tasks, completedAt, options, now);
+  if (!byUser) {
+    return stats;
+  }
+
+  const owners = [...new Set(tasks.map((task) => task.username))].sort();
+  stats.byUser = owners.map((username) => {
+    const own = computeTaskStats(tasks.filter((task) => task.username === username), completedAt, options, now);
+    return {
+      username,
+      total: own.total,
+      completadas: own.byEstado.completada,
+      overdue: own.overdue,
+      completionRate: own.completionRate,
+    };
+  });
+  return stats;
+}
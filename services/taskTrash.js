@@ -0,0 +1,191 @@
+/**
+ * Papelera de tareas.
+ *
+ * Eliminar una tarea la mueve de la colección `tasks` a `trash`, con la fecha
+ * (`deletedAt`) y el usuario (`deletedBy`) de la eliminación. Desde la papelera
+ * el dueño puede restaurarla o purgarla; el planificador purga las que llevan más
+ * de `trash.retentionDays` días (config.js). Purgar borra también el historial,
+ * los recordatorios, los archivos adjuntos y los comentarios de la tarea.
+ *
+ * Al eliminar una tarea se quita de las dependencias de las tareas que bloqueaba;
+ * al restaurarla, sus propias referencias que ya no existan se descartan.
+ */
+
+import { trash as trashConfig } from "../config.js";
+import {
+  remindersRepository,
+  tasksRepository,
+  trashRepository,
+} from "../storage/index.js";
+import { touchTask } from "../models/task.js";
+import { placeTask } from "../models/taskRank.js";
+import { findTaskForUser, matchesIfMatch } from "./taskAccess.js";
+import { deleteTaskHistory, recordTaskHistory } from "./taskHistory.js";
+import { deleteTaskAttachments } from "./taskAttachments.js";
+import { deleteTaskComments } from "./taskComments.js";
+import { pruneTaskReferences } from "./taskReferences.js";
+import { publishTaskChange } from "./taskEvents.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Mueve una tarea a la papelera. Solo el dueño puede eliminarla.
+ *
+ * @param {string} taskId - Tarea a eliminar.
+ * @param {string} username - Usuario que la elimina.
+ * @param {Object} [options]
+ * @param {string} [options.ifMatch] - Cabecera `If-Match`; si no coincide con la
+ *   versión actual la tarea no se elimina.
+ * @returns {Promise<{status: "ok"|"not_found"|"forbidden"|"precondition_failed", task?: Object}>}
+ */
+export async function moveTaskToTrash(taskId, username, { ifMatch } = {}) {
+  const { task, permission } = await findTaskForUser(taskId, username);
+  if (!task) {
+    return { status: "not_found" };
+  }
+  if (permission !== "owner") {
+    return { status: "forbidden" };
+  }
+
+  const { status, removed, unblocked } = await tasksRepository.transaction((tasks) => {
+    const index = tasks.findIndex((t) => t.id === taskId && t.username === username);
+    if (index === -1) {
+      return { status: "not_found" };
+    }
+    if (!matchesIfMatch(tasks[index], ifMatch)) {
+      return { status: "precondition_failed" };
+    }
+    return { status: "ok", ...detachTask(tasks, index) };
+  });
+  if (status !== "ok") {
+    return { status };
+  }
+  publishTaskChange(removed, null);
+  for (const task of unblocked) {
+    publishTaskChange(task, task);
+  }
+
+  const [trashed] = await addToTrash([removed], username);
+  return { status: "ok", task: trashed };
+}
+
+/**
+ * Quita una tarea del array de una transacción de tareas y la elimina de las
+ * dependencias de las tareas que bloqueaba.
+ *
+ * @param {Array} tasks - Array de tareas de la transacción.
+ * @param {number} index - Posición de la tarea a quitar.
+ * @returns {{removed: Object, unblocked: Array<Object>}} La tarea quitada y las
+ *   tareas que dejaron de estar bloqueadas por ella.
+ */
+export function detachTask(tasks, index) {
+  const [removed] = tasks.splice(index, 1);
+  const unblocked = [];
+  tasks.forEach((t, i) => {
+    if (t.blockedBy?.includes(removed.id)) {
+      tasks[i] = touchTask({ ...t, blockedBy: t.blockedBy.filter((id) => id !== removed.id) });
+      unblocked.push(tasks[i]);
+    }
+  });
+  return { removed, unblocked };
+}
+
+/**
+ * Guarda en la papelera, con una sola escritura, tareas ya quitadas de `tasks`
+ * y registra su eliminación en el historial.
+ *
+ * @param {Array<Object>} removed - Tareas eliminadas.
+ * @param {string} username - Usuario que las elimina.
+ * @returns {Promise<Array<Object>>} Las entradas de la papelera.
+ */
+export async function addToTrash(removed, username) {
+  const deletedAt = new Date().toISOString();
+  const trashed = removed.map((task) => ({ ...task, deletedAt, deletedBy: username }));
+  await trashRepository.transaction((trash) => {
+    trash.push(...trashed);
+  });
+  for (const task of trashed) {
+    await recordTaskHistory({ taskId: task.id, username, action: "deleted" });
+  }
+  return trashed;
+}
+
+/**
+ * Lista las tareas de un usuario que están en la papelera, de la más reciente a
+ * la más antigua.
+ *
+ * @param {string} username - Dueño de las tareas.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listTrash(username) {
+  const tasks = await trashRepository.filter((t) => t.username === username);
+  return tasks.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Restaura una tarea de la papelera. Vuelve al final de la columna de su estado:
+ * su posición anterior puede tenerla ya otra tarea.
+ *
+ * @param {string} taskId - Tarea a restaurar.
+ * @param {string} username - Dueño de la tarea.
+ * @returns {Promise<Object|null>} La tarea restaurada o `null` si no está en su papelera.
+ */
+export async function restoreTask(taskId, username) {
+  const [entry] = await trashRepository.remove(
+    (t) => t.id === taskId && t.username === username
+  );
+  if (!entry) {
+    return null;
+  }
+
+  const { deletedAt, deletedBy, ...task } = entry;
+  const pruned = touchTask(await pruneTaskReferences(task));
+  const restored = await tasksRepository.transaction((tasks) => {
+    const placed = placeTask(tasks, pruned);
+    tasks.push(placed);
+    return placed;
+  });
+  await recordTaskHistory({ taskId, username, action: "restored" });
+  publishTaskChange(null, restored);
+  return restored;
+}
+
+/**
+ * Borra definitivamente tareas de la papelera junto con su historial, recordatorios,
+ * adjuntos y comentarios.
+ */
+const purgeEntries = async (predicate) => {
+  const removed = await trashRepository.remove(predicate);
+  const ids = removed.map((t) => t.id);
+  if (ids.length > 0) {
+    await deleteTaskHistory(ids);
+    await remindersRepository.remove((r) => ids.includes(r.taskId));
+    await deleteTaskAttachments(ids);
+    await deleteTaskComments(ids);
+  }
+  return removed;
+};
+
+/**
+ * Purga una tarea de la papelera de un usuario.
+ *
+ * @param {string} taskId - Tarea a purgar.
+ * @param {string} username - Dueño de la tarea.
+ * @returns {Promise<boolean>} `false` si la tarea no estaba en su papelera.
+ */
+export async function purgeTask(taskId, username) {
+  const removed = await purgeEntries((t) => t.id === taskId && t.username === username);
+  return removed.length > 0;
+}
+
+/**
+ * Purga las tareas que llevan en la papelera más tiempo que el periodo de retención.
+ *
+ * @param {Date} [now] - Momento actual.
+ * @param {number} [retentionDays] - Días de retención.
+ * @returns {Promise<Array<Object>>} Tareas purgadas.
+ */
+export function purgeExpiredTrash(now = new Date(), retentionDays = trashConfig.retentionDays) {
+  const limit = now.getTime() - retentionDays * DAY_MS;
+  return purgeEntries((t) => Date.parse(t.deletedAt) <= limit);
+}
@@ -0,0 +1,103 @@
+/**
+ * Firma y verificación de los access tokens (JWT).
+ *
+ * Los tokens se firman con la clave actual de la configuración (`jwt` en
+ * config.js): HS256 con un secreto compartido o RS256/ES256 con una clave privada.
+ * Cada token lleva en la cabecera `kid` el identificador de la clave que lo firmó.
+ *
+ * Al verificar se usa la clave de ese `kid`, que puede ser la actual o una de las
+ * anteriores (`jwt.previousKeys`): tras rotar la clave, los tokens firmados con la
+ * anterior siguen siendo válidos hasta que caducan. Los tokens sin `kid`, emitidos
+ * antes de que existiera, se comprueban con todas las claves.
+ */
+
+import jsonwebtoken from "jsonwebtoken";
+import { jwt as jwtConfig } from "../config.js";
+
+const { JsonWebTokenError } = jsonwebtoken;
+
+/**
+ * Crea un juego de claves con el que firmar y verificar tokens.
+ *
+ * @param {Array<Object>} keys - Claves `{ kid, algorithm, signingKey, verificationKey }`
+ *   (ver `loadConfig`); la primera es la que firma.
+ * @returns {{sign: Function, verify: Function}}
+ */
+export function createKeyring(keys) {
+  const [current] = keys;
+
+  return {
+    /**
+     * Firma un token con la clave actual.
+     *
+     * @param {Object} payload - Claims del token.
+     * @param {Object} [options] - Opciones de `jsonwebtoken.sign` (p. ej. `expiresIn`).
+     * @returns {string} JWT firmado.
+     */
+    sign(payload, options = {}) {
+      return jsonwebtoken.sign(payload, current.signingKey, {
+        ...options,
+        algorithm: current.algorithm,
+        keyid: current.kid,
+      });
+    },
+
+    /**
+     * Verifica un token con la clave indicada en su `kid`.
+     *
+     * @param {string} token - JWT recibido.
+     * @param {Object} [options] - Opciones de `jsonwebtoken.verify` (p. ej. `ignoreExpiration`).
+     * @returns {Object} Claims del token.
+     * @throws {JsonWebTokenError} Si el token no es válido, caducó o su clave no se conoce.
+     */
+    verify(token, options = {}) {
+      const decoded = jsonwebtoken.decode(token, { complete: true });
+      if (!decoded) {
+        throw new JsonWebTokenError("jwt malformed");
+      }
+      const { kid } = decoded.header;
+      const candidates = kid === undefined ? keys : keys.filter((key) => key.kid === kid);
+      if (candidates.length === 0) {
+        throw new JsonWebTokenError(`unknown kid: ${kid}`);
+      }
+
+      let failure;
+      for (const key of candidates) {
+        try {
+          return jsonwebtoken.verify(token, key.verificationKey, {
+            ...options,
+            algorithms: [key.algorithm],
+          });
+        } catch (error) {
+          // La firma es de esta clave pero el token no es válido (p. ej. caducó).
+          if (error.name === "TokenExpiredError" || error.name === "NotBeforeError") {
+            throw error;
+          }
+          failure = error;
+        }
+      }
+      throw failure;
+    },
+  };
+}
+
+// Claves de la aplicación.
+const keyring = createKeyring(jwtConfig.keys);
+
+/**
+ * Firma un token con la clave actual de la aplicación.
+ *
+ * @param {Object} payload - Claims del token.
+ * @param {Object} [options] - Opciones de `jsonwebtoken.sign`.
+ * @returns {string}
+ */
+export const signToken = (payload, options) => keyring.sign(payload, options);
+
+/**
+ * Verifica un token con las claves de la aplicación.
+ *
+ * @param {string} token - JWT recibido.
+ * @param {Object} [options] - Opciones de `jsonwebtoken.verify`.
+ * @returns {Object} Claims del token.
+ */
+export const verifyToken = (token, options) => keyring.verify(token, options);
@@ -0,0 +1,299 @@
+/**
+ * Entrega de eventos de tareas a los webhooks.
+ *
+ * Cada cambio de una tarea (ver `onTaskChange` en services/taskEvents.js) crea una
+ * entrega por cada webhook activo cuyo dueño puede ver la tarea y que está
+ * suscrito al evento. La entrega se envía en segundo plano, sin retrasar la
+ * respuesta de la ruta que hizo el cambio, como un POST con el cuerpo JSON:
+ *
+ *   { "id": "<entrega>", "event": "task.updated", "taskId": "...", "task": {...}, "createdAt": "..." }
+ *
+ * y las cabeceras:
+ *   - `X-Webhook-Event`, `X-Webhook-Delivery`: evento e identificador de la entrega.
+ *   - `X-Webhook-Timestamp`: segundos desde 1970 en el momento del envío.
+ *   - `X-Webhook-Signature`: `sha256=<hex>`, HMAC-SHA256 con el secreto del webhook
+ *     de `<timestamp>.<cuerpo>`. El receptor debe recalcularla y rechazar las
+ *     marcas de tiempo antiguas para evitar que se reenvíen entregas capturadas.
+ *
+ * Una respuesta 2xx da la entrega por buena. Cualquier otra respuesta, un error de
+ * red o superar `webhooks.timeoutMs` se reintentan con backoff exponencial
+ * (`retryBaseMs`, el doble, el cuádruple…) hasta `maxAttempts` intentos (config.js).
+ * Cada intento queda en el registro de entregas del webhook (colección
+ * `webhookDeliveries`), que conserva las `logSize` más recientes. Las entregas
+ * pendientes que no llegaron a reintentarse (p. ej. tras reiniciar) las recoge el
+ * planificador. Si el webhook se desactiva, sus entregas pendientes se dan por
+ * fallidas sin enviarlas.
+ *
+ * Salvo con `webhooks.allowPrivateUrls`, antes de cada envío se resuelve el nombre
+ * de la URL y no se envía nada si alguna de sus direcciones es local o privada
+ * (un nombre público puede resolverse a una dirección interna).
+ */
+
+import crypto from "crypto";
+import { promises as dns } from "dns";
+import { v4 as uuidv4 } from "uuid";
+import { webhooks as webhooksConfig } from "../config.js";
+import { logger } from "../logger.js";
+import { webhookDeliveriesRepository, webhooksRepository } from "../storage/index.js";
+import { isPrivateAddress, webhookEventsFor } from "../models/webhook.js";
+import { onTaskChange } from "./taskEvents.js";
+
+// Reintentos programados (identificador de entrega → temporizador) y entregas en curso.
+const retries = new Map();
+const inFlight = new Set();
+
+/**
+ * Firma HMAC-SHA256 de un cuerpo con el secreto de un webhook.
+ *
+ * @param {string} secret - Secreto del webhook.
+ * @param {number|string} timestamp - Valor de `X-Webhook-Timestamp`.
+ * @param {string} body - Cuerpo JSON enviado.
+ * @returns {string} Valor de `X-Webhook-Signature`.
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Genera el secreto de un webhook nuevo.
+ *
+ * @returns {string}
+ */
+export const generateSecret = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * Espera antes del reintento que sigue al intento número `attempt` (desde 1).
+ */
+const retryDelay = (attempt) => webhooksConfig.retryBaseMs * 2 ** (attempt - 1);
+
+/**
+ * Indica si el nombre de una URL se resuelve a alguna dirección local o privada.
+ */
+const resolvesToPrivateAddress = async (url) => {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = await dns.lookup(host, { all: true });
+  return addresses.some(({ address }) => isPrivateAddress(address));
+};
+
+/**
+ * Envía una entrega a la URL del webhook.
+ *
+ * @returns {Promise<Object>} Intento: `{ at, statusCode, error, durationMs }`.
+ */
+const send = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const at = new Date().toISOString();
+  const start = Date.now();
+  try {
+    if (!webhooksConfig.allowPrivateUrls && (await resolvesToPrivateAddress(webhook.url))) {
+      return { at, statusCode: null, error: "Dirección privada no permitida", durationMs: Date.now() - start };
+    }
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "gestor-de-tareas-webhooks",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery.id,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(webhooksConfig.timeoutMs),
+    });
+    await response.arrayBuffer();
+    return { at, statusCode: response.status, error: null, durationMs: Date.now() - start };
+  } catch (error) {
+    const message = error.name === "TimeoutError" ? "Tiempo de espera agotado" : error.cause?.code ?? error.message;
+    return { at, statusCode: null, error: message, durationMs: Date.now() - start };
+  }
+};
+
+/**
+ * Programa el siguiente intento de una entrega.
+ */
+const scheduleRetry = (deliveryId, delayMs) => {
+  const timer = setTimeout(() => {
+    retries.delete(deliveryId);
+    attemptDelivery(deliveryId).catch((error) => logger.error("Error en un webhook", { deliveryId, error }));
+  }, delayMs);
+  // Los reintentos pendientes no impiden que el proceso termine.
+  timer.unref();
+  retries.set(deliveryId, timer);
+};
+
+/**
+ * Hace un intento de una entrega pendiente y guarda el resultado.
+ *
+ * @param {string} deliveryId - Entrega.
+ * @returns {Promise<Object|null>} La entrega actualizada, o `null` si no estaba
+ *   pendiente, ya se estaba enviando o el webhook no existe.
+ */
+export async function attemptDelivery(deliveryId) {
+  if (inFlight.has(deliveryId)) {
+    return null;
+  }
+  inFlight.add(deliveryId);
+  try {
+    const delivery = await webhookDeliveriesRepository.find((d) => d.id === deliveryId);
+    if (delivery?.status !== "pending") {
+      return null;
+    }
+    const webhook = await webhooksRepository.find((w) => w.id === delivery.webhookId);
+    if (!webhook) {
+      return null;
+    }
+    // Las entregas pendientes de un webhook desactivado ya no se envían.
+    if (!webhook.active) {
+      return webhookDeliveriesRepository.update(
+        (d) => d.id === deliveryId,
+        (d) => ({ ...d, status: "failed", nextAttemptAt: null, completedAt: new Date().toISOString() })
+      );
+    }
+
+    const attempt = await send(webhook, delivery);
+    const attempts = [...delivery.attempts, attempt];
+    const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+    const status = succeeded ? "succeeded" : attempts.length >= webhooksConfig.maxAttempts ? "failed" : "pending";
+    const delay = status === "pending" ? retryDelay(attempts.length) : null;
+    const updated = await webhookDeliveriesRepository.update(
+      (d) => d.id === deliveryId,
+      (d) => ({
+        ...d,
+        status,
+        attempts,
+        nextAttemptAt: delay === null ? null : new Date(Date.now() + delay).toISOString(),
+        completedAt: status === "pending" ? null : new Date().toISOString(),
+      })
+    );
+    if (updated && delay !== null) {
+      scheduleRetry(deliveryId, delay);
+    }
+    return updated;
+  } finally {
+    inFlight.delete(deliveryId);
+  }
+}
+
+/**
+ * Registra las entregas de un cambio de tarea y hace su primer intento.
+ *
+ * @param {Object|null} before - Tarea antes del cambio.
+ * @param {Object|null} after - Tarea después del cambio.
+ * @returns {Promise<Array<Object>>} Entregas creadas.
+ */
+export async function dispatchTaskChange(before, after) {
+  const task = after ?? before;
+  const webhooks = await webhooksRepository.filter((w) => w.active);
+  const now = new Date().toISOString();
+  const deliveries = [];
+  for (const webhook of webhooks) {
+    for (const event of webhookEventsFor(before, after, webhook.username)) {
+      if (!webhook.events.includes(event)) {
+        continue;
+      }
+      const id = uuidv4();
+      deliveries.push({
+        id,
+        webhookId: webhook.id,
+        event,
+        payload: { id, event, taskId: task.id, task, createdAt: now },
+        status: "pending",
+        attempts: [],
+        nextAttemptAt: now,
+        createdAt: now,
+        completedAt: null,
+      });
+    }
+  }
+  if (deliveries.length === 0) {
+    return deliveries;
+  }
+
+  const webhookIds = new Set(deliveries.map((d) => d.webhookId));
+  await webhookDeliveriesRepository.transaction((log) => {
+    log.push(...deliveries);
+    // Conservar solo las `logSize` entregas más recientes de cada webhook.
+    for (const webhookId of webhookIds) {
+      const own = log.filter((d) => d.webhookId === webhookId);
+      const excess = new Set(own.slice(0, Math.max(0, own.length - webhooksConfig.logSize)));
+      for (let i = log.length - 1; i >= 0; i--) {
+        if (excess.has(log[i])) {
+          log.splice(i, 1);
+        }
+      }
+    }
+  });
+  await Promise.all(deliveries.map((d) => attemptDelivery(d.id)));
+  return deliveries;
+}
+
+/**
+ * Reintenta las entregas pendientes cuyo siguiente intento ya venció y que no
+ * tienen un reintento programado en este proceso.
+ *
+ * @param {Date} [now] - Momento actual.
+ * @returns {Promise<Array<Object>>} Entregas reintentadas.
+ */
+export async function retryPendingDeliveries(now = new Date()) {
+  const due = await webhookDeliveriesRepository.filter(
+    (d) =>
+      d.status === "pending" &&
+      Date.parse(d.nextAttemptAt) <= now.getTime() &&
+      !retries.has(d.id) &&
+      !inFlight.has(d.id)
+  );
+  const results = await Promise.all(due.map((d) => attemptDelivery(d.id)));
+  return results.filter(Boolean);
+}
+
+/**
+ * Lista las entregas de un webhook, de la más reciente a la más antigua.
+ *
+ * @param {string} webhookId - Webhook.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listDeliveries(webhookId) {
+  const deliveries = await webhookDeliveriesRepository.filter((d) => d.webhookId === webhookId);
+  return deliveries.reverse();
+}
+
+/**
+ * Elimina un webhook con su registro de entregas y cancela sus reintentos.
+ *
+ * @param {string} webhookId - Webhook.
+ * @param {string} username - Dueño.
+ * @returns {Promise<boolean>} `false` si el webhook no existe o no es del usuario.
+ */
+export async function deleteWebhook(webhookId, username) {
+  const [removed] = await webhooksRepository.remove(
+    (w) => w.id === webhookId && w.username === username
+  );
+  if (!removed) {
+    return false;
+  }
+  const deliveries = await webhookDeliveriesRepository.remove((d) => d.webhookId === webhookId);
+  for (const delivery of deliveries) {
+    clearTimeout(retries.get(delivery.id));
+    retries.delete(delivery.id);
+  }
+  return true;
+}
+
+/**
+ * Cancela los reintentos programados. Se usa en las pruebas.
+ */
+export function resetWebhooks() {
+  for (const timer of retries.values()) {
+    clearTimeout(timer);
+  }
+  retries.clear();
+}
+
+// Entregar los cambios de las tareas a los webhooks.
+onTaskChange((before, after) => {
+  dispatchTaskChange(before, after).catch((error) => logger.error("Error en un webhook", { error }));
+});
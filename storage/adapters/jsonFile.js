@@ -0,0 +1,90 @@
+/**
+ * Adaptador de almacenamiento en archivos JSON.
+ *
+ * Cada colección se guarda en `<dataDir>/<colección>.json` como un array. Las
+ * escrituras se serializan en una cola por archivo, de modo que dos peticiones
+ * simultáneas nunca leen el mismo estado para luego pisarse entre sí, y se hacen
+ * de forma atómica: primero se escribe un archivo temporal y después se renombra
+ * sobre el original, así un fallo a mitad de escritura no deja el JSON corrupto.
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+/**
+ * Crea un almacén basado en archivos JSON.
+ *
+ * @param {Object} options
+ * @param {string} options.dataDir - Directorio donde viven los archivos de datos.
+ * @returns {Object} Almacén con la interfaz `read` y `transaction`.
+ */
+export function createJsonFileStore({ dataDir }) {
+  // Última operación encolada por archivo; cada escritura espera a la anterior.
+  const queues = new Map();
+
+  const filePath = (name) => path.join(dataDir, `${name}.json`);
+
+  const load = async (name) => {
+    try {
+      return JSON.parse(await fs.readFile(filePath(name), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  };
+
+  const save = async (name, records) => {
+    const target = filePath(name);
+    const tmp = `${target}.${randomUUID()}.tmp`;
+    await fs.mkdir(dataDir, { recursive: true });
+    try {
+      await fs.writeFile(tmp, JSON.stringify(records));
+      await fs.rename(tmp, target);
+    } catch (error) {
+      await fs.rm(tmp, { force: true });
+      throw error;
+    }
+  };
+
+  const enqueue = (name, operation) => {
+    const previous = queues.get(name) ?? Promise.resolve();
+    const next = previous.then(operation, operation);
+    // La cola no debe quedar rechazada: el error se entrega solo al llamador.
+    const settled = next.catch(() => {});
+    queues.set(name, settled);
+    settled.then(() => {
+      if (queues.get(name) === settled) {
+        queues.delete(name);
+      }
+    });
+    return next;
+  };
+
+  return {
+    driver: "json",
+
+    read(name) {
+      return load(name);
+    },
+
+    /**
+     * Lee la colección, ejecuta `fn` sobre ella y guarda el resultado. Si `fn`
+     * lanza, el archivo no se modifica.
+     */
+    transaction(name, fn) {
+      return enqueue(name, async () => {
+        const records = await load(name);
+        const result = fn(records);
+        await save(name, records);
+        return result;
+      });
+    },
+
+    async close() {
+      await Promise.all(queues.values());
+    },
+  };
+}
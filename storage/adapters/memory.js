@@ -0,0 +1,54 @@
+/**
+ * Adaptador de almacenamiento en memoria.
+ *
+ * Guarda cada colección como un array dentro de un `Map`. Está pensado para las
+ * pruebas automatizadas: no toca el sistema de archivos y se puede vaciar entre
+ * pruebas con `reset()`. Los registros se clonan al leer y al escribir para que
+ * los llamadores nunca compartan referencias con el estado interno.
+ */
+
+/**
+ * Crea un almacén en memoria.
+ *
+ * @param {Object<string, Array>} [initialData] - Datos iniciales por colección.
+ * @returns {Object} Almacén con la interfaz `read`, `transaction` y `reset`.
+ */
+export function createMemoryStore(initialData = {}) {
+  const collections = new Map();
+
+  const load = (name) => structuredClone(collections.get(name) ?? []);
+
+  const reset = (data = initialData) => {
+    collections.clear();
+    for (const [name, records] of Object.entries(data)) {
+      collections.set(name, structuredClone(records));
+    }
+  };
+
+  reset();
+
+  return {
+    driver: "memory",
+
+    async read(name) {
+      return load(name);
+    },
+
+    /**
+     * Ejecuta `fn` sobre una copia de la colección y, si no lanza, la guarda.
+     * Como `fn` es síncrona, ninguna otra operación puede intercalarse.
+     */
+    async transaction(name, fn) {
+      const records = load(name);
+      const result = fn(records);
+      collections.set(name, structuredClone(records));
+      return structuredClone(result);
+    },
+
+    async reset(data) {
+      reset(data);
+    },
+
+    async close() {},
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Adaptador de almacenamiento SQLite.
+ *
+ * Cada colección es una tabla con una fila por registro, guardado como JSON en la
+ * columna `data`. Las transacciones de SQLite garantizan que la lectura, la
+ * modificación y la escritura de una colección se aplican completas o no se
+ * aplican. El paquete `better-sqlite3` es una dependencia opcional y solo se
+ * carga cuando la configuración selecciona este adaptador.
+ */
+
+// Los nombres de colección se interpolan en SQL, así que se restringen a identificadores simples.
+const COLLECTION_NAME = /^[a-z][a-z0-9_]*$/i;
+
+/**
+ * Crea un almacén SQLite.
+ *
+ * @param {Object} options
+ * @param {string} options.filename - Ruta del archivo de base de datos (o ":memory:").
+ * @returns {Object} Almacén con la interfaz `read` y `transaction`.
+ */
+export function createSqliteStore({ filename }) {
+  let connection;
+  const tables = new Set();
+
+  const open = async () => {
+    if (!connection) {
+      connection = import("better-sqlite3").then(({ default: Database }) => {
+        const db = new Database(filename);
+        db.pragma("journal_mode = WAL");
+        return db;
+      });
+    }
+    return connection;
+  };
+
+  const table = (db, name) => {
+    if (!COLLECTION_NAME.test(name)) {
+      throw new Error(`Nombre de colección inválido: ${name}`);
+    }
+    if (!tables.has(name)) {
+      db.exec(
+        `CREATE TABLE IF NOT EXISTS "${name}" (position INTEGER PRIMARY KEY, data TEXT NOT NULL)`
+      );
+      tables.add(name);
+    }
+    return `"${name}"`;
+  };
+
+  const load = (db, name) =>
+    db
+      .prepare(`SELECT data FROM ${table(db, name)} ORDER BY position`)
+      .all()
+      .map((row) => JSON.parse(row.data));
+
+  return {
+    driver: "sqlite",
+
+    async read(name) {
+      return load(await open(), name);
+    },
+
+    /**
+     * Ejecuta `fn` dentro de una transacción de SQLite y reescribe la tabla con
+     * el array resultante. Si `fn` lanza, la transacción se revierte.
+     */
+    async transaction(name, fn) {
+      const db = await open();
+      const tableName = table(db, name);
+      return db.transaction(() => {
+        const records = load(db, name);
+        const result = fn(records);
+        db.prepare(`DELETE FROM ${tableName}`).run();
+        const insert = db.prepare(
+          `INSERT INTO ${tableName} (position, data) VALUES (?, ?)`
+        );
+        records.forEach((record, index) => {
+          insert.run(index, JSON.stringify(record));
+        });
+        return result;
+      })();
+    },
+
+    async close() {
+      if (connection) {
+        (await connection).close();
+        connection = undefined;
+        tables.clear();
+      }
+    },
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Capa de almacenamiento de la aplicación.
+ *
+ * Selecciona el adaptador indicado en la configuración (`json`, `memory` o
+ * `sqlite`) y expone un repositorio por colección. Los enrutadores importan los
+ * repositorios desde aquí y nunca acceden directamente al sistema de archivos.
+ *
+ * Todo adaptador implementa la misma interfaz:
+ *   - read(nombre): devuelve una copia de los registros de la colección.
+ *   - transaction(nombre, fn): ejecuta `fn(registros)` de forma exclusiva y
+ *     guarda el array resultante; devuelve lo que devuelva `fn`.
+ *   - close(): espera a las escrituras pendientes y libera recursos.
+ */
+
+import { storage as storageConfig } from "../config.js";
+import { createJsonFileStore } from "./adapters/jsonFile.js";
+import { createMemoryStore } from "./adapters/memory.js";
+import { createSqliteStore } from "./adapters/sqlite.js";
+import { createRepository } from "./repository.js";
+
+/**
+ * Crea un almacén a partir de una configuración de almacenamiento.
+ *
+ * @param {Object} config - Igual que `storage` en config.js.
+ * @returns {Object} Almacén del adaptador seleccionado.
+ */
+export function createStore(config) {
+  switch (config.driver) {
+    case "json":
+      return createJsonFileStore({ dataDir: config.dataDir });
+    case "memory":
+      return createMemoryStore();
+    case "sqlite":
+      return createSqliteStore({ filename: config.sqliteFile });
+    default:
+      throw new Error(`Adaptador de almacenamiento desconocido: ${config.driver}`);
+  }
+}
+
+// Almacén compartido por toda la aplicación.
+export const store = createStore(storageConfig);
+
+// Repositorios de cada colección. `trash` guarda las tareas eliminadas hasta que se
+// restauran o se purgan, `taskHistory` el historial de cambios de las tareas,
+// `attachments` los datos de los archivos adjuntos (los archivos están en disco),
+// `comments` los comentarios de las tareas, y `webhooks` y `webhookDeliveries` los
+// webhooks de los usuarios y el registro de sus entregas.
+export const tasksRepository = createRepository(store, "tasks");
+export const usersRepository = createRepository(store, "users");
+export const sessionsRepository = createRepository(store, "sessions");
+export const projectsRepository = createRepository(store, "projects");
+export const tagsRepository = createRepository(store, "tags");
+export const remindersRepository = createRepository(store, "reminders");
+export const trashRepository = createRepository(store, "trash");
+export const historyRepository = createRepository(store, "taskHistory");
+export const attachmentsRepository = createRepository(store, "attachments");
+export const commentsRepository = createRepository(store, "comments");
+export const webhooksRepository = createRepository(store, "webhooks");
+export const webhookDeliveriesRepository = createRepository(store, "webhookDeliveries");
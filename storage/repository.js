@@ -0,0 +1,91 @@
+/**
+ * Repositorio genérico sobre una colección del almacén.
+ *
+ * Ofrece las operaciones que necesitan los enrutadores (buscar, insertar,
+ * actualizar y eliminar) sin que estos sepan qué adaptador guarda los datos.
+ * Toda modificación se realiza dentro de `store.transaction`, por lo que la
+ * lectura y la escritura de la colección nunca se intercalan con otra petición.
+ */
+
+/**
+ * Crea un repositorio para una colección.
+ *
+ * @param {Object} store - Almacén creado por alguno de los adaptadores.
+ * @param {string} collection - Nombre de la colección (p. ej. "tasks").
+ * @returns {Object} Repositorio de la colección.
+ */
+export function createRepository(store, collection) {
+  return {
+    /** Devuelve todos los registros de la colección. */
+    all() {
+      return store.read(collection);
+    },
+
+    /** Devuelve los registros que cumplen `predicate`. */
+    async filter(predicate) {
+      return (await store.read(collection)).filter(predicate);
+    },
+
+    /** Devuelve el primer registro que cumple `predicate` o `undefined`. */
+    async find(predicate) {
+      return (await store.read(collection)).find(predicate);
+    },
+
+    /** Añade `record` al final de la colección y lo devuelve. */
+    insert(record) {
+      return store.transaction(collection, (records) => {
+        records.push(record);
+        return record;
+      });
+    },
+
+    /**
+     * Reemplaza el primer registro que cumple `predicate` por `updater(registro)`.
+     *
+     * @returns {Promise<Object|null>} El registro actualizado o `null` si no existe.
+     */
+    update(predicate, updater) {
+      return store.transaction(collection, (records) => {
+        const index = records.findIndex(predicate);
+        if (index === -1) {
+          return null;
+        }
+        records[index] = updater(records[index]);
+        return records[index];
+      });
+    },
+
+    /**
+     * Elimina todos los registros que cumplen `predicate`.
+     *
+     * @returns {Promise<Array>} Los registros eliminados.
+     */
+    remove(predicate) {
+      return store.transaction(collection, (records) => {
+        const removed = [];
+        for (let i = records.length - 1; i >= 0; i--) {
+          if (predicate(records[i])) {
+            removed.unshift(...records.splice(i, 1));
+          }
+        }
+        return removed;
+      });
+    },
+
+    /** Sustituye el contenido completo de la colección. */
+    replaceAll(newRecords) {
+      return store.transaction(collection, (records) => {
+        records.splice(0, records.length, ...newRecords);
+      });
+    },
+
+    /**
+     * Ejecuta `fn` con el array de registros para modificaciones que no encajan
+     * en los métodos anteriores. `fn` debe ser síncrona; lo que devuelva se
+     * entrega al llamador y los cambios en el array se guardan al terminar.
+     */
+    transaction(fn) {
+      return store.transaction(collection, fn);
+    },
+  };
+}
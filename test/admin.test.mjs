@@ -0,0 +1,209 @@
+/**
+ * Pruebas para la API de administración.
+ *
+ * Se prueban el control de acceso por rol, la gestión de usuarios y la consulta
+ * y reasignación de tareas de cualquier usuario.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { store, tasksRepository, usersRepository } from '../storage/index.js';
+import { resetRateLimits } from '../middleware/rateLimit.js';
+
+// Tokens de prueba firmados con la clave secreta de configuración
+const adminToken = jwt.sign({ username: 'admin', role: 'admin' }, 'clave_secreta');
+const userToken = jwt.sign({ username: 'ana', role: 'user' }, 'clave_secreta');
+
+describe('Admin API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3003).
+   */
+  before(function () {
+    server = app.listen(3003);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con un administrador, una
+   * usuaria registrada por la API y dos tareas.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    resetRateLimits();
+    await chai.request(server)
+      .post('/auth/register')
+      .send({ username: 'ana', password: 'secreto123' });
+    await usersRepository.insert({ username: 'admin', password: 'x', role: 'admin' });
+    await tasksRepository.replaceAll([
+      { id: '1', titulo: 'De Ana', username: 'ana' },
+      { id: '2', titulo: 'Del admin', username: 'admin' }
+    ]);
+  });
+
+  /**
+   * Prueba: Un usuario sin rol de administrador recibe 403.
+   */
+  it('Rechazar a usuarios sin rol admin', async () => {
+    const res = await chai.request(server)
+      .get('/admin/users')
+      .set('Authorization', `Bearer ${userToken}`)
+      .catch((err) => err.response);
+
+    expect(res).to.have.status(403);
+  });
+
+  /**
+   * Prueba: El login incluye el rol en el token y el listado no expone contraseñas.
+   */
+  it('Listar usuarios sin contraseñas', async () => {
+    const loginRes = await chai.request(server)
+      .post('/auth/login')
+      .send({ username: 'ana', password: 'secreto123' });
+    expect(jwt.decode(loginRes.body.token).role).to.equal('user');
+
+    const res = await chai.request(server)
+      .get('/admin/users')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res).to.have.status(200);
+    expect(res.body).to.deep.include({ username: 'ana', role: 'user', disabled: false, lockedUntil: null });
+    expect(res.body.every((u) => !('password' in u))).to.equal(true);
+  });
+
+  /**
+   * Prueba: Deshabilitar un usuario revoca sus sesiones e impide el login.
+   */
+  it('Deshabilitar un usuario', async () => {
+    const loginRes = await chai.request(server)
+      .post('/auth/login')
+      .send({ username: 'ana', password: 'secreto123' });
+
+    const patchRes = await chai.request(server)
+      .patch('/admin/users/ana')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ disabled: true });
+    expect(patchRes).to.have.status(200);
+    expect(patchRes.body.disabled).to.equal(true);
+
+    const tasksRes = await chai.request(server)
+      .get('/tasks')
+      .set('Authorization', `Bearer ${loginRes.body.token}`)
+      .catch((err) => err.response);
+    expect(tasksRes).to.have.status(401);
+
+    const relogin = await chai.request(server)
+      .post('/auth/login')
+      .send({ username: 'ana', password: 'secreto123' })
+      .catch((err) => err.response);
+    expect(relogin).to.have.status(403);
+
+    const selfRes = await chai.request(server)
+      .patch('/admin/users/admin')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'user' })
+      .catch((err) => err.response);
+    expect(selfRes).to.have.status(409);
+  });
+
+  /**
+   * Prueba: Cambiar el rol de un usuario revoca sus sesiones, porque los tokens
+   * llevan el rol anterior.
+   */
+  it('Revocar las sesiones al cambiar el rol', async () => {
+    const login = () => chai.request(server)
+      .post('/auth/login')
+      .send({ username: 'ana', password: 'secreto123' });
+    const patch = (body) => chai.request(server)
+      .patch('/admin/users/ana')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+    const listUsers = (token) => chai.request(server)
+      .get('/admin/users')
+      .set('Authorization', `Bearer ${token}`)
+      .catch((err) => err.response);
+
+    await patch({ role: 'admin' });
+    const adminLogin = await login();
+    expect(await listUsers(adminLogin.body.token)).to.have.status(200);
+
+    // Mantener el mismo rol no revoca nada.
+    await patch({ role: 'admin', disabled: false });
+    expect(await listUsers(adminLogin.body.token)).to.have.status(200);
+
+    const demoted = await patch({ role: 'user' });
+    expect(demoted.body.role).to.equal('user');
+    const res = await listUsers(adminLogin.body.token);
+    expect(res).to.have.status(401);
+    expect(res.body.code).to.equal('SESSION_REVOKED');
+
+    const userLogin = await login();
+    expect(await listUsers(userLogin.body.token)).to.have.status(403);
+  });
+
+  /**
+   * Prueba: Restablecer la contraseña de un usuario.
+   */
+  it('Restablecer la contraseña', async () => {
+    const weakRes = await chai.request(server)
+      .post('/admin/users/ana/reset-password')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ password: 'corta' })
+      .catch((err) => err.response);
+    expect(weakRes).to.have.status(400);
+
+    const res = await chai.request(server)
+      .post('/admin/users/ana/reset-password')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ password: 'nuevaClave1' });
+    expect(res).to.have.status(204);
+
+    const loginRes = await chai.request(server)
+      .post('/auth/login')
+      .send({ username: 'ana', password: 'nuevaClave1' });
+    expect(loginRes).to.have.status(200);
+  });
+
+  /**
+   * Prueba: Consultar y reasignar tareas de cualquier usuario.
+   */
+  it('Consultar y reasignar tareas', async () => {
+    const allRes = await chai.request(server)
+      .get('/admin/tasks')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(allRes.body).to.have.lengthOf(2);
+
+    const anaRes = await chai.request(server)
+      .get('/admin/users/ana/tasks')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(anaRes.body.map((t) => t.id)).to.deep.equal(['1']);
+
+    const reassignRes = await chai.request(server)
+      .post('/admin/tasks/2/reassign')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ username: 'ana' });
+    expect(reassignRes).to.have.status(200);
+    expect(reassignRes.body.username).to.equal('ana');
+
+    const filteredRes = await chai.request(server)
+      .get('/admin/tasks?username=ana')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(filteredRes.body).to.have.lengthOf(2);
+
+    const missingRes = await chai.request(server)
+      .post('/admin/tasks/2/reassign')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ username: 'nadie' })
+      .catch((err) => err.response);
+    expect(missingRes).to.have.status(400);
+  });
+});
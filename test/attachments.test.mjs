@@ -0,0 +1,218 @@
+/**
+ * Pruebas para los archivos adjuntos de las tareas.
+ *
+ * Se prueban la subida, el listado, la descarga y la eliminación de adjuntos, los
+ * límites de tamaño y tipo, los permisos y el borrado de los archivos al purgar
+ * la tarea de la papelera.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import { promises as fs } from 'fs';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { attachments as attachmentsConfig } from '../config.js';
+import { parseMultipart, safeFilename } from '../models/attachment.js';
+import { attachmentPath } from '../services/taskAttachments.js';
+import { attachmentsRepository, store, tasksRepository } from '../storage/index.js';
+
+// Tokens de prueba para la dueña de la tarea y usuarios con quienes se comparte
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const beaToken = jwt.sign({ username: 'bea' }, 'clave_secreta');
+const carlosToken = jwt.sign({ username: 'carlos' }, 'clave_secreta');
+
+const BOUNDARY = 'limite-de-prueba';
+
+/**
+ * Construye un cuerpo multipart/form-data con un archivo.
+ */
+const multipart = ({ field = 'file', filename = 'notas.txt', type = 'text/plain', data = 'hola' } = {}) =>
+  Buffer.concat([
+    Buffer.from(
+      `--${BOUNDARY}\r\n` +
+      'Content-Disposition: form-data; name="comentario"\r\n\r\nadjunto de prueba\r\n' +
+      `--${BOUNDARY}\r\n` +
+      `Content-Disposition: form-data; name="${field}"; filename="${filename}"\r\n` +
+      `Content-Type: ${type}\r\n\r\n`
+    ),
+    Buffer.isBuffer(data) ? data : Buffer.from(data),
+    Buffer.from(`\r\n--${BOUNDARY}--\r\n`)
+  ]);
+
+describe('Task attachments API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3014).
+   */
+  before(function () {
+    server = app.listen(3014);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor y se borran los archivos.
+   */
+  after(async function () {
+    server.close();
+    await fs.rm(attachmentsConfig.dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con una tarea de Ana
+   * compartida con Bea como `viewer`.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await tasksRepository.replaceAll([
+      {
+        id: '1',
+        titulo: 'Con adjuntos',
+        descripcion: '',
+        estado: 'pendiente',
+        username: 'ana',
+        sharedWith: [{ username: 'bea', permission: 'viewer' }]
+      }
+    ]);
+  });
+
+  /**
+   * Sube un archivo a la tarea 1.
+   */
+  const upload = (options, token = anaToken) => chai.request(server)
+    .post('/tasks/1/attachments')
+    .set('Authorization', `Bearer ${token}`)
+    .set('Content-Type', `multipart/form-data; boundary=${BOUNDARY}`)
+    .send(multipart(options))
+    .catch((err) => err.response);
+
+  /**
+   * Envía una petición autenticada, devolviendo también las respuestas de error.
+   */
+  const request = (method, path, token = anaToken) => chai.request(server)[method](path)
+    .set('Authorization', `Bearer ${token}`)
+    .catch((err) => err.response);
+
+  /**
+   * Prueba: Subir, listar, descargar y eliminar un adjunto.
+   */
+  it('Gestionar los adjuntos de una tarea', async () => {
+    const created = await upload({ filename: '../../informe final.txt', data: 'contenido del informe' });
+    expect(created).to.have.status(201);
+    expect(created.body).to.include({
+      taskId: '1',
+      filename: 'informe final.txt',
+      contentType: 'text/plain',
+      size: 21,
+      uploadedBy: 'ana'
+    });
+    const { id } = created.body;
+    expect(await fs.readFile(attachmentPath(created.body), 'utf8')).to.equal('contenido del informe');
+
+    const list = await request('get', '/tasks/1/attachments', beaToken);
+    expect(list).to.have.status(200);
+    expect(list.body.map((a) => a.id)).to.deep.equal([id]);
+
+    const download = await request('get', `/tasks/1/attachments/${id}`, beaToken);
+    expect(download).to.have.status(200);
+    expect(download.text).to.equal('contenido del informe');
+    expect(download.headers['content-type']).to.match(/^text\/plain/);
+    expect(download.headers['content-disposition']).to.equal('attachment; filename="informe final.txt"');
+    expect(download.headers['x-content-type-options']).to.equal('nosniff');
+
+    const removed = await request('delete', `/tasks/1/attachments/${id}`);
+    expect(removed).to.have.status(204);
+    expect(await attachmentsRepository.all()).to.have.length(0);
+    expect((await request('get', `/tasks/1/attachments/${id}`)).body.code).to.equal('ATTACHMENT_NOT_FOUND');
+    const exists = await fs.access(attachmentPath(created.body)).then(() => true, () => false);
+    expect(exists).to.equal(false);
+  });
+
+  /**
+   * Prueba: Los permisos son los de la tarea.
+   *
+   * - Quien no tiene acceso recibe 404, como en GET /tasks/:id.
+   * - Con permiso `viewer` se puede leer pero no subir ni eliminar.
+   */
+  it('Comprobar el acceso a la tarea', async () => {
+    const { body: attachment } = await upload();
+
+    expect(await request('get', '/tasks/1/attachments', carlosToken)).to.have.status(404);
+    expect(await request('get', `/tasks/1/attachments/${attachment.id}`, carlosToken)).to.have.status(404);
+    expect(await upload({}, carlosToken)).to.have.status(404);
+
+    const viewerUpload = await upload({}, beaToken);
+    expect(viewerUpload).to.have.status(403);
+    expect(viewerUpload.body.code).to.equal('TASK_FORBIDDEN');
+    expect(await request('delete', `/tasks/1/attachments/${attachment.id}`, beaToken)).to.have.status(403);
+    expect(await request('get', '/tasks/2/attachments')).to.have.status(404);
+  });
+
+  /**
+   * Prueba: Se rechazan los archivos demasiado grandes, de tipos no admitidos o
+   * enviados en un formulario inválido.
+   */
+  it('Aplicar los límites de tamaño y tipo', async () => {
+    const tooLarge = await upload({ data: Buffer.alloc(attachmentsConfig.maxFileSize + 1) });
+    expect(tooLarge).to.have.status(413);
+    expect(tooLarge.body.code).to.equal('ATTACHMENT_TOO_LARGE');
+
+    const executable = await upload({ filename: 'setup.exe', type: 'application/x-msdownload' });
+    expect(executable).to.have.status(415);
+    expect(executable.body.code).to.equal('ATTACHMENT_TYPE_NOT_ALLOWED');
+    expect(executable.body.details.allowedTypes).to.include('image/png');
+
+    const noFile = await upload({ field: 'otro' });
+    expect(noFile).to.have.status(400);
+    expect(noFile.body.code).to.equal('ATTACHMENT_REQUIRED');
+
+    const notMultipart = await chai.request(server)
+      .post('/tasks/1/attachments')
+      .set('Authorization', `Bearer ${anaToken}`)
+      .send({ file: 'hola' })
+      .catch((err) => err.response);
+    expect(notMultipart).to.have.status(400);
+    expect(notMultipart.body.code).to.equal('INVALID_MULTIPART');
+
+    expect(await attachmentsRepository.all()).to.have.length(0);
+  });
+
+  /**
+   * Prueba: Los adjuntos se conservan en la papelera y se borran al purgar la tarea.
+   */
+  it('Borrar los adjuntos al purgar la tarea', async () => {
+    const { body: attachment } = await upload();
+
+    expect(await request('delete', '/tasks/1')).to.have.status(200);
+    expect(await attachmentsRepository.all()).to.have.length(1);
+    expect(await request('post', '/tasks/trash/1/restore')).to.have.status(200);
+    expect(await request('get', `/tasks/1/attachments/${attachment.id}`)).to.have.status(200);
+
+    await request('delete', '/tasks/1');
+    expect(await request('delete', '/tasks/trash/1')).to.have.status(204);
+    expect(await attachmentsRepository.all()).to.have.length(0);
+    const exists = await fs.access(attachmentPath(attachment)).then(() => true, () => false);
+    expect(exists).to.equal(false);
+  });
+
+  /**
+   * Prueba: Interpretar formularios multipart y normalizar nombres de archivo.
+   */
+  it('Interpretar formularios multipart', () => {
+    const { fields, files } = parseMultipart(
+      multipart({ filename: 'foto.png', type: 'image/png', data: Buffer.from([0x89, 0x0d, 0x0a]) }),
+      `multipart/form-data; boundary="${BOUNDARY}"`
+    );
+    expect(fields).to.deep.equal({ comentario: 'adjunto de prueba' });
+    expect(files).to.have.length(1);
+    expect(files[0]).to.include({ field: 'file', filename: 'foto.png', contentType: 'image/png' });
+    expect([...files[0].data]).to.deep.equal([0x89, 0x0d, 0x0a]);
+
+    expect(() => parseMultipart(Buffer.from('sin partes'), `multipart/form-data; boundary=${BOUNDARY}`))
+      .to.throw('INVALID_MULTIPART');
+    expect(() => parseMultipart(multipart(), 'multipart/form-data')).to.throw('INVALID_MULTIPART');
+
+    expect(safeFilename('C:\\fotos\\playa.jpg')).to.equal('playa.jpg');
+    expect(safeFilename('..')).to.equal('archivo');
+    expect(safeFilename(`${'a'.repeat(300)}.pdf`)).to.have.length(255).and.match(/\.pdf$/);
+  });
+});
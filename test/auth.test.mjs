@@ -0,0 +1,269 @@
+/**
+ * Pruebas para la API de autenticación.
+ *
+ * Se prueban el registro, el inicio de sesión, la renovación de tokens con rotación
+ * y detección de reutilización, el cierre de sesión, y las protecciones contra
+ * registros duplicados, contraseñas débiles y ataques de fuerza bruta.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import bcrypt from 'bcryptjs';
+import app from '../app.js';
+import { store } from '../storage/index.js';
+import { resetRateLimits } from '../middleware/rateLimit.js';
+
+describe('Auth API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3002).
+   */
+  before(function () {
+    server = app.listen(3002);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se vacía el almacenamiento, se reinician los límites de
+   * peticiones y se registra un usuario de prueba.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    resetRateLimits();
+    await chai.request(server)
+      .post('/auth/register')
+      .send({ username: 'ana', password: 'secreto123' });
+  });
+
+  /**
+   * Inicia sesión con el usuario de prueba y devuelve el cuerpo de la respuesta.
+   */
+  const login = async () => {
+    const res = await chai.request(server)
+      .post('/auth/login')
+      .send({ username: 'ana', password: 'secreto123' });
+    expect(res).to.have.status(200);
+    return res.body;
+  };
+
+  /**
+   * Hace una petición a /tasks con el access token indicado.
+   */
+  const getTasks = (token) => chai.request(server)
+    .get('/tasks')
+    .set('Authorization', `Bearer ${token}`)
+    .catch((err) => err.response);
+
+  /**
+   * Prueba: El login devuelve un access token y un refresh token.
+   */
+  it('Iniciar sesión devuelve access y refresh token', async () => {
+    const body = await login();
+
+    expect(body.token).to.be.a('string');
+    expect(body.refreshToken).to.be.a('string');
+    expect(await getTasks(body.token)).to.have.status(200);
+  });
+
+  /**
+   * Prueba: El login no distingue mayúsculas en el nombre de usuario y compara la
+   * contraseña aunque el usuario no exista, para no delatar qué usuarios existen.
+   */
+  it('Iniciar sesión sin distinguir mayúsculas ni delatar usuarios', async () => {
+    const res = await chai.request(server)
+      .post('/auth/login')
+      .send({ username: 'ANA', password: 'secreto123' });
+    expect(res).to.have.status(200);
+
+    const compare = bcrypt.compare;
+    const compared = [];
+    bcrypt.compare = (password, hash) => {
+      compared.push(hash);
+      return compare(password, hash);
+    };
+    try {
+      const unknown = await chai.request(server)
+        .post('/auth/login')
+        .send({ username: 'nadie', password: 'secreto123' })
+        .catch((err) => err.response);
+      expect(unknown).to.have.status(401);
+      expect(unknown.body.code).to.equal('INVALID_CREDENTIALS');
+      expect(compared).to.have.length(1);
+      expect(compared[0]).to.match(/^\$2[aby]\$08\$/);
+    } finally {
+      bcrypt.compare = compare;
+    }
+  });
+
+  /**
+   * Prueba: Renovar tokens rota el refresh token.
+   *
+   * - El refresh token canjeado deja de ser válido y el nuevo sí lo es.
+   */
+  it('Renovar tokens rota el refresh token', async () => {
+    const { refreshToken } = await login();
+
+    const refreshRes = await chai.request(server)
+      .post('/auth/refresh')
+      .send({ refreshToken });
+
+    expect(refreshRes).to.have.status(200);
+    expect(refreshRes.body.refreshToken).to.not.equal(refreshToken);
+    expect(await getTasks(refreshRes.body.token)).to.have.status(200);
+
+    const secondRes = await chai.request(server)
+      .post('/auth/refresh')
+      .send({ refreshToken: refreshRes.body.refreshToken });
+    expect(secondRes).to.have.status(200);
+  });
+
+  /**
+   * Prueba: Reutilizar un refresh token ya rotado revoca la sesión.
+   *
+   * - Tras detectar la reutilización, ni el refresh token vigente ni el access token
+   *   de la sesión son aceptados.
+   */
+  it('Reutilizar un refresh token revoca la sesión', async () => {
+    const { refreshToken } = await login();
+
+    const rotated = await chai.request(server)
+      .post('/auth/refresh')
+      .send({ refreshToken });
+
+    const reuseRes = await chai.request(server)
+      .post('/auth/refresh')
+      .send({ refreshToken })
+      .catch((err) => err.response);
+    expect(reuseRes).to.have.status(401);
+
+    const currentRes = await chai.request(server)
+      .post('/auth/refresh')
+      .send({ refreshToken: rotated.body.refreshToken })
+      .catch((err) => err.response);
+    expect(currentRes).to.have.status(401);
+    expect(await getTasks(rotated.body.token)).to.have.status(401);
+  });
+
+  /**
+   * Prueba: Cerrar sesión revoca el access token y el refresh token.
+   */
+  it('Cerrar sesión revoca la sesión', async () => {
+    const { token, refreshToken } = await login();
+
+    const logoutRes = await chai.request(server)
+      .post('/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
+    expect(logoutRes).to.have.status(204);
+
+    expect(await getTasks(token)).to.have.status(401);
+
+    const refreshRes = await chai.request(server)
+      .post('/auth/refresh')
+      .send({ refreshToken })
+      .catch((err) => err.response);
+    expect(refreshRes).to.have.status(401);
+  });
+
+  /**
+   * Prueba: Cerrar sesión sin sesión identificable devuelve 401.
+   */
+  it('Cerrar sesión sin token devuelve 401', async () => {
+    const res = await chai.request(server)
+      .post('/auth/logout')
+      .send({ refreshToken: 'desconocido' })
+      .catch((err) => err.response);
+
+    expect(res).to.have.status(401);
+  });
+
+  /**
+   * Prueba: Registrar un nombre de usuario ya existente devuelve 409.
+   *
+   * - La comparación no distingue mayúsculas.
+   */
+  it('Registrar un usuario duplicado devuelve 409', async () => {
+    const res = await chai.request(server)
+      .post('/auth/register')
+      .send({ username: 'ANA', password: 'otraClave99' })
+      .catch((err) => err.response);
+
+    expect(res).to.have.status(409);
+  });
+
+  /**
+   * Prueba: El registro aplica la política de usuario y contraseña.
+   */
+  it('Registrar con datos que no cumplen la política devuelve 400', async () => {
+    const res = await chai.request(server)
+      .post('/auth/register')
+      .send({ username: 'a b', password: 'corta' })
+      .catch((err) => err.response);
+
+    expect(res).to.have.status(400);
+    expect(res.body.details.map((e) => e.field)).to.include.members(['username', 'password']);
+
+    const emptyRes = await chai.request(server)
+      .post('/auth/register')
+      .send({ username: 'pedro' })
+      .catch((err) => err.response);
+    expect(emptyRes).to.have.status(400);
+    expect(emptyRes.body.details).to.deep.equal([
+      { field: 'password', code: 'PASSWORD_REQUIRED', message: 'La contraseña es obligatoria' }
+    ]);
+  });
+
+  /**
+   * Prueba: Bloqueo de cuenta y límite de intentos por cuenta.
+   *
+   * - Tras 5 contraseñas incorrectas la cuenta se bloquea (423) con la contraseña correcta;
+   *   con una incorrecta responde 401, igual que una cuenta inexistente.
+   * - Tras 10 intentos en la ventana, la cuenta queda limitada (429).
+   */
+  it('Bloquear la cuenta tras intentos fallidos', async () => {
+    const attempt = (password) => chai.request(server)
+      .post('/auth/login')
+      .send({ username: 'ana', password })
+      .catch((err) => err.response);
+
+    for (let i = 0; i < 5; i++) {
+      expect(await attempt('incorrecta1')).to.have.status(401);
+    }
+
+    const lockedRes = await attempt('secreto123');
+    expect(lockedRes).to.have.status(423);
+    expect(lockedRes).to.have.header('Retry-After');
+
+    const wrongRes = await attempt('incorrecta1');
+    expect(wrongRes).to.have.status(401);
+    expect(wrongRes).to.not.have.header('Retry-After');
+    expect(wrongRes.body.code).to.equal('INVALID_CREDENTIALS');
+
+    for (let i = 0; i < 3; i++) {
+      await attempt('secreto123');
+    }
+    expect(await attempt('secreto123')).to.have.status(429);
+  });
+
+  /**
+   * Prueba: Límite de peticiones por IP en las rutas de autenticación.
+   */
+  it('Limitar las peticiones por IP', async () => {
+    let res;
+    for (let i = 0; i < 31; i++) {
+      res = await chai.request(server)
+        .post('/auth/refresh')
+        .send({ refreshToken: 'desconocido' })
+        .catch((err) => err.response);
+    }
+
+    expect(res).to.have.status(429);
+    expect(res).to.have.header('Retry-After');
+  });
+});
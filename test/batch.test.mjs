@@ -0,0 +1,151 @@
+/**
+ * Pruebas para las operaciones por lotes sobre las tareas.
+ *
+ * Se prueban la aplicación de un lote con una sola escritura, la atomicidad
+ * cuando una operación falla y la validación de las operaciones.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { store, tasksRepository, trashRepository } from '../storage/index.js';
+
+// Tokens de prueba para dos usuarios
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const beaToken = jwt.sign({ username: 'bea' }, 'clave_secreta');
+
+describe('Task batch API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3011).
+   */
+  before(function () {
+    server = app.listen(3011);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con tres tareas de Ana,
+   * una de ellas compartida con Bea como `viewer` y otra bloqueada por la primera.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await tasksRepository.replaceAll([
+      { id: '1', titulo: 'Diseño', descripcion: '', estado: 'pendiente', username: 'ana' },
+      { id: '2', titulo: 'Compras', descripcion: '', estado: 'pendiente', username: 'ana', blockedBy: ['1'] },
+      {
+        id: '3',
+        titulo: 'Informe',
+        descripcion: '',
+        estado: 'pendiente',
+        username: 'ana',
+        sharedWith: [{ username: 'bea', permission: 'viewer' }]
+      }
+    ]);
+  });
+
+  /**
+   * Envía un lote autenticado, devolviendo también las respuestas de error.
+   */
+  const batch = (operations, token = anaToken) => chai.request(server)
+    .post('/tasks/batch')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ operations })
+    .catch((err) => err.response);
+
+  /**
+   * Prueba: Aplicar un lote con una sola escritura de las tareas.
+   */
+  it('Aplicar un lote de operaciones', async () => {
+    const original = store.transaction;
+    const writes = [];
+    store.transaction = (name, fn) => {
+      writes.push(name);
+      return original.call(store, name, fn);
+    };
+    let res;
+    try {
+      res = await batch([
+        { op: 'create', task: { titulo: 'Nueva' } },
+        { op: 'update', id: '3', task: { estado: 'completada' } },
+        { op: 'delete', id: '1' }
+      ]);
+    } finally {
+      store.transaction = original;
+    }
+
+    expect(res).to.have.status(200);
+    expect(res.body.results.map((r) => [r.op, r.status])).to.deep.equal([
+      ['create', 201], ['update', 200], ['delete', 200]
+    ]);
+    expect(res.body.results[0].task).to.include({ titulo: 'Nueva', username: 'ana' });
+    expect(res.body.results[1].task.estado).to.equal('completada');
+    expect(writes.filter((name) => name === 'tasks')).to.have.length(1);
+
+    const tasks = await tasksRepository.all();
+    expect(tasks.map((t) => t.id)).to.not.include('1');
+    expect(tasks.find((t) => t.id === '2').blockedBy).to.deep.equal([]);
+    expect(tasks).to.have.length(3);
+    expect((await trashRepository.all()).map((t) => t.id)).to.deep.equal(['1']);
+  });
+
+  /**
+   * Prueba: Si una operación falla no se aplica ninguna.
+   *
+   * - Completar una tarea bloqueada (409), tareas inexistentes (404) y permisos
+   *   insuficientes (403).
+   */
+  it('Deshacer el lote si una operación falla', async () => {
+    const blocked = await batch([
+      { op: 'create', task: { titulo: 'Nueva' } },
+      { op: 'update', id: '1', task: { titulo: 'Diseño final' } },
+      { op: 'update', id: '2', task: { estado: 'completada' } }
+    ]);
+    expect(blocked).to.have.status(409);
+    expect(blocked.body).to.include({ code: 'TASK_BLOCKED' });
+    expect(blocked.body.details.index).to.equal(2);
+    expect(blocked.body.details.blockedBy).to.deep.equal(['1']);
+
+    const missing = await batch([
+      { op: 'delete', id: '1' },
+      { op: 'delete', id: '1' }
+    ]);
+    expect(missing).to.have.status(404);
+    expect(missing.body.code).to.equal('TASK_NOT_FOUND');
+    expect(missing.body.details.index).to.equal(1);
+
+    const forbidden = await batch([{ op: 'update', id: '3', task: { titulo: 'Otro' } }], beaToken);
+    expect(forbidden).to.have.status(403);
+
+    const tasks = await tasksRepository.all();
+    expect(tasks.map((t) => t.titulo)).to.deep.equal(['Diseño', 'Compras', 'Informe']);
+    expect(await trashRepository.all()).to.have.length(0);
+  });
+
+  /**
+   * Prueba: Las operaciones mal formadas se rechazan indicando su posición.
+   */
+  it('Validar las operaciones del lote', async () => {
+    const empty = await batch([]);
+    expect(empty).to.have.status(400);
+
+    const res = await batch([
+      { op: 'create', task: { titulo: '' } },
+      { op: 'update', task: { prioridad: 'urgente' } },
+      { op: 'rename', id: '1' },
+      { op: 'delete', id: '1' }
+    ]);
+    expect(res).to.have.status(400);
+    expect(res.body.details.map((e) => e.index)).to.deep.equal([0, 1, 2]);
+    expect(res.body.details[1].errors.map((e) => e.field)).to.deep.equal(['id', 'task.prioridad']);
+    expect(await tasksRepository.all()).to.have.length(3);
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Pruebas para el tablero Kanban.
+ *
+ * Se prueban el orden de las columnas, el movimiento de tareas entre columnas y
+ * dentro de una columna, el reparto de las tareas sin posición y el cálculo de
+ * posiciones intermedias.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { MAX_RANK_LENGTH, evenRanks, rankBetween } from '../models/taskRank.js';
+import { store, tasksRepository, usersRepository } from '../storage/index.js';
+
+// Tokens de prueba para la dueña de las tareas y una usuaria con acceso de lectura
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const beaToken = jwt.sign({ username: 'bea' }, 'clave_secreta');
+
+describe('Task board API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3019).
+   */
+  before(function () {
+    server = app.listen(3019);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con dos usuarias.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await usersRepository.replaceAll([
+      { username: 'ana', password: 'x' },
+      { username: 'bea', password: 'x' }
+    ]);
+  });
+
+  /**
+   * Envía una petición autenticada, devolviendo también las respuestas de error.
+   */
+  const request = (method, path, body, token = anaToken) => {
+    const req = chai.request(server)[method](path).set('Authorization', `Bearer ${token}`);
+    return (body === undefined ? req : req.send(body)).catch((err) => err.response);
+  };
+
+  /**
+   * Crea tareas en orden y devuelve sus identificadores.
+   */
+  const createTasks = async (...titulos) => {
+    const ids = [];
+    for (const titulo of titulos) {
+      ids.push((await request('post', '/tasks', { titulo })).body.id);
+    }
+    return ids;
+  };
+
+  /**
+   * Títulos de cada columna del tablero.
+   */
+  const boardTitles = async () => {
+    const { body } = await request('get', '/tasks/board');
+    return Object.fromEntries(Object.entries(body).map(([estado, tasks]) => [estado, tasks.map((t) => t.titulo)]));
+  };
+
+  /**
+   * Prueba: Las tareas nuevas se añaden al final de su columna.
+   */
+  it('Mostrar el tablero por estados', async () => {
+    await createTasks('A', 'B');
+    await request('post', '/tasks', { titulo: 'C', estado: 'completada' });
+    expect(await boardTitles()).to.deep.equal({ pendiente: ['A', 'B'], en_progreso: [], completada: ['C'] });
+  });
+
+  /**
+   * Prueba: Las tareas importadas se añaden al final de su columna, en orden.
+   */
+  it('Colocar las tareas importadas', async () => {
+    await createTasks('A');
+    const imported = await request('post', '/tasks/import', {
+      tasks: [{ titulo: 'X' }, { titulo: 'Y', estado: 'completada' }, { titulo: 'Z' }]
+    });
+    expect(imported).to.have.status(201);
+    expect(await boardTitles()).to.deep.equal({ pendiente: ['A', 'X', 'Z'], en_progreso: [], completada: ['Y'] });
+    expect(imported.body.created.every((t) => typeof t.rank === 'string')).to.equal(true);
+  });
+
+  /**
+   * Prueba: Una tarea reasignada va al final de la columna del nuevo dueño.
+   */
+  it('Colocar las tareas reasignadas', async () => {
+    await usersRepository.insert({ username: 'admin', password: 'x', role: 'admin' });
+    const adminToken = jwt.sign({ username: 'admin', role: 'admin' }, 'clave_secreta');
+    await createTasks('A', 'B');
+    const { body: ajena } = await request('post', '/tasks', { titulo: 'De Bea' }, beaToken);
+
+    const res = await request('post', `/admin/tasks/${ajena.id}/reassign`, { username: 'ana' }, adminToken);
+    expect(res).to.have.status(200);
+    const { body: board } = await request('get', '/tasks/board');
+    expect(board.pendiente.map((t) => t.titulo)).to.deep.equal(['A', 'B', 'De Bea']);
+    expect(new Set(board.pendiente.map((t) => t.rank)).size).to.equal(3);
+  });
+
+  /**
+   * Prueba: Una tarea restaurada de la papelera va al final de su columna, aunque
+   * otra tarea tenga ya su posición anterior.
+   */
+  it('Colocar las tareas restauradas', async () => {
+    const [a] = await createTasks('A');
+    await request('delete', `/tasks/${a}`);
+    await createTasks('B');
+    expect(await request('post', `/tasks/trash/${a}/restore`)).to.have.status(200);
+
+    const { body: board } = await request('get', '/tasks/board');
+    expect(board.pendiente.map((t) => t.titulo)).to.deep.equal(['B', 'A']);
+    expect(new Set(board.pendiente.map((t) => t.rank)).size).to.equal(2);
+
+    const [c] = await createTasks('C');
+    await request('post', `/tasks/${c}/move`, { position: 1 });
+    expect((await boardTitles()).pendiente).to.deep.equal(['B', 'C', 'A']);
+  });
+
+  /**
+   * Prueba: Mover una tarea de columna y de posición en una sola petición.
+   */
+  it('Mover tareas entre columnas y dentro de una columna', async () => {
+    const [a, b, c] = await createTasks('A', 'B', 'C');
+
+    const moved = await request('post', `/tasks/${c}/move`, { position: 0 });
+    expect(moved).to.have.status(200);
+    expect(moved).to.have.header('ETag', `"${moved.body.version}"`);
+    expect(await boardTitles()).to.include.deep.property('pendiente', ['C', 'A', 'B']);
+
+    await request('post', `/tasks/${a}/move`, { estado: 'en_progreso' });
+    await request('post', `/tasks/${b}/move`, { estado: 'en_progreso', position: 0 });
+    expect(await boardTitles()).to.deep.equal({ pendiente: ['C'], en_progreso: ['B', 'A'], completada: [] });
+
+    // Cambiar de estado por PATCH lleva la tarea al final de la nueva columna.
+    await request('patch', `/tasks/${c}`, { estado: 'en_progreso' });
+    expect((await boardTitles()).en_progreso).to.deep.equal(['B', 'A', 'C']);
+
+    // El historial registra el cambio de estado, pero no los cambios de posición.
+    const { body: history } = await request('get', `/tasks/${c}/history`);
+    expect(history.map((h) => h.action)).to.deep.equal(['created', 'updated']);
+    expect(history[1].changes.map((ch) => ch.field)).to.deep.equal(['estado']);
+
+    const sorted = await request('get', '/tasks?estado=en_progreso&sort=rank');
+    expect(sorted.body.map((t) => t.titulo)).to.deep.equal(['B', 'A', 'C']);
+  });
+
+  /**
+   * Prueba: Validación, permisos y conflictos al mover.
+   */
+  it('Rechazar movimientos inválidos', async () => {
+    const [a] = await createTasks('A');
+
+    const invalid = await request('post', `/tasks/${a}/move`, { estado: 'archivada', position: -1 });
+    expect(invalid).to.have.status(400);
+    expect(invalid.body.code).to.equal('INVALID_MOVE');
+    expect(invalid.body.details.map((d) => d.field)).to.have.members(['estado', 'position']);
+
+    expect(await request('post', `/tasks/${a}/move`, {}, beaToken)).to.have.status(404);
+    await request('put', `/tasks/${a}/shares/bea`, { permission: 'viewer' });
+    expect(await request('post', `/tasks/${a}/move`, {}, beaToken)).to.have.status(403);
+
+    const stale = await chai.request(server)
+      .post(`/tasks/${a}/move`)
+      .set('Authorization', `Bearer ${anaToken}`)
+      .set('If-Match', '"99"')
+      .send({ position: 0 })
+      .catch((err) => err.response);
+    expect(stale).to.have.status(412);
+  });
+
+  /**
+   * Prueba: Las tareas sin posición (anteriores al tablero) van al final y se
+   * reparten al mover una tarea en su columna.
+   */
+  it('Repartir las tareas sin posición', async () => {
+    await tasksRepository.replaceAll([
+      { id: '1', titulo: 'Antigua', estado: 'pendiente', username: 'ana', createdAt: '2026-01-02T00:00:00.000Z' },
+      { id: '2', titulo: 'Más antigua', estado: 'pendiente', username: 'ana', createdAt: '2026-01-01T00:00:00.000Z' }
+    ]);
+    const [nueva] = await createTasks('Nueva');
+    expect((await boardTitles()).pendiente).to.deep.equal(['Más antigua', 'Antigua', 'Nueva']);
+
+    await request('post', `/tasks/${nueva}/move`, { position: 1 });
+    expect((await boardTitles()).pendiente).to.deep.equal(['Más antigua', 'Nueva', 'Antigua']);
+    const tasks = await tasksRepository.all();
+    expect(tasks.every((t) => typeof t.rank === 'string')).to.equal(true);
+    expect(tasks.find((t) => t.id === '1').version).to.equal(undefined);
+  });
+
+  /**
+   * Prueba: La siguiente ocurrencia de una tarea recurrente va al final de su
+   * columna, con una posición propia.
+   */
+  it('Colocar la siguiente ocurrencia de una tarea recurrente', async () => {
+    const [, b] = await createTasks('A', 'B');
+    const { body: recurring } = await request('post', '/tasks', {
+      titulo: 'Semanal',
+      recurrencia: 'FREQ=WEEKLY',
+      fechaLimite: '2026-03-02'
+    });
+    await request('post', `/tasks/${recurring.id}/move`, { estado: 'completada' });
+    await request('post', `/tasks/${b}/move`, { estado: 'completada' });
+
+    const { body: board } = await request('get', '/tasks/board');
+    expect(board.pendiente.map((t) => t.titulo)).to.deep.equal(['A', 'Semanal']);
+    const [first, second] = board.pendiente.map((t) => t.rank);
+    expect(first < second, `${first} < ${second}`).to.equal(true);
+
+    // Se puede colocar una tarea entre las dos.
+    await request('post', `/tasks/${b}/move`, { estado: 'pendiente', position: 1 });
+    expect((await boardTitles()).pendiente).to.deep.equal(['A', 'B', 'Semanal']);
+  });
+
+  /**
+   * Prueba: Siempre hay una posición entre dos posiciones distintas, y las
+   * columnas se reparten antes de que las posiciones crezcan demasiado.
+   */
+  it('Calcular posiciones intermedias', async function () {
+    this.timeout(10000);
+    let low = 'i';
+    let high = 'j';
+    for (let i = 0; i < 100; i++) {
+      const mid = rankBetween(low, high);
+      expect(mid > low && mid < high, `${low} < ${mid} < ${high}`).to.equal(true);
+      [low, high] = i % 2 === 0 ? [mid, high] : [low, mid];
+    }
+    expect(rankBetween(null, null)).to.equal('i');
+    expect(rankBetween(null, '1') < '1').to.equal(true);
+
+    const ranks = evenRanks(50);
+    expect([...ranks].sort()).to.deep.equal(ranks);
+    expect(new Set(ranks).size).to.equal(50);
+
+    // Insertar siempre al principio obliga a repartir la columna.
+    const ids = await createTasks('Primera');
+    for (let i = 0; i < 200; i++) {
+      const { body } = await request('post', '/tasks', { titulo: `T${i}` });
+      await request('post', `/tasks/${body.id}/move`, { position: 0 });
+      ids.unshift(body.id);
+    }
+    const { body: board } = await request('get', '/tasks/board');
+    expect(board.pendiente.map((t) => t.id)).to.deep.equal(ids);
+    expect(Math.max(...board.pendiente.map((t) => t.rank.length))).to.be.at.most(MAX_RANK_LENGTH);
+  });
+});
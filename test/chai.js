@@ -0,0 +1,13 @@
+/**
+ * Instancia de Chai con el plugin Chai-HTTP para las pruebas de integración.
+ *
+ * `use` solo aplica un plugin la primera vez que se llama, así que todos los
+ * archivos de prueba deben compartir esta instancia en lugar de llamar a `use`.
+ */
+
+import { use } from 'chai';
+import chaiHttp from 'chai-http';
+
+const chai = use(chaiHttp);
+
+export default chai;
@@ -0,0 +1,135 @@
+/**
+ * Pruebas para el front end y el prefijo /api.
+ *
+ * Se prueban los archivos del front end compilado con sus cabeceras de caché, la
+ * respuesta index.csr.html para las rutas del cliente, la API bajo /api y sin el
+ * prefijo, y la configuración que lee el front end.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import fs from 'fs';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { client as clientConfig } from '../config.js';
+import { store, tasksRepository } from '../storage/index.js';
+
+// Token de prueba
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+
+// Página del front end y su archivo principal (el nombre lleva la huella de la compilación).
+const INDEX = fs.readFileSync(path.join(clientConfig.dir, 'index.csr.html'), 'utf8');
+const MAIN_FILE = fs.readdirSync(clientConfig.dir).find((file) => /^main-.*\.js$/.test(file));
+
+describe('Front end', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3020).
+   */
+  before(function () {
+    server = app.listen(3020);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con una tarea de Ana.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await tasksRepository.replaceAll([
+      { id: '1', titulo: 'Informe', descripcion: '', estado: 'pendiente', username: 'ana' }
+    ]);
+  });
+
+  /**
+   * Navegación del navegador a una ruta (acepta HTML).
+   */
+  const navigate = (path) => chai.request(server).get(path).set('Accept', 'text/html,*/*;q=0.8')
+    .catch((err) => err.response);
+
+  /**
+   * Prueba: Los archivos con huella se guardan en caché un año y los demás menos.
+   */
+  it('Servir los archivos con sus cabeceras de caché', async () => {
+    const main = await chai.request(server).get(`/${MAIN_FILE}`);
+    expect(main).to.have.status(200);
+    expect(main).to.have.header('Content-Type', /javascript/);
+    expect(main).to.have.header('Cache-Control', 'public, max-age=31536000, immutable');
+
+    const favicon = await chai.request(server).get('/favicon.ico');
+    expect(favicon).to.have.status(200);
+    expect(favicon).to.have.header('Cache-Control', 'public, max-age=86400');
+
+    const missing = await navigate('/main-NOEXISTE.js');
+    expect(missing).to.have.status(404);
+    expect(missing.body.code).to.equal('NOT_FOUND');
+  });
+
+  /**
+   * Prueba: Las rutas del cliente responden con index.csr.html sin caché.
+   */
+  it('Responder index.csr.html en las rutas del cliente', async () => {
+    for (const route of ['/', '/listar-tareas', '/crear-tarea', '/tareas/1/editar']) {
+      const res = await navigate(route);
+      expect(res, route).to.have.status(200);
+      expect(res).to.be.html;
+      expect(res).to.have.header('Cache-Control', 'no-cache');
+      expect(res.text).to.equal(INDEX);
+    }
+
+    // Las peticiones que no piden HTML y las rutas de la API reciben el 404 en JSON.
+    const json = await chai.request(server).get('/listar-tareas').catch((err) => err.response);
+    expect(json).to.have.status(404);
+    expect(json).to.be.json;
+    const api = await navigate('/api/no-existe');
+    expect(api).to.have.status(404);
+    expect(api.body.code).to.equal('NOT_FOUND');
+  });
+
+  /**
+   * Prueba: La API responde bajo /api y sin el prefijo, con la misma validación.
+   */
+  it('Servir la API con y sin el prefijo /api', async () => {
+    for (const route of ['/api/tasks', '/tasks']) {
+      const res = await chai.request(server).get(route).set('Authorization', `Bearer ${anaToken}`);
+      expect(res, route).to.have.status(200);
+      expect(res.body.map((t) => t.id)).to.deep.equal(['1']);
+    }
+
+    const invalid = await chai.request(server)
+      .get('/api/tasks/upcoming?days=mucho')
+      .set('Authorization', `Bearer ${anaToken}`)
+      .catch((err) => err.response);
+    expect(invalid).to.have.status(400);
+    expect(invalid.body.code).to.equal('INVALID_QUERY');
+
+    const unauthorized = await navigate('/api/tasks');
+    expect(unauthorized).to.have.status(401);
+
+    const paged = await chai.request(server)
+      .get('/api/tasks?limit=1')
+      .set('Authorization', `Bearer ${anaToken}`);
+    expect(paged).to.have.header('X-Total-Count', '1');
+
+    const spec = await chai.request(server).get('/api/openapi.json');
+    expect(spec.body.servers).to.deep.equal([{ url: '/api' }]);
+  });
+
+  /**
+   * Prueba: Configuración del front end.
+   */
+  it('Publicar la configuración del front end', async () => {
+    const res = await chai.request(server).get('/api/config');
+    expect(res).to.have.status(200);
+    expect(res).to.have.header('Cache-Control', 'no-store');
+    expect(res.body).to.deep.equal({ apiBaseUrl: '/api' });
+  });
+});
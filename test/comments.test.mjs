@@ -0,0 +1,169 @@
+/**
+ * Pruebas para los comentarios y las menciones.
+ *
+ * Se prueban el hilo de comentarios de una tarea, los permisos de edición y
+ * eliminación del autor, la resolución de las menciones `@username` y el listado
+ * de menciones de cada usuario.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { extractMentions } from '../models/comment.js';
+import { commentsRepository, store, tasksRepository, usersRepository } from '../storage/index.js';
+
+// Tokens de prueba para la dueña de la tarea y dos usuarios más
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const beaToken = jwt.sign({ username: 'bea' }, 'clave_secreta');
+const carlosToken = jwt.sign({ username: 'carlos' }, 'clave_secreta');
+
+describe('Task comments API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3015).
+   */
+  before(function () {
+    server = app.listen(3015);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con tres usuarios, una tarea
+   * de Ana compartida con Bea como `viewer` y una tarea privada de Carlos.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await usersRepository.replaceAll([
+      { username: 'ana', password: 'x' },
+      { username: 'bea', password: 'x' },
+      { username: 'carlos', password: 'x' }
+    ]);
+    await tasksRepository.replaceAll([
+      {
+        id: '1',
+        titulo: 'Preparar la demo',
+        descripcion: '',
+        estado: 'pendiente',
+        username: 'ana',
+        sharedWith: [{ username: 'bea', permission: 'viewer' }]
+      },
+      { id: '2', titulo: 'Privada', descripcion: '', estado: 'pendiente', username: 'carlos' }
+    ]);
+  });
+
+  /**
+   * Envía una petición autenticada, devolviendo también las respuestas de error.
+   */
+  const request = (method, path, body, token = anaToken) => {
+    const req = chai.request(server)[method](path).set('Authorization', `Bearer ${token}`);
+    return (body === undefined ? req : req.send(body)).catch((err) => err.response);
+  };
+
+  /**
+   * Prueba: Comentar una tarea y listar su hilo.
+   *
+   * - Con permiso `viewer` también se puede comentar.
+   * - Las menciones a usuarios inexistentes no se guardan.
+   * - Las menciones no distinguen mayúsculas.
+   */
+  it('Comentar una tarea', async () => {
+    const first = await request('post', '/tasks/1/comments', { texto: '  ¿Lo revisas, @bea? Avisa a @nadie  ' });
+    expect(first).to.have.status(201);
+    expect(first.body).to.include({ taskId: '1', username: 'ana', texto: '¿Lo revisas, @bea? Avisa a @nadie' });
+    expect(first.body.mentions).to.deep.equal(['bea']);
+
+    const reply = await request('post', '/tasks/1/comments', { texto: 'Hecho @ana.' }, beaToken);
+    expect(reply).to.have.status(201);
+    expect(reply.body.mentions).to.deep.equal(['ana']);
+
+    // Las menciones no distinguen mayúsculas y guardan el nombre registrado.
+    const loud = await request('post', '/tasks/1/comments', { texto: '@BEA y @Bea, mira esto' });
+    expect(loud.body.mentions).to.deep.equal(['bea']);
+
+    const thread = await request('get', '/tasks/1/comments', undefined, beaToken);
+    expect(thread).to.have.status(200);
+    expect(thread.body.map((c) => c.username)).to.deep.equal(['ana', 'bea', 'ana']);
+
+    expect(await request('get', '/tasks/1/comments', undefined, carlosToken)).to.have.status(404);
+    expect(await request('post', '/tasks/1/comments', { texto: 'hola' }, carlosToken)).to.have.status(404);
+
+    const invalid = await request('post', '/tasks/1/comments', { texto: '   ', autor: 'bea' });
+    expect(invalid).to.have.status(400);
+    expect(invalid.body.code).to.equal('INVALID_COMMENT');
+    expect(invalid.body.details.map((d) => d.field)).to.have.members(['autor', 'texto']);
+  });
+
+  /**
+   * Prueba: Solo el autor puede editar o eliminar su comentario.
+   */
+  it('Editar y eliminar comentarios', async () => {
+    const { body: comment } = await request('post', '/tasks/1/comments', { texto: 'Borrador' }, beaToken);
+
+    const forbidden = await request('patch', `/tasks/1/comments/${comment.id}`, { texto: 'Cambio' });
+    expect(forbidden).to.have.status(403);
+    expect(forbidden.body.code).to.equal('COMMENT_FORBIDDEN');
+    expect(await request('delete', `/tasks/1/comments/${comment.id}`)).to.have.status(403);
+
+    const edited = await request('patch', `/tasks/1/comments/${comment.id}`, { texto: 'Para @carlos' }, beaToken);
+    expect(edited).to.have.status(200);
+    expect(edited.body).to.include({ id: comment.id, texto: 'Para @carlos', createdAt: comment.createdAt });
+    expect(edited.body.mentions).to.deep.equal(['carlos']);
+
+    expect(await request('delete', `/tasks/1/comments/${comment.id}`, undefined, beaToken)).to.have.status(204);
+    const missing = await request('delete', `/tasks/1/comments/${comment.id}`, undefined, beaToken);
+    expect(missing).to.have.status(404);
+    expect(missing.body.code).to.equal('COMMENT_NOT_FOUND');
+  });
+
+  /**
+   * Prueba: El listado de menciones solo incluye tareas a las que el usuario tiene acceso.
+   */
+  it('Listar las menciones del usuario', async () => {
+    await request('post', '/tasks/1/comments', { texto: '@bea primera' });
+    await request('post', '/tasks/2/comments', { texto: '@bea en una tarea privada' }, carlosToken);
+    await request('post', '/tasks/1/comments', { texto: 'Sin menciones' });
+    const { body: last } = await request('post', '/tasks/1/comments', { texto: '@bea segunda' });
+
+    const mentions = await request('get', '/tasks/mentions', undefined, beaToken);
+    expect(mentions).to.have.status(200);
+    expect(mentions.body.map((c) => c.texto)).to.deep.equal(['@bea segunda', '@bea primera']);
+    expect(mentions.body[0].task).to.deep.equal({ id: '1', titulo: 'Preparar la demo' });
+
+    const since = await request('get', `/tasks/mentions?since=${last.createdAt}`, undefined, beaToken);
+    expect(since.body).to.have.length(0);
+    expect(await request('get', '/tasks/mentions?since=ayer', undefined, beaToken)).to.have.status(400);
+
+    // Al dejar de compartir la tarea, sus menciones desaparecen del listado.
+    await request('delete', '/tasks/1/shares/bea');
+    expect((await request('get', '/tasks/mentions', undefined, beaToken)).body).to.have.length(0);
+  });
+
+  /**
+   * Prueba: Los comentarios se borran al purgar la tarea de la papelera.
+   */
+  it('Borrar los comentarios al purgar la tarea', async () => {
+    await request('post', '/tasks/1/comments', { texto: 'Comentario' });
+    await request('delete', '/tasks/1');
+    expect(await commentsRepository.all()).to.have.length(1);
+
+    expect(await request('delete', '/tasks/trash/1')).to.have.status(204);
+    expect(await commentsRepository.all()).to.have.length(0);
+  });
+
+  /**
+   * Prueba: Extraer las menciones de un texto.
+   */
+  it('Extraer las menciones', () => {
+    expect(extractMentions('@ana y @bea.lopez, otra vez @ana')).to.deep.equal(['ana', 'bea.lopez']);
+    expect(extractMentions('correo ana@example.com')).to.deep.equal([]);
+    expect(extractMentions('(@carlos) @')).to.deep.equal(['carlos']);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Pruebas para la carga de la configuración y la gestión de las claves JWT.
+ *
+ * Se prueban el orden de prioridad (valores por defecto, archivo y variables de
+ * entorno), la validación al arrancar, la firma con RS256/ES256 y la rotación de
+ * claves.
+ */
+
+import { expect } from 'chai';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import jwt from 'jsonwebtoken';
+import os from 'os';
+import path from 'path';
+import { ConfigError, loadConfig } from '../config.js';
+import { createKeyring } from '../services/tokens.js';
+
+/**
+ * Genera un par de claves PEM para el algoritmo indicado.
+ */
+const generateKeys = (algorithm) => {
+  const { privateKey, publicKey } = algorithm === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  return {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+};
+
+/**
+ * Devuelve los problemas de configuración que provocan las variables indicadas
+ * (en pruebas, salvo que se indique otro `NODE_ENV`).
+ */
+const configErrors = (env) => {
+  try {
+    loadConfig({ env: { NODE_ENV: 'test', ...env } });
+  } catch (error) {
+    expect(error).to.be.instanceOf(ConfigError);
+    return error.errors;
+  }
+  return [];
+};
+
+describe('Configuración', function () {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gestor-config-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Prueba: Las variables de entorno tienen prioridad sobre el archivo y este sobre
+   * los valores por defecto.
+   */
+  it('Mezclar valores por defecto, archivo y entorno', async () => {
+    const file = path.join(dir, 'config.json');
+    await fs.writeFile(file, JSON.stringify({
+      server: { port: 8080 },
+      trash: { retentionDays: 7 },
+      auth: { lockout: { maxFailedAttempts: 3 } }
+    }));
+
+    const config = loadConfig({
+      env: { CONFIG_FILE: file, PORT: '9090', NODE_ENV: 'test', API_BASE_URL: 'https://api.example.com/api' }
+    });
+    expect(config.server.port).to.equal(9090);
+    expect(config.client.apiBaseUrl).to.equal('https://api.example.com/api');
+    expect(config.trash.retentionDays).to.equal(7);
+    expect(config.auth.lockout).to.deep.equal({ maxFailedAttempts: 3, durationMinutes: 15 });
+    expect(config.storage.driver).to.equal('memory');
+    expect(config.logging.level).to.equal('silent');
+    expect(config.jwt.keys).to.have.length(1);
+    expect(config.jwt.keys[0]).to.include({ kid: 'default', algorithm: 'HS256' });
+  });
+
+  /**
+   * Prueba: Se informan a la vez todos los valores inválidos.
+   */
+  it('Rechazar la configuración inválida', async () => {
+    const errors = configErrors({
+      PORT: '70000',
+      STORAGE_DRIVER: 'mongo',
+      TRASH_RETENTION_DAYS: 'mucho',
+      JWT_ALGORITHM: 'RS256',
+      LOG_LEVEL: 'verbose'
+    });
+    expect(errors).to.have.length(5);
+    expect(errors.join('\n')).to.include('server.port').and.include('storage.driver')
+      .and.include('trash.retentionDays').and.include('jwt.privateKey').and.include('logging.level');
+
+    expect(configErrors({ JWT_PREVIOUS_KEYS: '[{' })).to.deep.equal(['JWT_PREVIOUS_KEYS: no es un JSON válido']);
+
+    const missing = path.join(dir, 'no-existe.json');
+    expect(configErrors({ CONFIG_FILE: missing })[0]).to.include(missing);
+  });
+
+  /**
+   * Prueba: Fuera de desarrollo y pruebas es obligatorio configurar la clave de
+   * firma, también si NODE_ENV no está definido.
+   */
+  it('Exigir la clave de firma en producción', async () => {
+    for (const nodeEnv of ['production', 'staging', undefined]) {
+      expect(configErrors({ NODE_ENV: nodeEnv })[0], nodeEnv).to.include('jwt.secret');
+      expect(configErrors({ NODE_ENV: nodeEnv, JWT_SECRET: 'clave_secreta' })[0], nodeEnv)
+        .to.include('secreto de desarrollo');
+      expect(configErrors({ NODE_ENV: nodeEnv, JWT_SECRET: 'otra-clave' }), nodeEnv).to.deep.equal([]);
+    }
+    expect(configErrors({ NODE_ENV: 'development' })).to.deep.equal([]);
+    expect(configErrors({ NODE_ENV: 'test' })).to.deep.equal([]);
+  });
+
+  /**
+   * Prueba: Los webhooks hacia direcciones privadas solo se permiten por defecto en
+   * pruebas, y la variable de entorno lo cambia.
+   */
+  it('Configurar las direcciones privadas de los webhooks', async () => {
+    const env = { JWT_SECRET: 'otra-clave' };
+    expect(loadConfig({ env: { ...env, NODE_ENV: 'production' } }).webhooks.allowPrivateUrls).to.equal(false);
+    expect(loadConfig({ env: { NODE_ENV: 'test' } }).webhooks.allowPrivateUrls).to.equal(true);
+    expect(loadConfig({ env: { ...env, NODE_ENV: 'production', WEBHOOK_ALLOW_PRIVATE_URLS: 'true' } })
+      .webhooks.allowPrivateUrls).to.equal(true);
+    expect(loadConfig({ env: { NODE_ENV: 'test', WEBHOOK_ALLOW_PRIVATE_URLS: 'false' } })
+      .webhooks.allowPrivateUrls).to.equal(false);
+    expect(configErrors({ WEBHOOK_ALLOW_PRIVATE_URLS: 'si' })[0]).to.include('webhooks.allowPrivateUrls');
+  });
+
+  /**
+   * Prueba: Las claves deben corresponder a su algoritmo y tener kids distintos.
+   */
+  it('Validar las claves', async () => {
+    const rsa = generateKeys('RS256');
+    expect(configErrors({ JWT_ALGORITHM: 'ES256', JWT_PRIVATE_KEY: rsa.privateKey })[0])
+      .to.include('ES256 necesita una clave EC');
+    expect(configErrors({ JWT_ALGORITHM: 'RS256', JWT_PRIVATE_KEY_FILE: path.join(dir, 'no-existe.pem') })[0])
+      .to.include('no se pudo leer');
+    expect(configErrors({
+      JWT_KID: 'k1',
+      JWT_PREVIOUS_KEYS: JSON.stringify([{ kid: 'k1', algorithm: 'HS256', secret: 'anterior' }])
+    })).to.deep.equal(['jwt: el kid "k1" se repite; cada clave necesita un kid distinto']);
+  });
+
+  /**
+   * Prueba: Con RS256 y ES256 los tokens llevan el kid de la clave (su huella por
+   * defecto) y se verifican con la clave pública.
+   */
+  for (const algorithm of ['RS256', 'ES256']) {
+    it(`Firmar con ${algorithm}`, async () => {
+      const keys = generateKeys(algorithm);
+      const keyFile = path.join(dir, `${algorithm}.pem`);
+      await fs.writeFile(keyFile, keys.privateKey);
+
+      const config = loadConfig({ env: { JWT_ALGORITHM: algorithm, JWT_PRIVATE_KEY_FILE: keyFile } });
+      const [key] = config.jwt.keys;
+      expect(key.kid).to.match(/^[\w-]{43}$/);
+
+      const keyring = createKeyring(config.jwt.keys);
+      const token = keyring.sign({ username: 'ana' }, { expiresIn: '1h' });
+      expect(jwt.decode(token, { complete: true }).header).to.include({ alg: algorithm, kid: key.kid });
+      expect(keyring.verify(token).username).to.equal('ana');
+    });
+  }
+
+  /**
+   * Prueba: Tras rotar, los tokens de la clave anterior siguen siendo válidos
+   * mientras esté en `previousKeys`; los de claves desconocidas o caducados no.
+   */
+  it('Rotar las claves', async () => {
+    const oldKeys = generateKeys('ES256');
+    const newKeys = generateKeys('RS256');
+
+    const before = createKeyring(loadConfig({
+      env: { JWT_ALGORITHM: 'ES256', JWT_KID: '2025-01', JWT_PRIVATE_KEY: oldKeys.privateKey }
+    }).jwt.keys);
+    const oldToken = before.sign({ username: 'ana' }, { expiresIn: '1h' });
+    const expiredToken = before.sign({ username: 'ana', exp: Math.floor(Date.now() / 1000) - 60 });
+    // Token sin kid, como los emitidos antes de la rotación de claves
+    const legacyToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+
+    const after = createKeyring(loadConfig({
+      env: {
+        JWT_ALGORITHM: 'RS256',
+        JWT_KID: '2025-02',
+        JWT_PRIVATE_KEY: newKeys.privateKey,
+        JWT_PREVIOUS_KEYS: JSON.stringify([
+          { kid: '2025-01', algorithm: 'ES256', publicKey: oldKeys.publicKey },
+          { kid: 'default', algorithm: 'HS256', secret: 'clave_secreta' }
+        ])
+      }
+    }).jwt.keys);
+    expect(after.verify(after.sign({ username: 'luis' })).username).to.equal('luis');
+    expect(after.verify(oldToken).username).to.equal('ana');
+    expect(after.verify(legacyToken).username).to.equal('ana');
+    expect(() => after.verify(expiredToken)).to.throw('jwt expired');
+    expect(after.verify(expiredToken, { ignoreExpiration: true }).username).to.equal('ana');
+
+    const retired = createKeyring(loadConfig({
+      env: { JWT_ALGORITHM: 'RS256', JWT_KID: '2025-02', JWT_PRIVATE_KEY: newKeys.privateKey }
+    }).jwt.keys);
+    expect(() => retired.verify(oldToken)).to.throw('unknown kid: 2025-01');
+    expect(() => retired.verify('no-es-un-token')).to.throw('jwt malformed');
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Pruebas para las respuestas de error de la API.
+ *
+ * Se prueban el cuerpo JSON común ({ code, message, details, requestId }), el
+ * identificador de petición y la traducción de los mensajes según Accept-Language.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { resetRateLimits } from '../middleware/rateLimit.js';
+import { store } from '../storage/index.js';
+
+// Token de prueba
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+
+describe('Error responses', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3012).
+   */
+  before(function () {
+    server = app.listen(3012);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se vacía el almacenamiento y se reinician los límites de peticiones.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    resetRateLimits();
+  });
+
+  /**
+   * Prueba: Los errores tienen código, mensaje, detalles e identificador de petición.
+   */
+  it('Responder los errores en JSON', async () => {
+    const res = await chai.request(server)
+      .get('/tasks/no-existe')
+      .set('Authorization', `Bearer ${anaToken}`)
+      .catch((err) => err.response);
+
+    expect(res).to.have.status(404);
+    expect(res).to.be.json;
+    expect(res.body).to.deep.equal({
+      code: 'TASK_NOT_FOUND',
+      message: 'Tarea no encontrada',
+      details: null,
+      requestId: res.headers['x-request-id']
+    });
+
+    const invalid = await chai.request(server)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${anaToken}`)
+      .send({ estado: 'hecha' })
+      .catch((err) => err.response);
+    expect(invalid).to.have.status(400);
+    expect(invalid.body.code).to.equal('INVALID_TASK');
+    expect(invalid.body.details.map((e) => e.field)).to.have.members(['titulo', 'estado']);
+
+    const anonymous = await chai.request(server).get('/tasks').catch((err) => err.response);
+    expect(anonymous).to.have.status(401);
+    expect(anonymous.body.code).to.equal('AUTH_REQUIRED');
+  });
+
+  /**
+   * Prueba: Rutas inexistentes y JSON mal formado también responden con el formato común.
+   */
+  it('Responder rutas inexistentes y JSON mal formado', async () => {
+    const missing = await chai.request(server).get('/nada').catch((err) => err.response);
+    expect(missing).to.have.status(404);
+    expect(missing.body.code).to.equal('NOT_FOUND');
+
+    const malformed = await chai.request(server)
+      .post('/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"username": ')
+      .catch((err) => err.response);
+    expect(malformed).to.have.status(400);
+    expect(malformed.body.code).to.equal('INVALID_JSON');
+  });
+
+  /**
+   * Prueba: El identificador de petición recibido se conserva.
+   */
+  it('Conservar el identificador de petición', async () => {
+    const res = await chai.request(server)
+      .get('/tasks')
+      .set('X-Request-Id', 'peticion-123')
+      .catch((err) => err.response);
+    expect(res).to.have.header('X-Request-Id', 'peticion-123');
+    expect(res.body.requestId).to.equal('peticion-123');
+
+    const generated = await chai.request(server)
+      .get('/tasks')
+      .set('X-Request-Id', 'no válido')
+      .catch((err) => err.response);
+    expect(generated.body.requestId).to.match(/^[0-9a-f-]{36}$/);
+  });
+
+  /**
+   * Prueba: Los mensajes se traducen según Accept-Language (español por defecto).
+   */
+  it('Traducir los mensajes según Accept-Language', async () => {
+    const english = await chai.request(server)
+      .post('/auth/login')
+      .set('Accept-Language', 'en-US,en;q=0.9')
+      .send({ username: 'ana' })
+      .catch((err) => err.response);
+    expect(english).to.have.status(400);
+    expect(english.body).to.include({
+      code: 'CREDENTIALS_REQUIRED',
+      message: 'Username and password are required'
+    });
+    expect(english).to.have.header('Content-Language', 'en');
+
+    const unsupported = await chai.request(server)
+      .post('/auth/login')
+      .set('Accept-Language', 'fr')
+      .send({ username: 'ana' })
+      .catch((err) => err.response);
+    expect(unsupported.body.message).to.equal('Usuario y contraseña son obligatorios');
+
+    const withParams = await chai.request(server)
+      .get('/tasks/export?format=xml')
+      .set('Authorization', `Bearer ${anaToken}`)
+      .set('Accept-Language', 'en')
+      .catch((err) => err.response);
+    expect(withParams.body.message).to.equal('Unsupported format. Formats: csv, json, ics');
+  });
+
+  /**
+   * Prueba: Los mensajes de los campos inválidos se traducen como el del error.
+   */
+  it('Traducir los campos inválidos según Accept-Language', async () => {
+    const send = (language, body) => chai.request(server)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${anaToken}`)
+      .set('Accept-Language', language)
+      .send(body)
+      .catch((err) => err.response);
+
+    const english = await send('en', { estado: 'hecha', color: 'rojo' });
+    expect(english).to.have.status(400);
+    expect(english.body.message).to.equal('Invalid task data');
+    expect(english.body.details).to.deep.equal([
+      { field: 'estado', code: 'ESTADO_NOT_ALLOWED', message: 'The status must be one of: pendiente, en_progreso, completada' },
+      { field: 'color', code: 'FIELD_NOT_ALLOWED', message: 'Field not allowed' },
+      { field: 'titulo', code: 'FIELD_REQUIRED', message: 'Required field' }
+    ]);
+
+    // Errores que solo detecta el modelo, después de la especificación.
+    const rule = await send('en', { titulo: 'Informe', recurrencia: 'FREQ=DAILY;BYDAY=MO' });
+    expect(rule.body.details).to.deep.equal([
+      { field: 'recurrencia', code: 'RRULE_BYDAY_WEEKLY', message: 'BYDAY is only allowed with FREQ=WEEKLY' }
+    ]);
+
+    const spanish = await send('es', { titulo: 'Informe', recurrencia: 'FREQ=DAILY;BYDAY=MO' });
+    expect(spanish.body.details[0].message).to.equal('BYDAY solo se admite con FREQ=WEEKLY');
+
+    // Errores de los elementos de una lista, comprobados con la especificación.
+    const items = await send('en', { titulo: 'Informe', recordatorios: [30, 'x'] });
+    expect(items.body.details).to.deep.equal([
+      { field: 'recordatorios', code: 'ITEM_INVALID', message: 'Item 2: Must be an integer' }
+    ]);
+  });
+});
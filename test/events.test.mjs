@@ -0,0 +1,186 @@
+/**
+ * Pruebas para los eventos en tiempo real de las tareas (Server-Sent Events).
+ *
+ * Se prueban la autenticación del flujo, la entrega de eventos al dueño y a los
+ * usuarios con quienes se comparte la tarea, y la reconexión con Last-Event-ID.
+ */
+
+import http from 'http';
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { resetTaskEvents } from '../services/taskEvents.js';
+import { store, usersRepository } from '../storage/index.js';
+
+const PORT = 3009;
+
+// Tokens de prueba para la dueña de las tareas y una usuaria con quien se comparten
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const beaToken = jwt.sign({ username: 'bea' }, 'clave_secreta');
+
+/**
+ * Abre un flujo de eventos y va acumulando los mensajes recibidos.
+ */
+const openStream = (path, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.get({ port: PORT, path, headers }, (res) => {
+    const messages = [];
+    let pending = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      pending += chunk;
+      let end;
+      while ((end = pending.indexOf('\n\n')) !== -1) {
+        const message = {};
+        for (const line of pending.slice(0, end).split('\n')) {
+          const [field, ...rest] = line.split(': ');
+          if (field === 'id' || field === 'event') {
+            message[field] = rest.join(': ');
+          } else if (field === 'data') {
+            message.data = JSON.parse(rest.join(': '));
+          }
+        }
+        pending = pending.slice(end + 2);
+        if (message.event) {
+          messages.push(message);
+        }
+      }
+    });
+
+    /**
+     * Espera hasta haber recibido `count` mensajes (máximo 2 segundos).
+     */
+    const waitFor = async (count) => {
+      for (let i = 0; i < 100 && messages.length < count; i++) {
+        await new Promise((r) => setTimeout(r, 20));
+      }
+      return messages;
+    };
+    resolve({ res, messages, waitFor, close: () => req.destroy() });
+  });
+  req.on('error', reject);
+});
+
+describe('Task events API', function () {
+  let server;
+  const streams = [];
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3009).
+   */
+  before(function () {
+    server = app.listen(PORT);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento y el búfer de eventos.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    resetTaskEvents();
+    await usersRepository.replaceAll([
+      { username: 'ana', password: 'x' },
+      { username: 'bea', password: 'x' }
+    ]);
+  });
+
+  /**
+   * Tras cada prueba se cierran los flujos abiertos.
+   */
+  afterEach(() => {
+    streams.splice(0).forEach((stream) => stream.close());
+  });
+
+  /**
+   * Abre un flujo y lo registra para cerrarlo al terminar la prueba.
+   */
+  const open = async (path, headers) => {
+    const stream = await openStream(path, headers);
+    streams.push(stream);
+    return stream;
+  };
+
+  /**
+   * Envía una petición autenticada, devolviendo también las respuestas de error.
+   */
+  const request = (method, path, body, token = anaToken) => chai.request(server)[method](path)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body)
+    .catch((err) => err.response);
+
+  /**
+   * Prueba: El flujo exige autenticación y acepta el token como parámetro de consulta.
+   */
+  it('Autenticar el flujo de eventos', async () => {
+    const anonymous = await open('/tasks/events');
+    expect(anonymous.res.statusCode).to.equal(401);
+
+    const stream = await open(`/tasks/events?access_token=${anaToken}`);
+    expect(stream.res.statusCode).to.equal(200);
+    expect(stream.res.headers['content-type']).to.match(/text\/event-stream/);
+    const [ready] = await stream.waitFor(1);
+    expect(ready.event).to.equal('ready');
+  });
+
+  /**
+   * Prueba: Los cambios llegan al dueño y a los usuarios con acceso compartido.
+   */
+  it('Recibir los cambios de las tareas', async () => {
+    const ana = await open('/tasks/events', { Authorization: `Bearer ${anaToken}` });
+    const bea = await open('/tasks/events', { Authorization: `Bearer ${beaToken}` });
+    await ana.waitFor(1);
+    await bea.waitFor(1);
+
+    const { id } = (await request('post', '/tasks', { titulo: 'Informe' })).body;
+    await request('put', `/tasks/${id}/shares/bea`, { permission: 'viewer' });
+    await request('patch', `/tasks/${id}`, { estado: 'en_progreso' });
+    await request('delete', `/tasks/${id}/shares/bea`);
+
+    const anaEvents = (await ana.waitFor(5)).slice(1);
+    expect(anaEvents.map((m) => m.event)).to.deep.equal([
+      'task.created', 'task.updated', 'task.updated', 'task.updated'
+    ]);
+    expect(anaEvents[2].data.task.estado).to.equal('en_progreso');
+
+    // Bea recibe los cambios mientras tiene acceso y un borrado al perderlo.
+    const beaEvents = (await bea.waitFor(4)).slice(1);
+    expect(beaEvents.map((m) => m.event)).to.deep.equal([
+      'task.updated', 'task.updated', 'task.deleted'
+    ]);
+    expect(beaEvents[2].data).to.include({ taskId: id, task: null });
+  });
+
+  /**
+   * Prueba: Al reconectar con Last-Event-ID se reciben los eventos perdidos.
+   */
+  it('Recuperar los eventos perdidos al reconectar', async () => {
+    const first = await open('/tasks/events', { Authorization: `Bearer ${anaToken}` });
+    const [ready] = await first.waitFor(1);
+    first.close();
+
+    await request('post', '/tasks', { titulo: 'Uno' });
+    await request('post', '/tasks', { titulo: 'Dos' });
+
+    const resumed = await open('/tasks/events', {
+      Authorization: `Bearer ${anaToken}`,
+      'Last-Event-ID': ready.id
+    });
+    const messages = await resumed.waitFor(2);
+    expect(messages.map((m) => m.data.task.titulo)).to.deep.equal(['Uno', 'Dos']);
+    expect(Number(messages[1].id)).to.be.greaterThan(Number(messages[0].id));
+
+    const unknown = await open('/tasks/events', {
+      Authorization: `Bearer ${anaToken}`,
+      'Last-Event-ID': 'desconocido'
+    });
+    const [reset] = await unknown.waitFor(1);
+    expect(reset.event).to.equal('reset');
+  });
+});
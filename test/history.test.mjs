@@ -0,0 +1,147 @@
+/**
+ * Pruebas para el historial de cambios y la papelera de tareas.
+ *
+ * Se prueban el registro de cambios, la eliminación a la papelera, la restauración
+ * y la purga (manual y por periodo de retención).
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { purgeExpiredTrash } from '../services/taskTrash.js';
+import { historyRepository, store, tasksRepository, trashRepository, usersRepository } from '../storage/index.js';
+
+// Tokens de prueba para la dueña de las tareas y una usuaria con quien se comparten
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const beaToken = jwt.sign({ username: 'bea' }, 'clave_secreta');
+
+describe('Task history and trash API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3008).
+   */
+  before(function () {
+    server = app.listen(3008);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con dos usuarias.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await usersRepository.replaceAll([
+      { username: 'ana', password: 'x' },
+      { username: 'bea', password: 'x' }
+    ]);
+  });
+
+  /**
+   * Envía una petición autenticada, devolviendo también las respuestas de error.
+   */
+  const request = (method, path, body, token = anaToken) => chai.request(server)[method](path)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body)
+    .catch((err) => err.response);
+
+  /**
+   * Prueba: El historial registra quién cambió qué campos y cuándo.
+   */
+  it('Registrar el historial de una tarea', async () => {
+    const { id } = (await request('post', '/tasks', { titulo: 'Informe' })).body;
+    await request('put', `/tasks/${id}/shares/bea`, { permission: 'editor' });
+    await request('patch', `/tasks/${id}`, { prioridad: 'alta' }, beaToken);
+    // Un cambio sin diferencias no se registra.
+    await request('patch', `/tasks/${id}`, { prioridad: 'alta' });
+
+    const history = await request('get', `/tasks/${id}/history`, undefined, beaToken);
+    expect(history).to.have.status(200);
+    expect(history.body.map((e) => [e.action, e.username])).to.deep.equal([
+      ['created', 'ana'],
+      ['updated', 'ana'],
+      ['updated', 'bea']
+    ]);
+    expect(history.body[1].changes.map((c) => c.field)).to.deep.equal(['sharedWith']);
+    expect(history.body[2].changes).to.deep.equal([{ field: 'prioridad', from: 'media', to: 'alta' }]);
+    expect(history.body[2].at).to.be.a('string');
+
+    expect(await request('get', '/tasks/nada/history')).to.have.status(404);
+  });
+
+  /**
+   * Prueba: Eliminar una tarea la mueve a la papelera, desde donde se restaura.
+   */
+  it('Eliminar y restaurar una tarea', async () => {
+    const { id } = (await request('post', '/tasks', { titulo: 'Informe' })).body;
+
+    expect(await request('delete', `/tasks/${id}`)).to.have.status(200);
+    expect(await request('delete', `/tasks/${id}`)).to.have.status(404);
+    expect(await request('get', `/tasks/${id}`)).to.have.status(404);
+
+    const trash = await request('get', '/tasks/trash');
+    expect(trash.body.map((t) => t.id)).to.deep.equal([id]);
+    expect(trash.body[0]).to.include({ deletedBy: 'ana' });
+    expect((await request('get', '/tasks/trash', undefined, beaToken)).body).to.deep.equal([]);
+
+    expect(await request('post', `/tasks/trash/${id}/restore`, undefined, beaToken)).to.have.status(404);
+    const restored = await request('post', `/tasks/trash/${id}/restore`);
+    expect(restored).to.have.status(200);
+    expect(restored.body).to.not.have.property('deletedAt');
+
+    const history = await request('get', `/tasks/${id}/history`);
+    expect(history.body.map((e) => e.action)).to.deep.equal(['created', 'deleted', 'restored']);
+    expect((await request('get', '/tasks/trash')).body).to.deep.equal([]);
+  });
+
+  /**
+   * Prueba: Purgar una tarea la borra definitivamente junto con su historial.
+   */
+  it('Purgar tareas de la papelera', async () => {
+    const { id } = (await request('post', '/tasks', { titulo: 'Informe' })).body;
+    await request('delete', `/tasks/${id}`);
+
+    expect(await request('delete', `/tasks/trash/${id}`)).to.have.status(204);
+    expect(await request('delete', `/tasks/trash/${id}`)).to.have.status(404);
+    expect(await trashRepository.all()).to.have.lengthOf(0);
+    expect(await historyRepository.all()).to.have.lengthOf(0);
+  });
+
+  /**
+   * Prueba: El planificador purga las tareas que superan el periodo de retención.
+   */
+  it('Purgar tareas tras el periodo de retención', async () => {
+    await trashRepository.replaceAll([
+      { id: 'vieja', titulo: 'A', username: 'ana', deletedAt: '2025-01-01T00:00:00.000Z', deletedBy: 'ana' },
+      { id: 'reciente', titulo: 'B', username: 'ana', deletedAt: '2025-01-25T00:00:00.000Z', deletedBy: 'ana' }
+    ]);
+
+    const purged = await purgeExpiredTrash(new Date('2025-02-01T00:00:00.000Z'), 30);
+    expect(purged.map((t) => t.id)).to.deep.equal(['vieja']);
+    expect((await trashRepository.all()).map((t) => t.id)).to.deep.equal(['reciente']);
+  });
+
+  /**
+   * Prueba: Al restaurar se descartan las referencias que ya no existen.
+   */
+  it('Restaurar descarta referencias inexistentes', async () => {
+    await tasksRepository.replaceAll([
+      { id: '1', titulo: 'Bloqueante', estado: 'pendiente', username: 'ana' },
+      { id: '2', titulo: 'Bloqueada', estado: 'pendiente', username: 'ana', blockedBy: ['1'], projectId: 'borrado', tags: ['borrada'] }
+    ]);
+    await request('delete', '/tasks/2');
+    await request('delete', '/tasks/1');
+
+    const restored = await request('post', '/tasks/trash/2/restore');
+    expect(restored.body).to.include({ projectId: null });
+    expect(restored.body.tags).to.deep.equal([]);
+    expect(restored.body.blockedBy).to.deep.equal([]);
+  });
+});
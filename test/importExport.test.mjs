@@ -0,0 +1,167 @@
+/**
+ * Pruebas para la importación y exportación de tareas.
+ *
+ * Se prueban la exportación en CSV, JSON e iCalendar, la importación de esos
+ * mismos formatos y el modo de prueba (dryRun) con errores por fila.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { store, tasksRepository } from '../storage/index.js';
+
+// Tokens de prueba para dos usuarios
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const beaToken = jwt.sign({ username: 'bea' }, 'clave_secreta');
+
+describe('Task import/export API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3010).
+   */
+  before(function () {
+    server = app.listen(3010);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con dos tareas de Ana.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await tasksRepository.replaceAll([
+      {
+        id: '1',
+        titulo: 'Informe, "final"',
+        descripcion: 'Revisar\ncifras',
+        estado: 'en_progreso',
+        prioridad: 'alta',
+        fechaLimite: '2030-05-10',
+        recordatorios: [60, 1440],
+        recurrencia: 'FREQ=WEEKLY;BYDAY=MO',
+        username: 'ana'
+      },
+      { id: '2', titulo: 'Compras', descripcion: '', estado: 'pendiente', username: 'ana' },
+      { id: '3', titulo: 'Ajena', descripcion: '', estado: 'pendiente', username: 'bea' }
+    ]);
+  });
+
+  /**
+   * Envía una petición autenticada, devolviendo también las respuestas de error.
+   */
+  const request = (method, path, token = anaToken) => chai.request(server)[method](path)
+    .set('Authorization', `Bearer ${token}`);
+
+  const send = (path, type, body, token = anaToken) => request('post', path, token)
+    .type(type)
+    .send(body)
+    .catch((err) => err.response);
+
+  /**
+   * Prueba: Exportar a CSV y volver a importar el archivo.
+   */
+  it('Exportar e importar en CSV', async () => {
+    const exported = await request('get', '/tasks/export?format=csv');
+    expect(exported).to.have.status(200);
+    expect(exported.headers['content-type']).to.match(/text\/csv/);
+    expect(exported.headers['content-disposition']).to.include('tareas.csv');
+    expect(exported.text).to.include('"Informe, ""final"""');
+    expect(exported.text).not.to.include('Ajena');
+
+    const imported = await send('/tasks/import', 'text/csv', exported.text, beaToken);
+    expect(imported).to.have.status(201);
+    expect(imported.body).to.include({ total: 2, valid: 2, invalid: 0 });
+    const [informe] = imported.body.created;
+    expect(informe).to.include({
+      titulo: 'Informe, "final"',
+      descripcion: 'Revisar\ncifras',
+      estado: 'en_progreso',
+      prioridad: 'alta',
+      fechaLimite: '2030-05-10',
+      recurrencia: 'FREQ=WEEKLY;BYDAY=MO',
+      username: 'bea'
+    });
+    expect(informe.recordatorios).to.deep.equal([60, 1440]);
+    expect(informe.id).not.to.equal('1');
+
+    const bea = await request('get', '/tasks', beaToken);
+    expect(bea.body).to.have.length(3);
+  });
+
+  /**
+   * Prueba: Exportar a iCalendar e importar los VTODO.
+   */
+  it('Exportar e importar en iCalendar', async () => {
+    const exported = await request('get', '/tasks/export?format=ics&estado=en_progreso');
+    expect(exported).to.have.status(200);
+    expect(exported.headers['content-type']).to.match(/text\/calendar/);
+    expect(exported.text).to.include('BEGIN:VTODO');
+    expect(exported.text).to.include('DUE;VALUE=DATE:20300510');
+    expect(exported.text).to.include('RRULE:FREQ=WEEKLY;BYDAY=MO');
+    expect(exported.text).to.include('TRIGGER:-PT60M');
+    expect(exported.text).not.to.include('Compras');
+
+    const imported = await send('/tasks/import', 'text/calendar', exported.text, beaToken);
+    expect(imported).to.have.status(201);
+    expect(imported.body.created).to.have.length(1);
+    expect(imported.body.created[0]).to.include({
+      titulo: 'Informe, "final"',
+      estado: 'en_progreso',
+      prioridad: 'alta',
+      fechaLimite: '2030-05-10'
+    });
+    expect(imported.body.created[0].recordatorios).to.deep.equal([60, 1440]);
+  });
+
+  /**
+   * Prueba: Exportar en JSON por defecto e importar un array JSON.
+   */
+  it('Exportar e importar en JSON', async () => {
+    const exported = await request('get', '/tasks/export');
+    expect(exported).to.have.status(200);
+    expect(exported.headers['content-disposition']).to.include('tareas.json');
+    expect(JSON.parse(exported.text)).to.have.length(2);
+
+    const imported = await send('/tasks/import', 'application/json', {
+      tasks: [{ titulo: 'Nueva', prioridad: 'baja' }]
+    });
+    expect(imported).to.have.status(201);
+    expect(imported.body.created[0]).to.include({ titulo: 'Nueva', estado: 'pendiente', username: 'ana' });
+
+    const badFormat = await request('get', '/tasks/export?format=xml').catch((err) => err.response);
+    expect(badFormat).to.have.status(400);
+  });
+
+  /**
+   * Prueba: El modo de prueba informa de los errores por fila sin guardar nada.
+   *
+   * - Sin dryRun, una sola fila inválida impide importar todas.
+   */
+  it('Validar la importación con dryRun', async () => {
+    const csv = 'titulo,estado,prioridad\r\nBuena,pendiente,media\r\n,hecha,media\r\nOtra,,urgente\r\n';
+
+    const dryRun = await send('/tasks/import?dryRun=true', 'text/csv', csv);
+    expect(dryRun).to.have.status(200);
+    expect(dryRun.body).to.include({ dryRun: true, total: 3, valid: 1, invalid: 2 });
+    expect(dryRun.body.errors.map((e) => e.row)).to.deep.equal([2, 3]);
+    expect(dryRun.body.errors[0].errors.map((e) => e.field)).to.have.members(['titulo', 'estado']);
+    expect(dryRun.body.errors[1].errors.map((e) => e.field)).to.deep.equal(['prioridad']);
+
+    const rejected = await send('/tasks/import', 'text/csv', csv);
+    expect(rejected).to.have.status(400);
+    expect(rejected.body.code).to.equal('INVALID_IMPORT_ROWS');
+    expect(rejected.body.details.invalid).to.equal(2);
+    expect(await tasksRepository.all()).to.have.length(3);
+
+    const unreadable = await send('/tasks/import', 'text/csv', 'nombre\r\nSin título\r\n');
+    expect(unreadable).to.have.status(400);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Pruebas para los registros, el estado del servidor y las métricas.
+ *
+ * Se prueban los registros JSON de las peticiones y de los errores con su
+ * identificador de petición, la comprobación de los archivos de datos y las
+ * métricas en formato Prometheus agrupadas por ruta.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import fs from 'fs/promises';
+import { constants } from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { logger } from '../logger.js';
+import { checkHealth } from '../services/health.js';
+import { resetMetrics } from '../services/metrics.js';
+import { store, tasksRepository } from '../storage/index.js';
+
+// Token de prueba
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+
+describe('Observability', function () {
+  let server;
+  let dir;
+  let logs;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3021).
+   */
+  before(async function () {
+    server = app.listen(3021);
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gestor-health-'));
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor y se borra la carpeta temporal.
+   */
+  after(async function () {
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con una tarea de Ana y se
+   * capturan los registros.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await tasksRepository.replaceAll([
+      { id: '1', titulo: 'Informe', descripcion: '', estado: 'pendiente', username: 'ana' }
+    ]);
+    logs = [];
+    logger.level = 'debug';
+    logger.write = (line) => logs.push(JSON.parse(line));
+  });
+
+  /**
+   * Después de cada prueba se vuelve a silenciar el registrador.
+   */
+  afterEach(() => {
+    logger.level = 'silent';
+    logger.write = null;
+  });
+
+  /**
+   * Envía una petición autenticada, devolviendo también las respuestas de error.
+   */
+  const get = (path) =>
+    chai.request(server).get(path).set('Authorization', `Bearer ${anaToken}`).catch((err) => err.response);
+
+  /**
+   * Prueba: Cada petición deja un registro JSON con el identificador de sus errores.
+   */
+  it('Registrar las peticiones con su identificador', async () => {
+    const missing = await chai.request(server)
+      .get('/api/tasks/99?fields=titulo')
+      .set('Authorization', `Bearer ${anaToken}`)
+      .set('X-Request-Id', 'prueba-1')
+      .catch((err) => err.response);
+    expect(missing).to.have.status(404);
+    expect(missing.body.requestId).to.equal('prueba-1');
+
+    await get('/tasks');
+    const requests = logs.filter((entry) => entry.msg === 'request');
+    expect(requests).to.have.length(2);
+    expect(requests[0]).to.include({
+      level: 'info',
+      requestId: 'prueba-1',
+      method: 'GET',
+      path: '/api/tasks/99',
+      route: '/tasks/{id}',
+      status: 404,
+      username: 'ana'
+    });
+    expect(requests[0].durationMs).to.be.a('number');
+    expect(requests[1]).to.include({ path: '/tasks', route: '/tasks', status: 200 });
+    expect(requests[1].requestId).to.match(/^[0-9a-f-]{36}$/);
+    expect(JSON.stringify(logs)).to.not.include('fields=titulo');
+  });
+
+  /**
+   * Prueba: Los errores internos se registran con la traza y el identificador.
+   */
+  it('Registrar los errores internos', async () => {
+    const all = tasksRepository.all;
+    tasksRepository.all = async () => {
+      throw new Error('Disco roto');
+    };
+    try {
+      const res = await get('/tasks/board');
+      expect(res).to.have.status(500);
+      expect(res.body.code).to.equal('INTERNAL_ERROR');
+      expect(res.body.message).to.not.include('Disco roto');
+
+      const error = logs.find((entry) => entry.level === 'error');
+      expect(error).to.include({ msg: 'Error interno', requestId: res.body.requestId, path: '/tasks/board' });
+      expect(error.error.message).to.equal('Disco roto');
+      expect(error.error.stack).to.be.a('string');
+    } finally {
+      tasksRepository.all = all;
+    }
+  });
+
+  /**
+   * Prueba: Estado del servidor y de los archivos de datos.
+   */
+  it('Comprobar el estado del servidor', async () => {
+    for (const route of ['/health', '/api/health']) {
+      const res = await chai.request(server).get(route);
+      expect(res, route).to.have.status(200);
+      expect(res).to.have.header('Cache-Control', 'no-store');
+      expect(res.body.status).to.equal('ok');
+      expect(res.body.uptimeSeconds).to.be.a('number');
+    }
+
+    // Archivos existentes, o que se pueden crear en la carpeta de datos.
+    await fs.writeFile(path.join(dir, 'tasks.json'), '[]');
+    const healthy = await checkHealth({ driver: 'json', dataDir: dir });
+    expect(healthy.status).to.equal('ok');
+    expect(healthy.checks).to.deep.equal({ 'tasks.json': { status: 'ok' }, 'users.json': { status: 'ok' } });
+
+    // Carpeta de datos inaccesible.
+    const file = path.join(dir, 'archivo');
+    await fs.writeFile(file, '');
+    const broken = await checkHealth({ driver: 'json', dataDir: path.join(file, 'data') });
+    expect(broken.status).to.equal('error');
+    expect(broken.checks['tasks.json']).to.deep.equal({ status: 'error', error: 'ENOTDIR' });
+
+    expect((await checkHealth({ driver: 'memory' })).checks).to.deep.equal({});
+  });
+
+  /**
+   * Prueba: Un archivo de datos truncado o una carpeta de datos de solo lectura
+   * hacen fallar la comprobación.
+   */
+  it('Detectar archivos corruptos y carpetas de solo lectura', async () => {
+    const corrupt = await fs.mkdtemp(path.join(dir, 'corrupto-'));
+    await fs.writeFile(path.join(corrupt, 'tasks.json'), '[{"id":"1","titu');
+    await fs.writeFile(path.join(corrupt, 'users.json'), '{}');
+    const invalid = await checkHealth({ driver: 'json', dataDir: corrupt });
+    expect(invalid.status).to.equal('error');
+    expect(invalid.checks).to.deep.equal({
+      'tasks.json': { status: 'error', error: 'INVALID_JSON' },
+      'users.json': { status: 'error', error: 'INVALID_JSON' }
+    });
+
+    // Los archivos se pueden escribir, pero la carpeta no. root no está sujeto a los
+    // permisos, así que en ese caso se simula la comprobación de acceso.
+    const readOnly = await fs.mkdtemp(path.join(dir, 'lectura-'));
+    await fs.writeFile(path.join(readOnly, 'tasks.json'), '[]');
+    await fs.writeFile(path.join(readOnly, 'users.json'), '[]');
+    await fs.chmod(readOnly, 0o555);
+    const access = fs.access;
+    if (process.getuid?.() === 0) {
+      fs.access = async (file, mode) => {
+        if (file === readOnly && mode & constants.W_OK) {
+          throw Object.assign(new Error('permission denied'), { code: 'EACCES', path: file });
+        }
+        return access(file, mode);
+      };
+    }
+    try {
+      const res = await checkHealth({ driver: 'json', dataDir: readOnly });
+      expect(res.status).to.equal('error');
+      expect(res.checks['tasks.json']).to.deep.equal({ status: 'error', error: 'EACCES' });
+    } finally {
+      fs.access = access;
+      await fs.chmod(readOnly, 0o755);
+    }
+  });
+
+  /**
+   * Prueba: Métricas de las peticiones por ruta en formato Prometheus.
+   */
+  it('Publicar las métricas por ruta', async () => {
+    resetMetrics();
+    await get('/tasks/99');
+    await get('/api/tasks/98');
+    await get('/tasks');
+    await chai.request(server).get('/no-existe').catch((err) => err.response);
+
+    const res = await chai.request(server).get('/api/metrics');
+    expect(res).to.have.status(200);
+    expect(res).to.have.header('Content-Type', /^text\/plain;.*version=0\.0\.4/);
+    const lines = res.text.split('\n');
+    expect(lines).to.include('# TYPE http_requests_total counter');
+    expect(lines).to.include('http_requests_total{method="GET",route="/tasks/{id}",status="404"} 2');
+    expect(lines).to.include('http_requests_total{method="GET",route="/tasks",status="200"} 1');
+    expect(lines).to.include('http_requests_total{method="GET",route="other",status="404"} 1');
+    expect(lines).to.include('# TYPE http_request_duration_seconds histogram');
+    expect(lines).to.include('http_request_duration_seconds_bucket{method="GET",route="/tasks/{id}",le="+Inf"} 2');
+    expect(lines).to.include('http_request_duration_seconds_count{method="GET",route="/tasks"} 1');
+    expect(lines.some((line) => /^process_start_time_seconds \d+/.test(line))).to.equal(true);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Pruebas para la especificación OpenAPI y la validación de las peticiones.
+ *
+ * Se prueban la publicación de la especificación y de la documentación, que todas
+ * las rutas de la aplicación estén documentadas y que las peticiones que no cumplen
+ * la especificación se rechacen antes de llegar a las rutas.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { resetRateLimits } from '../middleware/rateLimit.js';
+import { store, tasksRepository } from '../storage/index.js';
+
+// Tokens de prueba para un usuario y un administrador
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const adminToken = jwt.sign({ username: 'admin', role: 'admin' }, 'clave_secreta');
+
+/**
+ * Recorre los enrutadores de Express y devuelve sus rutas como `metodo /path`,
+ * con los parámetros escritos como `{}`.
+ */
+const expressRoutes = (stack, prefix = '') => stack.flatMap((layer) => {
+  if (layer.route) {
+    const path = layer.route.path === '/' ? '' : layer.route.path.replace(/:\w+/g, '{}');
+    return Object.keys(layer.route.methods).map((method) => `${method} ${prefix}${path || '/'}`);
+  }
+  if (layer.handle?.stack) {
+    const mount = layer.regexp.source
+      .replace(/^\^/, '')
+      .replace('\\/?(?=\\/|$)', '')
+      .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, '/{}')
+      .replace(/\\\//g, '/');
+    return expressRoutes(layer.handle.stack, prefix + mount);
+  }
+  return [];
+}).map((route) => route.replace(/(.)\/$/, '$1'));
+
+describe('OpenAPI', function () {
+  let server;
+  let spec;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3013).
+   */
+  before(async function () {
+    server = app.listen(3013);
+    spec = (await chai.request(server).get('/openapi.json')).body;
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con una tarea de Ana.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    resetRateLimits();
+    await tasksRepository.replaceAll([
+      { id: '1', titulo: 'Informe', descripcion: '', estado: 'pendiente', username: 'ana' }
+    ]);
+  });
+
+  /**
+   * Envía una petición autenticada, devolviendo también las respuestas de error.
+   */
+  const request = (method, path, body, token = anaToken) => {
+    const req = chai.request(server)[method](path).set('Authorization', `Bearer ${token}`);
+    return (body === undefined ? req : req.send(body)).catch((err) => err.response);
+  };
+
+  /**
+   * Prueba: Se publican la especificación y la página de documentación.
+   */
+  it('Publicar la especificación y la documentación', async () => {
+    expect(spec.openapi).to.match(/^3\./);
+    expect(spec.paths['/tasks'].get.parameters).to.be.an('array');
+    expect(spec.components.schemas.Task.properties.estado.enum).to.deep.equal(
+      ['pendiente', 'en_progreso', 'completada']
+    );
+
+    const docs = await chai.request(server).get('/docs');
+    expect(docs).to.have.status(200);
+    expect(docs).to.be.html;
+    expect(docs.text).to.include('openapi.json');
+    expect(docs.text).to.not.include('https://');
+
+    // Swagger UI se sirve desde node_modules, también bajo /api.
+    for (const asset of ['/docs/assets/swagger-ui-bundle.js', '/api/docs/assets/swagger-ui.css']) {
+      const res = await chai.request(server).get(asset);
+      expect(res, asset).to.have.status(200);
+    }
+  });
+
+  /**
+   * Prueba: Cada ruta de la aplicación está en la especificación y viceversa, con el
+   * prefijo de `servers` y sin él.
+   */
+  it('Documentar todas las rutas', async () => {
+    const [{ url: prefix }] = spec.servers;
+    const documented = Object.entries(spec.paths).flatMap(([path, item]) =>
+      Object.keys(item)
+        .filter((key) => ['get', 'post', 'put', 'patch', 'delete'].includes(key))
+        .flatMap((method) => {
+          const route = path.replace(/\{\w+\}/g, '{}');
+          return [`${method} ${route}`, `${method} ${prefix}${route}`];
+        })
+    );
+    expect(expressRoutes(app._router.stack)).to.have.members(documented);
+  });
+
+  /**
+   * Prueba: Los parámetros de consulta y los cuerpos se validan con la especificación.
+   *
+   * - El código de error del cuerpo es el de la operación (`x-error-code`).
+   * - Los campos de solo lectura se ignoran.
+   */
+  it('Validar las peticiones', async () => {
+    const days = await request('get', '/tasks/upcoming?days=mucho');
+    expect(days).to.have.status(400);
+    expect(days.body.code).to.equal('INVALID_QUERY');
+    expect(days.body.details).to.deep.equal([{ field: 'days', code: 'TYPE_INTEGER', message: 'Debe ser un entero' }]);
+
+    const project = await request('post', '/projects', { nombre: 5, color: 'rojo' });
+    expect(project).to.have.status(400);
+    expect(project.body.code).to.equal('INVALID_PROJECT');
+    expect(project.body.details).to.deep.equal([
+      { field: 'nombre', code: 'TYPE_STRING', message: 'Debe ser un texto' },
+      { field: 'color', code: 'FIELD_NOT_ALLOWED', message: 'Campo no permitido' }
+    ]);
+
+    const reminders = await request('patch', '/tasks/1', { recordatorios: [30, 'x'] });
+    expect(reminders).to.have.status(400);
+    expect(reminders.body.details).to.deep.equal([
+      { field: 'recordatorios', code: 'ITEM_INVALID', message: 'Elemento 2: Debe ser un entero' }
+    ]);
+
+    const user = await request('patch', '/admin/users/ana', { role: 'root' }, adminToken);
+    expect(user).to.have.status(400);
+    expect(user.body.code).to.equal('INVALID_USER');
+
+    const valid = await request('patch', '/tasks/1', { prioridad: 'alta', id: 'otro', version: 9 });
+    expect(valid).to.have.status(200);
+    expect(valid.body).to.include({ id: '1', prioridad: 'alta', version: 2 });
+  });
+
+  /**
+   * Prueba: Sin credenciales se responde 401 aunque la petición sea inválida.
+   */
+  it('Autenticar antes de validar', async () => {
+    const res = await chai.request(server)
+      .post('/tasks')
+      .send({ estado: 'hecha' })
+      .catch((err) => err.response);
+    expect(res).to.have.status(401);
+    expect(res.body.code).to.equal('AUTH_REQUIRED');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Pruebas para los proyectos y las etiquetas.
+ *
+ * Se prueban su gestión, la asignación a tareas, los filtros de GET /tasks y lo
+ * que ocurre con las tareas al eliminar un proyecto o una etiqueta.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { store, tasksRepository } from '../storage/index.js';
+
+// Tokens de prueba para dos usuarios
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const beaToken = jwt.sign({ username: 'bea' }, 'clave_secreta');
+
+describe('Projects and tags API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3006).
+   */
+  before(function () {
+    server = app.listen(3006);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con dos tareas de Ana.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await tasksRepository.replaceAll([
+      { id: '1', titulo: 'Diseño', descripcion: '', estado: 'pendiente', username: 'ana' },
+      { id: '2', titulo: 'Compras', descripcion: '', estado: 'pendiente', username: 'ana' }
+    ]);
+  });
+
+  /**
+   * Envía una petición autenticada, devolviendo también las respuestas de error.
+   */
+  const request = (method, path, body, token = anaToken) => chai.request(server)[method](path)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body)
+    .catch((err) => err.response);
+
+  /**
+   * Prueba: Gestionar proyectos.
+   *
+   * - Nombres únicos por usuario sin distinguir mayúsculas y proyectos privados.
+   */
+  it('Gestionar proyectos', async () => {
+    const created = await request('post', '/projects', { nombre: 'Trabajo' });
+    expect(created).to.have.status(201);
+    expect(created.body).to.include({ nombre: 'Trabajo', descripcion: '', username: 'ana' });
+
+    expect(await request('post', '/projects', { nombre: 'trabajo' })).to.have.status(409);
+    expect(await request('post', '/projects', {})).to.have.status(400);
+    expect(await request('post', '/projects', { nombre: 'Trabajo' }, beaToken)).to.have.status(201);
+
+    const updated = await request('put', `/projects/${created.body.id}`, { descripcion: 'Oficina' });
+    expect(updated.body).to.include({ nombre: 'Trabajo', descripcion: 'Oficina' });
+
+    expect(await request('get', `/projects/${created.body.id}`, undefined, beaToken)).to.have.status(404);
+    const list = await request('get', '/projects');
+    expect(list.body).to.have.lengthOf(1);
+  });
+
+  /**
+   * Prueba: Asignar proyecto y etiquetas a tareas y filtrar por ellos.
+   */
+  it('Filtrar tareas por proyecto y etiqueta', async () => {
+    const project = (await request('post', '/projects', { nombre: 'Casa' })).body;
+    const urgente = (await request('post', '/tags', { nombre: 'urgente', color: '#ff0000' })).body;
+    const semanal = (await request('post', '/tags', { nombre: 'semanal' })).body;
+
+    const assigned = await request('patch', '/tasks/2', { projectId: project.id, tags: [urgente.id, semanal.id] });
+    expect(assigned).to.have.status(200);
+    await request('patch', '/tasks/1', { tags: [urgente.id] });
+
+    const byProject = await request('get', `/tasks?project=${project.id}`);
+    expect(byProject.body.map((t) => t.id)).to.deep.equal(['2']);
+
+    const withoutProject = await request('get', '/tasks?project=none');
+    expect(withoutProject.body.map((t) => t.id)).to.deep.equal(['1']);
+
+    const byTag = await request('get', `/tasks?tag=${urgente.id}`);
+    expect(byTag.body.map((t) => t.id)).to.deep.equal(['1', '2']);
+
+    const byTags = await request('get', `/tasks?tag=${urgente.id},${semanal.id}`);
+    expect(byTags.body.map((t) => t.id)).to.deep.equal(['2']);
+  });
+
+  /**
+   * Prueba: Rechazar proyectos y etiquetas de otro usuario o inexistentes.
+   */
+  it('Validar las referencias de una tarea', async () => {
+    const foreign = (await request('post', '/projects', { nombre: 'Ajeno' }, beaToken)).body;
+
+    const projectRes = await request('post', '/tasks', { titulo: 'X', projectId: foreign.id });
+    expect(projectRes).to.have.status(400);
+    expect(projectRes.body.details.map((e) => e.field)).to.deep.equal(['projectId']);
+
+    const tagRes = await request('patch', '/tasks/1', { tags: ['nada'] });
+    expect(tagRes).to.have.status(400);
+    expect(tagRes.body.details.map((e) => e.field)).to.deep.equal(['tags']);
+
+    expect(await request('patch', '/tasks/1', { tags: 'urgente' })).to.have.status(400);
+  });
+
+  /**
+   * Prueba: Eliminar un proyecto o una etiqueta conserva las tareas sin la referencia.
+   */
+  it('Eliminar proyectos y etiquetas', async () => {
+    const project = (await request('post', '/projects', { nombre: 'Casa' })).body;
+    const tag = (await request('post', '/tags', { nombre: 'urgente' })).body;
+    await request('patch', '/tasks/1', { projectId: project.id, tags: [tag.id] });
+
+    expect(await request('delete', `/projects/${project.id}`)).to.have.status(204);
+    expect(await request('delete', `/tags/${tag.id}`)).to.have.status(204);
+    expect(await request('delete', `/tags/${tag.id}`)).to.have.status(404);
+
+    const task = await request('get', '/tasks/1');
+    expect(task.body).to.include({ projectId: null });
+    expect(task.body.tags).to.deep.equal([]);
+
+    // Ambos cambios quedan en el historial con el valor anterior.
+    const history = (await request('get', '/tasks/1/history')).body.slice(-2);
+    expect(history.map((e) => [e.action, e.username])).to.deep.equal([['updated', 'ana'], ['updated', 'ana']]);
+    expect(history[0].changes).to.deep.equal([{ field: 'projectId', from: project.id, to: null }]);
+    expect(history[1].changes).to.deep.equal([{ field: 'tags', from: [tag.id], to: [] }]);
+  });
+});
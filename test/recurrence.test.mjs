@@ -0,0 +1,178 @@
+/**
+ * Pruebas para las fechas límite, los recordatorios y las tareas recurrentes.
+ *
+ * Se prueban las reglas de recurrencia, la creación de la siguiente ocurrencia al
+ * completar una tarea, los listados de tareas próximas y vencidas, y el planificador.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { nextOccurrence, parseRecurrence } from '../models/recurrence.js';
+import { runScheduledJobs } from '../services/scheduler.js';
+import { historyRepository, remindersRepository, store, tasksRepository } from '../storage/index.js';
+
+// Token de prueba para la dueña de las tareas
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+
+// Fecha (AAAA-MM-DD) desplazada `days` días respecto a hoy.
+const dayOffset = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe('Reglas de recurrencia', function () {
+  it('Valida las reglas', () => {
+    expect(parseRecurrence('FREQ=WEEKLY;BYDAY=MO,WE').error).to.equal(null);
+    expect(parseRecurrence('RRULE:FREQ=DAILY;INTERVAL=2;COUNT=3').error).to.equal(null);
+    expect(parseRecurrence('FREQ=YEARLY').error).to.be.a('string');
+    expect(parseRecurrence('FREQ=DAILY;BYDAY=MO').error).to.be.a('string');
+    expect(parseRecurrence('FREQ=DAILY;COUNT=2;UNTIL=20250101').error).to.be.a('string');
+    expect(parseRecurrence('INTERVAL=2').error).to.be.a('string');
+  });
+
+  it('Calcula la siguiente ocurrencia', () => {
+    expect(nextOccurrence('FREQ=DAILY;INTERVAL=2', '2025-03-01').fechaLimite).to.equal('2025-03-03');
+    // 2025-03-05 es miércoles: el siguiente día de BYDAY es el viernes de la misma semana.
+    expect(nextOccurrence('FREQ=WEEKLY;BYDAY=MO,FR', '2025-03-05').fechaLimite).to.equal('2025-03-07');
+    expect(nextOccurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', '2025-03-03').fechaLimite).to.equal('2025-03-17');
+    expect(nextOccurrence('FREQ=MONTHLY', '2025-01-31T10:00:00.000Z').fechaLimite).to.equal('2025-02-28T10:00:00.000Z');
+    expect(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=31', '2025-02-28').fechaLimite).to.equal('2025-03-31');
+  });
+
+  it('Respeta COUNT y UNTIL', () => {
+    expect(nextOccurrence('FREQ=DAILY;COUNT=3', '2025-03-01').recurrencia).to.equal('FREQ=DAILY;COUNT=2');
+    expect(nextOccurrence('FREQ=DAILY;COUNT=1', '2025-03-01')).to.equal(null);
+    expect(nextOccurrence('FREQ=DAILY;UNTIL=20250301', '2025-03-01')).to.equal(null);
+  });
+});
+
+describe('Due dates, reminders and recurring tasks API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3007).
+   */
+  before(function () {
+    server = app.listen(3007);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento.
+   */
+  beforeEach(async () => {
+    await store.reset();
+  });
+
+  /**
+   * Envía una petición autenticada como Ana, devolviendo también las respuestas de error.
+   */
+  const request = (method, path, body) => chai.request(server)[method](path)
+    .set('Authorization', `Bearer ${anaToken}`)
+    .send(body)
+    .catch((err) => err.response);
+
+  /**
+   * Prueba: Completar una tarea recurrente crea la siguiente ocurrencia una sola vez.
+   */
+  it('Completar una tarea recurrente', async () => {
+    const created = await request('post', '/tasks', {
+      titulo: 'Regar plantas',
+      fechaLimite: '2025-03-03',
+      recurrencia: 'FREQ=WEEKLY;BYDAY=MO,TH',
+      recordatorios: [60]
+    });
+    expect(created).to.have.status(201);
+    const id = created.body.id;
+    await request('post', `/tasks/${id}/subtasks`, { titulo: 'Terraza', completada: true });
+
+    const completed = await request('patch', `/tasks/${id}`, { estado: 'completada' });
+    expect(completed).to.have.status(200);
+    const nextId = completed.body.nextOccurrenceId;
+    expect(nextId).to.be.a('string');
+
+    const next = await request('get', `/tasks/${nextId}`);
+    expect(next.body).to.include({
+      titulo: 'Regar plantas',
+      estado: 'pendiente',
+      fechaLimite: '2025-03-06',
+      previousOccurrenceId: id
+    });
+    expect(next.body.recordatorios).to.deep.equal([60]);
+    expect(next.body.subtasks[0].completada).to.equal(false);
+
+    await request('patch', `/tasks/${id}`, { estado: 'pendiente' });
+    await request('patch', `/tasks/${id}`, { estado: 'completada' });
+    expect(await tasksRepository.all()).to.have.lengthOf(2);
+  });
+
+  /**
+   * Prueba: Rechazar recordatorios y recurrencias inválidos.
+   */
+  it('Validar recordatorios y recurrencia', async () => {
+    const res = await request('post', '/tasks', {
+      titulo: 'X',
+      recordatorios: [-5],
+      recurrencia: 'FREQ=HOURLY'
+    });
+    expect(res).to.have.status(400);
+    expect(res.body.details.map((e) => e.field)).to.have.members(['recordatorios', 'recurrencia']);
+  });
+
+  /**
+   * Prueba: Listar tareas próximas y vencidas.
+   */
+  it('Listar tareas próximas y vencidas', async () => {
+    await tasksRepository.replaceAll([
+      { id: 'vencida', titulo: 'A', estado: 'pendiente', fechaLimite: dayOffset(-2), username: 'ana' },
+      { id: 'hoy', titulo: 'B', estado: 'pendiente', fechaLimite: dayOffset(0), username: 'ana' },
+      { id: 'pronto', titulo: 'C', estado: 'en_progreso', fechaLimite: dayOffset(3), username: 'ana' },
+      { id: 'lejos', titulo: 'D', estado: 'pendiente', fechaLimite: dayOffset(30), username: 'ana' },
+      { id: 'hecha', titulo: 'E', estado: 'completada', fechaLimite: dayOffset(-1), username: 'ana' },
+      { id: 'ajena', titulo: 'F', estado: 'pendiente', fechaLimite: dayOffset(1), username: 'bea' }
+    ]);
+
+    const upcoming = await request('get', '/tasks/upcoming');
+    expect(upcoming.body.map((t) => t.id)).to.deep.equal(['hoy', 'pronto']);
+
+    const wider = await request('get', '/tasks/upcoming?days=60');
+    expect(wider.body.map((t) => t.id)).to.deep.equal(['hoy', 'pronto', 'lejos']);
+
+    expect(await request('get', '/tasks/upcoming?days=0')).to.have.status(400);
+
+    const overdue = await request('get', '/tasks/overdue');
+    expect(overdue.body.map((t) => t.id)).to.deep.equal(['vencida']);
+  });
+
+  /**
+   * Prueba: El planificador registra cada recordatorio vencido una sola vez y genera
+   * las ocurrencias que falten.
+   */
+  it('Ejecutar el planificador', async () => {
+    await tasksRepository.replaceAll([
+      { id: '1', titulo: 'Informe', estado: 'pendiente', fechaLimite: '2025-03-10T12:00:00.000Z', recordatorios: [0, 60, 1440], username: 'ana' },
+      { id: '2', titulo: 'Backup', estado: 'completada', fechaLimite: '2025-03-01', recurrencia: 'FREQ=DAILY', username: 'ana' }
+    ]);
+
+    const now = new Date('2025-03-10T11:30:00.000Z');
+    const first = await runScheduledJobs(now);
+    expect(first.reminders.map((r) => r.offsetMinutes)).to.have.members([60, 1440]);
+    expect(first.occurrences.map((t) => t.fechaLimite)).to.deep.equal(['2025-03-02']);
+    const [occurrence] = first.occurrences;
+    expect((await historyRepository.filter((e) => e.taskId === occurrence.id)).map((e) => [e.action, e.username]))
+      .to.deep.equal([['created', 'ana']]);
+
+    const second = await runScheduledJobs(now);
+    expect(second.reminders).to.have.lengthOf(0);
+    expect(second.occurrences).to.have.lengthOf(0);
+    expect(await remindersRepository.all()).to.have.lengthOf(2);
+
+    const list = await request('get', '/tasks/reminders');
+    expect(list.body.map((r) => r.offsetMinutes)).to.deep.equal([60, 1440]);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Pruebas para las tareas compartidas.
+ *
+ * Se prueban la gestión de la lista de usuarios con acceso, el listado de tareas
+ * compartidas y los permisos de lectura, modificación y eliminación.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { store, tasksRepository, usersRepository } from '../storage/index.js';
+
+// Tokens de prueba para la dueña de la tarea y dos usuarios con quienes se comparte
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const beaToken = jwt.sign({ username: 'bea' }, 'clave_secreta');
+const carlosToken = jwt.sign({ username: 'carlos' }, 'clave_secreta');
+
+describe('Task shares API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3004).
+   */
+  before(function () {
+    server = app.listen(3004);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con tres usuarios y una tarea de Ana.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await usersRepository.replaceAll([
+      { username: 'ana', password: 'x' },
+      { username: 'bea', password: 'x' },
+      { username: 'carlos', password: 'x' }
+    ]);
+    await tasksRepository.replaceAll([
+      { id: '1', titulo: 'Compartida', descripcion: '', estado: 'pendiente', username: 'ana', sharedWith: [] }
+    ]);
+  });
+
+  /**
+   * Comparte la tarea 1 de Ana con un usuario.
+   */
+  const share = (username, permission, token = anaToken) => chai.request(server)
+    .put(`/tasks/1/shares/${username}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ permission })
+    .catch((err) => err.response);
+
+  /**
+   * Devuelve la cabecera `ETag` de la tarea 1 vista por Ana.
+   */
+  const etag = async () => (await chai.request(server)
+    .get('/tasks/1')
+    .set('Authorization', `Bearer ${anaToken}`)).headers.etag;
+
+  /**
+   * Prueba: Compartir una tarea y verla en "compartidas conmigo".
+   */
+  it('Compartir una tarea', async () => {
+    const before = await etag();
+    const shareRes = await share('bea', 'viewer');
+    expect(shareRes).to.have.status(200);
+    expect(shareRes.body).to.deep.equal([{ username: 'bea', permission: 'viewer' }]);
+    const shared = await etag();
+    expect(shared).to.not.equal(before);
+
+    // Cambiar el permiso también cambia la versión.
+    expect(await share('bea', 'editor')).to.have.status(200);
+    expect(await etag()).to.not.equal(shared);
+    await share('bea', 'viewer');
+
+    const sharedRes = await chai.request(server)
+      .get('/tasks/shared')
+      .set('Authorization', `Bearer ${beaToken}`);
+    expect(sharedRes.body.map((t) => t.id)).to.deep.equal(['1']);
+
+    const ownRes = await chai.request(server)
+      .get('/tasks')
+      .set('Authorization', `Bearer ${beaToken}`);
+    expect(ownRes.body).to.have.lengthOf(0);
+
+    const getRes = await chai.request(server)
+      .get('/tasks/1')
+      .set('Authorization', `Bearer ${beaToken}`);
+    expect(getRes).to.have.status(200);
+
+    const otherRes = await chai.request(server)
+      .get('/tasks/1')
+      .set('Authorization', `Bearer ${carlosToken}`)
+      .catch((err) => err.response);
+    expect(otherRes).to.have.status(404);
+  });
+
+  /**
+   * Prueba: Validaciones al compartir.
+   *
+   * - Permiso inválido, usuario inexistente y compartir por alguien que no es la dueña.
+   */
+  it('Validar al compartir', async () => {
+    expect(await share('bea', 'admin')).to.have.status(400);
+    expect(await share('nadie', 'viewer')).to.have.status(400);
+
+    await share('bea', 'editor');
+    expect(await share('carlos', 'viewer', beaToken)).to.have.status(403);
+  });
+
+  /**
+   * Prueba: Permisos de lectura y edición.
+   *
+   * - Un viewer no puede modificar (403); un editor sí.
+   * - Ninguno de los dos puede eliminar la tarea.
+   */
+  it('Respetar los permisos al modificar y eliminar', async () => {
+    await share('bea', 'viewer');
+    await share('carlos', 'editor');
+
+    const viewerPut = await chai.request(server)
+      .patch('/tasks/1')
+      .set('Authorization', `Bearer ${beaToken}`)
+      .send({ estado: 'completada' })
+      .catch((err) => err.response);
+    expect(viewerPut).to.have.status(403);
+
+    const editorPut = await chai.request(server)
+      .patch('/tasks/1')
+      .set('Authorization', `Bearer ${carlosToken}`)
+      .send({ estado: 'completada' });
+    expect(editorPut).to.have.status(200);
+    expect(editorPut.body).to.include({ estado: 'completada', username: 'ana' });
+
+    const editorDelete = await chai.request(server)
+      .delete('/tasks/1')
+      .set('Authorization', `Bearer ${carlosToken}`)
+      .catch((err) => err.response);
+    expect(editorDelete).to.have.status(403);
+    expect(await tasksRepository.all()).to.have.lengthOf(1);
+  });
+
+  /**
+   * Prueba: Dejar de compartir.
+   *
+   * - La dueña quita a un usuario y otro usuario abandona la tarea por sí mismo.
+   */
+  it('Dejar de compartir una tarea', async () => {
+    await share('bea', 'viewer');
+    await share('carlos', 'editor');
+
+    const forbiddenRes = await chai.request(server)
+      .delete('/tasks/1/shares/carlos')
+      .set('Authorization', `Bearer ${beaToken}`)
+      .catch((err) => err.response);
+    expect(forbiddenRes).to.have.status(403);
+
+    const shared = await etag();
+    const leaveRes = await chai.request(server)
+      .delete('/tasks/1/shares/bea')
+      .set('Authorization', `Bearer ${beaToken}`);
+    expect(leaveRes).to.have.status(204);
+    const left = await etag();
+    expect(left).to.not.equal(shared);
+
+    const removeRes = await chai.request(server)
+      .delete('/tasks/1/shares/carlos')
+      .set('Authorization', `Bearer ${anaToken}`);
+    expect(removeRes).to.have.status(204);
+    expect(await etag()).to.not.equal(left);
+
+    const listRes = await chai.request(server)
+      .get('/tasks/1/shares')
+      .set('Authorization', `Bearer ${anaToken}`);
+    expect(listRes.body).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Pruebas para las estadísticas de productividad.
+ *
+ * Se prueban los totales, la tasa de finalización y el tiempo medio hasta
+ * completar las tareas, la serie de creadas frente a completadas (por día y por
+ * semana), la validación del rango y las estadísticas de administración.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { historyRepository, store, tasksRepository, usersRepository } from '../storage/index.js';
+
+// Tokens de prueba para dos usuarios y un administrador
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const beaToken = jwt.sign({ username: 'bea' }, 'clave_secreta');
+const adminToken = jwt.sign({ username: 'admin', role: 'admin' }, 'clave_secreta');
+
+describe('Task stats API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3018).
+   */
+  before(function () {
+    server = app.listen(3018);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con tareas de Ana creadas y
+   * completadas en marzo de 2026 y una tarea de Bea.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await usersRepository.replaceAll([
+      { username: 'ana', password: 'x' },
+      { username: 'bea', password: 'x' },
+      { username: 'admin', password: 'x', role: 'admin' }
+    ]);
+    await tasksRepository.replaceAll([
+      // Completada el 3 de marzo, 24 horas después de crearse.
+      { id: '1', titulo: 'Uno', estado: 'completada', prioridad: 'alta', username: 'ana', createdAt: '2026-03-02T10:00:00.000Z', updatedAt: '2026-03-05T10:00:00.000Z' },
+      // Creada ya completada el 4 de marzo.
+      { id: '2', titulo: 'Dos', estado: 'completada', prioridad: 'media', username: 'ana', createdAt: '2026-03-04T08:00:00.000Z', updatedAt: '2026-03-04T08:00:00.000Z' },
+      // Pendiente y vencida.
+      { id: '3', titulo: 'Tres', estado: 'pendiente', prioridad: 'alta', fechaLimite: '2026-03-05', username: 'ana', createdAt: '2026-03-04T09:00:00.000Z' },
+      { id: '4', titulo: 'Cuatro', estado: 'en_progreso', prioridad: 'baja', username: 'ana', createdAt: '2026-02-20T09:00:00.000Z' },
+      { id: '5', titulo: 'De Bea', estado: 'completada', prioridad: 'media', username: 'bea', createdAt: '2026-03-09T09:00:00.000Z', updatedAt: '2026-03-09T15:00:00.000Z' }
+    ]);
+    await historyRepository.replaceAll([
+      { id: 'h1', taskId: '1', username: 'ana', action: 'created', changes: [], at: '2026-03-02T10:00:00.000Z' },
+      { id: 'h2', taskId: '1', username: 'ana', action: 'updated', changes: [{ field: 'estado', from: 'pendiente', to: 'completada' }], at: '2026-03-03T10:00:00.000Z' },
+      { id: 'h3', taskId: '1', username: 'ana', action: 'updated', changes: [{ field: 'titulo', from: 'uno', to: 'Uno' }], at: '2026-03-05T10:00:00.000Z' },
+      { id: 'h4', taskId: '2', username: 'ana', action: 'created', changes: [], at: '2026-03-04T08:00:00.000Z' }
+    ]);
+  });
+
+  /**
+   * Envía una petición autenticada, devolviendo también las respuestas de error.
+   */
+  const get = (path, token = anaToken) =>
+    chai.request(server).get(path).set('Authorization', `Bearer ${token}`).catch((err) => err.response);
+
+  /**
+   * Prueba: Estadísticas de las tareas del usuario en un rango de fechas.
+   */
+  it('Calcular las estadísticas del usuario', async () => {
+    const res = await get('/tasks/stats?from=2026-03-01&to=2026-03-07');
+    expect(res).to.have.status(200);
+    expect(res.body.range).to.deep.equal({ from: '2026-03-01', to: '2026-03-07', interval: 'day' });
+    expect(res.body.total).to.equal(4);
+    expect(res.body.byEstado).to.deep.equal({ pendiente: 1, en_progreso: 1, completada: 2 });
+    expect(res.body.byPrioridad).to.deep.equal({ baja: 1, media: 1, alta: 2 });
+    expect(res.body.overdue).to.equal(1);
+    expect(res.body.completionRate).to.equal(0.5);
+    expect(res.body.averageCompletionHours).to.equal(12);
+
+    expect(res.body.series).to.have.length(7);
+    const day = (date) => res.body.series.find((d) => d.date === date);
+    expect(day('2026-03-01')).to.deep.equal({ date: '2026-03-01', created: 0, completed: 0 });
+    expect(day('2026-03-02')).to.include({ created: 1, completed: 0 });
+    expect(day('2026-03-03')).to.include({ created: 0, completed: 1 });
+    expect(day('2026-03-04')).to.include({ created: 2, completed: 1 });
+  });
+
+  /**
+   * Prueba: La serie se agrupa por semanas que empiezan en lunes.
+   */
+  it('Agrupar la serie por semanas', async () => {
+    const res = await get('/tasks/stats?from=2026-02-16&to=2026-03-08&interval=week');
+    expect(res).to.have.status(200);
+    expect(res.body.series).to.deep.equal([
+      { date: '2026-02-16', created: 1, completed: 0 },
+      { date: '2026-02-23', created: 0, completed: 0 },
+      { date: '2026-03-02', created: 3, completed: 2 }
+    ]);
+  });
+
+  /**
+   * Prueba: Las tareas completadas por la API aparecen en la serie de hoy.
+   */
+  it('Contar las tareas completadas hoy', async () => {
+    const created = await chai.request(server)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${beaToken}`)
+      .send({ titulo: 'Nueva' });
+    await chai.request(server)
+      .patch(`/tasks/${created.body.id}`)
+      .set('Authorization', `Bearer ${beaToken}`)
+      .send({ estado: 'completada' });
+
+    const res = await get('/tasks/stats', beaToken);
+    expect(res.body.series).to.have.length(30);
+    const today = res.body.series[29];
+    expect(today.date).to.equal(new Date().toISOString().slice(0, 10));
+    expect(today).to.include({ created: 1, completed: 1 });
+    expect(res.body.completionRate).to.equal(1);
+  });
+
+  /**
+   * Prueba: Un rango inválido responde 400.
+   */
+  it('Rechazar un rango inválido', async () => {
+    for (const query of ['from=2026-03-10&to=2026-03-01', 'from=2025-01-01&to=2026-03-01', 'from=2026-02-30', 'interval=month']) {
+      const res = await get(`/tasks/stats?${query}`);
+      expect(res, query).to.have.status(400);
+      expect(res.body.code).to.equal('INVALID_QUERY');
+    }
+  });
+
+  /**
+   * Prueba: Los administradores ven las estadísticas de todos los usuarios.
+   */
+  it('Estadísticas de administración', async () => {
+    expect(await get('/admin/stats')).to.have.status(403);
+
+    const res = await get('/admin/stats?from=2026-03-01&to=2026-03-10', adminToken);
+    expect(res).to.have.status(200);
+    expect(res.body.total).to.equal(5);
+    expect(res.body.averageCompletionHours).to.equal(10);
+    expect(res.body.byUser).to.deep.equal([
+      { username: 'ana', total: 4, completadas: 2, overdue: 1, completionRate: 0.5 },
+      { username: 'bea', total: 1, completadas: 1, overdue: 0, completionRate: 1 }
+    ]);
+
+    const bea = await get('/admin/stats?username=bea&from=2026-03-01&to=2026-03-10', adminToken);
+    expect(bea.body.total).to.equal(1);
+    expect(bea.body.byUser.map((u) => u.username)).to.deep.equal(['bea']);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Pruebas de la capa de almacenamiento.
+ *
+ * Se verifica que los adaptadores JSON, memoria y SQLite cumplen la misma interfaz
+ * y que las escrituras simultáneas no pierden datos.
+ */
+
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFileStore } from '../storage/adapters/jsonFile.js';
+import { createMemoryStore } from '../storage/adapters/memory.js';
+import { createSqliteStore } from '../storage/adapters/sqlite.js';
+import { createRepository } from '../storage/repository.js';
+
+/**
+ * Indica si la dependencia opcional `better-sqlite3` está instalada.
+ */
+const sqliteAvailable = await import('better-sqlite3').then(() => true, () => false);
+
+/**
+ * Pruebas comunes a todos los adaptadores.
+ *
+ * @param {string} name - Nombre del adaptador para el título de la suite.
+ * @param {Function} createStore - Función que crea un almacén vacío.
+ */
+const describeStore = (name, createStore) => {
+  describe(`Adaptador ${name}`, function () {
+    let store;
+    let tasks;
+
+    beforeEach(async () => {
+      store = await createStore();
+      tasks = createRepository(store, 'tasks');
+    });
+
+    afterEach(async () => {
+      await store.close();
+    });
+
+    /**
+     * Prueba: Una colección inexistente se lee como un array vacío.
+     */
+    it('Lee una colección vacía', async () => {
+      expect(await tasks.all()).to.deep.equal([]);
+    });
+
+    /**
+     * Prueba: Inserciones simultáneas.
+     *
+     * - Se lanzan 20 inserciones a la vez.
+     * - Se espera que todas queden guardadas, sin que ninguna pise a otra.
+     */
+    it('No pierde registros con escrituras simultáneas', async () => {
+      await Promise.all(
+        Array.from({ length: 20 }, (_, i) => tasks.insert({ id: String(i) }))
+      );
+
+      const all = await tasks.all();
+      expect(all).to.have.lengthOf(20);
+      expect(all.map((t) => t.id)).to.have.members(
+        Array.from({ length: 20 }, (_, i) => String(i))
+      );
+    });
+
+    /**
+     * Prueba: Actualizar y eliminar registros.
+     */
+    it('Actualiza y elimina registros', async () => {
+      await tasks.replaceAll([{ id: '1', titulo: 'A' }, { id: '2', titulo: 'B' }]);
+
+      const updated = await tasks.update((t) => t.id === '1', (t) => ({ ...t, titulo: 'C' }));
+      expect(updated).to.deep.equal({ id: '1', titulo: 'C' });
+      expect(await tasks.update((t) => t.id === 'x', (t) => t)).to.equal(null);
+
+      const removed = await tasks.remove((t) => t.id === '2');
+      expect(removed).to.deep.equal([{ id: '2', titulo: 'B' }]);
+      expect(await tasks.all()).to.deep.equal([{ id: '1', titulo: 'C' }]);
+    });
+
+    /**
+     * Prueba: Una transacción que lanza un error no modifica la colección.
+     */
+    it('Descarta los cambios de una transacción fallida', async () => {
+      await tasks.replaceAll([{ id: '1' }]);
+
+      let error;
+      try {
+        await tasks.transaction((records) => {
+          records.push({ id: '2' });
+          throw new Error('fallo');
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an('error');
+      expect(await tasks.all()).to.deep.equal([{ id: '1' }]);
+    });
+  });
+};
+
+describe('Storage', function () {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gestor-tareas-'));
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describeStore('memoria', () => createMemoryStore());
+
+  describeStore('JSON', async () => {
+    const dataDir = await fs.mkdtemp(path.join(tmpDir, 'json-'));
+    return createJsonFileStore({ dataDir });
+  });
+
+  if (sqliteAvailable) {
+    describeStore('SQLite', () => createSqliteStore({ filename: ':memory:' }));
+  }
+
+  /**
+   * Prueba: Escritura atómica del adaptador JSON.
+   *
+   * - Tras escribir, el archivo contiene JSON válido y no quedan archivos temporales.
+   */
+  it('El adaptador JSON no deja archivos temporales', async () => {
+    const dataDir = await fs.mkdtemp(path.join(tmpDir, 'json-'));
+    const store = createJsonFileStore({ dataDir });
+    const users = createRepository(store, 'users');
+
+    await Promise.all([users.insert({ username: 'a' }), users.insert({ username: 'b' })]);
+    await store.close();
+
+    expect(await fs.readdir(dataDir)).to.deep.equal(['users.json']);
+    const content = JSON.parse(await fs.readFile(path.join(dataDir, 'users.json'), 'utf8'));
+    expect(content).to.have.lengthOf(2);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Pruebas para las subtareas y las dependencias entre tareas.
+ *
+ * Se prueban la gestión de la checklist con el cálculo de progreso, y las
+ * dependencias: ciclos, bloqueo al completar y desbloqueo.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { store, tasksRepository } from '../storage/index.js';
+
+// Token de prueba para la dueña de las tareas
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+
+describe('Subtasks and dependencies API', function () {
+  let server;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3005).
+   */
+  before(function () {
+    server = app.listen(3005);
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierra el servidor.
+   */
+  after(function () {
+    server.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento con dos tareas de Ana.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    await tasksRepository.replaceAll([
+      { id: '1', titulo: 'Diseño', descripcion: '', estado: 'pendiente', username: 'ana' },
+      { id: '2', titulo: 'Implementación', descripcion: '', estado: 'pendiente', username: 'ana' }
+    ]);
+  });
+
+  /**
+   * Envía una petición autenticada como Ana, devolviendo también las respuestas de error.
+   */
+  const request = (method, path, body) => chai.request(server)[method](path)
+    .set('Authorization', `Bearer ${anaToken}`)
+    .send(body)
+    .catch((err) => err.response);
+
+  /**
+   * Prueba: Gestionar subtareas y recalcular el progreso de la tarea.
+   */
+  it('Gestionar subtareas y progreso', async () => {
+    const first = await request('post', '/tasks/1/subtasks', { titulo: 'Boceto' });
+    expect(first).to.have.status(201);
+    expect(first.body).to.include({ titulo: 'Boceto', completada: false });
+    await request('post', '/tasks/1/subtasks', { titulo: 'Revisión' });
+
+    const done = await request('put', `/tasks/1/subtasks/${first.body.id}`, { completada: true });
+    expect(done).to.have.status(200);
+    expect(done.body.completada).to.equal(true);
+
+    let task = await request('get', '/tasks/1');
+    expect(task.body.progreso).to.deep.equal({ total: 2, completadas: 1, porcentaje: 50 });
+
+    expect(await request('post', '/tasks/1/subtasks', { titulo: '' })).to.have.status(400);
+    expect(await request('put', '/tasks/1/subtasks/nada', { completada: true })).to.have.status(404);
+
+    expect(await request('delete', `/tasks/1/subtasks/${first.body.id}`)).to.have.status(204);
+    task = await request('get', '/tasks/1');
+    expect(task.body.progreso).to.deep.equal({ total: 1, completadas: 0, porcentaje: 0 });
+  });
+
+  /**
+   * Prueba: Añadir dependencias y rechazar ciclos.
+   */
+  it('Rechazar dependencias circulares', async () => {
+    const added = await request('post', '/tasks/2/dependencies', { taskId: '1' });
+    expect(added).to.have.status(201);
+    expect(added.body).to.deep.equal(['1']);
+
+    const cycle = await request('post', '/tasks/1/dependencies', { taskId: '2' });
+    expect(cycle).to.have.status(409);
+
+    expect(await request('post', '/tasks/1/dependencies', { taskId: '1' })).to.have.status(400);
+    expect(await request('post', '/tasks/1/dependencies', { taskId: 'nada' })).to.have.status(400);
+
+    const list = await request('get', '/tasks/1/dependencies');
+    expect(list.body.blockedBy).to.deep.equal([]);
+    expect(list.body.blocking.map((t) => t.id)).to.deep.equal(['2']);
+  });
+
+  /**
+   * Prueba: Una tarea bloqueada no se puede completar hasta que se resuelva su bloqueante.
+   */
+  it('Impedir completar una tarea bloqueada', async () => {
+    await request('post', '/tasks/2/dependencies', { taskId: '1' });
+
+    const blocked = await request('patch', '/tasks/2', { estado: 'completada' });
+    expect(blocked).to.have.status(409);
+    expect(blocked.body.details).to.deep.equal({ blockedBy: ['1'] });
+
+    await request('patch', '/tasks/1', { estado: 'completada' });
+    const completed = await request('patch', '/tasks/2', { estado: 'completada' });
+    expect(completed).to.have.status(200);
+  });
+
+  /**
+   * Prueba: Quitar una dependencia desbloquea la tarea.
+   */
+  it('Quitar una dependencia', async () => {
+    await request('post', '/tasks/2/dependencies', { taskId: '1' });
+    expect(await request('delete', '/tasks/2/dependencies/1')).to.have.status(204);
+
+    const completed = await request('patch', '/tasks/2', { estado: 'completada' });
+    expect(completed).to.have.status(200);
+  });
+});
@@ -6,23 +6,11 @@
  * Se genera un token de autenticación para simular usuarios autenticados.
  */
 
-import { use, expect } from 'chai';
-import chaiHttp from 'chai-http';
+import { expect } from 'chai';
+import chai from './chai.js';
 import jwt from 'jsonwebtoken';
-import { promises as fs } from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import app from '../app.js';
-
-// Configuración de Chai para pruebas HTTP
-const chai = use(chaiHttp);
-
-// Obtener __dirname en ESM
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Ruta al archivo de tareas donde se almacenan las tareas en formato JSON
-const tasksFilePath = path.join(__dirname, '../data/tasks.json');
+import { store, tasksRepository } from '../storage/index.js';
 
 // Generar un token de prueba válido con una clave secreta simulada
 const testToken = jwt.sign({ username: 'usuario', role: 'admin' }, 'clave_secreta');
@@ -46,15 +34,11 @@ describe('Tasks API', function () {
   });
 
   /**
-   * Antes de cada prueba, se reinicia el archivo de tareas con un array vacío.
+   * Antes de cada prueba, se vacía el almacenamiento en memoria.
    * Esto garantiza que cada prueba se ejecute en un entorno limpio.
    */
   beforeEach(async () => {
-    try {
-      await fs.writeFile(tasksFilePath, JSON.stringify([]));
-    } catch (error) {
-      console.error('Error en beforeEach:', error);
-    }
+    await store.reset();
   });
 
   /**
@@ -82,8 +66,8 @@ describe('Tasks API', function () {
    */
   it('Crear una nueva tarea', async () => {
     const newTask = {
-      title: 'Test Task',
-      description: 'Test Description'
+      titulo: 'Test Task',
+      descripcion: 'Test Description'
     };
 
     const postRes = await chai.request(server)
@@ -106,7 +90,7 @@ describe('Tasks API', function () {
   /**
    * Prueba: Eliminar una tarea existente.
    *
-   * - Se almacena previamente una tarea en el archivo JSON.
+   * - Se almacena previamente una tarea en el repositorio.
    * - Se envía una solicitud DELETE con el ID de la tarea.
    * - Se espera que la API devuelva un código de estado 200.
    * - Luego, se hace una solicitud GET para verificar que la tarea ha sido eliminada.
@@ -114,12 +98,13 @@ describe('Tasks API', function () {
   it('Eliminar una tarea', async () => {
     const taskToDelete = {
       id: '1',
-      title: 'Task to Delete',
-      description: 'This task will be deleted'
+      titulo: 'Task to Delete',
+      descripcion: 'This task will be deleted',
+      username: 'usuario'
     };
 
-    // Pre-cargar el archivo de tareas con la tarea a eliminar
-    await fs.writeFile(tasksFilePath, JSON.stringify([taskToDelete]));
+    // Pre-cargar el repositorio de tareas con la tarea a eliminar
+    await tasksRepository.replaceAll([taskToDelete]);
 
     const deleteRes = await chai.request(server)
       .delete(`/tasks/${taskToDelete.id}`)
@@ -140,20 +125,21 @@ describe('Tasks API', function () {
    * Prueba: Intentar eliminar una tarea que no existe.
    *
    * - Se envía una solicitud DELETE con un ID inexistente.
-   * - Se espera que la API devuelva un código de estado 200, sin errores inesperados.
+   * - Se espera que la API devuelva un código de estado 404.
    */
   it('Eliminar una tarea que no existe', async () => {
     const deleteRes = await chai.request(server)
       .delete('/tasks/nonexistent-id')
-      .set('Authorization', `Bearer ${testToken}`);
+      .set('Authorization', `Bearer ${testToken}`)
+      .catch((err) => err.response);
 
-    expect(deleteRes).to.have.status(200);
+    expect(deleteRes).to.have.status(404);
   });
 
   /**
    * Prueba: Actualizar una tarea existente.
    *
-   * - Se almacena previamente una tarea en el archivo JSON.
+   * - Se almacena previamente una tarea en el repositorio.
    * - Se envía una solicitud PUT con los nuevos datos de la tarea.
    * - Se espera que la API devuelva un código de estado 200.
    * - Luego, se hace una solicitud GET para verificar que la tarea se actualizó correctamente.
@@ -161,17 +147,17 @@ describe('Tasks API', function () {
   it('Actualizar una tarea', async () => {
     const taskToUpdate = {
       id: '1',
-      title: 'Updated Task',
-      description: 'Updated Description',
+      titulo: 'Updated Task',
+      descripcion: 'Updated Description',
       username: 'usuario'
     };
 
-    // Pre-cargar el archivo de tareas con la tarea a actualizar
-    await fs.writeFile(tasksFilePath, JSON.stringify([taskToUpdate]));
+    // Pre-cargar el repositorio de tareas con la tarea a actualizar
+    await tasksRepository.replaceAll([taskToUpdate]);
 
     const updatedTask = {
-      title: 'Updated Task',
-      description: 'Updated Description'
+      titulo: 'Updated Task',
+      descripcion: 'Updated Description'
     };
 
     const putRes = await chai.request(server)
@@ -191,4 +177,286 @@ describe('Tasks API', function () {
     expect(getRes.body).to.have.lengthOf(1);
     expect(getRes.body[0]).to.include(updatedTask);
   });
+
+  /**
+   * Prueba: Crear una tarea aplica valores por defecto y campos del servidor.
+   *
+   * - Se envían `id` y `username` falsos, que deben ignorarse.
+   * - Se espera que la tarea tenga estado `pendiente`, prioridad `media` y fechas de creación.
+   */
+  it('Crear una tarea asigna los campos del servidor', async () => {
+    const postRes = await chai.request(server)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ titulo: 'Nueva', id: 'falso', username: 'otro' });
+
+    expect(postRes).to.have.status(201);
+    expect(postRes.body).to.include({
+      titulo: 'Nueva',
+      descripcion: '',
+      estado: 'pendiente',
+      prioridad: 'media',
+      fechaLimite: null,
+      username: 'usuario'
+    });
+    expect(postRes.body.id).to.not.equal('falso');
+    expect(postRes.body.createdAt).to.equal(postRes.body.updatedAt);
+  });
+
+  /**
+   * Prueba: Crear una tarea con datos inválidos.
+   *
+   * - Se espera un código 400 con un error por cada campo inválido.
+   */
+  it('Crear una tarea inválida devuelve los campos con error', async () => {
+    const postRes = await chai.request(server)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ estado: 'hecha', prioridad: 'urgente', fechaLimite: 'mañana', color: 'rojo' })
+      .catch((err) => err.response);
+
+    expect(postRes).to.have.status(400);
+    expect(postRes.body.details.map((e) => e.field)).to.have.members([
+      'titulo', 'estado', 'prioridad', 'fechaLimite', 'color'
+    ]);
+
+    const getRes = await chai.request(server)
+      .get('/tasks')
+      .set('Authorization', `Bearer ${testToken}`);
+    expect(getRes.body).to.have.lengthOf(0);
+  });
+
+  /**
+   * Prueba: Actualizar una tarea con PATCH conserva los campos omitidos y valida los enviados.
+   * Un cuerpo sin campos editables se rechaza sin modificar la tarea.
+   */
+  it('Actualizar una tarea valida los campos enviados', async () => {
+    await tasksRepository.replaceAll([{
+      id: '1',
+      titulo: 'Tarea',
+      descripcion: 'Descripción',
+      estado: 'pendiente',
+      prioridad: 'media',
+      fechaLimite: null,
+      username: 'usuario',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-01-01T00:00:00.000Z'
+    }]);
+
+    const badRes = await chai.request(server)
+      .patch('/tasks/1')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ estado: 'hecha' })
+      .catch((err) => err.response);
+    expect(badRes).to.have.status(400);
+    expect(badRes.body.details).to.deep.equal([
+      {
+        field: 'estado',
+        code: 'ESTADO_NOT_ALLOWED',
+        message: 'El estado debe ser uno de: pendiente, en_progreso, completada'
+      }
+    ]);
+
+    // Sin ningún campo editable no se modifica la tarea.
+    for (const body of [{}, { createdAt: 'x' }]) {
+      const emptyRes = await chai.request(server)
+        .patch('/tasks/1')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send(body)
+        .catch((err) => err.response);
+      expect(emptyRes).to.have.status(400);
+      expect(emptyRes.body.details).to.deep.equal([
+        { field: 'body', code: 'NO_EDITABLE_FIELDS', message: 'Debe incluir al menos un campo a modificar' }
+      ]);
+    }
+    const [unchanged] = await tasksRepository.all();
+    expect(unchanged.updatedAt).to.equal('2025-01-01T00:00:00.000Z');
+    expect(unchanged.version).to.equal(undefined);
+
+    const patchRes = await chai.request(server)
+      .patch('/tasks/1')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ estado: 'completada', fechaLimite: '2025-02-01', createdAt: 'x' });
+    expect(patchRes).to.have.status(200);
+    expect(patchRes.body).to.include({
+      titulo: 'Tarea',
+      descripcion: 'Descripción',
+      estado: 'completada',
+      fechaLimite: '2025-02-01',
+      createdAt: '2025-01-01T00:00:00.000Z'
+    });
+    expect(patchRes.body.updatedAt).to.not.equal('2025-01-01T00:00:00.000Z');
+  });
+
+  /**
+   * Prueba: PUT reemplaza la tarea completa.
+   *
+   * - `titulo` es obligatorio y los campos omitidos vuelven a su valor por defecto.
+   */
+  it('Reemplazar una tarea', async () => {
+    await tasksRepository.replaceAll([{
+      id: '1',
+      titulo: 'Tarea',
+      descripcion: 'Descripción',
+      estado: 'en_progreso',
+      prioridad: 'alta',
+      fechaLimite: '2025-02-01',
+      username: 'usuario',
+      createdAt: '2025-01-01T00:00:00.000Z'
+    }]);
+
+    const badRes = await chai.request(server)
+      .put('/tasks/1')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ estado: 'completada' })
+      .catch((err) => err.response);
+    expect(badRes).to.have.status(400);
+    expect(badRes.body.details.map((e) => e.field)).to.deep.equal(['titulo']);
+
+    const putRes = await chai.request(server)
+      .put('/tasks/1')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ titulo: 'Nueva', estado: 'completada' });
+    expect(putRes).to.have.status(200);
+    expect(putRes.body).to.include({
+      titulo: 'Nueva',
+      descripcion: '',
+      estado: 'completada',
+      prioridad: 'media',
+      fechaLimite: null,
+      username: 'usuario',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      version: 2
+    });
+  });
+
+  /**
+   * Prueba: Las modificaciones con If-Match obsoleto se rechazan con 412.
+   *
+   * - Cada tarea tiene una versión que se envía como ETag y aumenta con cada cambio.
+   */
+  it('Detectar ediciones concurrentes con ETag', async () => {
+    const postRes = await chai.request(server)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ titulo: 'Tarea' });
+    expect(postRes.body.version).to.equal(1);
+    expect(postRes).to.have.header('ETag', '"1"');
+    const { id } = postRes.body;
+
+    const getRes = await chai.request(server)
+      .get(`/tasks/${id}`)
+      .set('Authorization', `Bearer ${testToken}`);
+    const etag = getRes.headers.etag;
+    expect(etag).to.equal('"1"');
+
+    const first = await chai.request(server)
+      .patch(`/tasks/${id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .set('If-Match', etag)
+      .send({ prioridad: 'alta' });
+    expect(first).to.have.status(200);
+    expect(first).to.have.header('ETag', '"2"');
+    expect(first.body.version).to.equal(2);
+
+    const stale = await chai.request(server)
+      .patch(`/tasks/${id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .set('If-Match', etag)
+      .send({ prioridad: 'baja' })
+      .catch((err) => err.response);
+    expect(stale).to.have.status(412);
+    expect(stale).to.have.header('ETag', '"2"');
+
+    const staleDelete = await chai.request(server)
+      .delete(`/tasks/${id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .set('If-Match', etag)
+      .catch((err) => err.response);
+    expect(staleDelete).to.have.status(412);
+
+    const current = await chai.request(server)
+      .get(`/tasks/${id}`)
+      .set('Authorization', `Bearer ${testToken}`);
+    expect(current.body).to.include({ prioridad: 'alta', version: 2 });
+
+    const deleteRes = await chai.request(server)
+      .delete(`/tasks/${id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .set('If-Match', current.headers.etag);
+    expect(deleteRes).to.have.status(200);
+  });
+
+  /**
+   * Tareas de ejemplo para las pruebas de consulta.
+   */
+  const seedQueryTasks = () => tasksRepository.replaceAll([
+    { id: 'a', titulo: 'Comprar pan', descripcion: 'Panadería', estado: 'pendiente', prioridad: 'baja', fechaLimite: '2025-03-10', username: 'usuario', createdAt: '2025-01-01T00:00:00.000Z' },
+    { id: 'b', titulo: 'Revisión de código', descripcion: 'Pull request', estado: 'en_progreso', prioridad: 'alta', fechaLimite: '2025-03-01', username: 'usuario', createdAt: '2025-01-02T00:00:00.000Z' },
+    { id: 'c', titulo: 'Informe', descripcion: 'Revisar cifras', estado: 'completada', prioridad: 'media', fechaLimite: null, username: 'usuario', createdAt: '2025-01-03T00:00:00.000Z' },
+    { id: 'd', titulo: 'Ajena', descripcion: '', estado: 'pendiente', prioridad: 'alta', fechaLimite: '2025-03-05', username: 'otro', createdAt: '2025-01-04T00:00:00.000Z' }
+  ]);
+
+  /**
+   * Prueba: Filtrar y buscar tareas.
+   *
+   * - La búsqueda no distingue mayúsculas ni tildes.
+   * - Los filtros de estado y de rango de fecha límite se combinan.
+   */
+  it('Filtrar y buscar tareas', async () => {
+    await seedQueryTasks();
+
+    const searchRes = await chai.request(server)
+      .get('/tasks?q=REVISION')
+      .set('Authorization', `Bearer ${testToken}`);
+    expect(searchRes.body.map((t) => t.id)).to.deep.equal(['b']);
+
+    const filterRes = await chai.request(server)
+      .get('/tasks?estado=pendiente,en_progreso&fechaLimiteDesde=2025-03-01&fechaLimiteHasta=2025-03-09')
+      .set('Authorization', `Bearer ${testToken}`);
+    expect(filterRes).to.have.status(200);
+    expect(filterRes.body.map((t) => t.id)).to.deep.equal(['b']);
+    expect(filterRes).to.have.header('X-Total-Count', '1');
+  });
+
+  /**
+   * Prueba: Ordenar y paginar tareas.
+   *
+   * - Se ordena por prioridad descendente y se piden páginas de 2 elementos.
+   * - Se espera el total y los enlaces de paginación en las cabeceras.
+   */
+  it('Ordenar y paginar tareas', async () => {
+    await seedQueryTasks();
+
+    const page1 = await chai.request(server)
+      .get('/tasks?sort=-prioridad&limit=2')
+      .set('Authorization', `Bearer ${testToken}`);
+    expect(page1.body.map((t) => t.id)).to.deep.equal(['b', 'c']);
+    expect(page1).to.have.header('X-Total-Count', '3');
+    expect(page1).to.have.header('X-Total-Pages', '2');
+    expect(page1.headers.link).to.include('page=2').and.include('rel="next"');
+
+    const page2 = await chai.request(server)
+      .get('/tasks?sort=-prioridad&limit=2&page=2')
+      .set('Authorization', `Bearer ${testToken}`);
+    expect(page2.body.map((t) => t.id)).to.deep.equal(['a']);
+
+    const byDate = await chai.request(server)
+      .get('/tasks?sort=fechaLimite')
+      .set('Authorization', `Bearer ${testToken}`);
+    expect(byDate.body.map((t) => t.id)).to.deep.equal(['b', 'a', 'c']);
+  });
+
+  /**
+   * Prueba: Parámetros de consulta inválidos devuelven 400 con cada parámetro.
+   */
+  it('Rechazar parámetros de consulta inválidos', async () => {
+    const res = await chai.request(server)
+      .get('/tasks?estado=hecha&sort=color&limit=500')
+      .set('Authorization', `Bearer ${testToken}`)
+      .catch((err) => err.response);
+
+    expect(res).to.have.status(400);
+    expect(res.body.details.map((e) => e.field)).to.deep.equal(['estado', 'sort', 'limit']);
+  });
 });
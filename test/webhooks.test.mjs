@@ -0,0 +1,263 @@
+/**
+ * Pruebas para los webhooks.
+ *
+ * Se prueban el registro de webhooks, la entrega firmada de los eventos de las
+ * tareas a un receptor local, los reintentos con backoff exponencial y el
+ * registro de entregas.
+ */
+
+import { expect } from 'chai';
+import chai from './chai.js';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import { webhooks as webhooksConfig } from '../config.js';
+import { attemptDelivery, resetWebhooks, signPayload } from '../services/webhooks.js';
+import { store, tasksRepository, usersRepository } from '../storage/index.js';
+
+// Tokens de prueba para dos usuarios
+const anaToken = jwt.sign({ username: 'ana' }, 'clave_secreta');
+const beaToken = jwt.sign({ username: 'bea' }, 'clave_secreta');
+
+// Puerto del receptor local que hace de servicio externo.
+const RECEIVER_PORT = 3017;
+const RECEIVER_URL = `http://localhost:${RECEIVER_PORT}/hook`;
+
+/**
+ * Espera a que `check` devuelva un valor verdadero (máximo 3 segundos).
+ */
+const waitFor = async (check) => {
+  const limit = Date.now() + 3000;
+  for (;;) {
+    const value = await check();
+    if (value || Date.now() > limit) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+describe('Webhooks API', function () {
+  let server;
+  let receiver;
+  // Peticiones recibidas y códigos con los que responderá el receptor (200 si no quedan).
+  let received;
+  let responses;
+
+  /**
+   * Antes de ejecutar las pruebas, inicia el servidor en un puerto distinto (3016)
+   * y el receptor de webhooks.
+   */
+  before(async function () {
+    server = app.listen(3016);
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body, at: Date.now() });
+        res.statusCode = responses.shift() ?? 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(RECEIVER_PORT, resolve));
+  });
+
+  /**
+   * Al finalizar todas las pruebas, se cierran el servidor y el receptor.
+   */
+  after(function () {
+    server.close();
+    receiver.close();
+  });
+
+  /**
+   * Antes de cada prueba se reinicia el almacenamiento y el receptor.
+   */
+  beforeEach(async () => {
+    await store.reset();
+    resetWebhooks();
+    received = [];
+    responses = [];
+    await usersRepository.replaceAll([
+      { username: 'ana', password: 'x' },
+      { username: 'bea', password: 'x' }
+    ]);
+  });
+
+  /**
+   * Envía una petición autenticada, devolviendo también las respuestas de error.
+   */
+  const request = (method, path, body, token = anaToken) => {
+    const req = chai.request(server)[method](path).set('Authorization', `Bearer ${token}`);
+    return (body === undefined ? req : req.send(body)).catch((err) => err.response);
+  };
+
+  /**
+   * Espera a que todas las entregas de un webhook hayan terminado y las devuelve.
+   */
+  const settledDeliveries = (webhookId, count, token = anaToken) => waitFor(async () => {
+    const { body } = await request('get', `/webhooks/${webhookId}/deliveries`, undefined, token);
+    return body.length === count && body.every((d) => d.status !== 'pending') && body;
+  });
+
+  /**
+   * Prueba: Registrar, consultar, modificar y eliminar webhooks.
+   */
+  it('Gestionar los webhooks', async () => {
+    const created = await request('post', '/webhooks', { url: RECEIVER_URL, events: ['task.completed'] });
+    expect(created).to.have.status(201);
+    expect(created.body).to.include({ url: RECEIVER_URL, active: true, username: 'ana' });
+    expect(created.body.events).to.deep.equal(['task.completed']);
+    expect(created.body.secret).to.match(/^[0-9a-f]{64}$/);
+    const { id } = created.body;
+
+    const list = await request('get', '/webhooks');
+    expect(list.body).to.have.length(1);
+    expect(list.body[0]).to.not.have.property('secret');
+    expect(await request('get', `/webhooks/${id}`, undefined, beaToken)).to.have.status(404);
+
+    const updated = await request('put', `/webhooks/${id}`, { active: false });
+    expect(updated).to.have.status(200);
+    expect(updated.body).to.include({ url: RECEIVER_URL, active: false });
+
+    const invalid = await request('post', '/webhooks', { url: 'ftp://example.com', events: ['task.archived'] });
+    expect(invalid).to.have.status(400);
+    expect(invalid.body.code).to.equal('INVALID_WEBHOOK');
+    expect(invalid.body.details.map((d) => d.field)).to.have.members(['url', 'events']);
+
+    expect(await request('delete', `/webhooks/${id}`)).to.have.status(204);
+    expect(await request('get', `/webhooks/${id}/deliveries`)).to.have.status(404);
+  });
+
+  /**
+   * Prueba: Los eventos de las tareas se entregan firmados con el secreto del webhook.
+   */
+  it('Entregar eventos firmados', async () => {
+    const { body: webhook } = await request('post', '/webhooks', { url: RECEIVER_URL });
+
+    const { body: task } = await request('post', '/tasks', { titulo: 'Desplegar' });
+    await request('patch', `/tasks/${task.id}`, { estado: 'completada' });
+    await request('delete', `/tasks/${task.id}`);
+
+    const deliveries = await settledDeliveries(webhook.id, 4);
+    expect(deliveries.map((d) => d.event)).to.deep.equal(
+      ['task.deleted', 'task.completed', 'task.updated', 'task.created']
+    );
+    expect(deliveries.every((d) => d.status === 'succeeded' && d.attempts.length === 1)).to.equal(true);
+    expect(deliveries[0].attempts[0].statusCode).to.equal(200);
+
+    expect(received).to.have.length(4);
+    for (const { headers, body } of received) {
+      expect(headers['content-type']).to.equal('application/json');
+      expect(headers['x-webhook-signature']).to.equal(
+        signPayload(webhook.secret, headers['x-webhook-timestamp'], body)
+      );
+      const payload = JSON.parse(body);
+      expect(payload).to.include({ event: headers['x-webhook-event'], id: headers['x-webhook-delivery'], taskId: task.id });
+    }
+    const completed = JSON.parse(received.find((r) => r.headers['x-webhook-event'] === 'task.completed').body);
+    expect(completed.task).to.include({ titulo: 'Desplegar', estado: 'completada' });
+  });
+
+  /**
+   * Prueba: Las entregas fallidas se reintentan con esperas crecientes hasta
+   * `maxAttempts` intentos.
+   */
+  it('Reintentar con backoff exponencial', async () => {
+    const { body: webhook } = await request('post', '/webhooks', { url: RECEIVER_URL, events: ['task.created'] });
+
+    responses = [500, 503];
+    await request('post', '/tasks', { titulo: 'Reintentada' });
+    const [delivery] = await settledDeliveries(webhook.id, 1);
+    expect(delivery.status).to.equal('succeeded');
+    expect(delivery.attempts.map((a) => a.statusCode)).to.deep.equal([500, 503, 200]);
+    const [first, second, third] = received.map((r) => r.at);
+    expect(second - first).to.be.at.least(webhooksConfig.retryBaseMs);
+    expect(third - second).to.be.at.least(2 * webhooksConfig.retryBaseMs);
+
+    responses = Array(webhooksConfig.maxAttempts).fill(500);
+    await request('post', '/tasks', { titulo: 'Fallida' });
+    const [failed] = await settledDeliveries(webhook.id, 2);
+    expect(failed.status).to.equal('failed');
+    expect(failed.attempts).to.have.length(webhooksConfig.maxAttempts);
+    expect(failed.nextAttemptAt).to.equal(null);
+  });
+
+  /**
+   * Prueba: Las entregas pendientes de un webhook desactivado no se reintentan.
+   */
+  it('No reintentar las entregas de un webhook desactivado', async () => {
+    const { body: webhook } = await request('post', '/webhooks', { url: RECEIVER_URL, events: ['task.created'] });
+    const retryBaseMs = webhooksConfig.retryBaseMs;
+    // Reintento lejano, para desactivar el webhook antes de que llegue.
+    webhooksConfig.retryBaseMs = 60 * 1000;
+    try {
+      responses = [500];
+      await request('post', '/tasks', { titulo: 'Pendiente' });
+      const pending = await waitFor(async () => {
+        const { body } = await request('get', `/webhooks/${webhook.id}/deliveries`);
+        return body[0]?.attempts.length === 1 && body[0];
+      });
+      expect(pending.status).to.equal('pending');
+
+      await request('put', `/webhooks/${webhook.id}`, { active: false });
+      const delivery = await attemptDelivery(pending.id);
+      expect(delivery).to.include({ status: 'failed', nextAttemptAt: null });
+      expect(delivery.attempts).to.have.length(1);
+      expect(received).to.have.length(1);
+    } finally {
+      webhooksConfig.retryBaseMs = retryBaseMs;
+    }
+  });
+
+  /**
+   * Prueba: Sin `allowPrivateUrls` no se admiten ni se llaman URL locales o privadas.
+   */
+  it('Rechazar las direcciones locales y privadas', async () => {
+    const { body: webhook } = await request('post', '/webhooks', { url: RECEIVER_URL, events: ['task.created'] });
+    webhooksConfig.allowPrivateUrls = false;
+    try {
+      for (const url of [
+        RECEIVER_URL,
+        'http://127.0.0.1:3016/api/metrics',
+        'http://10.0.0.5/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook'
+      ]) {
+        const res = await request('post', '/webhooks', { url });
+        expect(res, url).to.have.status(400);
+        expect(res.body.details[0], url).to.include({ field: 'url', code: 'URL_PRIVATE_ADDRESS' });
+      }
+      expect(await request('post', '/webhooks', { url: 'https://example.com/hook', events: ['task.completed'] })).to.have.status(201);
+
+      // El webhook registrado antes tampoco recibe nada: `localhost` se resuelve a 127.0.0.1.
+      await request('post', '/tasks', { titulo: 'Privada' });
+      const [delivery] = await settledDeliveries(webhook.id, 1);
+      expect(delivery.status).to.equal('failed');
+      expect(delivery.attempts[0].error).to.equal('Dirección privada no permitida');
+      expect(received).to.have.length(0);
+    } finally {
+      webhooksConfig.allowPrivateUrls = true;
+    }
+  });
+
+  /**
+   * Prueba: Cada webhook recibe solo los eventos de las tareas que su dueño puede
+   * ver, y nada si está desactivado.
+   */
+  it('Entregar solo los eventos visibles para el dueño', async () => {
+    const { body: beaHook } = await request('post', '/webhooks', { url: RECEIVER_URL }, beaToken);
+    const { body: inactive } = await request('post', '/webhooks', { url: RECEIVER_URL, active: false });
+    await tasksRepository.insert({ id: '1', titulo: 'De Ana', descripcion: '', estado: 'pendiente', username: 'ana', sharedWith: [] });
+
+    await request('patch', '/tasks/1', { prioridad: 'alta' });
+    await request('put', '/tasks/1/shares/bea', { permission: 'viewer' });
+    await request('delete', '/tasks/1/shares/bea');
+
+    const deliveries = await settledDeliveries(beaHook.id, 2, beaToken);
+    expect(deliveries.map((d) => d.event)).to.deep.equal(['task.deleted', 'task.updated']);
+    expect((await request('get', `/webhooks/${inactive.id}/deliveries`)).body).to.have.length(0);
+    expect(received).to.have.length(2);
+  });
+});